@@ -0,0 +1,180 @@
+/**
+ * ============================================================================
+ * API ERRORS - ONE TYPED SHAPE FOR EVERY ERROR RESPONSE
+ * ============================================================================
+ *
+ * Every error the API returns - JSON responses, the streaming routes'
+ * "error" event and failed job steps - carries a machine-readable type next
+ * to the message:
+ *
+ * {
+ *   error: "The model did not answer within 60s",   - For people
+ *   code: "model_timeout",                           - ERROR_CODES value
+ *   retryable: true,                                 - Same request may work later?
+ *   retryAfter?: 30                                  - Seconds to wait, when known
+ *   ...                                              - Anything else the error adds
+ * }
+ *
+ * `retryable` is what a client decides on: true means "try again later"
+ * (the model timed out, is busy or down, a rate limit was hit); false means
+ * the request itself has to change ("bad input") or the server's setup does.
+ *
+ * Errors thrown inside the app set `status` and, optionally,
+ * `details.code` (apiError builds one). Responses without a code get one
+ * from their HTTP status (typedErrorResponses), so routes that answer
+ * res.status(400).json({ error }) are typed too. Errors that never reach a
+ * route - a body that isn't JSON, or is over the size limit - are typed by
+ * typedErrorHandler instead of Express's HTML error page.
+ * ============================================================================
+ */
+
+const ERROR_CODES = {
+  INVALID_REQUEST: 'invalid_request',
+  UNAUTHENTICATED: 'unauthenticated',
+  FORBIDDEN: 'forbidden',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  UNPROCESSABLE: 'unprocessable',
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  INTERNAL: 'internal',
+  UPSTREAM_ERROR: 'upstream_error',
+  UNAVAILABLE: 'unavailable',
+  TIMEOUT: 'timeout',
+  // Model calls (modelResilience.js)
+  MODEL_TIMEOUT: 'model_timeout',              // No answer in time
+  MODEL_BUSY: 'model_busy',                    // The provider rate limited us
+  MODEL_UNAVAILABLE: 'model_unavailable',      // Network/server errors, or the circuit breaker is open
+  MODEL_OUTPUT_INVALID: 'model_output_invalid', // Answered, but not in the expected format
+  MODEL_REJECTED: 'model_rejected',            // The provider refused the request (e.g. too long)
+  MODEL_MISCONFIGURED: 'model_misconfigured'   // Bad API key, unknown model, billing quota used up
+};
+
+// Code of a response that doesn't name one
+const STATUS_CODES = {
+  400: ERROR_CODES.INVALID_REQUEST,
+  401: ERROR_CODES.UNAUTHENTICATED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.UNPROCESSABLE,
+  429: ERROR_CODES.RATE_LIMITED,
+  500: ERROR_CODES.INTERNAL,
+  502: ERROR_CODES.UPSTREAM_ERROR,
+  503: ERROR_CODES.UNAVAILABLE,
+  504: ERROR_CODES.TIMEOUT
+};
+
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.QUOTA_EXCEEDED,
+  ERROR_CODES.UPSTREAM_ERROR,
+  ERROR_CODES.UNAVAILABLE,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.MODEL_TIMEOUT,
+  ERROR_CODES.MODEL_BUSY,
+  ERROR_CODES.MODEL_UNAVAILABLE,
+  ERROR_CODES.MODEL_OUTPUT_INVALID
+]);
+
+/**
+ * Build a typed error.
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - ERROR_CODES value
+ * @param {string} message
+ * @param {Object} [details] - Extra response fields, e.g. { retryAfter }
+ * @returns {Error} With `status` and `details` ({ code, retryable, ...details })
+ */
+function apiError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = { code, retryable: RETRYABLE_CODES.has(code), ...details };
+  return error;
+}
+
+/**
+ * The code and retryable flag of an error response.
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} [fields] - What the response already says ({ code, retryable })
+ * @returns {{ code: string, retryable: boolean }}
+ */
+function errorType(status, { code, retryable } = {}) {
+  const type = code || STATUS_CODES[status] || (status >= 500 ? ERROR_CODES.INTERNAL : ERROR_CODES.INVALID_REQUEST);
+  return { code: type, retryable: typeof retryable === 'boolean' ? retryable : RETRYABLE_CODES.has(type) };
+}
+
+/**
+ * The response body for an error.
+ *
+ * @param {Error} error - With optional `status` and `details`
+ * @param {string} [fallbackMessage] - Used when the error has no message
+ * @returns {Object} { error, code, retryable, ...details }
+ */
+function errorBody(error, fallbackMessage = 'Something went wrong') {
+  const details = error.details || {};
+  return { error: error.message || fallbackMessage, ...details, ...errorType(error.status || 500, details) };
+}
+
+/**
+ * Express middleware: add `code` and `retryable` to every JSON error
+ * response (status >= 400 with an `error` message) that lacks them.
+ */
+function typedErrorResponses() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body.error === 'string') {
+        return json({ ...body, ...errorType(res.statusCode, body) });
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * The typed error for an error thrown before a route ran: body-parser's
+ * (express.json, express.text) by their `type`, anything else a 500.
+ */
+function requestError(error) {
+  if (error.type === 'entity.parse.failed') {
+    return apiError(400, ERROR_CODES.INVALID_REQUEST, 'Invalid request: The request body is not valid JSON', {
+      fields: [{ field: '', in: 'body', message: 'is not valid JSON' }]
+    });
+  }
+  if (error.type === 'entity.too.large') {
+    return apiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Request body too large (limit ${error.limit} bytes)`);
+  }
+  // Other body-parser errors (unsupported charset, aborted upload) are safe to show
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return apiError(error.status, errorType(error.status).code, error.message);
+  }
+  return apiError(500, ERROR_CODES.INTERNAL, 'Something went wrong');
+}
+
+/**
+ * Express error middleware, added after the routes: answer errors passed to
+ * next() - the body parsers' included - with the typed JSON shape. The
+ * original error is logged; only requestError's message is sent.
+ */
+function typedErrorHandler() {
+  return (error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const typed = requestError(error);
+    if (typed.status >= 500) console.error('Unhandled error:', error);
+    res.status(typed.status).json(errorBody(typed));
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  apiError,
+  errorType,
+  errorBody,
+  typedErrorResponses,
+  typedErrorHandler
+};
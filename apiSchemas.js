@@ -0,0 +1,585 @@
+/**
+ * ============================================================================
+ * API SCHEMAS - WHAT EVERY /ai ROUTE ACCEPTS, AND THE OPENAPI DOCUMENT
+ * ============================================================================
+ *
+ * ROUTES describes each route: its method and path, a summary, and JSON
+ * Schemas for its body, path parameters and query string. index.js checks
+ * every request against its route (validateRequest, requestValidation.js),
+ * and openApiDocument() publishes the same schemas as OpenAPI 3.1 at
+ * GET /ai/openapi.json - the documentation can't drift from the checks.
+ *
+ * ROUTE:
+ * {
+ *   method: "get" | "post" | "patch" | "delete",
+ *   path: string,             - OpenAPI style, relative to /ai ("/campaigns/{id}")
+ *   summary: string,
+ *   tag: string,              - Groups routes in the document
+ *   body?: Object,            - JSON body schema
+ *   uploads?: Object,         - Other body content types: { [type]: description }
+ *   params?: Object,          - Path parameter schema (an object schema)
+ *   query?: Object,           - Query string schema (an object schema)
+ *   status?: number,          - Success status (default 200)
+ *   returns: string,          - What a success returns
+ *   public?: boolean          - No sign-in needed
+ * }
+ *
+ * ARTIST FIELDS:
+ * infoDump, videoLinks, emailStyle and signatureBlock can come from a saved
+ * profile (profileId), so a body may leave them out. Once the profile is
+ * merged in, artistInput() checks that the fields a route needs are there.
+ *
+ * Adding a route: add it here and pass validateRequest(ROUTES.yourRoute) to
+ * its app.<method>() call in index.js.
+ * ============================================================================
+ */
+
+const {
+  CADENCE_PRESETS,
+  MAX_FOLLOW_UPS,
+  CALENDAR_MAX_LOOKAHEAD_DAYS,
+  MAX_PROFILE_VIDEO_LINKS,
+  MAX_BATCH_RECIPIENTS,
+  SESSION_COOKIE_NAME,
+  MAX_INFO_DUMP_LENGTH,
+  MAX_TEXT_FIELD_LENGTH,
+  MAX_URL_LENGTH,
+  MAX_SUBJECT_LENGTH,
+  MAX_EMAIL_LENGTH
+} = require('./constants');
+const { LINT_MODES } = require('./emailLinter');
+const { GROUNDING_MODES } = require('./grounding');
+const { ESP_SYNTAX } = require('./mergeTags');
+const { EXPORT_FORMATS } = require('./espExport');
+const { MESSAGE_STATUS } = require('./campaignSender');
+const { SUPPRESSION_REASONS } = require('./suppressionList');
+const { ERROR_CODES } = require('./apiErrors');
+const { version } = require('./package.json');
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+const text = (description, maxLength = MAX_TEXT_FIELD_LENGTH) => ({ type: 'string', maxLength, description });
+const id = description => ({ type: 'string', format: 'uuid', description });
+const object = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+
+const videoLink = { type: 'string', format: 'uri', maxLength: MAX_URL_LENGTH };
+const email = { type: 'object', properties: { subject: text('Subject line', MAX_SUBJECT_LENGTH), email: text('Body', MAX_EMAIL_LENGTH) } };
+
+// Fields shared by the generation routes
+const FIELDS = {
+  infoDump: text('Everything about the artist: background, venues, awards, style (or from profileId)', MAX_INFO_DUMP_LENGTH),
+  videoLinks: { type: 'array', items: videoLink, maxItems: MAX_PROFILE_VIDEO_LINKS, description: 'Performance video URLs, http(s) (or from profileId)' },
+  emailStyle: text('Tone, e.g. "friendly" (or from profileId)'),
+  signatureBlock: text('Name and contact details (or from profileId)'),
+  availability: text('Open dates, e.g. "November 9-26th" or "OPEN"'),
+  currentDate: { type: 'string', format: 'date-time', description: "The user's current date/time - dates are filtered from it" },
+  timeZone: text('IANA timezone, e.g. "Australia/Sydney"', 100),
+  locale: text('Locale for numeric dates, e.g. "en-AU"', 35),
+  profileId: id('Saved artist profile filling the artist fields that are not sent'),
+  campaignId: id('Save the result to this campaign'),
+  lintMode: { type: 'string', enum: Object.values(LINT_MODES), description: 'What to do when an email breaks a hard rule' },
+  groundingMode: { type: 'string', enum: Object.values(GROUNDING_MODES), description: 'What to do with claims not found in infoDump' },
+  cadence: { type: ['array', 'null'], items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: MAX_FOLLOW_UPS, description: 'Wait days of each follow-up, increasing' },
+  cadencePreset: { type: 'string', enum: Object.keys(CADENCE_PRESETS), description: 'Named cadence (used when cadence is not sent)' },
+  ideas: { type: 'array', items: text('Talking point', 200), maxItems: MAX_FOLLOW_UPS, description: 'One talking point per follow-up' },
+  idea: { ...text('Talking point of this follow-up', 200), minLength: 1 },
+  emailIndex: { type: 'integer', minimum: 0, maximum: MAX_FOLLOW_UPS - 1, description: 'Follow-up index (0-based) within the cadence' },
+  fromName: text('Sender name')
+};
+
+const ARTIST_FIELDS = ['infoDump', 'videoLinks', 'emailStyle', 'signatureBlock'];
+
+const pick = (...names) => Object.fromEntries(names.map(name => [name, FIELDS[name]]));
+
+// Body of the routes writing an email from the artist's inputs
+const artistBody = (properties = {}, required) => object({
+  ...pick(...ARTIST_FIELDS, 'availability', 'currentDate', 'timeZone', 'locale', 'profileId', 'campaignId', 'lintMode', 'groundingMode'),
+  ...properties
+}, required);
+
+const followUpBody = artistBody({ ...pick('idea', 'emailIndex', 'cadence', 'cadencePreset', 'fromName') }, ['idea', 'emailIndex']);
+
+/**
+ * Schema for a generation request once its profile is merged in: the
+ * artist fields it needs must be set (videoLinks: at least one link).
+ *
+ * @param {string[]} [fields] - Default: infoDump, videoLinks, emailStyle, signatureBlock
+ * @returns {Object} JSON Schema
+ */
+function artistInput(fields = ARTIST_FIELDS) {
+  const properties = Object.fromEntries(fields.map(name => [
+    name,
+    name === 'videoLinks' ? { ...FIELDS.videoLinks, minItems: 1 } : { ...FIELDS[name], minLength: 1 }
+  ]));
+  return object(properties, fields);
+}
+
+const recipients = {
+  csv: text('Recipients CSV (header row: venueName, firstName, email, city, venueType, genres, notes)', 1000000),
+  recipients: {
+    type: 'array',
+    maxItems: MAX_BATCH_RECIPIENTS,
+    items: object({
+      venueName: text('Venue name'),
+      firstName: text('Contact first name'),
+      email: text('Contact email address', 320),
+      city: text('City'),
+      venueType: text('Venue type'),
+      genres: text('Genres'),
+      notes: text('Notes for the prompt')
+    }),
+    description: 'Or the recipients as JSON'
+  }
+};
+
+const jobParams = object({ jobId: text('Job id', 100) }, ['jobId']);
+const indexParams = object({ jobId: text('Job id', 100), index: { type: 'integer', minimum: 0 } }, ['jobId', 'index']);
+const idParams = object({ id: text('Id', 100) }, ['id']);
+const sendParams = object({ id: text('Campaign id', 100), sendId: text('Send id', 100) }, ['id', 'sendId']);
+
+const exportOptions = {
+  format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), description: 'File format (default csv)' },
+  esp: { type: 'string', enum: Object.keys(ESP_SYNTAX), description: 'Merge tag syntax (default per format)' },
+  name: text('Campaign name'),
+  fromName: text('Sender name'),
+  fromEmail: { type: 'string', format: 'email', maxLength: 320, description: 'Sender address' },
+  step: { type: 'integer', minimum: 1, description: 'eml only: one email (1-based) as a single .eml' }
+};
+
+const profileFields = object({
+  name: text('Profile name, e.g. the act'),
+  infoDump: FIELDS.infoDump,
+  videoLinks: {
+    type: 'array',
+    maxItems: MAX_PROFILE_VIDEO_LINKS,
+    items: {
+      anyOf: [videoLink, object({ url: videoLink, label: text('Label', 200) }, ['url'])],
+      errorMessage: 'must be an http(s) URL or { url, label }'
+    }
+  },
+  emailStyle: FIELDS.emailStyle,
+  signatureBlock: FIELDS.signatureBlock,
+  fromName: FIELDS.fromName
+});
+
+const campaignFields = object({
+  name: text('Campaign name'),
+  inputs: { type: 'object', description: 'Generation inputs (infoDump, videoLinks, ...)' },
+  intro: { type: ['object', 'null'], properties: email.properties, description: '{ subject, email }, or null' },
+  ideas: FIELDS.ideas,
+  followUps: {
+    type: 'object',
+    propertyNames: {
+      type: 'string',
+      pattern: `^(?:${Array.from({ length: MAX_FOLLOW_UPS }, (_, i) => i).join('|')})$`,
+      errorMessage: `must be an email index from 0 to ${MAX_FOLLOW_UPS - 1}`
+    },
+    maxProperties: MAX_FOLLOW_UPS,
+    additionalProperties: { type: ['object', 'null'], properties: email.properties },
+    description: 'Follow-ups by index: { "2": { subject, email } }, null removes one'
+  }
+});
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+const ROUTES = {
+  // Generation
+  generateEmail: {
+    method: 'post', path: '/generate-email', tag: 'Generation',
+    summary: 'Write the intro pitch email',
+    body: artistBody(),
+    returns: '{ subject, email, html, parts, lint, grounding, campaign? }'
+  },
+  generateEmailStream: {
+    method: 'post', path: '/generate-email/stream', tag: 'Generation',
+    summary: 'Write the intro pitch email, streamed as Server-Sent Events',
+    body: artistBody(),
+    returns: 'text/event-stream: subject, delta, retry, done, error events'
+  },
+  generateFollowUpIdeas: {
+    method: 'post', path: '/generate-followup-ideas', tag: 'Generation',
+    summary: 'One talking point per follow-up',
+    body: object(pick('infoDump', 'profileId', 'campaignId', 'cadence', 'cadencePreset')),
+    returns: '{ ideas, cadence, campaign? }'
+  },
+  startFollowUpSequence: {
+    method: 'post', path: '/generate-followup-sequence', tag: 'Generation',
+    summary: 'Start a job writing every follow-up',
+    body: artistBody(pick('ideas', 'cadence', 'cadencePreset', 'fromName'), ['ideas']),
+    status: 202,
+    returns: '{ jobId, status, statusUrl }'
+  },
+  getFollowUpSequence: {
+    method: 'get', path: '/generate-followup-sequence/{jobId}', tag: 'Generation',
+    summary: 'Progress and results of a sequence job',
+    params: jobParams,
+    returns: '{ jobId, status, progress, sequence, emails, accolades, cadence }'
+  },
+  retryFollowUpSequenceEmail: {
+    method: 'post', path: '/generate-followup-sequence/{jobId}/emails/{index}/retry', tag: 'Generation',
+    summary: 'Retry one failed email of a sequence job',
+    params: indexParams,
+    status: 202,
+    returns: 'The job, as for GET'
+  },
+  generateSingleFollowUp: {
+    method: 'post', path: '/generate-single-followup', tag: 'Generation',
+    summary: 'Write one follow-up',
+    body: followUpBody,
+    returns: '{ subject, email, html, parts, lint, grounding, accolade, waitDays, idea, fromName, sendDate, campaign? }'
+  },
+  generateSingleFollowUpStream: {
+    method: 'post', path: '/generate-single-followup/stream', tag: 'Generation',
+    summary: 'Write one follow-up, streamed as Server-Sent Events',
+    body: followUpBody,
+    returns: 'text/event-stream: subject, delta, retry, done, error events'
+  },
+  regenerateFollowUpEmail: {
+    method: 'post', path: '/regenerate-followup-email', tag: 'Generation',
+    summary: 'Write a follow-up again, differently',
+    body: followUpBody,
+    returns: '{ subject, email, html, parts, lint, grounding, waitDays, idea }'
+  },
+  importCalendar: {
+    method: 'post', path: '/generate-availability-from-calendar', tag: 'Generation',
+    summary: 'Open dates from an .ics calendar',
+    body: object({
+      ics: text('The .ics file contents', 2 * 1024 * 1024),
+      lookaheadDays: { type: 'integer', minimum: 1, maximum: CALENDAR_MAX_LOOKAHEAD_DAYS },
+      currentDate: FIELDS.currentDate,
+      timeZone: FIELDS.timeZone
+    }, ['ics']),
+    uploads: { 'text/calendar': 'The .ics file itself (options in the query string)' },
+    query: object({
+      lookaheadDays: { type: 'integer', minimum: 1, maximum: CALENDAR_MAX_LOOKAHEAD_DAYS },
+      currentDate: FIELDS.currentDate,
+      timeZone: FIELDS.timeZone
+    }),
+    returns: '{ availability, openDates, bookedDates, window, events, warnings }'
+  },
+
+  // Venue batches
+  startVenueBatch: {
+    method: 'post', path: '/generate-venue-batch', tag: 'Venue batches',
+    summary: 'Start a job writing a tailored pitch for every recipient',
+    body: artistBody({ ...recipients, includeSequence: { type: 'boolean' }, ...pick('ideas', 'cadence', 'cadencePreset') }),
+    status: 202,
+    returns: '{ jobId, status, recipients, suppressed, ignoredColumns, statusUrl, downloadUrl }'
+  },
+  getVenueBatch: {
+    method: 'get', path: '/generate-venue-batch/{jobId}', tag: 'Venue batches',
+    summary: 'Progress and results of a batch job',
+    params: jobParams,
+    returns: '{ jobId, status, progress, results, rows, ... }'
+  },
+  downloadVenueBatch: {
+    method: 'get', path: '/generate-venue-batch/{jobId}/download', tag: 'Venue batches',
+    summary: 'Batch results as a file',
+    params: jobParams,
+    query: object({ format: { type: 'string', enum: ['csv', 'json'] } }),
+    returns: 'CSV or JSON attachment'
+  },
+  retryVenueBatchRow: {
+    method: 'post', path: '/generate-venue-batch/{jobId}/rows/{index}/retry', tag: 'Venue batches',
+    summary: 'Retry one failed recipient of a batch job',
+    params: indexParams,
+    status: 202,
+    returns: 'The job, as for GET'
+  },
+
+  // Merge tags and export
+  getMergeTags: {
+    method: 'get', path: '/merge-tags', tag: 'Merge tags and export',
+    summary: 'Merge tags, their fallbacks and ESP syntaxes',
+    returns: '{ tags, esps, footer }'
+  },
+  previewEmail: {
+    method: 'post', path: '/preview-email', tag: 'Merge tags and export',
+    summary: "An email as a recipient would get it, with merge tag problems",
+    body: object({
+      ...email.properties,
+      campaignId: id("A saved campaign's email instead"),
+      followUp: { type: 'integer', minimum: 0, description: "The campaign's followUps[followUp] (default: its intro)" },
+      recipient: { type: 'object', additionalProperties: text('Tag value'), description: 'Merge tag values, e.g. { "firstname": "Sam" }' },
+      esp: exportOptions.esp
+    }),
+    returns: '{ subject, email, recipient, esp, tags, valid }'
+  },
+  exportSequence: {
+    method: 'post', path: '/export-sequence', tag: 'Merge tags and export',
+    summary: 'Download a sequence for an ESP',
+    body: object({
+      sequence: { type: 'array', items: { type: ['object', 'null'] }, maxItems: MAX_FOLLOW_UPS, description: 'The sequence array of a sequence job' },
+      jobId: text('Or a sequence job', 100),
+      intro: { ...email, description: 'Exported first' },
+      ...exportOptions
+    }),
+    returns: 'File attachment'
+  },
+
+  // Profiles
+  createProfile: {
+    method: 'post', path: '/profiles', tag: 'Profiles',
+    summary: 'Save an artist profile',
+    body: profileFields,
+    status: 201,
+    returns: 'The profile'
+  },
+  listProfiles: { method: 'get', path: '/profiles', tag: 'Profiles', summary: 'Every profile', returns: '{ profiles }' },
+  getProfile: { method: 'get', path: '/profiles/{id}', tag: 'Profiles', summary: 'One profile', params: idParams, returns: 'The profile' },
+  updateProfile: {
+    method: 'patch', path: '/profiles/{id}', tag: 'Profiles',
+    summary: 'Edit a profile',
+    params: idParams,
+    body: profileFields,
+    returns: 'The profile'
+  },
+  deleteProfile: { method: 'delete', path: '/profiles/{id}', tag: 'Profiles', summary: 'Delete a profile', params: idParams, status: 204, returns: 'Nothing' },
+
+  // Campaigns
+  createCampaign: { method: 'post', path: '/campaigns', tag: 'Campaigns', summary: 'Create a campaign', body: campaignFields, status: 201, returns: 'The campaign' },
+  listCampaigns: { method: 'get', path: '/campaigns', tag: 'Campaigns', summary: 'Every campaign, most recently updated first', returns: '{ campaigns }' },
+  getCampaign: { method: 'get', path: '/campaigns/{id}', tag: 'Campaigns', summary: 'One campaign', params: idParams, returns: 'The campaign' },
+  updateCampaign: {
+    method: 'patch', path: '/campaigns/{id}', tag: 'Campaigns',
+    summary: 'Edit a campaign (saved as a new version)',
+    params: idParams,
+    body: campaignFields,
+    returns: 'The campaign'
+  },
+  deleteCampaign: { method: 'delete', path: '/campaigns/{id}', tag: 'Campaigns', summary: 'Delete a campaign and its history', params: idParams, status: 204, returns: 'Nothing' },
+  listCampaignVersions: { method: 'get', path: '/campaigns/{id}/versions', tag: 'Campaigns', summary: 'Version history, newest first', params: idParams, returns: '{ versions }' },
+  getCampaignVersion: {
+    method: 'get', path: '/campaigns/{id}/versions/{version}', tag: 'Campaigns',
+    summary: 'One version',
+    params: object({ id: idParams.properties.id, version: { type: 'integer', minimum: 1 } }, ['id', 'version']),
+    returns: 'The version'
+  },
+  diffCampaign: {
+    method: 'get', path: '/campaigns/{id}/diff', tag: 'Campaigns',
+    summary: 'Compare two versions',
+    params: idParams,
+    query: object({ from: { type: 'integer', minimum: 1 }, to: { type: 'integer', minimum: 1, description: 'Default: the current version' } }, ['from']),
+    returns: '{ from, to, changes }'
+  },
+  restoreCampaignVersion: {
+    method: 'post', path: '/campaigns/{id}/versions/{version}/restore', tag: 'Campaigns',
+    summary: 'Make an old version current again',
+    params: object({ id: idParams.properties.id, version: { type: 'integer', minimum: 1 } }, ['id', 'version']),
+    returns: 'The campaign'
+  },
+  exportCampaign: {
+    method: 'get', path: '/campaigns/{id}/export', tag: 'Campaigns',
+    summary: "Download a campaign's emails for an ESP",
+    params: idParams,
+    query: object(exportOptions),
+    returns: 'File attachment'
+  },
+
+  // Sending
+  scheduleSend: {
+    method: 'post', path: '/campaigns/{id}/sends', tag: 'Sending',
+    summary: 'Send a campaign over SMTP on its cadence',
+    params: idParams,
+    body: object({
+      ...recipients,
+      startAt: { type: 'string', format: 'date-time', description: 'When the intro goes out (default now)' },
+      timeZone: FIELDS.timeZone,
+      fromEmail: exportOptions.fromEmail,
+      fromName: FIELDS.fromName,
+      unsubscribeUrl: text('Fills {{unsubscribe_link}} - "{email}"/"{token}" are replaced per recipient', MAX_URL_LENGTH)
+    }),
+    status: 201,
+    returns: 'The send'
+  },
+  listSends: { method: 'get', path: '/campaigns/{id}/sends', tag: 'Sending', summary: "A campaign's sends, newest first", params: idParams, returns: '{ sends }' },
+  getSend: {
+    method: 'get', path: '/campaigns/{id}/sends/{sendId}', tag: 'Sending',
+    summary: 'One send with the status of every email',
+    params: sendParams,
+    query: object({ status: { type: 'string', enum: Object.values(MESSAGE_STATUS) } }),
+    returns: 'The send'
+  },
+  cancelSend: {
+    method: 'post', path: '/campaigns/{id}/sends/{sendId}/cancel', tag: 'Sending',
+    summary: "Cancel a send's emails that haven't gone out",
+    params: sendParams,
+    returns: 'The send'
+  },
+
+  // Replies and unsubscribes
+  classifyReply: {
+    method: 'post', path: '/replies', tag: 'Replies and unsubscribes',
+    summary: "Classify a venue's reply, stop its follow-ups, draft an answer",
+    body: object({
+      raw: text('The whole email (RFC 5322)', 2 * 1024 * 1024),
+      text: text('Or just its body', 2 * 1024 * 1024),
+      from: text('Sender address', 320),
+      subject: text('Subject', MAX_SUBJECT_LENGTH),
+      inReplyTo: { type: ['string', 'array'], items: text('Message-ID', 1000), maxItems: 100, description: 'Message-ID(s) it answers' },
+      campaignId: id('Only match sends of this campaign'),
+      profileId: id('Artist profile for the draft')
+    }),
+    uploads: { 'message/rfc822': 'The raw email itself (campaignId and profileId in the query string)' },
+    query: object({ campaignId: FIELDS.campaignId, profileId: FIELDS.profileId }),
+    returns: '{ classification, summary, returnDate, newContact, action, reply, recipient, suppressed, draft }'
+  },
+  unsubscribePage: {
+    method: 'get', path: '/unsubscribe/{token}', tag: 'Replies and unsubscribes',
+    summary: 'Unsubscribe confirmation page (the link in sent emails)',
+    params: object({ token: text('Signed token') }, ['token']),
+    returns: 'HTML page',
+    public: true
+  },
+  unsubscribe: {
+    method: 'post', path: '/unsubscribe/{token}', tag: 'Replies and unsubscribes',
+    summary: 'Unsubscribe (the page button, or one-click RFC 8058)',
+    params: object({ token: text('Signed token') }, ['token']),
+    returns: 'HTML page',
+    public: true
+  },
+  listSuppressions: {
+    method: 'get', path: '/suppressions', tag: 'Replies and unsubscribes',
+    summary: 'The suppression list, newest first',
+    query: object({ format: { type: 'string', enum: ['json', 'csv'] } }),
+    returns: '{ suppressions } or a CSV attachment'
+  },
+  addSuppressions: {
+    method: 'post', path: '/suppressions', tag: 'Replies and unsubscribes',
+    summary: 'Add addresses to the suppression list',
+    body: object({
+      email: text('One address', 320),
+      emails: { type: 'array', items: text('Address', 320), minItems: 1, maxItems: 10000, description: 'Or several' },
+      reason: { type: 'string', enum: Object.values(SUPPRESSION_REASONS) },
+      source: text('Where it came from')
+    }),
+    status: 201,
+    returns: '{ added, suppressions }'
+  },
+  removeSuppression: {
+    method: 'delete', path: '/suppressions/{email}', tag: 'Replies and unsubscribes',
+    summary: 'Take an address off the suppression list',
+    params: object({ email: text('The address', 320) }, ['email']),
+    status: 204,
+    returns: 'Nothing'
+  },
+
+  // Account
+  getUsage: {
+    method: 'get', path: '/usage', tag: 'Account',
+    summary: 'Model usage, cost and quota for a month',
+    query: object({
+      month: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$', errorMessage: 'must look like "2025-11"' },
+      user: text('Another user, or "*" for everyone (USAGE_ADMINS only)', 200)
+    }),
+    returns: 'The usage report'
+  },
+  getSession: { method: 'get', path: '/auth/session', tag: 'Account', summary: 'Who the caller is signed in as', returns: '{ user, strategies }' },
+  createSession: {
+    method: 'post', path: '/auth/session', tag: 'Account',
+    summary: 'Trade an API key for a session cookie',
+    body: object({ apiKey: text('API key (or the Authorization / X-API-Key header)', 1000) }),
+    returns: '{ user, expiresAt }',
+    public: true
+  },
+  deleteSession: { method: 'delete', path: '/auth/session', tag: 'Account', summary: 'Sign out', status: 204, returns: 'Nothing', public: true },
+  getOpenApi: { method: 'get', path: '/openapi.json', tag: 'Account', summary: 'This document', returns: 'OpenAPI 3.1 document', public: true }
+};
+
+// ============================================================================
+// OPENAPI DOCUMENT
+// ============================================================================
+
+/**
+ * Path or query parameters of a route as OpenAPI parameters.
+ */
+function parametersOf(schema, location) {
+  if (!schema) return [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    schema: property
+  }));
+}
+
+/**
+ * The OpenAPI 3.1 document for every route.
+ *
+ * @returns {Object} OpenAPI document (serve as JSON)
+ */
+function openApiDocument() {
+  const paths = {};
+  for (const [operationId, route] of Object.entries(ROUTES)) {
+    const content = {};
+    if (route.body) content['application/json'] = { schema: route.body };
+    for (const [type, description] of Object.entries(route.uploads || {})) {
+      content[type] = { schema: { type: 'string', description } };
+    }
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = {
+      operationId,
+      summary: route.summary,
+      tags: [route.tag],
+      ...(route.public ? { security: [] } : {}),
+      parameters: [...parametersOf(route.params, 'path'), ...parametersOf(route.query, 'query')],
+      ...(Object.keys(content).length > 0 ? { requestBody: { content } } : {}),
+      responses: {
+        [route.status || 200]: { description: route.returns },
+        default: { $ref: '#/components/responses/Error' }
+      }
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Musician Pitch Email Generator API',
+      version,
+      description: 'Every error response is { error, code, retryable, ... } - see API_REFERENCE.md. ' +
+        'Signed-in callers only, except where security is empty (the upstream booking-site session also works).'
+    },
+    servers: [{ url: '/ai' }],
+    security: [{ bearer: [] }, { apiKey: [] }, { session: [] }],
+    tags: [...new Set(Object.values(ROUTES).map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'An AUTH_API_KEYS key' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE_NAME }
+      },
+      responses: {
+        Error: {
+          description: 'Error',
+          content: {
+            'application/json': {
+              schema: object({
+                error: { type: 'string' },
+                code: { type: 'string', enum: Object.values(ERROR_CODES) },
+                retryable: { type: 'boolean', description: 'The same request may work later' },
+                retryAfter: { type: 'integer', description: 'Seconds to wait, when known' },
+                fields: {
+                  type: 'array',
+                  description: 'invalid_request: every field that is wrong',
+                  items: object({ field: { type: 'string' }, in: { type: 'string', enum: ['body', 'query', 'path'] }, message: { type: 'string' } })
+                }
+              }, ['error', 'code', 'retryable'])
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  ROUTES,
+  ARTIST_FIELDS,
+  artistInput,
+  openApiDocument
+};
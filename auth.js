@@ -0,0 +1,432 @@
+/**
+ * ============================================================================
+ * AUTH - WHO MAY CALL THE /ai API
+ * ============================================================================
+ *
+ * Every /ai route needs a signed-in caller - the generation routes included,
+ * since each call spends model tokens. Only the pages, the OpenAPI document
+ * and the unsubscribe link in sent emails are public (index.js lists them).
+ *
+ * How a caller proves who they are is a strategy. AUTH_STRATEGY names one or
+ * several, comma-separated; they are tried in order and the first that
+ * recognises the caller wins:
+ *
+ * - upstream (default): ask another site whether the caller's cookies are a
+ *   signed-in session - GET AUTH_CHECK_URL (the booking site unless set)
+ *   with the caller's cookies; 2xx means yes. Answers are cached per cookie
+ *   for a short while. Only cookies go there, never the Authorization
+ *   header or our own session cookie: AUTH_CHECK_URL is another service, and
+ *   with "upstream,api-key" it would otherwise see every API key first.
+ * - api-key: "Authorization: Bearer <key>" or "X-API-Key: <key>" with a key
+ *   from AUTH_API_KEYS ("name:key,name:key") - scripts and other servers
+ * - session: a cookie signed with AUTH_SESSION_SECRET (see SESSION COOKIE).
+ *   POST /ai/auth/session trades an API key for one, so a browser can use
+ *   the pages without the booking site
+ * - local: every request is a fixed development user. For running on your
+ *   own machine - refused when NODE_ENV=production
+ *
+ * STRATEGY INTERFACE:
+ * { name, authenticate(req) } - authenticate resolves to the caller,
+ * { id, name }, or null when the request doesn't prove who it is. It throws
+ * (status 503) when it can't tell, e.g. the upstream check is down, and
+ * (status 502) when the upstream check accepts a session without naming
+ * the user.
+ *
+ * The signed-in caller is set as req.user: { id, name, strategy }.
+ *
+ * SESSION COOKIE:
+ *   <base64url(JSON { sub, name, exp })>.<base64url(HMAC-SHA256(secret, first part))>
+ * exp is in Unix seconds. Another app that knows the secret can issue them.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const {
+  DEFAULT_AUTH_CHECK_URL,
+  DEFAULT_AUTH_LOGIN_URL,
+  AUTH_CACHE_TTL_MS,
+  AUTH_FAILURE_CACHE_TTL_MS,
+  AUTH_CACHE_MAX_ENTRIES,
+  AUTH_CHECK_TIMEOUT_MS,
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_MS,
+  AUTH_MIN_SECRET_LENGTH
+} = require('./constants');
+const { systemClock } = require('./dateUtils');
+
+const AUTH_STRATEGIES = {
+  UPSTREAM: 'upstream',
+  API_KEY: 'api-key',
+  SESSION: 'session',
+  LOCAL: 'local'
+};
+
+/**
+ * Build an auth error (error.status is the HTTP status).
+ */
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Cookies of a request as { name: value }.
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const at = part.indexOf('=');
+    if (at === -1) continue;
+    const name = part.slice(0, at).trim();
+    const value = part.slice(at + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * The API key a request carries: "X-API-Key: <key>" or "Authorization: Bearer <key>".
+ */
+function apiKeyFrom(req) {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : '';
+}
+
+/**
+ * Read AUTH_API_KEYS: "name:key" entries, comma-separated. A key without a
+ * name is called "key-<n>".
+ *
+ * @param {string} [value]
+ * @returns {Array<{ id: string, key: string }>}
+ * @throws {Error} if a key is shorter than AUTH_MIN_SECRET_LENGTH
+ */
+function parseApiKeys(value) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+    const at = entry.indexOf(':');
+    const [id, key] = at > 0 ? [entry.slice(0, at).trim(), entry.slice(at + 1).trim()] : [`key-${index + 1}`, entry];
+    if (key.length < AUTH_MIN_SECRET_LENGTH) {
+      throw new Error(`AUTH_API_KEYS: the key for "${id}" is shorter than ${AUTH_MIN_SECRET_LENGTH} characters`);
+    }
+    return { id, key };
+  });
+}
+
+/**
+ * API key strategy.
+ *
+ * @param {Object} options
+ * @param {Array<{ id: string, key: string }>} options.keys - From parseApiKeys
+ * @returns {Object} Strategy, plus identify(key)
+ */
+function createApiKeyStrategy({ keys }) {
+  if (keys.length === 0) throw new Error('AUTH_STRATEGY=api-key needs AUTH_API_KEYS');
+  // Compared as hashes: same length every time, so timingSafeEqual applies
+  const hashed = keys.map(({ id, key }) => ({ id, hash: sha256(key) }));
+
+  const strategy = {
+    name: AUTH_STRATEGIES.API_KEY,
+
+    /**
+     * The caller a key belongs to, or null.
+     */
+    identify(key) {
+      if (!key) return null;
+      const hash = sha256(String(key));
+      const match = hashed.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+      return match ? { id: match.id, name: match.id } : null;
+    },
+
+    async authenticate(req) {
+      return strategy.identify(apiKeyFrom(req));
+    }
+  };
+  return strategy;
+}
+
+/**
+ * Signed session cookie strategy.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - AUTH_SESSION_SECRET
+ * @param {string} [options.cookieName=SESSION_COOKIE_NAME]
+ * @param {number} [options.ttlMs=SESSION_TTL_MS] - Lifetime of issued cookies
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} Strategy, plus issue(user) and verify(value)
+ */
+function createSessionStrategy({ secret, cookieName = SESSION_COOKIE_NAME, ttlMs = SESSION_TTL_MS, clock = systemClock }) {
+  if (!secret || secret.length < AUTH_MIN_SECRET_LENGTH) {
+    throw new Error(`AUTH_STRATEGY=session needs AUTH_SESSION_SECRET (at least ${AUTH_MIN_SECRET_LENGTH} characters)`);
+  }
+  const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const strategy = {
+    name: AUTH_STRATEGIES.SESSION,
+    cookieName,
+    ttlMs,
+
+    /**
+     * A cookie value for a caller.
+     *
+     * @param {{ id: string, name?: string }} user
+     * @returns {{ value: string, expiresAt: Date }}
+     */
+    issue(user) {
+      const expiresAt = new Date(clock().getTime() + ttlMs);
+      const payload = Buffer.from(JSON.stringify({
+        sub: user.id,
+        name: user.name || user.id,
+        exp: Math.floor(expiresAt.getTime() / 1000)
+      }), 'utf8').toString('base64url');
+      return { value: `${payload}.${sign(payload)}`, expiresAt };
+    },
+
+    /**
+     * The caller a cookie value was issued to.
+     *
+     * @returns {{ id: string, name: string }|null} null if it is malformed, tampered with or expired
+     */
+    verify(value) {
+      const match = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/.exec(String(value || ''));
+      if (!match) return null;
+      const expected = Buffer.from(sign(match[1]));
+      const given = Buffer.from(match[2]);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+      if (!claims || typeof claims.sub !== 'string' || !(claims.exp * 1000 > clock().getTime())) return null;
+      return { id: claims.sub, name: typeof claims.name === 'string' ? claims.name : claims.sub };
+    },
+
+    async authenticate(req) {
+      return strategy.verify(parseCookies(req.headers.cookie)[cookieName]);
+    }
+  };
+  return strategy;
+}
+
+/**
+ * The caller named by an upstream check's JSON answer ({ user: { id, name,
+ * email } } or the same fields at the top level), or null when it names no
+ * one (no id, userId or email).
+ */
+function userFromUpstream(body) {
+  const user = body && typeof body === 'object' ? (body.user && typeof body.user === 'object' ? body.user : body) : {};
+  const id = user.id ?? user.userId ?? user.email;
+  if (id === undefined || id === null || id === '') return null;
+  return {
+    id: String(id),
+    name: user.name || user.email || null
+  };
+}
+
+/**
+ * Upstream auth-check strategy.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url=DEFAULT_AUTH_CHECK_URL] - AUTH_CHECK_URL
+ * @param {number} [options.cacheTtlMs=AUTH_CACHE_TTL_MS] - Reuse an accepted session this long
+ * @param {number} [options.failureTtlMs=AUTH_FAILURE_CACHE_TTL_MS] - Reuse a rejection this long
+ * @param {number} [options.maxEntries=AUTH_CACHE_MAX_ENTRIES] - Cached answers kept (oldest dropped)
+ * @param {number} [options.timeoutMs=AUTH_CHECK_TIMEOUT_MS]
+ * @param {string} [options.sessionCookieName=SESSION_COOKIE_NAME] - Our own cookie, never forwarded
+ * @param {Function} [options.fetch=globalThis.fetch]
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} Strategy
+ */
+function createUpstreamStrategy({
+  url = DEFAULT_AUTH_CHECK_URL,
+  cacheTtlMs = AUTH_CACHE_TTL_MS,
+  failureTtlMs = AUTH_FAILURE_CACHE_TTL_MS,
+  maxEntries = AUTH_CACHE_MAX_ENTRIES,
+  timeoutMs = AUTH_CHECK_TIMEOUT_MS,
+  sessionCookieName = SESSION_COOKIE_NAME,
+  fetch = globalThis.fetch,
+  clock = systemClock
+} = {}) {
+  const host = new URL(url).host;
+  // hash of the caller's cookies -> { user, expires }; Map order is insertion order
+  const cache = new Map();
+
+  function remember(key, user) {
+    cache.delete(key);
+    cache.set(key, { user, expires: clock().getTime() + (user ? cacheTtlMs : failureTtlMs) });
+    while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  }
+
+  return {
+    name: AUTH_STRATEGIES.UPSTREAM,
+    url,
+
+    async authenticate(req) {
+      // Credentials meant for this server (API keys, our session) stay here
+      const cookie = String(req.headers.cookie || '').split(';').map(part => part.trim())
+        .filter(part => part && part.split('=')[0].trim() !== sessionCookieName).join('; ');
+      if (!cookie) return null;
+
+      const userAgent = req.headers['user-agent'] || '';
+      const key = sha256([cookie, userAgent].join('\n')).toString('base64');
+      const cached = cache.get(key);
+      if (cached && cached.expires > clock().getTime()) return cached.user;
+
+      const headers = { Accept: 'application/json', Cookie: cookie };
+      if (userAgent) headers['User-Agent'] = userAgent;
+
+      let response;
+      try {
+        response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      } catch (error) {
+        throw authError(503, `Could not check the session with ${host}: ${error.message}`);
+      }
+      // Outages aren't cached - the next request asks again
+      if (response.status >= 500) throw authError(503, `Could not check the session with ${host}: it answered ${response.status}`);
+
+      const user = response.ok ? userFromUpstream(await response.json().catch(() => null)) : null;
+      // Accepted but anonymous: a wrong AUTH_CHECK_URL, not a caller to sign in as
+      if (response.ok && !user) throw authError(502, `${host} accepted the session but named no user (id, userId or email) - check AUTH_CHECK_URL`);
+      remember(key, user);
+      return user;
+    }
+  };
+}
+
+/**
+ * Development stub: every request is the same local user.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.userName='Local developer']
+ * @param {string} [options.nodeEnv] - NODE_ENV
+ * @returns {Object} Strategy
+ * @throws {Error} when NODE_ENV is production
+ */
+function createLocalStrategy({ userName = 'Local developer', nodeEnv } = {}) {
+  if (nodeEnv === 'production') {
+    throw new Error('AUTH_STRATEGY=local lets anyone in and is refused when NODE_ENV=production');
+  }
+  return {
+    name: AUTH_STRATEGIES.LOCAL,
+    async authenticate() {
+      return { id: 'local', name: userName };
+    }
+  };
+}
+
+/**
+ * Create the auth layer from the environment.
+ *
+ * ENVIRONMENT:
+ * AUTH_STRATEGY (default "upstream"), AUTH_CHECK_URL, AUTH_LOGIN_URL,
+ * AUTH_API_KEYS, AUTH_SESSION_SECRET, AUTH_LOCAL_USER, NODE_ENV
+ *
+ * @param {Object} [env=process.env]
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - For the upstream check
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} { strategies, loginUrl, sessions, authenticate(req), identifyKey(key), middleware(options) }
+ * @throws {Error} on an unknown strategy or missing settings
+ */
+function createAuth(env = process.env, { fetch = globalThis.fetch, clock = systemClock } = {}) {
+  const names = [...new Set((env.AUTH_STRATEGY || AUTH_STRATEGIES.UPSTREAM)
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+  const apiKeys = parseApiKeys(env.AUTH_API_KEYS);
+
+  const strategies = names.map(name => {
+    switch (name) {
+      case AUTH_STRATEGIES.UPSTREAM:
+        return createUpstreamStrategy({ url: env.AUTH_CHECK_URL || DEFAULT_AUTH_CHECK_URL, fetch, clock });
+      case AUTH_STRATEGIES.API_KEY:
+        return createApiKeyStrategy({ keys: apiKeys });
+      case AUTH_STRATEGIES.SESSION:
+        return createSessionStrategy({ secret: env.AUTH_SESSION_SECRET, clock });
+      case AUTH_STRATEGIES.LOCAL:
+        return createLocalStrategy({ userName: env.AUTH_LOCAL_USER, nodeEnv: env.NODE_ENV });
+      default:
+        throw new Error(`Unknown AUTH_STRATEGY "${name}" (expected ${Object.values(AUTH_STRATEGIES).join(', ')})`);
+    }
+  });
+
+  const byName = name => strategies.find(strategy => strategy.name === name) || null;
+  // POST /ai/auth/session checks keys even when api-key isn't a strategy of its own
+  const keyCheck = byName(AUTH_STRATEGIES.API_KEY) || (apiKeys.length > 0 ? createApiKeyStrategy({ keys: apiKeys }) : null);
+  const loginUrl = env.AUTH_LOGIN_URL || (names.includes(AUTH_STRATEGIES.UPSTREAM) ? DEFAULT_AUTH_LOGIN_URL : null);
+
+  const auth = {
+    strategies: names,
+    loginUrl,
+
+    /** The session strategy (issue/verify cookies), or null when it's off. */
+    sessions: byName(AUTH_STRATEGIES.SESSION),
+
+    /**
+     * The caller of a request.
+     *
+     * @returns {Promise<Object|null>} { id, name, strategy }, or null if no strategy recognises it
+     * @throws {Error} status 503 when a strategy can't tell
+     */
+    async authenticate(req) {
+      for (const strategy of strategies) {
+        const user = await strategy.authenticate(req);
+        if (user) return { ...user, strategy: strategy.name };
+      }
+      return null;
+    },
+
+    /**
+     * The caller an API key belongs to (null without AUTH_API_KEYS).
+     */
+    identifyKey(key) {
+      return keyCheck ? keyCheck.identify(key) : null;
+    },
+
+    /**
+     * Express middleware: sets req.user, or answers 401 (503 when the
+     * check itself failed).
+     *
+     * @param {Object} [options]
+     * @param {Function} [options.isPublic] - (req) => true for requests that need no caller
+     */
+    middleware({ isPublic = () => false } = {}) {
+      return async (req, res, next) => {
+        if (isPublic(req)) return next();
+        try {
+          const user = await auth.authenticate(req);
+          if (user) {
+            req.user = user;
+            return next();
+          }
+          if (byName(AUTH_STRATEGIES.API_KEY)) res.set('WWW-Authenticate', 'Bearer');
+          res.status(401).json({ error: 'Authentication required', ...(loginUrl && { redirect: loginUrl }) });
+        } catch (error) {
+          console.error('Auth check failed:', error);
+          res.status(error.status || 503).json({ error: error.message || 'Could not check authentication' });
+        }
+      };
+    }
+  };
+  return auth;
+}
+
+module.exports = {
+  AUTH_STRATEGIES,
+  createAuth,
+  createApiKeyStrategy,
+  createSessionStrategy,
+  createUpstreamStrategy,
+  createLocalStrategy,
+  parseApiKeys,
+  apiKeyFrom
+};
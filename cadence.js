@@ -0,0 +1,105 @@
+/**
+ * ============================================================================
+ * CADENCE - HOW MANY FOLLOW-UPS, AND WHEN
+ * ============================================================================
+ *
+ * A cadence is the list of days (after the initial email) on which each
+ * follow-up is sent. Its length is the number of follow-ups.
+ *
+ * REQUEST FIELDS (all follow-up routes):
+ * - cadence:       number[]  - Custom wait days, e.g. [5, 10, 18]
+ * - cadencePreset: string    - Name from CADENCE_PRESETS (constants.js)
+ * `cadence` wins when both are sent; with neither, DEFAULT_CADENCE_PRESET is used.
+ *
+ * EMAIL ROLES:
+ * The position in the cadence decides what kind of email is written:
+ * - last follow-up        -> "final-goodbye" (polite, final contact)
+ * - second to last        -> "last-chance"   (calendar urgency)
+ * - everything before     -> "follow-up"     (accolade/talking point, opt-out disclaimer)
+ * Cadences with 1 follow-up have no special emails, with 2 only a final goodbye.
+ *
+ * INTEGRATION:
+ * Used by the follow-up routes in index.js. Wait days feed date filtering
+ * (dateUtils.js), roles drive prompt instructions and disclaimer placement.
+ * ============================================================================
+ */
+
+const { CADENCE_PRESETS, DEFAULT_CADENCE_PRESET, MAX_FOLLOW_UPS } = require('./constants');
+
+const EMAIL_ROLES = {
+  FOLLOW_UP: 'follow-up',
+  LAST_CHANCE: 'last-chance',
+  FINAL_GOODBYE: 'final-goodbye'
+};
+
+/**
+ * Build a 400 error for an invalid cadence.
+ */
+function cadenceError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Work out the cadence for a request.
+ *
+ * @param {Object} [input] - Request body
+ * @param {number[]} [input.cadence] - Custom wait days (strictly increasing whole days)
+ * @param {string} [input.cadencePreset] - Preset name from CADENCE_PRESETS
+ * @returns {{ preset: string|null, waitDays: number[] }} preset is null for custom cadences
+ * @throws {Error} status 400 if the cadence is invalid or the preset unknown
+ */
+function resolveCadence({ cadence, cadencePreset } = {}) {
+  if (cadence !== undefined && cadence !== null) {
+    if (!Array.isArray(cadence) || cadence.length === 0 || cadence.length > MAX_FOLLOW_UPS) {
+      throw cadenceError(`cadence must be an array of 1-${MAX_FOLLOW_UPS} wait days`);
+    }
+    if (!cadence.every(days => Number.isInteger(days) && days >= 1)) {
+      throw cadenceError('cadence entries must be whole numbers of days (1 or more)');
+    }
+    if (!cadence.every((days, i) => i === 0 || days > cadence[i - 1])) {
+      throw cadenceError('cadence wait days must be in increasing order');
+    }
+    return { preset: null, waitDays: [...cadence] };
+  }
+
+  const preset = cadencePreset || DEFAULT_CADENCE_PRESET;
+  if (!Object.prototype.hasOwnProperty.call(CADENCE_PRESETS, preset)) {
+    throw cadenceError(`Unknown cadencePreset "${preset}" (expected ${Object.keys(CADENCE_PRESETS).join(', ')})`);
+  }
+  return { preset, waitDays: [...CADENCE_PRESETS[preset]] };
+}
+
+/**
+ * Role of a follow-up within a cadence of `total` follow-ups.
+ *
+ * @param {number} index - Follow-up index (0-based)
+ * @param {number} total - Number of follow-ups in the cadence
+ * @returns {string} One of EMAIL_ROLES
+ */
+function getEmailRole(index, total) {
+  if (total >= 2 && index === total - 1) return EMAIL_ROLES.FINAL_GOODBYE;
+  if (total >= 3 && index === total - 2) return EMAIL_ROLES.LAST_CHANCE;
+  return EMAIL_ROLES.FOLLOW_UP;
+}
+
+/**
+ * Check that a follow-up index exists in the cadence.
+ *
+ * @param {number} emailIndex - Follow-up index from the request
+ * @param {number[]} waitDays - Resolved cadence
+ * @throws {Error} status 400 if the index is out of range
+ */
+function assertEmailIndex(emailIndex, waitDays) {
+  if (!Number.isInteger(emailIndex) || emailIndex < 0 || emailIndex >= waitDays.length) {
+    throw cadenceError(`emailIndex must be 0-${waitDays.length - 1} for a cadence of ${waitDays.length} follow-ups`);
+  }
+}
+
+module.exports = {
+  EMAIL_ROLES,
+  resolveCadence,
+  getEmailRole,
+  assertEmailIndex
+};
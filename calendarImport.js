@@ -0,0 +1,434 @@
+/**
+ * ============================================================================
+ * CALENDAR IMPORT - OPEN DATES FROM AN .ICS GIG CALENDAR
+ * ============================================================================
+ *
+ * Musicians keep their gigs in a calendar app. Instead of retyping their free
+ * dates into the availability field every campaign, they upload the
+ * calendar's .ics export and every day of the lookahead window without a
+ * booking becomes an open date.
+ *
+ * WHAT COUNTS AS BOOKED:
+ * - Every VEVENT, except STATUS:CANCELLED and TRANSP:TRANSPARENT ("show as free")
+ * - All-day events block their days (DTEND is exclusive, as in the spec)
+ * - Timed events block every day they touch in the user's timezone, except
+ *   that a gig ending before OVERNIGHT_CUTOFF_HOUR (9pm-1am) doesn't block
+ *   the next day
+ * - Recurring events are expanded: RRULE with FREQ=DAILY/WEEKLY/MONTHLY/YEARLY,
+ *   INTERVAL, COUNT, UNTIL, BYDAY ("TU,TH", "1FR", "-1SA") and BYMONTHDAY.
+ *   EXDATE removes occurrences. Rules using anything else block their first
+ *   occurrence only and are reported in `warnings`
+ *
+ * Times are read as UTC ("...Z"), in their TZID, or - for floating times and
+ * TZIDs that aren't IANA names - in the user's timezone.
+ *
+ * OUTPUT:
+ * Open dates as "YYYY-MM-DD" keys plus an `availability` string in the
+ * free-text grammar (dateUtils.js). Sending that string as `availability`
+ * means filterAvailabilityByDate and the prompts treat an imported calendar
+ * exactly like typed availability.
+ *
+ * INTEGRATION:
+ * Used by POST /ai/generate-availability-from-calendar in index.js.
+ * ============================================================================
+ */
+
+const { resolveUserCalendar, formatDates } = require('./dateUtils');
+const { CALENDAR_DEFAULT_LOOKAHEAD_DAYS, CALENDAR_MAX_LOOKAHEAD_DAYS } = require('./constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A timed event that ends before this hour on a later day (a 9pm-1am gig)
+// doesn't block that later day
+const OVERNIGHT_CUTOFF_HOUR = 6;
+
+// Safety limit when expanding one recurring event
+const MAX_OCCURRENCES = 2000;
+
+const WEEKDAY_CODES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// RRULE parts this module understands
+const SUPPORTED_RULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'WKST']);
+
+/**
+ * Build a 400 error for an unusable calendar request.
+ */
+function calendarError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ============================================================================
+// TIME ZONES
+// ============================================================================
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a timezone (UTC when zone is null).
+ */
+function wallClock(instant, zone) {
+  if (!zone) {
+    const date = new Date(instant);
+    return {
+      year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate(),
+      hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds()
+    };
+  }
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = formatters.get(zone).formatToParts(new Date(instant));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month') - 1, day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+/**
+ * The instant a wall-clock time happens in a timezone.
+ */
+function zonedInstant({ year, month, day, hour, minute, second }, zone) {
+  const wall = Date.UTC(year, month, day, hour, minute, second);
+  if (!zone) return wall;
+  const offsetAt = (instant) => {
+    const local = wallClock(instant, zone);
+    return Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second) - instant;
+  };
+  // Second pass settles times next to a DST change
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+/**
+ * A TZID if it's an IANA name Intl knows, otherwise null.
+ */
+function knownZone(tzid) {
+  if (!tzid) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tzid });
+    return tzid;
+  } catch (_) {
+    return null;
+  }
+}
+
+// ============================================================================
+// ICS PARSING
+// ============================================================================
+
+/**
+ * Split one unfolded content line into { name, params, value }.
+ */
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1).trim() };
+}
+
+/**
+ * Read the VEVENTs of an iCalendar file. Properties of nested components
+ * (VALARM) are ignored; EXDATE can repeat, so it's collected as a list.
+ *
+ * @param {string} ics - File contents
+ * @returns {Array<Object>} One { NAME: { params, value } } map per event
+ */
+function readEvents(ics) {
+  const lines = ics.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  for (const raw of lines) {
+    const line = parseContentLine(raw);
+    if (!line) continue;
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT' && !event) {
+        event = { EXDATE: [] };
+        depth = 0;
+      } else if (event) {
+        depth++;
+      }
+    } else if (line.name === 'END' && event) {
+      if (depth > 0) depth--;
+      else if (line.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+    } else if (event && depth === 0) {
+      if (line.name === 'EXDATE') event.EXDATE.push(line);
+      else if (!event[line.name]) event[line.name] = line;
+    }
+  }
+  return events;
+}
+
+/**
+ * Read a DATE or DATE-TIME property.
+ *
+ * @returns {Object|null} { allDay: true, dayNumber } or { allDay: false, fields, zone },
+ *   where fields is the wall-clock time and zone the timezone it's in
+ *   (null = UTC); null if the value can't be read
+ */
+function readDateValue(value, params, userZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '0', utc] = match;
+  if (hour === undefined) {
+    return { allDay: true, dayNumber: Date.UTC(+year, +month - 1, +day) / DAY_MS };
+  }
+  const fields = { year: +year, month: +month - 1, day: +day, hour: +hour, minute: +minute, second: +second };
+  const zone = utc ? null : knownZone(params.TZID) || userZone;
+  return { allDay: false, fields, zone };
+}
+
+/**
+ * Milliseconds in an ISO 8601 duration ("PT3H", "P1D", "P1W").
+ */
+function readDuration(value) {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value || '');
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(Number);
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// ============================================================================
+// RECURRENCE
+// ============================================================================
+
+/**
+ * Day numbers on which a recurring event starts, from its first day up to
+ * lastDay. Days are calendar days of the event's own wall clock.
+ *
+ * @param {number} firstDay - Day number of DTSTART
+ * @param {Object} rule - RRULE parts
+ * @param {number} lastDay - Stop after this day
+ * @param {Function} beforeUntil - (dayNumber) => boolean
+ * @returns {number[]} Occurrence days in order
+ */
+function expandRule(firstDay, rule, lastDay, beforeUntil) {
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const start = new Date(firstDay * DAY_MS);
+  const byDay = (rule.BYDAY || '').split(',').filter(Boolean).map(code => {
+    const match = /^([+-]?\d{1,2})?([A-Z]{2})$/i.exec(code.trim());
+    return match ? { nth: match[1] ? +match[1] : 0, weekday: WEEKDAY_CODES[match[2].toUpperCase()] } : null;
+  });
+  const byMonthDay = (rule.BYMONTHDAY || '').split(',').filter(Boolean).map(Number);
+  const occurrences = [];
+
+  // Candidate days of the n-th period, in order
+  const periodDays = (n) => {
+    const step = n * interval;
+    if (rule.FREQ === 'DAILY') return [firstDay + step];
+    if (rule.FREQ === 'WEEKLY') {
+      const weekStart = firstDay - ((start.getUTCDay() + 6) % 7) + step * 7; // Monday
+      const weekdays = byDay.length > 0 ? byDay.map(d => d.weekday) : [start.getUTCDay()];
+      return weekdays.map(weekday => weekStart + (weekday + 6) % 7).sort((a, b) => a - b);
+    }
+    if (rule.FREQ === 'MONTHLY') {
+      const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + step) / 12);
+      const month = (start.getUTCMonth() + step) % 12;
+      const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const monthStart = Date.UTC(year, month, 1) / DAY_MS;
+      if (byDay.length > 0) {
+        return byDay.flatMap(({ nth, weekday }) => {
+          const days = [];
+          for (let day = 0; day < length; day++) {
+            if (new Date((monthStart + day) * DAY_MS).getUTCDay() === weekday) days.push(monthStart + day);
+          }
+          if (nth === 0) return days;
+          const picked = nth > 0 ? days[nth - 1] : days[days.length + nth];
+          return picked === undefined ? [] : [picked];
+        }).sort((a, b) => a - b);
+      }
+      const monthDays = byMonthDay.length > 0 ? byMonthDay : [start.getUTCDate()];
+      return monthDays
+        .map(day => (day < 0 ? length + day + 1 : day))
+        .filter(day => day >= 1 && day <= length)
+        .map(day => monthStart + day - 1)
+        .sort((a, b) => a - b);
+    }
+    // YEARLY - same month and day; Feb 29 only in leap years
+    const year = start.getUTCFullYear() + step;
+    const date = new Date(Date.UTC(year, start.getUTCMonth(), start.getUTCDate()));
+    return date.getUTCMonth() === start.getUTCMonth() ? [date.getTime() / DAY_MS] : [];
+  };
+
+  for (let n = 0; occurrences.length < Math.min(count, MAX_OCCURRENCES); n++) {
+    const days = periodDays(n);
+    if (days.length > 0 && days[0] > lastDay) break;
+    for (const day of days) {
+      if (day < firstDay) continue;
+      if (day > lastDay || !beforeUntil(day) || occurrences.length >= count) return occurrences;
+      occurrences.push(day);
+    }
+    if (n > MAX_OCCURRENCES) break;
+  }
+  return occurrences;
+}
+
+// ============================================================================
+// OPEN DATES
+// ============================================================================
+
+/**
+ * Days (in the user's timezone) blocked by one event.
+ *
+ * @returns {{ days: number[], warning: string|null }}
+ */
+function blockedDays(event, userZone, windowEnd) {
+  const start = event.DTSTART && readDateValue(event.DTSTART.value, event.DTSTART.params, userZone);
+  if (!start) return { days: [], warning: 'No readable DTSTART' };
+
+  const end = event.DTEND && readDateValue(event.DTEND.value, event.DTEND.params, userZone);
+  const durationMs = event.DURATION ? readDuration(event.DURATION.value) : null;
+  let warning = null;
+
+  // Occurrence start days, in the event's own wall clock
+  const firstDay = start.allDay ? start.dayNumber : Date.UTC(start.fields.year, start.fields.month, start.fields.day) / DAY_MS;
+  let occurrenceDays = [firstDay];
+  if (event.RRULE) {
+    const rule = {};
+    event.RRULE.value.split(';').forEach(part => {
+      const [key, value] = part.split('=');
+      if (key) rule[key.toUpperCase()] = (value || '').toUpperCase();
+    });
+    const unsupported = Object.keys(rule).filter(key => !SUPPORTED_RULE_PARTS.has(key));
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ) || unsupported.length > 0) {
+      warning = `Unsupported repeat rule (${event.RRULE.value}) - only the first occurrence is blocked`;
+    } else {
+      const until = rule.UNTIL && readDateValue(rule.UNTIL, {}, null);
+      const untilDay = !until ? Infinity
+        : until.allDay ? until.dayNumber
+        : Date.UTC(until.fields.year, until.fields.month, until.fields.day) / DAY_MS;
+      // Occurrences are in the event's wall clock; allow a day either side of the window
+      occurrenceDays = expandRule(firstDay, rule, windowEnd + 1, day => day <= untilDay);
+    }
+  }
+
+  const excluded = new Set();
+  for (const exdate of event.EXDATE) {
+    exdate.value.split(',').forEach(value => {
+      const date = readDateValue(value.trim(), exdate.params, userZone);
+      if (!date) return;
+      // Compare on the event's wall clock - EXDATEs are often in UTC
+      const local = date.allDay ? null : wallClock(zonedInstant(date.fields, date.zone), start.allDay ? null : start.zone);
+      excluded.add(date.allDay ? date.dayNumber : Date.UTC(local.year, local.month, local.day) / DAY_MS);
+    });
+  }
+
+  const days = [];
+  for (const day of occurrenceDays) {
+    if (excluded.has(day)) continue;
+    const offset = day - firstDay;
+
+    if (start.allDay) {
+      const endDay = end && end.allDay ? end.dayNumber + offset
+        : durationMs ? day + Math.ceil(durationMs / DAY_MS)
+        : day + 1;
+      for (let d = day; d < Math.max(endDay, day + 1); d++) days.push(d);
+      continue;
+    }
+
+    const date = new Date((Date.UTC(start.fields.year, start.fields.month, start.fields.day) / DAY_MS + offset) * DAY_MS);
+    const startInstant = zonedInstant({ ...start.fields, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() }, start.zone);
+    let endInstant = startInstant;
+    if (end && !end.allDay) {
+      endInstant = startInstant + (zonedInstant(end.fields, end.zone) - zonedInstant(start.fields, start.zone));
+    } else if (durationMs) {
+      endInstant = startInstant + durationMs;
+    }
+
+    const from = wallClock(startInstant, userZone);
+    const to = wallClock(Math.max(endInstant, startInstant), userZone);
+    const fromDay = Date.UTC(from.year, from.month, from.day) / DAY_MS;
+    let toDay = Date.UTC(to.year, to.month, to.day) / DAY_MS;
+    if (toDay > fromDay && to.hour < OVERNIGHT_CUTOFF_HOUR) toDay--;
+    for (let d = fromDay; d <= toDay; d++) days.push(d);
+  }
+
+  return { days, warning };
+}
+
+/**
+ * Work out open dates from an .ics calendar.
+ *
+ * @param {Object} input
+ * @param {string} input.ics - iCalendar file contents
+ * @param {number|string} [input.lookaheadDays=CALENDAR_DEFAULT_LOOKAHEAD_DAYS] - Days to check, from today
+ * @param {string} [input.currentDate] - User's current date (see resolveUserCalendar)
+ * @param {string} [input.timeZone] - User's IANA timezone
+ * @param {Function} [clock] - Used when currentDate is missing
+ * @returns {{ availability: string, openDates: string[], bookedDates: string[],
+ *   window: { start: string, end: string, days: number }, events: number,
+ *   warnings: Array<{ event: string, reason: string }> }}
+ * @throws {Error} status 400 if the file isn't a calendar or the options are invalid
+ */
+function importCalendarAvailability({ ics, lookaheadDays, currentDate, timeZone } = {}, clock) {
+  if (typeof ics !== 'string' || !/BEGIN:VCALENDAR/i.test(ics)) {
+    throw calendarError('ics must be an iCalendar file (text starting with BEGIN:VCALENDAR)');
+  }
+  const days = lookaheadDays === undefined || lookaheadDays === '' ? CALENDAR_DEFAULT_LOOKAHEAD_DAYS : Number(lookaheadDays);
+  if (!Number.isInteger(days) || days < 1 || days > CALENDAR_MAX_LOOKAHEAD_DAYS) {
+    throw calendarError(`lookaheadDays must be a whole number from 1 to ${CALENDAR_MAX_LOOKAHEAD_DAYS}`);
+  }
+
+  const { today } = resolveUserCalendar({ currentDate, timeZone }, clock);
+  const userZone = timeZone || null;
+  const windowStart = today.getTime() / DAY_MS;
+  const windowEnd = windowStart + days - 1;
+  const booked = new Set();
+  const warnings = [];
+  let considered = 0;
+
+  for (const event of readEvents(ics)) {
+    const label = (event.SUMMARY && event.SUMMARY.value) || (event.UID && event.UID.value) || 'Untitled event';
+    const status = event.STATUS && event.STATUS.value.toUpperCase();
+    const transparency = event.TRANSP && event.TRANSP.value.toUpperCase();
+    if (status === 'CANCELLED' || transparency === 'TRANSPARENT') continue;
+
+    considered++;
+    const { days: eventDays, warning } = blockedDays(event, userZone, windowEnd);
+    if (warning) warnings.push({ event: label, reason: warning });
+    eventDays.forEach(day => {
+      if (day >= windowStart && day <= windowEnd) booked.add(day);
+    });
+  }
+
+  const toKey = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+  const openDates = [];
+  for (let day = windowStart; day <= windowEnd; day++) {
+    if (!booked.has(day)) openDates.push(toKey(day));
+  }
+
+  return {
+    availability: formatDates(openDates, toKey(windowStart)),
+    openDates,
+    bookedDates: [...booked].sort((a, b) => a - b).map(toKey),
+    window: { start: toKey(windowStart), end: toKey(windowEnd), days },
+    events: considered,
+    warnings
+  };
+}
+
+module.exports = {
+  importCalendarAvailability
+};
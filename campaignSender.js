@@ -0,0 +1,721 @@
+/**
+ * ============================================================================
+ * CAMPAIGN SENDER - DELIVER A SAVED CAMPAIGN OVER SMTP ON ITS CADENCE
+ * ============================================================================
+ *
+ * Optional: enabled when SMTP_HOST is set. A "send" delivers one saved
+ * campaign (campaignStore.js) to a list of recipients: the intro at the start
+ * time, then each follow-up its wait days later (the cadence saved with the
+ * campaign). Every email gets its merge tags filled for its recipient and
+ * goes out as plain text + HTML (emailHtml.js) through smtpClient.js.
+ *
+ * SEND SHAPE:
+ * {
+ *   id, campaignId, campaignVersion,     - The campaign version that was scheduled
+ *   ownerId,                             - The user who scheduled it (not returned)
+ *   status: "scheduled" | "active" | "completed" | "cancelled",
+ *   createdAt, updatedAt, startAt, timeZone,
+ *   from: { name, email }, unsubscribeUrl,
+ *   steps: [{ position, name, emailIndex, waitDays, subject, text }],
+ *   recipients: [{ row, email, venueName, firstName, ...,     - venueBatch.js fields
+ *                  status, replies }],                        - after a reply (recordReply)
+ *   messages: [{ index, recipient, step, to, sendAt, status, attempts,
+ *                retryAt, sentAt, messageId, response, error }]
+ * }
+ *
+ * The campaign's emails are copied into the send when it is scheduled, so
+ * later edits to the campaign don't change emails already on their way.
+ *
+ * MESSAGE STATUS:
+ * - scheduled: waiting for sendAt (or retryAt after a temporary failure)
+ * - sending:   handed to the SMTP server right now
+ * - sent:      accepted by the SMTP server (response holds its reply)
+ * - failed:    permanent failure, or SEND_MAX_ATTEMPTS temporary ones
+ * - skipped:   an earlier email to the same recipient failed
+ * - stopped:   the recipient replied (replyClassifier.js), so it wasn't sent
+ * - suppressed: the recipient is on the suppression list (suppressionList.js)
+ * - cancelled: the send was cancelled before it went out
+ *
+ * TIMING:
+ * Follow-up n goes out waitDays[n] days after startAt, at the same time of
+ * day in the send's timeZone (so daylight saving doesn't shift it). A timer
+ * checks for due emails every SEND_POLL_INTERVAL_MS and sends them one at a
+ * time, SEND_MESSAGE_INTERVAL_MS apart.
+ *
+ * UNSUBSCRIBES:
+ * Recipients on the suppression list are never emailed: their emails are
+ * marked suppressed when the send is scheduled, or - if they opt out
+ * mid-sequence - when the next one is due. With the built-in unsubscribe
+ * route, "{token}" in the unsubscribe URL becomes the recipient's signed
+ * token (unsubscribe.js) and emails offer one-click unsubscribe (RFC 8058).
+ *
+ * OWNERS:
+ * A send belongs to the owner of its campaign. schedule, list, get, cancel
+ * and recordReply take the caller's id first and only see their own sends
+ * (another user's is "not found").
+ *
+ * REPLIES:
+ * recordReply() files a classified reply under its recipient (matched by the
+ * Message-ID it answers, or its sender's address, among the caller's sends). Most replies stop the
+ * recipient's remaining emails; an out-of-office reply with a return date
+ * moves them so the next one arrives the day after it, at its usual time.
+ *
+ * STORAGE:
+ * One JSON file per send in SEND_DATA_DIR (fileStore.js), updated after
+ * every email. A restart picks up where it left off; an email that was being
+ * sent when the server stopped is marked failed, since it may or may not
+ * have been delivered.
+ *
+ * INTEGRATION:
+ * Used by the /ai/campaigns/:id/sends routes in index.js. For testing, point
+ * SMTP_HOST at the local mail catcher (mailCatcher.js).
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { createFileStore, storeError } = require('./fileStore');
+const { resolveCadence } = require('./cadence');
+const { systemClock } = require('./dateUtils');
+const { renderEmailHtml, textToParts, escapeHtml } = require('./emailHtml');
+const { UNSUBSCRIBE_FOOTER, appendUnsubscribeFooter, findMergeTags, renderMergeTags } = require('./mergeTags');
+const { buildMimeMessage } = require('./mimeMessage');
+const { REPLY_ACTIONS } = require('./replyClassifier');
+const { parseRecipients } = require('./venueBatch');
+const {
+  SEND_POLL_INTERVAL_MS,
+  SEND_MESSAGE_INTERVAL_MS,
+  SEND_MAX_ATTEMPTS,
+  SEND_RETRY_DELAY_MS
+} = require('./constants');
+
+const SEND_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const MESSAGE_STATUS = {
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  STOPPED: 'stopped',
+  SUPPRESSED: 'suppressed',
+  CANCELLED: 'cancelled'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUPPRESSED_ERROR = 'Not sent: the recipient unsubscribed';
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+// Most row errors reported when recipients are rejected
+const MAX_REPORTED_ROW_ERRORS = 20;
+
+/**
+ * Milliseconds between UTC and the wall clock in a timezone at an instant.
+ */
+function utcOffset(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * `days` days after `start`, at the same wall-clock time in `timeZone`.
+ */
+function addDays(start, days, timeZone) {
+  const shifted = new Date(start.getTime() + days * DAY_MS);
+  if (!timeZone) return shifted;
+  return new Date(shifted.getTime() + utcOffset(start, timeZone) - utcOffset(shifted, timeZone));
+}
+
+/**
+ * The emails of a campaign, in sending order, with their wait days.
+ *
+ * @param {Object} campaign - From campaignStore.get
+ * @returns {Object[]} Steps ({ position, name, emailIndex, waitDays, subject, text })
+ * @throws {Error} status 400 if there is no intro, a follow-up has no wait
+ *   days or an email has unknown merge tags
+ */
+function campaignSteps(campaign) {
+  if (!campaign.intro || !campaign.intro.subject || !campaign.intro.email) {
+    throw storeError(400, 'Campaign has no intro email to send yet');
+  }
+  const { waitDays: cadence } = resolveCadence(campaign.inputs);
+
+  const steps = [{ name: 'intro', emailIndex: null, waitDays: 0, subject: campaign.intro.subject, text: campaign.intro.email }];
+  campaign.followUps.forEach((followUp, i) => {
+    if (!followUp) return;
+    const waitDays = followUp.waitDays ?? cadence[i];
+    if (!Number.isInteger(waitDays)) {
+      throw storeError(400, `Follow-up ${i + 1} has no wait days (the campaign's cadence has ${cadence.length} follow-ups)`);
+    }
+    steps.push({ name: `followup-${i + 1}`, emailIndex: i, waitDays, subject: followUp.subject || '', text: followUp.email || '' });
+  });
+
+  const unknown = [...new Set(steps.flatMap(step => findMergeTags(`${step.subject}\n${step.text}`).filter(t => !t.known).map(t => t.tag)))];
+  if (unknown.length > 0) {
+    const error = storeError(400, `The campaign's emails have unknown merge tags: ${unknown.join(', ')}`);
+    error.details = { unknownTags: unknown };
+    throw error;
+  }
+  return steps.map((step, i) => ({ position: i + 1, ...step }));
+}
+
+/**
+ * Recipients of a send: the venue batch fields, with a valid, unique email.
+ *
+ * @throws {Error} status 400 with `rowErrors` listing bad rows
+ */
+function sendRecipients(body) {
+  const { recipients } = parseRecipients(body);
+  const seen = new Set();
+  const rowErrors = [];
+  for (const recipient of recipients) {
+    const email = recipient.email.toLowerCase();
+    if (!EMAIL_ADDRESS_PATTERN.test(email)) rowErrors.push({ row: recipient.row, error: 'a valid email address is required' });
+    else if (seen.has(email)) rowErrors.push({ row: recipient.row, error: `${recipient.email} is listed twice` });
+    seen.add(email);
+  }
+  if (rowErrors.length > 0) {
+    const error = storeError(400, `${rowErrors.length} recipient${rowErrors.length === 1 ? '' : 's'} can't be sent to`);
+    error.details = { rowErrors: rowErrors.slice(0, MAX_REPORTED_ROW_ERRORS) };
+    throw error;
+  }
+  return recipients;
+}
+
+/**
+ * The start time of a send.
+ *
+ * @throws {Error} status 400 if startAt or timeZone is invalid
+ */
+function resolveStart({ startAt, timeZone }, clock) {
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (_) {
+      throw storeError(400, `Unknown timeZone "${timeZone}" (expected an IANA name like "America/New_York")`);
+    }
+  }
+  if (startAt === undefined || startAt === null || startAt === '') return clock();
+  const start = typeof startAt === 'string' ? new Date(startAt) : new Date(NaN);
+  if (Number.isNaN(start.getTime())) throw storeError(400, 'startAt must be an ISO 8601 date/time, e.g. "2025-11-03T09:00:00-05:00"');
+  return start;
+}
+
+/**
+ * Render one message for its recipient.
+ *
+ * @returns {{ subject, text, html, unsubscribeLink }}
+ * @throws {Error} permanent error if a merge tag can't be filled
+ */
+function renderForRecipient(send, step, recipient, unsubscribeTokens) {
+  const unsubscribeLink = send.unsubscribeUrl
+    .replace(/\{email\}/g, encodeURIComponent(recipient.email))
+    .replace(/\{token\}/g, () => unsubscribeTokens.tokenFor(recipient.email));
+  const values = { ...recipient, unsubscribe_link: unsubscribeLink };
+  const htmlValues = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, escapeHtml(value ?? '')]));
+
+  // Single follow-ups are saved without the footer - every sent email has one
+  const text = step.text.includes(UNSUBSCRIBE_FOOTER) ? step.text : appendUnsubscribeFooter(step.text);
+  const subject = renderMergeTags(step.subject, values);
+  const body = renderMergeTags(text, values);
+  const html = renderMergeTags(renderEmailHtml(textToParts(text).parts, { subject: subject.text, videoLinks: send.videoLinks }), htmlValues);
+
+  const unfilled = [...new Set([...subject.unfilled, ...body.unfilled, ...html.unfilled])];
+  if (unfilled.length > 0) {
+    const error = new Error(`Merge tags could not be filled: ${unfilled.map(tag => `{{${tag}}}`).join(', ')}`);
+    error.permanent = true;
+    throw error;
+  }
+  return { subject: subject.text, text: body.text, html: html.text, unsubscribeLink };
+}
+
+/**
+ * The calendar date (YYYY-MM-DD) of an instant in a timezone (UTC without one).
+ */
+function localDate(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+}
+
+/**
+ * Mark a recipient's emails that haven't gone out as suppressed.
+ */
+function suppressRecipient(send, r) {
+  for (const message of send.messages) {
+    if (message.recipient !== r || message.status !== MESSAGE_STATUS.SCHEDULED) continue;
+    message.status = MESSAGE_STATUS.SUPPRESSED;
+    message.error = SUPPRESSED_ERROR;
+  }
+}
+
+/**
+ * Whether an earlier email to the same recipient hasn't gone out yet (e.g.
+ * it is being retried) - follow-ups wait for it.
+ */
+function waitsForEarlier(send, message) {
+  return send.messages.some(m => m.recipient === message.recipient && m.step < message.step &&
+    (m.status === MESSAGE_STATUS.SCHEDULED || m.status === MESSAGE_STATUS.SENDING));
+}
+
+/**
+ * Work out a send's status from its messages.
+ */
+function refreshStatus(send, now) {
+  const open = send.messages.some(m => m.status === MESSAGE_STATUS.SCHEDULED || m.status === MESSAGE_STATUS.SENDING);
+  const started = send.messages.some(m => m.status !== MESSAGE_STATUS.SCHEDULED && m.status !== MESSAGE_STATUS.SUPPRESSED);
+  if (send.cancelledAt) send.status = open ? SEND_STATUS.ACTIVE : SEND_STATUS.CANCELLED;
+  else if (!open) send.status = SEND_STATUS.COMPLETED;
+  else send.status = started ? SEND_STATUS.ACTIVE : SEND_STATUS.SCHEDULED;
+  send.updatedAt = now.toISOString();
+}
+
+/**
+ * Count messages by status.
+ */
+function countMessages(send) {
+  const counts = { total: send.messages.length };
+  for (const status of Object.values(MESSAGE_STATUS)) counts[status] = 0;
+  for (const message of send.messages) counts[message.status]++;
+  return counts;
+}
+
+/**
+ * A send as listed (no messages).
+ */
+function summarize(send) {
+  const pending = send.messages
+    .filter(m => m.status === MESSAGE_STATUS.SCHEDULED && !waitsForEarlier(send, m))
+    .map(m => m.retryAt || m.sendAt)
+    .sort();
+  return {
+    id: send.id,
+    campaignId: send.campaignId,
+    campaignVersion: send.campaignVersion,
+    status: send.status,
+    createdAt: send.createdAt,
+    updatedAt: send.updatedAt,
+    startAt: send.startAt,
+    timeZone: send.timeZone,
+    from: send.from,
+    recipients: send.recipients.length,
+    progress: countMessages(send),
+    nextSendAt: pending[0] || null
+  };
+}
+
+/**
+ * A recipient's reply status, as returned by recordReply and describe.
+ */
+function describeRecipient(send, r) {
+  const { row, email, venueName, firstName, status = null, replies = [] } = send.recipients[r];
+  return { row, email, venueName, firstName, status, replies };
+}
+
+/**
+ * A send with its schedule and every message's status.
+ *
+ * @param {Object} send
+ * @param {string} [status] - Only messages with this status
+ */
+function describe(send, status) {
+  return {
+    ...summarize(send),
+    steps: send.steps.map(({ position, name, emailIndex, waitDays, subject }) => ({
+      position, name, emailIndex, waitDays, subject, sendAt: addDays(new Date(send.startAt), waitDays, send.timeZone).toISOString()
+    })),
+    messages: send.messages
+      .filter(message => !status || message.status === status)
+      .map(({ recipient, ...message }) => ({ ...message, venueName: send.recipients[recipient].venueName })),
+    replies: send.recipients.map((_, r) => r).filter(r => send.recipients[r].replies).map(r => describeRecipient(send, r))
+  };
+}
+
+/**
+ * Create the campaign sender.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for send files
+ * @param {Object} options.campaigns - Campaign store (campaignStore.js)
+ * @param {Object} options.transport - { send({ from, to, data }) } (smtpClient.js)
+ * @param {Object} [options.defaults] - { fromEmail, unsubscribeUrl } when a request has none
+ * @param {Object} [options.suppressions] - Suppression list (suppressionList.js)
+ * @param {Object} [options.unsubscribeTokens] - Fills "{token}" in unsubscribe URLs (unsubscribe.js)
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @param {number} [options.pollIntervalMs=SEND_POLL_INTERVAL_MS]
+ * @param {number} [options.messageIntervalMs=SEND_MESSAGE_INTERVAL_MS]
+ * @returns {Object} Sender API
+ */
+function createCampaignSender({
+  dir,
+  campaigns,
+  transport,
+  defaults = {},
+  suppressions = null,
+  unsubscribeTokens = null,
+  clock = systemClock,
+  pollIntervalMs = SEND_POLL_INTERVAL_MS,
+  messageIntervalMs = SEND_MESSAGE_INTERVAL_MS
+}) {
+  const files = createFileStore({ dir, notFoundMessage: 'Send not found' });
+  const { read, write, queue } = files;
+  let timer = null;
+  let ticking = null;
+
+  const load = async (ownerId, campaignId, sendId) => {
+    const send = await files.readOwned(sendId, ownerId);
+    if (send.campaignId !== campaignId) throw storeError(404, 'Send not found');
+    return send;
+  };
+
+  /**
+   * Send one due message and record the outcome.
+   */
+  const deliver = async (sendId, index) => {
+    const claimed = await queue(sendId, async () => {
+      const send = await read(sendId);
+      const message = send.messages[index];
+      if (message.status !== MESSAGE_STATUS.SCHEDULED) return null; // cancelled meanwhile
+      if (waitsForEarlier(send, message)) return null;
+      if (suppressions && await suppressions.has(send.recipients[message.recipient].email)) {
+        suppressRecipient(send, message.recipient);
+        refreshStatus(send, clock());
+        await write(send);
+        return null;
+      }
+      message.status = MESSAGE_STATUS.SENDING;
+      message.attempts++;
+      refreshStatus(send, clock());
+      await write(send);
+      return { send, message };
+    });
+    if (!claimed) return;
+
+    const { send, message } = claimed;
+    const recipient = send.recipients[message.recipient];
+    let outcome;
+    try {
+      const rendered = renderForRecipient(send, send.steps[message.step - 1], recipient, unsubscribeTokens);
+      const messageId = `<${crypto.randomUUID()}@${send.from.email.split('@')[1]}>`;
+      const headers = { 'Message-ID': messageId, 'List-Unsubscribe': `<${rendered.unsubscribeLink}>` };
+      // The built-in route accepts mail clients' one-click POST
+      if (send.unsubscribeUrl.includes('{token}')) headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+      const data = buildMimeMessage({
+        from: send.from,
+        to: { name: recipient.firstName, email: recipient.email },
+        subject: rendered.subject,
+        text: rendered.text,
+        html: rendered.html,
+        date: clock(),
+        headers
+      });
+      const { response } = await transport.send({ from: send.from.email, to: recipient.email, data });
+      outcome = { status: MESSAGE_STATUS.SENT, sentAt: clock().toISOString(), messageId, response, retryAt: null, error: null };
+    } catch (error) {
+      const retry = !error.permanent && message.attempts < SEND_MAX_ATTEMPTS;
+      console.error(`Send ${sendId} message ${index} (${recipient.email}) failed${retry ? ', will retry' : ''}:`, error.message);
+      outcome = retry
+        ? { status: MESSAGE_STATUS.SCHEDULED, retryAt: new Date(clock().getTime() + SEND_RETRY_DELAY_MS).toISOString(), error: error.message }
+        : { status: MESSAGE_STATUS.FAILED, retryAt: null, error: error.message };
+    }
+
+    await queue(sendId, async () => {
+      const current = await read(sendId);
+      const updated = Object.assign(current.messages[index], outcome);
+      if (updated.status === MESSAGE_STATUS.FAILED) {
+        for (const later of current.messages) {
+          if (later.recipient === updated.recipient && later.step > updated.step && later.status === MESSAGE_STATUS.SCHEDULED) {
+            later.status = MESSAGE_STATUS.SKIPPED;
+            later.error = `Not sent: email ${updated.step} to this recipient failed`;
+          }
+        }
+      }
+      refreshStatus(current, clock());
+      await write(current);
+    });
+  };
+
+  const sender = {
+    /**
+     * Schedule a campaign for a list of recipients.
+     *
+     * @param {string} ownerId - The caller (must own the campaign)
+     * @param {string} campaignId
+     * @param {Object} request
+     * @param {string} [request.csv] - Recipients CSV (venueBatch.js columns; email required)
+     * @param {Object[]} [request.recipients] - Or recipients as JSON
+     * @param {string} [request.startAt] - When the intro goes out (ISO 8601; default now)
+     * @param {string} [request.timeZone] - Keeps follow-ups at the intro's time of day (default: the campaign's)
+     * @param {string} [request.fromEmail] - Sender address (default: defaults.fromEmail)
+     * @param {string} [request.fromName] - Sender name (default: the campaign's fromName)
+     * @param {string} [request.unsubscribeUrl] - Fills {{unsubscribe_link}}; "{email}" is replaced
+     *   with the recipient's address and "{token}" with their signed unsubscribe token
+     *   (default: defaults.unsubscribeUrl)
+     * @returns {Promise<Object>} The send (see describe)
+     * @throws {Error} status 400 for invalid input or if every recipient is
+     *   suppressed, 404 if the campaign doesn't exist
+     */
+    async schedule(ownerId, campaignId, request = {}) {
+      const campaign = await campaigns.get(ownerId, campaignId);
+      const steps = campaignSteps(campaign);
+      const recipients = sendRecipients(request);
+
+      const fromEmail = request.fromEmail || defaults.fromEmail;
+      if (!fromEmail || !EMAIL_ADDRESS_PATTERN.test(fromEmail)) {
+        throw storeError(400, 'fromEmail must be an email address (or set SMTP_FROM)');
+      }
+      const fromName = request.fromName ?? campaign.inputs.fromName ?? '';
+      const unsubscribeUrl = request.unsubscribeUrl || defaults.unsubscribeUrl;
+      if (typeof unsubscribeUrl !== 'string' || !/^(?:https?:\/\/|mailto:)\S+$/i.test(unsubscribeUrl)) {
+        throw storeError(400, 'unsubscribeUrl must be an http(s) or mailto: URL (or set PUBLIC_URL or SMTP_UNSUBSCRIBE_URL) - every email has an unsubscribe link');
+      }
+      if (unsubscribeUrl.includes('{token}') && !unsubscribeTokens) {
+        throw storeError(400, 'unsubscribeUrl can only use {token} with the built-in unsubscribe route');
+      }
+      if (typeof fromName !== 'string') throw storeError(400, 'fromName must be a string');
+
+      const timeZone = request.timeZone || campaign.inputs.timeZone || null;
+      const start = resolveStart({ startAt: request.startAt, timeZone }, clock);
+      const now = clock();
+      const send = {
+        id: files.newId(),
+        ownerId,
+        campaignId,
+        campaignVersion: campaign.version,
+        status: SEND_STATUS.SCHEDULED,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        startAt: start.toISOString(),
+        timeZone,
+        cancelledAt: null,
+        from: { name: fromName, email: fromEmail },
+        unsubscribeUrl,
+        videoLinks: Array.isArray(campaign.inputs.videoLinks) ? campaign.inputs.videoLinks : [],
+        steps,
+        recipients,
+        messages: []
+      };
+      const suppressed = new Set();
+      if (suppressions) {
+        for (let r = 0; r < recipients.length; r++) {
+          if (await suppressions.has(recipients[r].email)) suppressed.add(r);
+        }
+      }
+      if (suppressed.size > 0 && suppressed.size === recipients.length) {
+        throw storeError(400, 'Every recipient is on the suppression list (they unsubscribed)');
+      }
+
+      steps.forEach(step => {
+        const sendAt = addDays(start, step.waitDays, timeZone).toISOString();
+        recipients.forEach((recipient, r) => send.messages.push({
+          index: send.messages.length,
+          recipient: r,
+          step: step.position,
+          to: recipient.email,
+          sendAt,
+          status: suppressed.has(r) ? MESSAGE_STATUS.SUPPRESSED : MESSAGE_STATUS.SCHEDULED,
+          attempts: 0,
+          retryAt: null,
+          sentAt: null,
+          messageId: null,
+          response: null,
+          error: suppressed.has(r) ? SUPPRESSED_ERROR : null
+        }));
+      });
+
+      await queue(send.id, () => write(send));
+      // Emails due now go out without waiting for the next poll
+      sender.tick().catch(error => console.error('Send check failed:', error));
+      return describe(send);
+    },
+
+    /**
+     * The sends of a campaign, newest first.
+     */
+    async list(ownerId, campaignId) {
+      const sends = (await files.list()).filter(send => send.ownerId === ownerId && send.campaignId === campaignId);
+      return sends.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(summarize);
+    },
+
+    /**
+     * One send with every message.
+     *
+     * @param {string} [status] - Only messages with this status
+     * @throws {Error} status 404 if it doesn't exist (for this owner and campaign)
+     */
+    async get(ownerId, campaignId, sendId, status) {
+      if (status !== undefined && !Object.values(MESSAGE_STATUS).includes(status)) {
+        throw storeError(400, `status must be one of: ${Object.values(MESSAGE_STATUS).join(', ')}`);
+      }
+      return describe(await load(ownerId, campaignId, sendId), status);
+    },
+
+    /**
+     * Cancel every email of a send that hasn't gone out yet.
+     *
+     * @throws {Error} status 409 if the send has already finished
+     */
+    async cancel(ownerId, campaignId, sendId) {
+      await load(ownerId, campaignId, sendId);
+      return queue(sendId, async () => {
+        const send = await read(sendId);
+        if (send.status === SEND_STATUS.COMPLETED || send.status === SEND_STATUS.CANCELLED) {
+          throw storeError(409, `Send is already ${send.status}`);
+        }
+        send.cancelledAt = clock().toISOString();
+        for (const message of send.messages) {
+          if (message.status === MESSAGE_STATUS.SCHEDULED) message.status = MESSAGE_STATUS.CANCELLED;
+        }
+        refreshStatus(send, clock());
+        await write(send);
+        return describe(send);
+      });
+    },
+
+    /**
+     * Record a classified reply and stop or postpone the recipient's
+     * remaining emails (see REPLIES above).
+     *
+     * @param {string} ownerId - Only look in this user's sends
+     * @param {Object} reply - From replyClassifier.readReply ({ from, subject, date, inReplyTo })
+     * @param {Object} classification - From replyClassifier.classifyReply
+     * @param {Object} [options]
+     * @param {string} [options.campaignId] - Only look in this campaign's sends
+     * @returns {Promise<Object|null>} { campaignId, sendId, row, email, venueName,
+     *   firstName, status, replies, stopped, postponed } (stopped/postponed count
+     *   emails), or null if the reply matches no recipient
+     */
+    async recordReply(ownerId, reply, classification, { campaignId } = {}) {
+      const sends = (await files.list())
+        .filter(send => send.ownerId === ownerId && (campaignId === undefined || send.campaignId === campaignId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const answered = new Set(reply.inReplyTo || []);
+      let match = null;
+      for (const send of sends) {
+        const message = send.messages.find(m => m.messageId && answered.has(m.messageId));
+        if (message) {
+          match = { sendId: send.id, recipient: message.recipient };
+          break;
+        }
+      }
+      if (!match && reply.from) {
+        for (const send of sends) {
+          const r = send.recipients.findIndex(recipient => recipient.email.toLowerCase() === reply.from);
+          if (r !== -1) {
+            match = { sendId: send.id, recipient: r };
+            break;
+          }
+        }
+      }
+      if (!match) return null;
+
+      return queue(match.sendId, async () => {
+        const send = await read(match.sendId);
+        const r = match.recipient;
+        const recipient = send.recipients[r];
+        const now = clock();
+        recipient.status = classification.classification;
+        recipient.replies = [...(recipient.replies || []), {
+          receivedAt: reply.date || now.toISOString(),
+          subject: reply.subject,
+          classification: classification.classification,
+          summary: classification.summary,
+          returnDate: classification.returnDate,
+          newContact: classification.newContact
+        }];
+
+        const pending = send.messages
+          .filter(m => m.recipient === r && m.status === MESSAGE_STATUS.SCHEDULED)
+          .sort((a, b) => a.step - b.step);
+        let stopped = 0;
+        let postponed = 0;
+        if (classification.action === REPLY_ACTIONS.STOP) {
+          for (const message of pending) {
+            message.status = MESSAGE_STATUS.STOPPED;
+            message.error = `Not sent: the recipient replied (${classification.classification})`;
+            stopped++;
+          }
+        } else if (classification.action === REPLY_ACTIONS.POSTPONE && classification.returnDate && pending.length > 0) {
+          // The next email arrives the day after they're back; later ones keep their spacing
+          const next = new Date(pending[0].retryAt || pending[0].sendAt);
+          const days = Math.round((Date.parse(classification.returnDate) + DAY_MS - Date.parse(localDate(next, send.timeZone))) / DAY_MS);
+          if (days > 0) {
+            for (const message of pending) {
+              message.sendAt = addDays(new Date(message.sendAt), days, send.timeZone).toISOString();
+              message.retryAt = null;
+              postponed++;
+            }
+          }
+        }
+
+        refreshStatus(send, now);
+        await write(send);
+        return { campaignId: send.campaignId, sendId: send.id, ...describeRecipient(send, r), stopped, postponed };
+      });
+    },
+
+    /**
+     * Send every email that is due, one at a time. Calls while a check is
+     * running share it.
+     */
+    tick() {
+      if (ticking) return ticking;
+      ticking = (async () => {
+        const now = clock().getTime();
+        for (const send of await files.list()) {
+          const due = send.messages
+            .filter(m => m.status === MESSAGE_STATUS.SCHEDULED && Date.parse(m.retryAt || m.sendAt) <= now)
+            .sort((a, b) => Date.parse(a.retryAt || a.sendAt) - Date.parse(b.retryAt || b.sendAt));
+          for (const message of due) {
+            await deliver(send.id, message.index);
+            await new Promise(resolve => setTimeout(resolve, messageIntervalMs));
+          }
+        }
+      })().finally(() => {
+        ticking = null;
+      });
+      return ticking;
+    },
+
+    /**
+     * Start the timer. Emails left "sending" by a stopped server are marked
+     * failed first.
+     */
+    async start() {
+      for (const send of await files.list()) {
+        if (!send.messages.some(m => m.status === MESSAGE_STATUS.SENDING)) continue;
+        await queue(send.id, async () => {
+          const current = await read(send.id);
+          for (const message of current.messages) {
+            if (message.status !== MESSAGE_STATUS.SENDING) continue;
+            message.status = MESSAGE_STATUS.FAILED;
+            message.error = 'The server stopped while this email was being sent - it may or may not have been delivered';
+          }
+          refreshStatus(current, clock());
+          await write(current);
+        });
+      }
+      timer = setInterval(() => sender.tick().catch(error => console.error('Send check failed:', error)), pollIntervalMs);
+      timer.unref();
+      await sender.tick();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+  return sender;
+}
+
+module.exports = {
+  SEND_STATUS,
+  MESSAGE_STATUS,
+  createCampaignSender
+};
@@ -0,0 +1,395 @@
+/**
+ * ============================================================================
+ * CAMPAIGN STORE - PERSISTENT CAMPAIGNS WITH DRAFT HISTORY
+ * ============================================================================
+ *
+ * A campaign is everything written for one pitch: the artist inputs, the
+ * intro email, the follow-up ideas and the follow-up emails. Without this
+ * store they only lived in the browser's sessionStorage, so closing the tab
+ * lost the campaign.
+ *
+ * CAMPAIGN SHAPE:
+ * {
+ *   id: string,
+ *   createdAt / updatedAt: ISO string,
+ *   version: number,                    - Current version number
+ *   name: string,
+ *   inputs: { infoDump, videoLinks, emailStyle, signatureBlock, availability, ... },
+ *   intro: { subject, email } | null,
+ *   ideas: string[],
+ *   followUps: Array<{ subject, email, idea, waitDays } | null>  - By emailIndex
+ * }
+ *
+ * VERSIONS:
+ * Every change - a generation, a manual edit or a restore - stores a full
+ * snapshot of the campaign as a new version ({ version, createdAt, source,
+ * summary }). Versions can be listed, compared field by field (emails line
+ * by line) and restored; restoring adds a new version rather than rewriting
+ * history. The oldest versions are dropped past MAX_CAMPAIGN_VERSIONS.
+ *
+ * OWNERS:
+ * A campaign belongs to the user who created it (`ownerId`, kept in the
+ * file but not returned). Every method takes the caller's id first; another
+ * user's campaign is "not found", and list() only returns the caller's.
+ *
+ * STORAGE:
+ * One JSON file per campaign in CAMPAIGN_DATA_DIR (fileStore.js). Updates to
+ * the same campaign are queued, so sequence emails finishing together don't
+ * overwrite each other.
+ *
+ * INTEGRATION:
+ * Used by the /ai/campaigns routes in index.js, and by the generation routes
+ * when a request carries a `campaignId`.
+ * ============================================================================
+ */
+
+const { createFileStore, storeError } = require('./fileStore');
+const { MAX_CAMPAIGN_VERSIONS, MAX_FOLLOW_UPS } = require('./constants');
+
+const VERSION_SOURCES = {
+  CREATE: 'create',
+  GENERATE: 'generate',
+  EDIT: 'edit',
+  RESTORE: 'restore'
+};
+
+// Request fields kept as a campaign's inputs
+const INPUT_FIELDS = ['profileId', 'infoDump', 'videoLinks', 'emailStyle', 'signatureBlock', 'availability', 'fromName',
+  'cadence', 'cadencePreset', 'currentDate', 'timeZone', 'locale'];
+
+// Longer texts are diffed as a single replaced block
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * The known input fields of a request body.
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Only INPUT_FIELDS that are set
+ */
+function pickInputs(body = {}) {
+  const inputs = {};
+  for (const field of INPUT_FIELDS) {
+    if (body[field] !== undefined) inputs[field] = body[field];
+  }
+  return inputs;
+}
+
+/**
+ * Check the editable parts of a campaign.
+ *
+ * @throws {Error} status 400 describing the first invalid field
+ */
+function validateChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw storeError(400, 'Campaign changes must be an object');
+  }
+  const { name, inputs, intro, ideas, followUps } = changes;
+  const isEmail = (email) => email === null ||
+    (typeof email === 'object' && !Array.isArray(email) &&
+      ['subject', 'email'].every(key => email[key] === undefined || typeof email[key] === 'string'));
+
+  if (name !== undefined && typeof name !== 'string') throw storeError(400, 'name must be a string');
+  if (inputs !== undefined && (typeof inputs !== 'object' || inputs === null || Array.isArray(inputs))) {
+    throw storeError(400, 'inputs must be an object');
+  }
+  if (intro !== undefined && !isEmail(intro)) throw storeError(400, 'intro must be { subject, email } or null');
+  if (ideas !== undefined && (!Array.isArray(ideas) || !ideas.every(idea => typeof idea === 'string'))) {
+    throw storeError(400, 'ideas must be an array of strings');
+  }
+  if (followUps !== undefined) {
+    if (typeof followUps !== 'object' || followUps === null) {
+      throw storeError(400, 'followUps must map email indexes to { subject, email } (or null to remove)');
+    }
+    for (const [index, email] of Object.entries(followUps)) {
+      // An index sizes the array, so it's capped like a cadence
+      if (!/^\d+$/.test(index) || Number(index) >= MAX_FOLLOW_UPS) {
+        throw storeError(400, `followUps keys must be email indexes from 0 to ${MAX_FOLLOW_UPS - 1} (got "${index}")`);
+      }
+      if (!isEmail(email)) throw storeError(400, `followUps[${index}] must be { subject, email } or null`);
+    }
+  }
+}
+
+/**
+ * Apply changes to campaign content (returns new content, the input is not modified).
+ * inputs and follow-up emails are merged; name, intro and ideas are replaced.
+ */
+function applyChanges(content, changes) {
+  const next = JSON.parse(JSON.stringify(content));
+  if (changes.name !== undefined) next.name = changes.name;
+  if (changes.inputs !== undefined) next.inputs = { ...next.inputs, ...changes.inputs };
+  if (changes.intro !== undefined) next.intro = changes.intro && { ...next.intro, ...changes.intro };
+  if (changes.ideas !== undefined) next.ideas = [...changes.ideas];
+  if (changes.followUps !== undefined) {
+    for (const [key, email] of Object.entries(changes.followUps)) {
+      const index = Number(key);
+      while (next.followUps.length <= index) next.followUps.push(null);
+      next.followUps[index] = email && { ...next.followUps[index], ...email };
+    }
+    while (next.followUps.length > 0 && next.followUps[next.followUps.length - 1] === null) next.followUps.pop();
+  }
+  return next;
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Flatten content into { "followUps[2].email": value } leaf paths.
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) flatten(item, prefix ? `${prefix}.${key}` : key, out);
+  } else if (value !== null && value !== undefined) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ *
+ * @returns {Array<{ op: "equal"|"add"|"remove", text: string }>}
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [{ op: 'remove', text: before }, { op: 'add', text: after }];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ op: 'equal', text: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      ops.push({ op: 'add', text: b[j++] });
+    } else {
+      ops.push({ op: 'remove', text: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Field-by-field differences between two versions' content.
+ *
+ * @returns {Array<{ path: string, type: "added"|"removed"|"changed", before, after, lines? }>}
+ *   lines is a line diff, for multi-line text
+ */
+function diffContent(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const changes = [];
+
+  for (const field of paths) {
+    if (a[field] === b[field]) continue;
+    const change = {
+      path: field,
+      type: !(field in a) ? 'added' : !(field in b) ? 'removed' : 'changed',
+      before: a[field] === undefined ? null : a[field],
+      after: b[field] === undefined ? null : b[field]
+    };
+    const multiline = [change.before, change.after].some(text => typeof text === 'string' && text.includes('\n'));
+    if (multiline) change.lines = diffLines(String(change.before ?? ''), String(change.after ?? ''));
+    changes.push(change);
+  }
+  return changes;
+}
+
+/**
+ * Short description of what changed ("intro, followUps[2]").
+ */
+function describeChanges(before, after) {
+  const parts = diffContent(before, after).map(({ path: field }) => field.match(/^(followUps\[\d+\]|\w+)/)[1]);
+  return [...new Set(parts)].join(', ') || 'no changes';
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Create a file-backed campaign store.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for campaign files (created if missing)
+ * @param {number} [options.maxVersions=MAX_CAMPAIGN_VERSIONS] - Versions kept per campaign
+ * @returns {Object} Store API
+ */
+function createCampaignStore({ dir, maxVersions = MAX_CAMPAIGN_VERSIONS }) {
+  const files = createFileStore({ dir, notFoundMessage: 'Campaign not found' });
+  const { write, queue } = files;
+  const read = (ownerId, id) => files.readOwned(id, ownerId);
+
+  const current = (record) => record.versions[record.versions.length - 1];
+
+  // The campaign as returned by the API (no version history)
+  const view = (record) => ({
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    version: current(record).version,
+    ...current(record).content
+  });
+
+  const addVersion = (record, content, source, summary) => {
+    const now = new Date().toISOString();
+    record.versions.push({ version: current(record).version + 1, createdAt: now, source, summary, content });
+    if (record.versions.length > maxVersions) record.versions.splice(0, record.versions.length - maxVersions);
+    record.updatedAt = now;
+  };
+
+  const findVersion = (record, version) => {
+    const found = record.versions.find(v => v.version === Number(version));
+    if (!found) throw storeError(404, `Version ${version} not found (versions ${record.versions[0].version}-${current(record).version} are kept)`);
+    return found;
+  };
+
+  return {
+    /**
+     * Create a campaign.
+     *
+     * @param {string} ownerId - The user it belongs to
+     * @param {Object} [changes] - { name, inputs, intro, ideas, followUps }
+     * @returns {Promise<Object>} The campaign
+     */
+    async create(ownerId, changes = {}) {
+      validateChanges(changes);
+      const now = new Date().toISOString();
+      const empty = { name: 'Untitled campaign', inputs: {}, intro: null, ideas: [], followUps: [] };
+      const record = {
+        id: files.newId(),
+        ownerId,
+        createdAt: now,
+        updatedAt: now,
+        versions: [{ version: 1, createdAt: now, source: VERSION_SOURCES.CREATE, summary: 'created', content: applyChanges(empty, changes) }]
+      };
+      await queue(record.id, () => write(record));
+      return view(record);
+    },
+
+    /**
+     * The owner's campaigns, most recently updated first.
+     *
+     * @returns {Promise<Array<{ id, name, createdAt, updatedAt, version }>>}
+     */
+    async list(ownerId) {
+      const campaigns = (await files.list()).filter(record => record.ownerId === ownerId).map(record => {
+        const campaign = view(record);
+        return { id: campaign.id, name: campaign.name, createdAt: campaign.createdAt, updatedAt: campaign.updatedAt, version: campaign.version };
+      });
+      return campaigns.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    /**
+     * @returns {Promise<Object>} The campaign
+     * @throws {Error} status 404 if it doesn't exist (for this owner)
+     */
+    async get(ownerId, id) {
+      return view(await read(ownerId, id));
+    },
+
+    /**
+     * Change a campaign, recording a new version. Changes that leave the
+     * campaign as it was don't create a version.
+     *
+     * @param {string} ownerId
+     * @param {string} id - Campaign id
+     * @param {Object} changes - { name, inputs, intro, ideas, followUps }
+     * @param {string} [source="edit"] - One of VERSION_SOURCES
+     * @returns {Promise<Object>} The updated campaign
+     */
+    async update(ownerId, id, changes, source = VERSION_SOURCES.EDIT) {
+      validateChanges(changes);
+      return queue(id, async () => {
+        const record = await read(ownerId, id);
+        const before = current(record).content;
+        const after = applyChanges(before, changes);
+        if (diffContent(before, after).length === 0) return view(record);
+        addVersion(record, after, source, describeChanges(before, after));
+        await write(record);
+        return view(record);
+      });
+    },
+
+    /**
+     * Delete a campaign and its history.
+     */
+    async remove(ownerId, id) {
+      return queue(id, async () => {
+        await read(ownerId, id);
+        await files.remove(id);
+      });
+    },
+
+    /**
+     * Version history, newest first (without content).
+     *
+     * @returns {Promise<Array<{ version, createdAt, source, summary }>>}
+     */
+    async listVersions(ownerId, id) {
+      const record = await read(ownerId, id);
+      return record.versions.map(({ content, ...version }) => version).reverse();
+    },
+
+    /**
+     * One version with its full content.
+     */
+    async getVersion(ownerId, id, version) {
+      return findVersion(await read(ownerId, id), version);
+    },
+
+    /**
+     * Compare two versions.
+     *
+     * @param {string} ownerId
+     * @param {string} id - Campaign id
+     * @param {number} from - Older version
+     * @param {number} [to] - Newer version (default: current)
+     * @returns {Promise<{ from: number, to: number, changes: Object[] }>}
+     */
+    async diff(ownerId, id, from, to) {
+      const record = await read(ownerId, id);
+      const a = findVersion(record, from);
+      const b = to === undefined ? current(record) : findVersion(record, to);
+      return { from: a.version, to: b.version, changes: diffContent(a.content, b.content) };
+    },
+
+    /**
+     * Make an old version current again (as a new version).
+     *
+     * @returns {Promise<Object>} The updated campaign
+     */
+    async restore(ownerId, id, version) {
+      return queue(id, async () => {
+        const record = await read(ownerId, id);
+        const target = findVersion(record, version);
+        addVersion(record, target.content, VERSION_SOURCES.RESTORE, `restored version ${target.version}`);
+        await write(record);
+        return view(record);
+      });
+    }
+  };
+}
+
+module.exports = {
+  VERSION_SOURCES,
+  createCampaignStore,
+  pickInputs
+};
@@ -63,6 +63,209 @@ const GPT_MODEL = "gpt-4o";
 // 0.7 = balanced (recommended for email generation)
 const TEMPERATURE = 0.7;
 
+// What the email routes do when the rule linter (emailLinter.js) finds a fatal violation
+// "report"     = return violations only
+// "repair"     = fix what can be fixed deterministically (recommended)
+// "regenerate" = ask the model again, then repair whatever is left
+// Can be overridden per request with the `lintMode` body field
+const DEFAULT_LINT_MODE = "repair";
+
+// How many follow-up emails a sequence job generates at the same time
+// Higher = faster sequences, but more simultaneous API calls (watch rate limits)
+const SEQUENCE_CONCURRENCY = 3;
+
+// ============================================================================
+// FOLLOW-UP CADENCE
+// ============================================================================
+
+/**
+ * Named follow-up schedules. Each entry lists the days after the initial email
+ * on which follow-up 1, 2, 3... is sent - the length is the number of follow-ups.
+ * 
+ * Requests pick one with `cadencePreset`, or send their own `cadence` array
+ * (see cadence.js). The last follow-up is always the "final goodbye" and the
+ * one before it the "last chance" email, whatever the length.
+ */
+const CADENCE_PRESETS = {
+  standard: [7, 14, 21, 31, 41, 51, 61],     // 7 follow-ups over 2 months (v5.0 schedule)
+  "short-notice": [7, 14, 21],               // 3 follow-ups over 3 weeks (e.g. a tour coming up soon)
+  relaxed: [14, 28, 45, 60, 90]              // 5 follow-ups over 3 months
+};
+
+// Preset used when a request names no cadence
+const DEFAULT_CADENCE_PRESET = "standard";
+
+// Upper limit for custom cadences (each follow-up is one model call)
+const MAX_FOLLOW_UPS = 12;
+
+// ============================================================================
+// CALENDAR IMPORT
+// ============================================================================
+
+// Days of calendar checked for open dates when the request doesn't say
+// (matches "Availability for Next 3 Months" on the form)
+const CALENDAR_DEFAULT_LOOKAHEAD_DAYS = 90;
+
+// Longest lookahead window. Imported availability is written without years,
+// so the window has to stay well under a year to read back unambiguously.
+const CALENDAR_MAX_LOOKAHEAD_DAYS = 180;
+
+// Largest .ics upload accepted (express body-parser size string)
+const CALENDAR_MAX_UPLOAD_SIZE = "2mb";
+
+// ============================================================================
+// CAMPAIGNS
+// ============================================================================
+
+// Versions kept per campaign (every generation and edit adds one; the
+// oldest are dropped beyond this)
+const MAX_CAMPAIGN_VERSIONS = 200;
+
+// ============================================================================
+// ARTIST PROFILES
+// ============================================================================
+
+// Video links a saved artist profile can hold (emails rotate through them)
+const MAX_PROFILE_VIDEO_LINKS = 10;
+
+// ============================================================================
+// VENUE BATCHES
+// ============================================================================
+
+// Most recipients one batch (CSV upload) may contain
+const MAX_BATCH_RECIPIENTS = 200;
+
+// How many recipients a batch job works on at the same time. Each recipient's
+// own emails run one after another, so this is also the number of
+// simultaneous API calls (watch rate limits)
+const BATCH_CONCURRENCY = 3;
+
+// ============================================================================
+// SMTP SENDING
+// ============================================================================
+
+// How often the sender checks for emails that are due (campaignSender.js)
+const SEND_POLL_INTERVAL_MS = 30 * 1000;
+
+// Pause between two emails, so a big send doesn't hit the SMTP server's
+// rate limit (or look like a spam run)
+const SEND_MESSAGE_INTERVAL_MS = 2000;
+
+// Attempts per email for temporary failures (SMTP 4xx, network errors),
+// SEND_RETRY_DELAY_MS apart. Permanent failures (5xx) are not retried
+const SEND_MAX_ATTEMPTS = 3;
+const SEND_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Longest wait for any one SMTP server reply
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+// Port the local mail catcher (mailCatcher.js) listens on
+const MAIL_CATCHER_PORT = 1025;
+
+// ============================================================================
+// INBOUND REPLIES
+// ============================================================================
+
+// Largest raw email accepted by /ai/replies (message/rfc822 uploads;
+// attachments are ignored but still count)
+const REPLY_MAX_UPLOAD_SIZE = '2mb';
+
+// Characters of a reply the model reads - longer replies are cut (the
+// quoted original is already removed)
+const REPLY_MAX_TEXT_LENGTH = 4000;
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+// The upstream strategy's defaults: the booking site's session check and
+// login page (AUTH_CHECK_URL / AUTH_LOGIN_URL override them)
+const DEFAULT_AUTH_CHECK_URL = 'https://roboticbookingagent.com/api/check-auth';
+const DEFAULT_AUTH_LOGIN_URL = 'https://roboticbookingagent.com/login';
+
+// How long an upstream answer is reused for the same cookie. Accepted
+// sessions are cached longer than rejected ones, so a login is picked up
+// quickly but a busy page doesn't check every request
+const AUTH_CACHE_TTL_MS = 60 * 1000;
+const AUTH_FAILURE_CACHE_TTL_MS = 5 * 1000;
+const AUTH_CACHE_MAX_ENTRIES = 1000;
+
+// Longest wait for the upstream check before the request fails with 503
+const AUTH_CHECK_TIMEOUT_MS = 5000;
+
+// Signed session cookies (the session strategy)
+const SESSION_COOKIE_NAME = 'shm_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Shortest API key / session secret accepted - short ones can be guessed
+const AUTH_MIN_SECRET_LENGTH = 16;
+
+// ============================================================================
+// USAGE, RATE LIMITS AND QUOTAS
+// ============================================================================
+
+// Estimated cost in USD per million tokens, by model name prefix (the
+// longest matching prefix wins, so "gpt-4o-mini" beats "gpt-4o"). Models not
+// listed - local servers, the fixture - are counted at no cost
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+// Requests that call the model, per user (RATE_LIMIT_PER_MINUTE /
+// RATE_LIMIT_PER_HOUR override them; 0 = no limit). A sequence or batch job
+// is one request however many emails it writes
+const RATE_LIMIT_PER_MINUTE = 10;
+const RATE_LIMIT_PER_HOUR = 120;
+
+// Estimated spend per user per calendar month (UTC) before model requests
+// are refused (USAGE_MONTHLY_QUOTA_USD overrides it; 0 = no quota)
+const MONTHLY_QUOTA_USD = 25;
+
+// ============================================================================
+// MODEL CALL RESILIENCE
+// ============================================================================
+
+// Longest wait for a model answer (LLM_TIMEOUT_MS overrides it). While
+// streaming, the wait starts again with every chunk
+const MODEL_TIMEOUT_MS = 60 * 1000;
+
+// Tries per model call when it fails for a reason that may pass - timeouts,
+// rate limits, network and server errors (LLM_MAX_ATTEMPTS overrides it).
+// The waits between tries double from the base delay, with random jitter
+const MODEL_MAX_ATTEMPTS = 3;
+const MODEL_RETRY_BASE_DELAY_MS = 1000;
+const MODEL_RETRY_MAX_DELAY_MS = 20 * 1000;
+
+// Circuit breaker: after this many failures in a row a model is not called
+// for the cooldown - requests fail at once (or go to LLM_FALLBACK_MODEL)
+// instead of every one waiting out its retries
+const MODEL_BREAKER_THRESHOLD = 5;
+const MODEL_BREAKER_COOLDOWN_MS = 30 * 1000;
+
+// ============================================================================
+// REQUEST VALIDATION
+// ============================================================================
+
+// Longest info dump accepted - it goes into every prompt of a sequence
+const MAX_INFO_DUMP_LENGTH = 20000;
+
+// Longest short text field (tone, signature, availability, names, ideas...)
+const MAX_TEXT_FIELD_LENGTH = 2000;
+
+// Longest URL (video links, unsubscribe URL)
+const MAX_URL_LENGTH = 2048;
+
+// Longest email subject and body accepted for previews, edits and exports
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_EMAIL_LENGTH = 50000;
+
 // ============================================================================
 // GREETING ROTATION (v4.0 Feature)
 // ============================================================================
@@ -81,6 +284,7 @@ const TEMPERATURE = 0.7;
  * 
  * This variation helps avoid spam detection and keeps emails feeling fresh.
  * Always followed by " {{firstname}}" with NO COMMA.
+ * Cadences with more than 7 follow-ups start again at "Hello".
  */
 const GREETING_ROTATION = [
   "Hi",
@@ -100,8 +304,8 @@ const GREETING_ROTATION = [
 /**
  * 18 variations of "opt-out" disclaimers for follow-up emails.
  * 
- * These are randomly selected and added to follow-up emails 1-5 (not on
- * initial email or last 2 follow-ups).
+ * These are randomly selected and added to regular follow-ups (not on the
+ * initial email or the "last chance" and "final goodbye" follow-ups).
  * 
  * PURPOSE:
  * - Gives recipients an easy way to opt-out
@@ -112,8 +316,8 @@ const GREETING_ROTATION = [
  * Added before the signature block in follow-up emails.
  * 
  * INTEGRATION POINT:
- * In production, these should trigger actual unsubscribe functionality
- * if the recipient replies with "not interested" or similar.
+ * A reply like "not interested", posted to /ai/replies, is classified by
+ * replyClassifier.js and stops the recipient's remaining follow-ups.
  */
 const DISCLAIMER_VARIATIONS = [
   "If it's not a good fit, just let me know, and I won't reach out again :)",
@@ -188,7 +392,7 @@ CRITICAL TONE BALANCE: Always maintain an exceptionally polite and gracious foun
 
 The subject line must:
 - Be 2-5 words ONLY (max 5 words)
-- Start with "SUBJECT:"
+- Go in the "subject" field of the JSON output (no "SUBJECT:" prefix)
 - ABSOLUTELY CRITICAL - ZERO TOLERANCE: NEVER EVER include ANY merge tags ({{venue}}, {{firstname}}, {{unsubscribe_link}}, etc.) in the subject line - subject lines must be 100% CLEAN text with NO placeholders or variables whatsoever
 - BANNED IN SUBJECT: {{venue}}, {{firstname}}, any {{ }} brackets, any merge tags - these cause email system errors
 - Prefer subtle inquiry framing (questions or gentle prompts) that booking agents are likely to open; avoid salesy language
@@ -454,10 +658,9 @@ The email body must:
 
 
 
-First output the subject line.
+Output the email as a single JSON object, as described under OUTPUT FORMAT at the end of this prompt.
 CRITICAL REMINDER: The subject line must NEVER contain merge tags like {{venue}}, {{firstname}}, or any {{ }} brackets - use only plain text!
-Then a blank line.
-Then the email body.
+Put the salutation in "greeting", the body in "paragraphs", the closing question in "callToAction", the opt-out line (if any) in "disclaimer" and the contact info in "signature".
 
 MANDATORY RULES - NO EXCEPTIONS - ZERO TOLERANCE:
 
@@ -564,6 +767,50 @@ module.exports = {
   DEFAULT_PORT,
   GPT_MODEL,
   TEMPERATURE,
+  DEFAULT_LINT_MODE,
+  SEQUENCE_CONCURRENCY,
+  CADENCE_PRESETS,
+  DEFAULT_CADENCE_PRESET,
+  MAX_FOLLOW_UPS,
+  CALENDAR_DEFAULT_LOOKAHEAD_DAYS,
+  CALENDAR_MAX_LOOKAHEAD_DAYS,
+  CALENDAR_MAX_UPLOAD_SIZE,
+  MAX_CAMPAIGN_VERSIONS,
+  MAX_PROFILE_VIDEO_LINKS,
+  MAX_BATCH_RECIPIENTS,
+  BATCH_CONCURRENCY,
+  SEND_POLL_INTERVAL_MS,
+  SEND_MESSAGE_INTERVAL_MS,
+  SEND_MAX_ATTEMPTS,
+  SEND_RETRY_DELAY_MS,
+  SMTP_TIMEOUT_MS,
+  MAIL_CATCHER_PORT,
+  REPLY_MAX_UPLOAD_SIZE,
+  REPLY_MAX_TEXT_LENGTH,
+  DEFAULT_AUTH_CHECK_URL,
+  DEFAULT_AUTH_LOGIN_URL,
+  AUTH_CACHE_TTL_MS,
+  AUTH_FAILURE_CACHE_TTL_MS,
+  AUTH_CACHE_MAX_ENTRIES,
+  AUTH_CHECK_TIMEOUT_MS,
+  SESSION_COOKIE_NAME,
+  SESSION_TTL_MS,
+  AUTH_MIN_SECRET_LENGTH,
+  MODEL_PRICES,
+  RATE_LIMIT_PER_MINUTE,
+  RATE_LIMIT_PER_HOUR,
+  MONTHLY_QUOTA_USD,
+  MODEL_TIMEOUT_MS,
+  MODEL_MAX_ATTEMPTS,
+  MODEL_RETRY_BASE_DELAY_MS,
+  MODEL_RETRY_MAX_DELAY_MS,
+  MODEL_BREAKER_THRESHOLD,
+  MODEL_BREAKER_COOLDOWN_MS,
+  MAX_INFO_DUMP_LENGTH,
+  MAX_TEXT_FIELD_LENGTH,
+  MAX_URL_LENGTH,
+  MAX_SUBJECT_LENGTH,
+  MAX_EMAIL_LENGTH,
   EMAIL_TEMPLATE,
   DISCLAIMER_VARIATIONS,
   GREETING_ROTATION
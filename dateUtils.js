@@ -7,15 +7,22 @@
  * availability dates in follow-up emails are always current and valid.
  * 
  * KEY FEATURES:
- * - Parses natural language dates (e.g., "November 9-26th", "Dec 1-15")
+ * - Parses natural language availability (e.g., "November 9-26th", "Nov 28 - Dec 3",
+ *   "Weekends in September", "all of December except the 24-26") into date sets
  * - Filters dates based on when each follow-up email will be sent
  * - Automatically adjusts date ranges when start dates have passed
  * - Handles year rollovers (dates in past assume next year)
+ * - Counts days in the user's own timezone and locale, never the server's,
+ *   with an injectable clock for deterministic results
  * - Returns validity status for smart email content adjustment
+ * - Reports the parts of the input it couldn't understand
+ * - Describes what's left in the musician's own words ("weekends in November",
+ *   "Fri Nov 14 and Sat Nov 15")
  * 
  * PROBLEM IT SOLVES:
  * Musicians enter availability like "November 9-26th" on October 28.
- * Follow-up emails are sent on day 7, 14, 21, 31, 41, 51, 61.
+ * Follow-up emails are sent on day 7, 14, 21, 31, 41, 51, 61 (standard cadence,
+ * see cadence.js - the schedule is configurable per request).
  * By day 31 (November 28), those dates have expired - showing them
  * would be unprofessional. This module filters them automatically.
  * 
@@ -26,101 +33,825 @@
  * ============================================================================
  */
 
+const { CADENCE_PRESETS } = require('./constants');
+
+// ============================================================================
+// AVAILABILITY GRAMMAR
+// ============================================================================
+
+const MONTHS = {
+  january: 0, jan: 0,
+  february: 1, feb: 1,
+  march: 2, mar: 2,
+  april: 3, apr: 3,
+  may: 4,
+  june: 5, jun: 5,
+  july: 6, jul: 6,
+  august: 7, aug: 7,
+  september: 8, sep: 8, sept: 8,
+  october: 9, oct: 9,
+  november: 10, nov: 10,
+  december: 11, dec: 11
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                     'July', 'August', 'September', 'October', 'November', 'December'];
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+// Gig weekends run Friday to Sunday; "weekdays" are the nights in between
+const WEEKDAY_GROUPS = {
+  weekend: [5, 6, 0],
+  weekends: [5, 6, 0],
+  weekday: [1, 2, 3, 4],
+  weekdays: [1, 2, 3, 4],
+  weeknight: [1, 2, 3, 4],
+  weeknights: [1, 2, 3, 4]
+};
+
+// Qualifiers that describe the time of day, not which dates
+const TIMES_OF_DAY = new Set(['morning', 'mornings', 'afternoon', 'afternoons', 'evening', 'evenings',
+  'night', 'nights', 'daytime', 'brunch', 'lunch', 'lunchtime', 'happy', 'hour', 'hours']);
+
+// Parts of a month: "early November" = 1-10, "mid-November" = 11-20,
+// "late November" = 21 to the end (null). Before a time of day they
+// qualify it instead ("late nights")
+const MONTH_PARTS = {
+  early: [1, 10],
+  mid: [11, 20],
+  late: [21, null]
+};
+
+// Words that only qualify the time of day after one of the above ("lunch time")
+const TIME_SUFFIXES = new Set(['time', 'times', 'slot', 'slots']);
+
+// Words before "may" that make it the month ("in May", "all of May")
+const MONTH_PREPOSITIONS = new Set(['in', 'of', 'during', 'throughout', 'from']);
+
+const RANGE_WORDS = new Set(['to', 'through', 'thru', 'till', 'til', 'until']);
+const EXCEPT_WORDS = new Set(['except', 'excluding', 'but', 'not', 'minus', 'without', 'besides']);
+
+// Words that carry no date information
+const FILLER_WORDS = new Set(['in', 'of', 'the', 'on', 'all', 'during', 'every', 'each', 'from', 'around',
+  'available', 'availability', 'avail', 'dates', 'date', 'days', 'day', 'i', 'im', 'am', 'we', 'are', 'free',
+  'for', 'gigs', 'gig', 'shows', 'booking', 'bookings', 'at', 'any', 'month', 'whole', 'entire', 'most',
+  'also', 'only', 'just', 'open', 'and', 'or', 'as', 'well', 'plus', 'a', 'is', 'be', 'starting', 'throughout', 'between']);
+
+// Whole inputs meaning "no specific dates"
+const OPEN_PATTERN = /^\s*(?:open|anytime|any ?time|flexible|open schedule|wide open)\s*[.!]?\s*$/i;
+
+// Longest single range accepted (guards against typos like "Nov 1 - Oct 30")
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days since the epoch for a UTC calendar date. */
+function toDayNumber(year, month, day) {
+  return Date.UTC(year, month, day) / DAY_MS;
+}
+
+/** "YYYY-MM-DD" for a day number. */
+function dayKey(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Split availability text into tokens with their source offsets.
+ * 
+ * @param {string} text - Availability text
+ * @param {boolean} [dayFirst=false] - Read numeric dates as day/month (en-GB, en-AU...)
+ */
+function tokenizeAvailability(text, dayFirst = false) {
+  const pattern = /(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?|(\d+)(?:st|nd|rd|th)?|([a-z]+)(?:'[a-z]+)?|([-–—])|([,&+])|([;.\n])/gi;
+  const tokens = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [raw] = match;
+    const base = { raw, start: match.index, end: match.index + raw.length };
+
+    if (match[1]) {
+      tokens.push({ ...base, type: 'date', year: +match[1], month: +match[2] - 1, day: +match[3] });
+    } else if (match[4]) {
+      // Numeric dates follow the user's locale: 11/09 = November 9 (en-US) or 11 September (en-GB)
+      const year = match[6] ? (match[6].length === 2 ? 2000 + +match[6] : +match[6]) : null;
+      const [month, day] = dayFirst ? [match[5], match[4]] : [match[4], match[5]];
+      tokens.push({ ...base, type: 'date', year, month: +month - 1, day: +day });
+    } else if (match[7]) {
+      const value = +match[7];
+      tokens.push({ ...base, type: match[7].length === 4 ? 'year' : 'number', value });
+    } else if (match[8]) {
+      const word = match[8].toLowerCase();
+      const singular = word.replace(/s$/, '');
+      if (MONTHS.hasOwnProperty(word)) {
+        tokens.push({ ...base, type: 'month', value: MONTHS[word] });
+      } else if (WEEKDAY_GROUPS[word]) {
+        tokens.push({ ...base, type: 'weekday', value: WEEKDAY_GROUPS[word] });
+      } else if (WEEKDAYS.hasOwnProperty(word) || WEEKDAYS.hasOwnProperty(singular)) {
+        tokens.push({ ...base, type: 'weekday', value: [WEEKDAYS.hasOwnProperty(word) ? WEEKDAYS[word] : WEEKDAYS[singular]] });
+      } else if (MONTH_PARTS.hasOwnProperty(word)) {
+        tokens.push({ ...base, type: 'part', value: MONTH_PARTS[word] });
+      } else if (TIMES_OF_DAY.has(word) || TIME_SUFFIXES.has(word)) {
+        const previous = tokens[tokens.length - 1];
+        const qualifies = previous && (previous.type === 'time' || (previous.type === 'part' && TIMES_OF_DAY.has(word)));
+        if (qualifies && /^\s*$/.test(text.slice(previous.end, base.start))) {
+          // One qualifier across words: "lunch time", "happy hour", "late nights"
+          previous.type = 'time';
+          previous.raw = text.slice(previous.start, base.end);
+          previous.end = base.end;
+          previous.value = previous.raw.toLowerCase();
+        } else {
+          tokens.push({ ...base, type: TIMES_OF_DAY.has(word) ? 'time' : 'unknown', value: word });
+        }
+      } else if (RANGE_WORDS.has(word)) {
+        tokens.push({ ...base, type: 'dash' });
+      } else if (EXCEPT_WORDS.has(word)) {
+        tokens.push({ ...base, type: 'except' });
+      } else if (FILLER_WORDS.has(word)) {
+        tokens.push({ ...base, type: word === 'and' ? 'and' : word === 'between' ? 'between' : 'filler' });
+      } else {
+        tokens.push({ ...base, type: 'unknown' });
+      }
+    } else if (match[9]) {
+      tokens.push({ ...base, type: 'dash' });
+    } else if (match[10]) {
+      tokens.push({ ...base, type: match[10] === ',' ? 'comma' : 'and' });
+    } else {
+      tokens.push({ ...base, type: 'break' });
+    }
+  }
+
+  // "may" is also a verb ("I may be free Nov 3"): it's the month only next to
+  // a day, a year, a range or another month, after "in"/"of", or on its own
+  const isDated = token => token && ['number', 'year', 'date', 'dash', 'month'].includes(token.type);
+  const neighbour = (index, step) => {
+    while (tokens[index] && ['comma', 'and'].includes(tokens[index].type)) index += step;
+    return tokens[index];
+  };
+  tokens.forEach((token, index) => {
+    if (token.type !== 'month' || token.raw.toLowerCase() !== 'may') return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (isDated(before) || isDated(after) || isDated(neighbour(index - 1, -1)) || isDated(neighbour(index + 1, 1))) return;
+    if (before && (before.type === 'part' || MONTH_PREPOSITIONS.has(before.raw.toLowerCase()))) return;
+    if (after && ['weekday', 'time'].includes(after.type)) return;
+    if ((!before || before.type === 'break') && (!after || after.type === 'break')) return;
+    token.type = 'filler';
+  });
+
+  return tokens;
+}
+
+/**
+ * Parse free-text availability into a normalized set of dates.
+ * 
+ * GRAMMAR (clauses are separated by ";", "." or new lines; commas and "and"
+ * separate items within a clause):
+ * - Single dates:      "Dec 5", "December 5th, 2025", "5 December", "11/09", "2025-11-09"
+ *                      (numeric dates are month/day unless dayFirst is set)
+ * - Ranges:            "November 9-26th", "Nov 9 to 26", "Nov 28 - Dec 3", "11/09-11/15",
+ *                      "between Nov 9 and 26"
+ * - Lists:             "Nov 3, 5 and 7" (the month carries over)
+ * - Whole months:      "December", "all of December 2025"
+ * - Parts of a month:  "early December" (1-10), "mid-December" (11-20), "late December" (21-31)
+ * - Weekday filters:   "Weekends in September", "Fridays and Saturdays in October"
+ *                      (weekends = Fri-Sun, weekdays/weeknights = Mon-Thu)
+ * - Weekday ranges:    "Mon-Thu in November", "Friday through Sunday" (wraps past Saturday)
+ * - Exclusions:        "all of December except the 24-26", "November but not Mondays"
+ * - Time of day:       "November evenings", "lunch time", "late nights" - recorded, doesn't change the dates
+ * - Recurring:         "Weekends" with no dates never expires
+ * - Open:              "OPEN", "anytime", "flexible"
+ * 
+ * A weekday right before a date ("Fri Nov 14") is treated as decoration,
+ * not as a filter. "May" is only the month next to a day, year, range or
+ * other month, after "in"/"of", or on its own - "I may be free Nov 3" is
+ * just November 3. Dates without a year are the next occurrence on or after
+ * referenceDate (a range is kept in the current year while it hasn't ended).
+ * 
+ * EXAMPLE:
+ * parseAvailability("Nov 28 - Dec 3; weekends in January", { referenceDate: new Date('2025-10-28') })
+ * // => { open: false, dates: ['2025-11-28', ..., '2025-12-03', '2026-01-02', '2026-01-03', ...],
+ * //      segments: [{ dates: ['2025-11-28', ...], include: null, ... },
+ * //                 { dates: ['2026-01-02', ...], include: 'weekends', ... }],
+ * //      recurring: [], timesOfDay: [], unparsed: [] }
+ * 
+ * @param {string} text - Availability as typed by the user
+ * @param {Object} [options]
+ * @param {Date} [options.referenceDate] - The user's "today" as UTC midnight (see
+ *   resolveUserCalendar), used for year inference. Defaults to the system clock.
+ * @param {boolean} [options.dayFirst=false] - Read numeric dates as day/month
+ * @returns {{ open: boolean, dates: string[], segments: Object[], recurring: Array<{text: string, weekdays: number[]}>, timesOfDay: string[], unparsed: string[] }}
+ *   dates are sorted, unique "YYYY-MM-DD" strings; unparsed lists the parts of
+ *   the text that were not understood. segments keep the user's wording for
+ *   formatAvailability - one per group of dates:
+ *   { dates, start, end, include: "weekends"|null, exclude: "Mondays"|null,
+ *     exceptions: dates excluded by date ("except the 9th"), timesOfDay }
+ */
+function parseAvailability(text, { referenceDate = systemClock(), dayFirst = false } = {}) {
+  const result = { open: false, dates: [], segments: [], recurring: [], timesOfDay: [], unparsed: [] };
+  if (!text || typeof text !== 'string') return result;
+  if (OPEN_PATTERN.test(text)) {
+    result.open = true;
+    return result;
+  }
+
+  const referenceDay = toDayNumber(referenceDate.getUTCFullYear(), referenceDate.getUTCMonth(), referenceDate.getUTCDate());
+  const referenceYear = referenceDate.getUTCFullYear();
+  const tokens = tokenizeAvailability(text, dayFirst);
+  const allDates = new Set();
+  const timesOfDay = new Set();
+  const unknown = [];
+
+  // Turn { month, day, year? } .. { month, day, year? } into a day-number range
+  const resolveRange = (from, to) => {
+    const explicitYear = from.year || to.year;
+    let startYear = from.year || explicitYear || referenceYear;
+    let endYear = to.year || (to.month < from.month ? startYear + 1 : startYear);
+    if (!explicitYear && toDayNumber(endYear, to.month, to.day) < referenceDay) {
+      startYear++;
+      endYear++;
+    }
+    if (from.day > daysInMonth(startYear, from.month) || to.day > daysInMonth(endYear, to.month) || from.day < 1 || to.day < 1) {
+      return null;
+    }
+    const start = toDayNumber(startYear, from.month, from.day);
+    const end = toDayNumber(endYear, to.month, to.day);
+    if (end < start || end - start >= MAX_RANGE_DAYS) return null;
+    return { start, end };
+  };
+
+  // Split into clauses
+  const clauses = [[]];
+  for (const token of tokens) {
+    if (token.type === 'break') clauses.push([]);
+    else clauses[clauses.length - 1].push(token);
+  }
+
+  const newGroup = () => ({
+    included: [], excluded: [], includeWeekdays: new Set(), excludeWeekdays: new Set(),
+    includeTokens: [], excludeTokens: [], timesOfDay: new Set(), tokens: []
+  });
+
+  for (const clause of clauses) {
+    // A weekday filter applies to the dates of its own group: in
+    // "Nov 28 - Dec 3, weekends in January" only January is filtered
+    const groups = [newGroup()];
+    let group = groups[0];
+    let excluding = false;
+    let between = false;
+    let context = { month: null, year: null };
+    let i = 0;
+
+    const peek = (offset = 0) => clause[i + offset] || {};
+    const addRange = (range, sourceTokens) => {
+      if (range) {
+        (excluding ? group.excluded : group.included).push(range);
+      } else {
+        unknown.push(...sourceTokens);
+      }
+    };
+    // Does the current comma-separated part go on to name dates? ("weekends in January")
+    const hasDatesAhead = () => {
+      for (let next = i; next < clause.length && !['comma', 'except'].includes(clause[next].type); next++) {
+        if (['date', 'month'].includes(clause[next].type)) return true;
+      }
+      return false;
+    };
+    const isDash = (token) => token.type === 'dash' || (between && token.type === 'and');
+    // Optional ", 2025" / "2025" after a date
+    const takeYear = () => {
+      if (peek().type === 'year') return clause[i++].value;
+      if (peek().type === 'comma' && peek(1).type === 'year') {
+        i += 2;
+        return clause[i - 1].value;
+      }
+      return null;
+    };
+
+    while (i < clause.length) {
+      let token = clause[i];
+      const startIndex = i;
+      group.tokens.push(token);
+
+      if (token.type === 'date') {
+        i++;
+        let to = token;
+        if (isDash(peek()) && (peek(1).type === 'date' || peek(1).type === 'number')) {
+          i++;
+          const next = clause[i++];
+          to = next.type === 'date' ? next : { month: token.month, day: next.value, year: token.year };
+        }
+        context = { month: to.month, year: to.year };
+        addRange(resolveRange(token, to), clause.slice(startIndex, i));
+        between = false;
+      } else if (token.type === 'month') {
+        i++;
+        const month = token.value;
+        if (peek().type === 'number') {
+          const from = { month, day: clause[i++].value, year: null };
+          from.year = takeYear();
+          let to = from;
+          if (isDash(peek()) && peek(1).type === 'month' && peek(2).type === 'number') {
+            to = { month: clause[i + 1].value, day: clause[i + 2].value, year: null };
+            i += 3;
+            to.year = takeYear();
+          } else if (isDash(peek()) && peek(1).type === 'number') {
+            to = { month, day: clause[i + 1].value, year: null };
+            i += 2;
+            to.year = takeYear();
+          }
+          if (to.year && !from.year && to !== from) from.year = to.month < from.month ? to.year - 1 : to.year;
+          context = { month: to.month, year: to.year || from.year };
+          addRange(resolveRange(from, to), clause.slice(startIndex, i));
+        } else {
+          // Whole month, optionally with a year
+          const year = takeYear();
+          const last = daysInMonth(year || referenceYear, month);
+          context = { month, year };
+          addRange(resolveRange({ month, day: 1, year }, { month, day: last, year }), clause.slice(startIndex, i));
+        }
+        between = false;
+      } else if (token.type === 'number') {
+        i++;
+        let endDay = token.value;
+        if (isDash(peek()) && peek(1).type === 'number') {
+          endDay = peek(1).value;
+          i += 2;
+        }
+        if (peek().type === 'month') {
+          // Day-first: "9 November", "9-12 November"
+          const month = clause[i++].value;
+          const year = takeYear();
+          context = { month, year };
+          addRange(resolveRange({ month, day: token.value, year }, { month, day: endDay, year }), clause.slice(startIndex, i));
+        } else if (context.month !== null) {
+          // List or range continuing the previous month: "Nov 3, 5 and 7", "except the 24-26"
+          const { month, year } = context;
+          addRange(resolveRange({ month, day: token.value, year }, { month, day: endDay, year }), clause.slice(startIndex, i));
+        } else {
+          unknown.push(...clause.slice(startIndex, i));
+        }
+        between = false;
+      } else if (token.type === 'part') {
+        i++;
+        if (peek().type === 'dash' && peek(1).type === 'month') i++; // "mid-November"
+        if (peek().type === 'month' && peek(1).type !== 'number') {
+          const month = clause[i++].value;
+          const year = takeYear();
+          const [first, last] = token.value;
+          context = { month, year };
+          addRange(resolveRange({ month, day: first, year }, { month, day: last || daysInMonth(year || referenceYear, month), year }), clause.slice(startIndex, i));
+        } else {
+          unknown.push(token);
+        }
+        between = false;
+      } else if (token.type === 'weekday') {
+        i++;
+        if (isDash(peek()) && peek(1).type === 'weekday' && token.value.length === 1 && peek(1).value.length === 1) {
+          // "Mon-Thu", "Friday through Sunday" - every day in between, wrapping past Saturday
+          const to = clause[i + 1];
+          const value = [];
+          for (let day = token.value[0]; ; day = (day + 1) % 7) {
+            value.push(day);
+            if (day === to.value[0]) break;
+          }
+          i += 2;
+          token = { ...token, raw: text.slice(token.start, to.end), end: to.end, value };
+          group.tokens[group.tokens.length - 1] = token;
+        }
+        let next = i;
+        while (clause[next] && clause[next].type === 'comma') next++;
+        const decoration = clause[next] && ['month', 'date', 'number'].includes(clause[next].type) && token.value.length === 1;
+        if (!decoration && !excluding && group.included.length > 0 && hasDatesAhead()) {
+          group = newGroup();
+          group.tokens.push(token);
+          groups.push(group);
+        }
+        if (!decoration) {
+          token.value.forEach(day => (excluding ? group.excludeWeekdays : group.includeWeekdays).add(day));
+          (excluding ? group.excludeTokens : group.includeTokens).push(token);
+        }
+      } else if (token.type === 'time') {
+        i++;
+        timesOfDay.add(token.raw.toLowerCase());
+        group.timesOfDay.add(token.raw.toLowerCase());
+      } else if (token.type === 'except') {
+        i++;
+        excluding = true;
+      } else if (token.type === 'between') {
+        i++;
+        between = true;
+      } else if (token.type === 'unknown' || token.type === 'year' || token.type === 'dash') {
+        i++;
+        if (token.type === 'unknown') unknown.push(token);
+      } else {
+        i++;
+      }
+    }
+
+    // Expand each group into dates
+    const weekdayOf = (day) => new Date(day * DAY_MS).getUTCDay();
+    // The user's own words for a run of weekday tokens ("Fridays and Saturdays")
+    const wording = (weekdayTokens) => weekdayTokens.length === 0 ? null
+      : text.slice(weekdayTokens[0].start, weekdayTokens[weekdayTokens.length - 1].end);
+
+    for (const group of groups) {
+      const { included, excluded, includeWeekdays, excludeWeekdays, tokens: groupTokens } = group;
+      const excludedDays = new Set();
+      excluded.forEach(({ start, end }) => {
+        for (let day = start; day <= end; day++) excludedDays.add(day);
+      });
+
+      if (included.length === 0 && includeWeekdays.size > 0) {
+        // "Weekends", "Fridays" - no dates, so nothing ever expires
+        const first = groupTokens.find(t => t.type === 'weekday');
+        const last = [...groupTokens].reverse().find(t => t.type === 'weekday' || t.type === 'time');
+        result.recurring.push({
+          text: text.slice(first.start, last.end),
+          weekdays: [...includeWeekdays].filter(day => !excludeWeekdays.has(day)).sort()
+        });
+        continue;
+      }
+
+      const days = new Set();
+      const exceptions = new Set();
+      for (const { start, end } of included) {
+        for (let day = start; day <= end; day++) {
+          if (excludeWeekdays.has(weekdayOf(day))) continue;
+          if (includeWeekdays.size > 0 && !includeWeekdays.has(weekdayOf(day))) continue;
+          if (excludedDays.has(day)) {
+            exceptions.add(day);
+            continue;
+          }
+          days.add(day);
+          allDates.add(day);
+        }
+      }
+
+      if (days.size > 0) {
+        const toKeys = (set) => [...set].sort((a, b) => a - b).map(dayKey);
+        result.segments.push({
+          dates: toKeys(days),
+          start: dayKey(Math.min(...included.map(range => range.start))),
+          end: dayKey(Math.max(...included.map(range => range.end))),
+          include: wording(group.includeTokens),
+          exclude: wording(group.excludeTokens),
+          exceptions: toKeys(exceptions),
+          timesOfDay: [...group.timesOfDay]
+        });
+      }
+    }
+  }
+
+  // Merge neighbouring unknown tokens into phrases
+  const phrases = [];
+  unknown.sort((a, b) => a.start - b.start).forEach(token => {
+    const phrase = phrases[phrases.length - 1];
+    if (phrase && /^\s*$/.test(text.slice(phrase.end, token.start))) {
+      phrase.end = token.end;
+    } else {
+      phrases.push({ start: token.start, end: token.end });
+    }
+  });
+  result.unparsed = phrases.map(({ start, end }) => text.slice(start, end));
+
+  result.dates = [...allDates].sort((a, b) => a - b).map(dayKey);
+  result.timesOfDay = [...timesOfDay];
+  return result;
+}
+
+// ============================================================================
+// USER CALENDAR - TIMEZONE, LOCALE AND CLOCK
+// ============================================================================
+
+/**
+ * The default clock. Every "now" in this module goes through a clock
+ * function so tests can pass a fixed one: `() => new Date('2025-10-28T12:00:00Z')`.
+ */
+const systemClock = () => new Date();
+
+// "2025-10-28", "2025-10-28T12:00:00" or "2025-10-28T23:30:00+11:00" - anything but a UTC "Z" time
+const WALL_CLOCK_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:$|T(?!.*Z$))/i;
+
 /**
- * Parse date strings in natural language format into Date objects.
+ * Build a 400 error for invalid date options.
+ */
+function dateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Calendar date of an instant in an IANA timezone.
+ */
+function dateInTimeZone(instant, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(instant);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month') - 1, day: get('day') };
+}
+
+/**
+ * Work out the user's "today" and how they write numeric dates.
+ * 
+ * Server time is never used for the date: a musician in Sydney at 8am on
+ * October 29 is at 21:00 UTC on October 28, and their follow-ups must count
+ * from the 29th.
  * 
- * SUPPORTED FORMATS:
- * - "November 9-26th" - Full month name with date range
- * - "Nov 9-26" - Abbreviated month with date range
- * - "December 5" - Single date
- * - "Dec 5th" - Single date with ordinal suffix
+ * HOW "TODAY" IS CHOSEN:
+ * 1. currentDate (or the clock, if there's none) read in `timeZone`, when given
+ * 2. Otherwise the date written in currentDate, if it has a UTC offset or
+ *    no time zone at all ("2025-10-29T08:00:00+11:00", "2025-10-29")
+ * 3. Otherwise the UTC date of currentDate or the clock
+ * 
+ * @param {Object} [input] - Request fields
+ * @param {string} [input.currentDate] - ISO 8601 date/time from the user's browser
+ * @param {string} [input.timeZone] - IANA timezone, e.g. "Australia/Sydney"
+ * @param {string} [input.locale] - BCP 47 locale, e.g. "en-AU" (numeric date order)
+ * @param {Function} [clock=systemClock] - Returns "now" when currentDate is missing
+ * @returns {{ today: Date, dayFirst: boolean }} today is UTC midnight of the
+ *   user's calendar date; dayFirst is true when the locale writes 9/11 for 9 November
+ * @throws {Error} status 400 if currentDate, timeZone or locale is invalid
+ */
+function resolveUserCalendar({ currentDate, timeZone, locale } = {}, clock = systemClock) {
+  if (timeZone !== undefined && timeZone !== null) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (_) {
+      throw dateError(`Unknown timeZone "${timeZone}" (expected an IANA name like "America/New_York")`);
+    }
+  }
+
+  let dayFirst = false;
+  if (locale !== undefined && locale !== null) {
+    try {
+      const order = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+        .formatToParts(new Date(Date.UTC(2000, 10, 22)))
+        .map(part => part.type);
+      dayFirst = order.indexOf('day') < order.indexOf('month');
+    } catch (_) {
+      throw dateError(`Invalid locale "${locale}" (expected a language tag like "en-US")`);
+    }
+  }
+
+  let instant;
+  if (currentDate !== undefined && currentDate !== null && currentDate !== '') {
+    instant = typeof currentDate === 'string' ? new Date(currentDate) : new Date(NaN);
+    if (Number.isNaN(instant.getTime())) {
+      throw dateError('currentDate must be an ISO 8601 date, e.g. "2025-10-28T12:00:00Z"');
+    }
+  } else {
+    instant = clock();
+  }
+
+  const written = typeof currentDate === 'string' && currentDate.match(WALL_CLOCK_DATE_PATTERN);
+  let date;
+  if (timeZone && !(written && !/[+-]\d{2}:?\d{2}$/.test(currentDate))) {
+    date = dateInTimeZone(instant, timeZone);
+  } else if (written) {
+    date = { year: Number(written[1]), month: Number(written[2]) - 1, day: Number(written[3]) };
+  } else {
+    date = { year: instant.getUTCFullYear(), month: instant.getUTCMonth(), day: instant.getUTCDate() };
+  }
+
+  return { today: new Date(Date.UTC(date.year, date.month, date.day)), dayFirst };
+}
+
+/**
+ * Parse date strings in natural language format into date ranges.
  * 
- * BEHAVIOR:
- * - Uses provided currentYear for date construction
- * - If parsed date is in the past, assumes next year
- * - Handles both date ranges (9-26) and single dates (5)
- * - Returns empty array if date string can't be parsed
+ * Kept for existing callers - parseAvailability has the full grammar and
+ * reports what it couldn't parse. Consecutive dates are merged into ranges.
  * 
  * EXAMPLES:
  * parseDateRanges("November 9-26th", 2025) 
  * // => [{ start: Date(2025-11-09), end: Date(2025-11-26) }]
  * 
- * parseDateRanges("Dec 1-15", 2025)
- * // => [{ start: Date(2025-12-01), end: Date(2025-12-15) }]
+ * parseDateRanges("Nov 28 - Dec 3, Dec 5", 2025)
+ * // => [{ start: Date(2025-11-28), end: Date(2025-12-03) }, { start: Date(2025-12-05), end: Date(2025-12-05) }]
  * 
  * @param {string} dateStr - The date string to parse (e.g., "November 9-26th")
  * @param {number} currentYear - The year to use for parsing (e.g., 2025)
- * @returns {Array<{start: Date, end: Date}>} Array of date range objects
+ * @param {Object} [options]
+ * @param {Function} [options.clock=systemClock] - Returns "now"; dates that have
+ *   passed roll over to next year only when currentYear is the clock's year
+ * @returns {Array<{start: Date, end: Date}>} Array of date range objects (UTC midnight)
  */
-function parseDateRanges(dateStr, currentYear) {
-  if (!dateStr || typeof dateStr !== 'string') {
-    return [];
+function parseDateRanges(dateStr, currentYear, { clock = systemClock } = {}) {
+  const now = clock();
+  const referenceDate = now.getUTCFullYear() === currentYear ? now : new Date(Date.UTC(currentYear, 0, 1));
+  const { dates } = parseAvailability(dateStr, { referenceDate });
+  return groupConsecutiveDates(dates).map(({ start, end }) => ({ start: new Date(start), end: new Date(end) }));
+}
+
+/**
+ * Group sorted "YYYY-MM-DD" dates into runs of consecutive days.
+ * 
+ * @param {string[]} dates - Sorted date keys
+ * @returns {Array<{start: string, end: string}>} Runs (start/end as date keys)
+ */
+function groupConsecutiveDates(dates) {
+  const runs = [];
+  for (const date of dates) {
+    const day = Date.parse(date) / DAY_MS;
+    const run = runs[runs.length - 1];
+    if (run && day === run.endDay + 1) {
+      run.end = date;
+      run.endDay = day;
+    } else {
+      runs.push({ start: date, end: date, endDay: day });
+    }
   }
+  return runs.map(({ start, end }) => ({ start, end }));
+}
 
-  const ranges = [];
-  const cleaned = dateStr.trim();
-  
-  // Month name patterns
-  const monthNames = {
-    january: 0, jan: 0,
-    february: 1, feb: 1,
-    march: 2, mar: 2,
-    april: 3, apr: 3,
-    may: 4,
-    june: 5, jun: 5,
-    july: 6, jul: 6,
-    august: 7, aug: 7,
-    september: 8, sep: 8, sept: 8,
-    october: 9, oct: 9,
-    november: 10, nov: 10,
-    december: 11, dec: 11
-  };
+// ============================================================================
+// AVAILABILITY FORMATTING
+// ============================================================================
 
-  // Pattern: "November 9-26th" or "Nov 9-26" or "November 9-26"
-  const rangePattern = /(\w+)\s+(\d+)\s*-\s*(\d+)(?:st|nd|rd|th)?/gi;
-  let match;
-  
-  while ((match = rangePattern.exec(cleaned)) !== null) {
-    const monthStr = match[1].toLowerCase();
-    const startDay = parseInt(match[2]);
-    const endDay = parseInt(match[3]);
-    
-    if (monthNames.hasOwnProperty(monthStr)) {
-      const month = monthNames[monthStr];
-      const startDate = new Date(currentYear, month, startDay);
-      const endDate = new Date(currentYear, month, endDay);
-      
-      // If dates are in the past, try next year
-      const now = new Date();
-      if (endDate < now) {
-        startDate.setFullYear(currentYear + 1);
-        endDate.setFullYear(currentYear + 1);
-      }
-      
-      ranges.push({ start: startDate, end: endDate });
+const WEEKDAY_ABBREVIATIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Runs of consecutive days this short are listed day by day ("Fri Nov 14 and Sat Nov 15")
+const MAX_LISTED_RUN = 2;
+
+// Weekday-filtered dates ("weekends in November") are listed day by day once
+// this few are left
+const MAX_LISTED_DAYS = 3;
+
+/** { year, month, day, dayNumber } of a "YYYY-MM-DD" key. */
+function readKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month: month - 1, day, dayNumber: toDayNumber(year, month - 1, day) };
+}
+
+/** "Fri Nov 14", or "Fri Jan 2, 2026" outside `year` */
+function formatDay(key, year = readKey(key).year) {
+  const { month, day, dayNumber, year: dayYear } = readKey(key);
+  const text = `${WEEKDAY_ABBREVIATIONS[new Date(dayNumber * DAY_MS).getUTCDay()]} ${MONTH_NAMES[month].slice(0, 3)} ${day}`;
+  return dayYear === year ? text : `${text}, ${dayYear}`;
+}
+
+/** The year dates are described from: fromDate's, else the first date's */
+function baseYear(fromDate, firstDate) {
+  const key = fromDate || firstDate;
+  return key ? readKey(key).year : null;
+}
+
+/** "A", "A and B", "A, B and C" */
+function joinPhrases(phrases) {
+  if (phrases.length <= 1) return phrases.join('');
+  return `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+}
+
+/**
+ * Describe a span of days: "November 9-26", "November 28 - December 3", or
+ * "all of December" for a whole month. The year is added outside `year`
+ * ("all of January 2027") and on both ends of a span that crosses one
+ * ("December 28, 2025 - January 3, 2026").
+ * 
+ * @param {string} start - First day key
+ * @param {string} end - Last day key
+ * @param {boolean} [after=false] - The span follows a qualifier ("weekends ..."):
+ *   "in December", "between November 9 and 26"
+ * @param {number} [year] - The year that goes without saying (defaults to start's)
+ */
+function formatSpan(start, end, after = false, year = readKey(start).year) {
+  const from = readKey(start);
+  const to = readKey(end);
+  const sameMonth = from.year === to.year && from.month === to.month;
+  const crossesYear = from.year !== to.year;
+  const showYear = crossesYear || from.year !== year;
+  if (sameMonth && from.day === 1 && to.day === daysInMonth(to.year, to.month)) {
+    return `${after ? 'in' : 'all of'} ${MONTH_NAMES[from.month]}${showYear ? ` ${from.year}` : ''}`;
+  }
+  if (start === end) return `${after ? 'on ' : ''}${MONTH_NAMES[from.month]} ${from.day}${showYear ? `, ${from.year}` : ''}`;
+  const first = `${MONTH_NAMES[from.month]} ${from.day}${crossesYear ? `, ${from.year}` : ''}`;
+  const last = `${sameMonth ? to.day : `${MONTH_NAMES[to.month]} ${to.day}`}${showYear ? `, ${to.year}` : ''}`;
+  return after
+    ? `between ${first} and ${last}`
+    : `${first}${sameMonth ? '-' : ' - '}${last}`;
+}
+
+/**
+ * Describe plain dates as ranges and single days, e.g.
+ * "November 9-12, Fri Nov 14 and December 1-23 and 27-31".
+ */
+function formatRuns(dates, year) {
+  const phrases = [];
+  let rangeMonth = null; // Month of the previous range, so "and 27-31" can skip it
+
+  for (const { start, end } of groupConsecutiveDates(dates)) {
+    const from = readKey(start);
+    const to = readKey(end);
+    if (to.dayNumber - from.dayNumber + 1 <= MAX_LISTED_RUN) {
+      for (let day = from.dayNumber; day <= to.dayNumber; day++) phrases.push(formatDay(dayKey(day), year));
+      rangeMonth = null;
+    } else if (rangeMonth === `${from.year}-${from.month}` && from.month === to.month && from.year === to.year) {
+      phrases.push(`${from.day}-${to.day}`);
+    } else {
+      phrases.push(formatSpan(start, end, false, year));
+      rangeMonth = `${to.year}-${to.month}`;
     }
   }
+  return joinPhrases(phrases);
+}
 
-  // Pattern: "December 5" or "Dec 5th" (single date)
-  const singlePattern = /(\w+)\s+(\d+)(?:st|nd|rd|th)?(?:\s|,|$)/gi;
-  while ((match = singlePattern.exec(cleaned)) !== null) {
-    const monthStr = match[1].toLowerCase();
-    const day = parseInt(match[2]);
-    
-    if (monthNames.hasOwnProperty(monthStr)) {
-      const month = monthNames[monthStr];
-      const date = new Date(currentYear, month, day);
-      
-      const now = new Date();
-      if (date < now) {
-        date.setFullYear(currentYear + 1);
-      }
-      
-      ranges.push({ start: date, end: date });
+/**
+ * Describe the dates of one weekday-filtered segment in the user's words:
+ * "weekends in November", "weekends between November 21 and 30",
+ * "all of November except Mondays", or "Fri Nov 28, Sat Nov 29 and Sun Nov 30"
+ * once only a few are left.
+ */
+function formatQualifiedSegment(segment, dates, fromDate, year) {
+  const day = key => formatDay(key, year);
+  if (dates.length <= MAX_LISTED_DAYS) return joinPhrases(dates.map(day));
+
+  // Keep the user's span while it's untouched; once it has started, it starts at the first day left
+  const start = fromDate > segment.start ? dates[0] : segment.start;
+  const exceptions = segment.exceptions.filter(date => date >= start);
+  if (exceptions.length > MAX_LISTED_DAYS) return formatRuns(dates, year);
+
+  const phrase = segment.include
+    ? `${segment.include} ${formatSpan(start, segment.end, true, year)}`
+    : formatSpan(start, segment.end, false, year);
+  const except = [segment.exclude, ...exceptions.map(day)].filter(Boolean);
+  return except.length > 0 ? `${phrase} except ${joinPhrases(except)}` : phrase;
+}
+
+/**
+ * Describe a plain list of dates, e.g. "November 9-12, Fri Nov 14 and December 1-5".
+ * The text reads back through parseAvailability as the same dates (for
+ * dates less than a year ahead).
+ * 
+ * @param {string[]} dates - "YYYY-MM-DD" keys
+ * @param {string} [fromDate=''] - "YYYY-MM-DD" the text is read on; dates in
+ *   another year get ", YYYY" (defaults to the first date)
+ * @returns {string} Availability text ("" for no dates)
+ */
+function formatDates(dates, fromDate = '') {
+  const sorted = [...new Set(dates)].sort();
+  return sorted.length === 0 ? '' : formatRuns(sorted, baseYear(fromDate, sorted[0]));
+}
+
+/**
+ * Describe parsed availability the way the musician wrote it.
+ * 
+ * - Qualifiers are kept: "weekends in November", "Tuesday evenings",
+ *   "November 18-26 (evenings)"
+ * - Short runs become weekday-aware days: "Fri Nov 14 and Sat Nov 15"
+ *   (never "November 11-11")
+ * - Once fromDate cuts into a span, only what's left is described:
+ *   "weekends in November" -> "weekends between November 21 and 30" ->
+ *   "Fri Nov 28, Sat Nov 29 and Sun Nov 30"
+ * - Dates split by exclusions share the month: "December 1-23 and 27-31";
+ *   ranges that meet are merged: "November 28 - December 3"
+ * - Dates outside fromDate's year carry it: "all of January 2027",
+ *   "December 28, 2025 - January 3, 2026"
+ * 
+ * @param {Object} parsed - Result of parseAvailability
+ * @param {string} [fromDate=''] - "YYYY-MM-DD"; earlier dates are left out
+ *   (without it, the year goes without saying for the first date's)
+ * @returns {string} e.g. "November 18-26, weekends in December, Tuesdays" ("" if nothing is left)
+ */
+function formatAvailability({ segments = [], recurring = [] }, fromDate = '') {
+  const phrases = [];
+  const plain = new Map(); // Dates without a weekday qualifier, by time of day
+  const firstDate = segments.flatMap(segment => segment.dates.filter(date => date >= fromDate)).sort()[0];
+  const year = baseYear(fromDate, firstDate);
+
+  for (const segment of segments) {
+    const dates = segment.dates.filter(date => date >= fromDate);
+    if (dates.length === 0) continue;
+    const times = segment.timesOfDay.join(', ');
+    if (!segment.include && !segment.exclude) {
+      plain.set(times, [...(plain.get(times) || []), ...dates]);
+    } else {
+      phrases.push({ first: dates[0], times, text: formatQualifiedSegment(segment, dates, fromDate, year) });
     }
   }
+  for (const [times, dates] of plain) {
+    const sorted = [...new Set(dates)].sort();
+    phrases.push({ first: sorted[0], times, text: formatRuns(sorted, year) });
+  }
 
-  return ranges;
+  const described = phrases
+    .sort((a, b) => a.first.localeCompare(b.first))
+    .map(({ text, times }) => times ? `${text} (${times})` : text);
+  recurring.forEach(({ text }) => described.push(text));
+  return described.join(', ');
 }
 
 /**
@@ -129,13 +860,14 @@ function parseDateRanges(dateStr, currentYear) {
  * This is the MAIN FUNCTION of this module - called by all email generation endpoints.
  * 
  * WHAT IT DOES:
- * 1. Calculates when the email will actually be sent (current date + daysFromNow)
+ * 1. Calculates when the email will actually be sent (user's date + daysFromNow,
+ *    in the user's timezone - see resolveUserCalendar)
  * 2. Parses the user's availability string into date ranges
  * 3. Filters out dates that will have passed by the time email is sent
  * 4. Adjusts start dates that are before email send date
  * 5. Returns validity status and filtered availability string
  * 
- * FOLLOW-UP SCHEDULE:
+ * FOLLOW-UP SCHEDULE (standard cadence - callers pass the wait days of their cadence):
  * - Email 1: daysFromNow = 7   (sends 7 days after initial email)
  * - Email 2: daysFromNow = 14  (sends 14 days after initial email)
  * - Email 3: daysFromNow = 21
@@ -156,90 +888,67 @@ function parseDateRanges(dateStr, currentYear) {
  * {
  *   hasValidDates: boolean     - true if any dates still valid, false if all expired
  *   filteredAvailability: string  - Reconstructed date string or empty string
+ *   unparsed: string[]         - Parts of the input that couldn't be understood
+ *   sendDate: string           - "YYYY-MM-DD" the email goes out, in the user's calendar
  * }
  * 
  * When hasValidDates = false, the AI prompt is adjusted to NOT mention artist dates,
  * only ask about venue's available dates.
  * 
+ * Text the parser doesn't understand is left out of filteredAvailability (it
+ * could be dates that have already passed) and returned in `unparsed`.
+ * 
  * @param {string} availability - The availability string from user input (e.g., "November 9-26th")
  * @param {number} daysFromNow - How many days from now the email will be sent (7, 14, 21, etc.)
  * @param {string} userCurrentDate - ISO 8601 date string of user's current date/time
- * @returns {Object} { hasValidDates: boolean, filteredAvailability: string }
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - User's IANA timezone (see resolveUserCalendar)
+ * @param {string} [options.locale] - User's locale, for numeric dates
+ * @param {Function} [options.clock=systemClock] - Used when userCurrentDate is missing
+ * @returns {Object} { hasValidDates: boolean, filteredAvailability: string, unparsed: string[], sendDate: string }
+ * @throws {Error} status 400 if the date, timezone or locale is invalid
  */
-function filterAvailabilityByDate(availability, daysFromNow, userCurrentDate) {
+function filterAvailabilityByDate(availability, daysFromNow, userCurrentDate, { timeZone, locale, clock = systemClock } = {}) {
+  // Calculate when this email will be sent, in the user's calendar
+  const { today, dayFirst } = resolveUserCalendar({ currentDate: userCurrentDate, timeZone, locale }, clock);
+  const sendDate = dayKey(today.getTime() / DAY_MS + daysFromNow);
+
   // Handle empty or "OPEN" cases
-  if (!availability || availability.trim() === '' || availability.toUpperCase() === 'OPEN') {
-    return { hasValidDates: false, filteredAvailability: '' };
+  if (!availability || availability.trim() === '' || OPEN_PATTERN.test(availability)) {
+    return { hasValidDates: false, filteredAvailability: '', unparsed: [], sendDate };
   }
 
-  // Calculate when this email will be sent
-  const currentDate = userCurrentDate ? new Date(userCurrentDate) : new Date();
-  const emailSendDate = new Date(currentDate);
-  emailSendDate.setDate(emailSendDate.getDate() + daysFromNow);
-  
-  // Parse the date ranges from the availability string
-  const currentYear = currentDate.getFullYear();
-  const dateRanges = parseDateRanges(availability, currentYear);
-  
-  if (dateRanges.length === 0) {
-    // Could not parse dates, return original
-    return { hasValidDates: true, filteredAvailability: availability };
-  }
+  // Parse the availability into dates; keep only those on or after the send date
+  const parsed = parseAvailability(availability, { referenceDate: today, dayFirst });
 
-  // Filter out ranges that have completely passed by the time email is sent
-  const validRanges = dateRanges.filter(range => {
-    // Keep range if end date is after or on the email send date
-    return range.end >= emailSendDate;
-  });
+  // Recurring availability ("weekends") never expires. Unparsed text is
+  // dropped - it may hold dates that have already passed - and reported instead.
+  const filteredAvailability = formatAvailability(parsed, sendDate);
 
-  if (validRanges.length === 0) {
-    // All dates have passed
-    return { hasValidDates: false, filteredAvailability: '' };
+  if (filteredAvailability === '') {
+    // All dates have passed (or nothing could be parsed)
+    return { hasValidDates: false, filteredAvailability: '', unparsed: parsed.unparsed, sendDate };
   }
 
-  // Adjust start dates if they're before the email send date
-  const adjustedRanges = validRanges.map(range => {
-    if (range.start < emailSendDate) {
-      // Move start date to the email send date
-      return { start: emailSendDate, end: range.end };
-    }
-    return range;
-  });
-
-  // Reconstruct the availability string with valid dates
-  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                      'July', 'August', 'September', 'October', 'November', 'December'];
-  
-  const rangeStrings = adjustedRanges.map(range => {
-    const startMonth = monthNames[range.start.getMonth()];
-    const startDay = range.start.getDate();
-    const endDay = range.end.getDate();
-    
-    if (range.start.getTime() === range.end.getTime()) {
-      // Single date
-      return `${startMonth} ${startDay}`;
-    } else {
-      // Date range
-      return `${startMonth} ${startDay}-${endDay}`;
-    }
-  });
-
-  const filteredAvailability = rangeStrings.join(', ');
-  
-  return { hasValidDates: true, filteredAvailability };
+  return { hasValidDates: true, filteredAvailability, unparsed: parsed.unparsed, sendDate };
 }
 
 /**
  * Get wait days for a specific email index
- * @param {number} emailIndex - The index of the follow-up email (0-6)
+ * @param {number} emailIndex - The index of the follow-up email (0-based)
+ * @param {number[]} [waitDays=CADENCE_PRESETS.standard] - The cadence (see cadence.js)
  * @returns {number} Number of days to wait
  */
-function getWaitDays(emailIndex) {
-  const waitDays = [7, 14, 21, 31, 41, 51, 61];
+function getWaitDays(emailIndex, waitDays = CADENCE_PRESETS.standard) {
   return waitDays[emailIndex] || 0;
 }
 
 module.exports = {
+  systemClock,
+  resolveUserCalendar,
+  parseAvailability,
+  formatAvailability,
+  formatDates,
   parseDateRanges,
   filterAvailabilityByDate,
   getWaitDays
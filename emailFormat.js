@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * EMAIL FORMAT - STRUCTURED (JSON) MODEL OUTPUT
+ * ============================================================================
+ *
+ * The model is asked to return every email as a JSON object instead of
+ * free text. This module parses that object, validates it against the email
+ * schema and assembles the plain-text body the rest of the app expects.
+ *
+ * WHY:
+ * The old format ("SUBJECT: ..." + blank line + body) was split on the first
+ * blank line. A blank line after the greeting, or a missing "SUBJECT:"
+ * prefix, turned the greeting into the subject and broke the body.
+ *
+ * EMAIL SCHEMA:
+ * {
+ *   subject: string        - 2-5 words, plain text, single line
+ *   greeting: string       - e.g. "Hi {{firstname}}" (no comma)
+ *   paragraphs: string[]   - 1-5 body paragraphs (pitch, video link, availability)
+ *   callToAction: string   - Closing question asking for dates/booking
+ *   disclaimer: string     - Opt-out line for follow-ups, "" when not used
+ *   signature: string      - Signature block, line breaks preserved
+ * }
+ *
+ * INTEGRATION:
+ * Used by emailGenerator.js (generateStructuredEmail) and the index.js routes.
+ * ============================================================================
+ */
+
+/**
+ * Output instructions appended to every email prompt. Replaces the old
+ * "SUBJECT:" + blank line layout.
+ */
+const EMAIL_OUTPUT_FORMAT = `OUTPUT FORMAT - RESPOND WITH JSON ONLY:
+Return exactly one JSON object (no markdown, no code fences, no commentary) with these fields:
+{
+  "subject": "2-5 word subject line, plain text, NO merge tags, NO 'SUBJECT:' prefix",
+  "greeting": "The salutation only, e.g. \\"Hi {{firstname}}\\" - NO comma",
+  "paragraphs": ["First paragraph (uses {{venue}} once)", "Further paragraphs incl. video link and availability"],
+  "callToAction": "The closing call-to-action question",
+  "disclaimer": "The opt-out message if one was provided in the inputs, otherwise an empty string",
+  "signature": "The signature block exactly as provided, using \\n for line breaks"
+}`;
+
+const MAX_PARAGRAPHS = 5;
+
+/**
+ * Safely extract JSON from a model response that may include markdown code fences or extra text.
+ *
+ * The AI sometimes returns JSON wrapped in ```json``` code fences or with explanatory text.
+ * This function tries multiple strategies to extract valid JSON:
+ * 1. Try parsing directly
+ * 2. Remove code fences and try again
+ * 3. Find JSON array markers [ ] and extract
+ * 4. Find JSON object markers { } and extract
+ *
+ * @param {string} text - Raw text from the model response
+ * @returns {object|array} Parsed JSON object or array
+ * @throws {Error} If no valid JSON can be extracted
+ */
+function extractJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    const withoutFences = text.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '');
+    try {
+      return JSON.parse(withoutFences);
+    } catch (_) {
+      const arrStart = withoutFences.indexOf('[');
+      const arrEnd = withoutFences.lastIndexOf(']');
+      const objStart = withoutFences.indexOf('{');
+      const objEnd = withoutFences.lastIndexOf('}');
+      if (arrStart !== -1 && arrEnd > arrStart) {
+        try { return JSON.parse(withoutFences.slice(arrStart, arrEnd + 1)); } catch (_) {}
+      }
+      if (objStart !== -1 && objEnd > objStart) {
+        try { return JSON.parse(withoutFences.slice(objStart, objEnd + 1)); } catch (_) {}
+      }
+      throw new Error('Model response is not valid JSON');
+    }
+  }
+}
+
+/**
+ * Check a parsed object against the email schema.
+ *
+ * @param {*} parts - Parsed model output
+ * @returns {string[]} Schema errors (empty when valid)
+ */
+function validateEmailParts(parts) {
+  if (!parts || typeof parts !== 'object' || Array.isArray(parts)) {
+    return ['response must be a JSON object'];
+  }
+
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+  if (!isText(parts.subject)) {
+    errors.push('subject must be a non-empty string');
+  } else if (/\n/.test(parts.subject.trim())) {
+    errors.push('subject must be a single line');
+  }
+  if (!isText(parts.greeting)) {
+    errors.push('greeting must be a non-empty string');
+  }
+  if (!Array.isArray(parts.paragraphs) || parts.paragraphs.length === 0) {
+    errors.push('paragraphs must be a non-empty array of strings');
+  } else if (parts.paragraphs.length > MAX_PARAGRAPHS) {
+    errors.push(`paragraphs must have at most ${MAX_PARAGRAPHS} entries`);
+  } else if (!parts.paragraphs.every(isText)) {
+    errors.push('every paragraph must be a non-empty string');
+  }
+  if (!isText(parts.callToAction)) {
+    errors.push('callToAction must be a non-empty string');
+  }
+  if (parts.disclaimer !== undefined && parts.disclaimer !== null && typeof parts.disclaimer !== 'string') {
+    errors.push('disclaimer must be a string');
+  }
+  if (parts.signature !== undefined && parts.signature !== null && typeof parts.signature !== 'string') {
+    errors.push('signature must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Trim and fill defaults on schema-valid parts. Strips a stray "SUBJECT:"
+ * prefix the model sometimes adds out of habit.
+ *
+ * @param {Object} parts - Schema-valid parts
+ * @returns {Object} Normalized parts
+ */
+function normalizeEmailParts(parts) {
+  return {
+    subject: parts.subject.trim().replace(/^SUBJECT:\s*/i, ''),
+    greeting: parts.greeting.trim(),
+    paragraphs: parts.paragraphs.map(p => p.trim()),
+    callToAction: parts.callToAction.trim(),
+    disclaimer: (parts.disclaimer || '').trim(),
+    signature: (parts.signature || '').trim()
+  };
+}
+
+/**
+ * Parse and validate a model response.
+ *
+ * Tries a strict JSON.parse first, then falls back to extractJson for
+ * responses wrapped in code fences or surrounded by chatter.
+ *
+ * @param {string} content - Raw model output
+ * @returns {{ parts: Object|null, errors: string[] }} Normalized parts, or the reasons it failed
+ */
+function parseEmailResponse(content) {
+  let parsed;
+  try {
+    parsed = extractJson(String(content || ''));
+  } catch (error) {
+    return { parts: null, errors: [error.message] };
+  }
+
+  const errors = validateEmailParts(parsed);
+  if (errors.length > 0) {
+    return { parts: null, errors };
+  }
+  return { parts: normalizeEmailParts(parsed), errors: [] };
+}
+
+/**
+ * Assemble the plain-text email body (everything below the subject line).
+ *
+ * @param {Object} parts - Normalized email parts
+ * @returns {string} Greeting, paragraphs, call-to-action, disclaimer and signature separated by blank lines
+ */
+function assembleEmailBody(parts) {
+  return [
+    parts.greeting,
+    ...parts.paragraphs,
+    parts.callToAction,
+    parts.disclaimer,
+    parts.signature
+  ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  EMAIL_OUTPUT_FORMAT,
+  extractJson,
+  validateEmailParts,
+  parseEmailResponse,
+  assembleEmailBody
+};
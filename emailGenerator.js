@@ -1,22 +1,24 @@
 /**
  * ============================================================================
- * EMAIL GENERATOR - PROMPT BUILDING & OPENAI API INTERFACE
+ * EMAIL GENERATOR - PROMPT BUILDING & MODEL INTERFACE
  * ============================================================================
  * 
- * This module handles building AI prompts and calling the OpenAI API.
+ * This module handles building AI prompts and calling the configured LLM provider.
  * 
  * KEY RESPONSIBILITIES:
  * - Build detailed prompts from user input
  * - Extract music keywords from infoDump for subject line generation
- * - Call OpenAI API with proper configuration
+ * - Call the LLM provider (OpenAI, local server or fixture) with proper configuration
  * - Return AI-generated content
  * 
  * PROMPT STRUCTURE:
  * The prompt includes:
  * 1. EMAIL_TEMPLATE (400+ line master template with all rules)
- * 2. User inputs (infoDump, videoLinks, emailStyle, signature, availability)
+ * 2. User inputs (infoDump, videoLinks, emailStyle, signature, availability),
+ *    fenced as untrusted content (promptSafety.js)
  * 3. Music keywords extracted from infoDump
- * 4. Critical instructions about video link usage
+ * 4. The recipient venue, for batch emails personalized per venue (optional)
+ * 5. Critical instructions about video link usage
  * 
  * INTEGRATION:
  * Used by index.js endpoints to generate email content.
@@ -26,7 +28,56 @@
  * ============================================================================
  */
 
-const { GPT_MODEL, TEMPERATURE, EMAIL_TEMPLATE } = require('./constants');
+const { TEMPERATURE, EMAIL_TEMPLATE, DEFAULT_LINT_MODE } = require('./constants');
+const { TASKS } = require('./llmProvider');
+const { EMAIL_OUTPUT_FORMAT, parseEmailResponse, assembleEmailBody } = require('./emailFormat');
+const { SEVERITY, LINT_MODES, lintEmail, repairEmail, describeViolations } = require('./emailLinter');
+const { GROUNDING_MODES, verifyEmailClaims } = require('./grounding');
+const { ERROR_CODES, apiError } = require('./apiErrors');
+const { USER_CONTENT_RULES, fenceUserContent, inlineUserContent } = require('./promptSafety');
+
+// How many times generateStructuredEmail asks again after a malformed response
+const MAX_FORMAT_ATTEMPTS = 3;
+
+// How many extra generations lintMode "regenerate" may spend on fatal rule violations
+const MAX_LINT_REGENERATIONS = 2;
+
+// How many extra generations strict grounding may spend on unsupported claims
+const MAX_GROUNDING_REGENERATIONS = 2;
+
+/**
+ * Prompt section describing the venue an email is written for.
+ * 
+ * Batch generation (venueBatch.js) writes one email per venue. The venue's
+ * details go into the prompt so the pitch fits the room, while the email
+ * keeps the {{venue}} and {{firstname}} merge tags for the ESP to fill.
+ * The details come from the user's CSV, so they're fenced like the artist's
+ * inputs.
+ * 
+ * @param {Object} [venue] - { venueName, firstName, city, venueType, genres, notes }
+ * @returns {string} The section (ending in a blank line), or '' without a venue
+ */
+function formatVenueContext(venue) {
+  if (!venue) return '';
+  const details = [
+    venue.venueName && `Venue: ${inlineUserContent(venue.venueName)}`,
+    venue.venueType && `Venue Type: ${inlineUserContent(venue.venueType)}`,
+    venue.city && `City: ${inlineUserContent(venue.city)}`,
+    venue.genres && `Genres They Book: ${inlineUserContent(venue.genres)}`,
+    venue.notes && `Notes: ${inlineUserContent(venue.notes)}`
+  ].filter(Boolean);
+  if (details.length === 0) return '';
+
+  return `
+RECIPIENT VENUE:
+${fenceUserContent('venue', details.join('\n'))}
+
+VENUE PERSONALIZATION:
+- Fit the pitch to this venue: connect the artist's music and experience to the venue type, its crowd and the genres it books
+- Mention the city or the notes only where it reads naturally, and never invent facts about the venue
+- Still write the {{venue}} and {{firstname}} merge tags - never the venue's or contact's actual name
+`;
+}
 
 /**
  * Generate an AI prompt for the initial pitch email.
@@ -47,6 +98,11 @@ const { GPT_MODEL, TEMPERATURE, EMAIL_TEMPLATE } = require('./constants');
  * - Use merge tags {{venue}}, {{firstname}} appropriately
  * - Add signature and unsubscribe instructions
  * 
+ * USER CONTENT:
+ * Every user field goes in fenced (fenceUserContent, promptSafety.js) after
+ * USER_CONTENT_RULES, so "ignore the rules above" in an info dump is read
+ * as text about the artist, not as an instruction.
+ * 
  * MUSIC KEYWORD EXTRACTION:
  * Scans infoDump for genre keywords (jazz, blues, rock, etc.) to help AI
  * create more personalized, relevant subject lines.
@@ -57,85 +113,254 @@ const { GPT_MODEL, TEMPERATURE, EMAIL_TEMPLATE } = require('./constants');
  * @param {string} userData.emailStyle - Preferred email tone (e.g., "Professional", "Casual")
  * @param {string} userData.signatureBlock - Contact information (name, phone, email, website)
  * @param {string} userData.availability - Availability dates (e.g., "November 9-26th", "OPEN")
- * @returns {string} The complete AI prompt ready to send to OpenAI
+ * @param {Object} [userData.venue] - Recipient venue (see formatVenueContext)
+ * @returns {string} The complete AI prompt ready to send to the model
  */
 function generateEmailPrompt(userData) {
-  const { infoDump, videoLinks, emailStyle, signatureBlock, availability } = userData;
+  const { infoDump, videoLinks, emailStyle, signatureBlock, availability, venue } = userData;
   
   // Extract music style/genre hints from infoDump for better subject line generation
   const musicKeywords = infoDump.toLowerCase().match(/(?:jazz|blues|rock|folk|classical|acoustic|pop|electronic|latin|country|indie|soul|r&b|hip.?hop|reggae|world|fusion)/g) || [];
   
+  const videoLink = inlineUserContent(videoLinks[0]);
+
   // Compact the long template to reduce tokens
   const compactEmailTemplate = EMAIL_TEMPLATE.replace(/\n{3,}/g, '\n');
   
   return `${compactEmailTemplate}
 
+${USER_CONTENT_RULES}
+
 INPUTS:
-Artist Messaging: ${infoDump}
+Artist Messaging:
+${fenceUserContent('artist_info', infoDump)}
 Music Keywords: ${musicKeywords.join(', ')}
-Video Links: ${videoLinks.join(', ')}
-Tone Style: ${emailStyle}
-Signature: ${signatureBlock}
-Availability: ${availability}
-
+Video Links: ${videoLinks.map(inlineUserContent).join(', ')}
+Tone Style:
+${fenceUserContent('tone', emailStyle)}
+Signature:
+${fenceUserContent('signature', signatureBlock)}
+Availability:
+${fenceUserContent('availability', availability)}
+${formatVenueContext(venue)}
 Write a short, effective email in that artist's voice.
 
 CRITICAL LINK USAGE:
-- Naturally reference exactly ONE video link in the body with a short lead-in, e.g., "Check out how I sound here: ${videoLinks[0]}", "Quick listen: ${videoLinks[0]}", or "Here’s a recent clip: ${videoLinks[0]}".
+- Naturally reference exactly ONE video link in the body with a short lead-in, e.g., "Check out how I sound here: ${videoLink}", "Quick listen: ${videoLink}", or "Here’s a recent clip: ${videoLink}".
 - Do not list all links; use only the single best link.
-- Place the link inline in a sentence (not on its own line unless it reads naturally).`;
+- Place the link inline in a sentence (not on its own line unless it reads naturally).
+
+${EMAIL_OUTPUT_FORMAT}`;
 }
 
 /**
- * Call OpenAI API to generate email content.
+ * Send a prompt to the configured LLM provider.
  * 
- * This function sends the constructed prompt to OpenAI's chat completions API
- * and returns the AI-generated response.
+ * Every generation route goes through this function, so the choice of backend
+ * (OpenAI, an OpenAI-compatible local server, or the offline fixture) lives in
+ * one place - see llmProvider.js.
  * 
  * API CONFIGURATION:
- * - Model: GPT_MODEL (default: "gpt-4o")
- * - Temperature: TEMPERATURE (default: 0.7)
+ * - Model: options.model, else the provider's default (LLM_MODEL or GPT_MODEL)
+ * - Temperature: options.temperature, else TEMPERATURE (default: 0.7)
  *   Higher temperature (0.7-0.9) = more creative/varied responses
  *   Lower temperature (0.1-0.3) = more focused/consistent responses
  * 
  * RESPONSE FORMAT:
- * The AI returns text in format:
- * "SUBJECT: [subject line here]
- * 
- * [email body here]
- * [continues...]"
+ * For TASKS.EMAIL the model returns a JSON object (see emailFormat.js).
+ * Use generateStructuredEmail() to parse and validate it.
  * 
- * TYPICAL RESPONSE TIME: 5-15 seconds
+ * TYPICAL RESPONSE TIME: 5-15 seconds (instant with the fixture provider)
  * 
- * ERROR HANDLING:
- * - API rate limits: Catch and retry with exponential backoff
- * - Invalid API key: Returns error immediately
- * - Timeout: Set timeout in production (not implemented)
+ * ERROR HANDLING (the resilient provider, modelResilience.js):
+ * - Timeouts, rate limits and network/5xx errors: retried with jittered
+ *   backoff, then the fallback model (LLM_FALLBACK_MODEL) if set
+ * - Invalid API key, rejected request: typed error, not retried
  * 
  * COST CONSIDERATIONS:
  * - GPT-4: ~$0.03 per 1K input tokens, ~$0.06 per 1K output tokens
  * - Typical email generation uses 2K-4K tokens total
  * - Estimated cost per email: $0.10-$0.25
+ * - Every call's tokens and estimated cost are recorded per user and
+ *   campaign by the metered provider (usageMeter.js)
  * 
- * INTEGRATION POINTS:
- * - Add retry logic for rate limits
- * - Add timeout handling for production
- * - Log token usage for cost tracking
- * 
- * @param {Object} openai - OpenAI client instance (initialized in index.js)
+ * @param {Object} provider - LLM provider instance (created in index.js via createProvider)
  * @param {string} prompt - The complete AI prompt with template + user input
- * @returns {Promise<Object>} OpenAI API completion response object
- * @throws {Error} If API call fails (rate limit, invalid key, timeout, etc.)
+ * @param {Object} [options]
+ * @param {string} [options.task=TASKS.EMAIL] - Expected output kind (see llmProvider.js)
+ * @param {number} [options.temperature=TEMPERATURE] - Creativity level (0.0-1.0)
+ * @param {string} [options.model] - Override the provider's default model
+ * @param {Object} [options.context] - Structured inputs behind the prompt (used by the fixture provider)
+ * @param {Function} [options.onDelta] - Stream the response: called with each text chunk
+ * @returns {Promise<{content: string, model: string, usage: Object|null}>} Model output
+ * @throws {Error} If the provider call fails (rate limit, invalid key, timeout, etc.)
  */
-async function callOpenAI(openai, prompt) {
-  return await openai.chat.completions.create({
-    model: GPT_MODEL,           // AI model to use (gpt-4o, gpt-4, gpt-3.5-turbo, etc.)
+async function callModel(provider, prompt, options = {}) {
+  const { task = TASKS.EMAIL, temperature = TEMPERATURE, model, json = false, context = {}, onDelta } = options;
+  return await provider.complete({
     messages: [{ role: "user", content: prompt }],  // User message with full prompt
-    temperature: TEMPERATURE,    // Creativity level (0.0-1.0)
+    model,                       // undefined = provider default
+    temperature,                 // Creativity level (0.0-1.0)
+    json,                        // Ask the provider for a JSON-only response
+    task,
+    context,
+    onDelta                      // undefined = wait for the whole response
   });
 }
 
+/**
+ * Generate one email as structured JSON and validate it.
+ * 
+ * The prompt must include EMAIL_OUTPUT_FORMAT (generateEmailPrompt does; the
+ * follow-up prompts in index.js append it). If the response isn't valid JSON
+ * or doesn't match the email schema, the model is asked again with the
+ * validation errors appended - up to MAX_FORMAT_ATTEMPTS calls in total.
+ * 
+ * @param {Object} provider - LLM provider instance
+ * @param {string} prompt - Complete prompt including EMAIL_OUTPUT_FORMAT
+ * @param {Object} [options] - Same options as callModel, plus:
+ * @param {number} [options.maxAttempts=MAX_FORMAT_ATTEMPTS] - Total calls before giving up
+ * @param {Function} [options.onRetry] - Called with the reason whenever a response is
+ *   discarded and the model asked again (lets streaming clients clear partial output)
+ * @returns {Promise<{subject: string, body: string, parts: Object, attempts: number}>}
+ *   body is the assembled plain text (no unsubscribe footer); parts holds
+ *   greeting, paragraphs, callToAction, disclaimer and signature separately
+ * @throws {Error} If every attempt returns malformed output, or the provider call fails
+ */
+async function generateStructuredEmail(provider, prompt, options = {}) {
+  const { maxAttempts = MAX_FORMAT_ATTEMPTS, onRetry, ...callOptions } = options;
+  let currentPrompt = prompt;
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { content } = await callModel(provider, currentPrompt, { ...callOptions, task: TASKS.EMAIL, json: true });
+    const { parts, errors } = parseEmailResponse(content);
+
+    if (parts) {
+      const { subject, ...bodyParts } = parts;
+      return { subject, body: assembleEmailBody(parts), parts: bodyParts, attempts: attempt };
+    }
+
+    lastErrors = errors;
+    console.warn(`Email response failed schema validation (attempt ${attempt}/${maxAttempts}):`, errors.join('; '));
+    if (attempt < maxAttempts && onRetry) onRetry(`format: ${errors.join('; ')}`);
+    currentPrompt = `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED: ${errors.join('; ')}.
+Respond again with ONLY the JSON object described in OUTPUT FORMAT.`;
+  }
+
+  throw apiError(502, ERROR_CODES.MODEL_OUTPUT_INVALID, `Model response did not match the email format after ${maxAttempts} attempts: ${lastErrors.join('; ')}`);
+}
+
+/**
+ * Generate one email and enforce the EMAIL_TEMPLATE rules on it.
+ * 
+ * Wraps generateStructuredEmail with the rule linter (emailLinter.js):
+ * - "report":     lint and return violations only
+ * - "repair":     deterministically fix fixable fatal violations
+ *                 (merge tags in subject, greeting format, banned "venue", {{venue}} placement...)
+ * - "regenerate": ask the model again (up to MAX_LINT_REGENERATIONS times) with the
+ *                 violations listed, then repair whatever is still fixable
+ * 
+ * When options.grounding is given, every factual claim in the finished email
+ * is also matched back to the user's input (grounding.js). In "strict" mode
+ * unsupported claims trigger up to MAX_GROUNDING_REGENERATIONS new attempts,
+ * after which the email is rejected with a 422 error.
+ * 
+ * @param {Object} provider - LLM provider instance
+ * @param {string} prompt - Complete prompt including EMAIL_OUTPUT_FORMAT
+ * @param {Object} [options] - Same options as generateStructuredEmail (incl. onDelta/onRetry), plus:
+ * @param {string} [options.lintMode=DEFAULT_LINT_MODE] - "report" | "repair" | "regenerate"
+ * @param {Object} [options.lintOptions] - Passed to lintEmail ({ greeting, videoLinks })
+ * @param {Object} [options.grounding] - { sources: string[] (infoDump first), mode: "flag" | "strict" }
+ * @returns {Promise<{subject: string, body: string, parts: Object, lint: Object, grounding: Object|null}>}
+ *   lint = { valid, violations, repaired: string[], regenerations: number }
+ *   grounding = { supported, claims, unsupported, regenerations } (null when not requested)
+ * @throws {Error} status 422 with details.grounding when strict grounding fails
+ */
+async function generateCheckedEmail(provider, prompt, options = {}) {
+  const { lintMode = DEFAULT_LINT_MODE, lintOptions = {}, grounding: groundingOptions, ...generateOptions } = options;
+  const { onRetry = () => {} } = generateOptions;
+
+  const generate = async (currentPrompt) => {
+    const { subject, parts } = await generateStructuredEmail(provider, currentPrompt, generateOptions);
+    return { subject, ...parts };
+  };
+
+  const generateLinted = async (basePrompt) => {
+    let email = await generate(basePrompt);
+    let report = lintEmail(email, lintOptions);
+    let regenerations = 0;
+
+    if (lintMode === LINT_MODES.REGENERATE) {
+      while (!report.valid && regenerations < MAX_LINT_REGENERATIONS) {
+        regenerations++;
+        const fatal = report.violations.filter(v => v.severity === SEVERITY.FATAL);
+        console.warn(`Email broke ${fatal.length} rule(s), regenerating (${regenerations}/${MAX_LINT_REGENERATIONS})`);
+        onRetry(`lint: ${fatal.map(v => v.rule).join(', ')}`);
+        email = await generate(`${basePrompt}
+
+YOUR PREVIOUS EMAIL BROKE THESE MANDATORY RULES - FIX ALL OF THEM:
+${describeViolations(fatal)}`);
+        report = lintEmail(email, lintOptions);
+      }
+    }
+
+    let repaired = [];
+    if (lintMode !== LINT_MODES.REPORT && !report.valid) {
+      ({ email, repaired } = repairEmail(email, lintOptions));
+      report = lintEmail(email, lintOptions);
+    }
+
+    return { email, lint: { ...report, repaired, regenerations } };
+  };
+
+  let { email, lint } = await generateLinted(prompt);
+  let grounding = null;
+
+  if (groundingOptions) {
+    const { sources, mode = GROUNDING_MODES.FLAG } = groundingOptions;
+    let report = verifyEmailClaims(email, sources);
+    let regenerations = 0;
+
+    if (mode === GROUNDING_MODES.STRICT) {
+      while (!report.supported && regenerations < MAX_GROUNDING_REGENERATIONS) {
+        regenerations++;
+        console.warn(`Email made ${report.unsupported.length} unsupported claim(s), regenerating (${regenerations}/${MAX_GROUNDING_REGENERATIONS})`);
+        onRetry(`grounding: ${report.unsupported.length} unsupported claim(s)`);
+        ({ email, lint } = await generateLinted(`${prompt}
+
+YOUR PREVIOUS EMAIL MADE CLAIMS THAT ARE NOT IN THE ARTIST INFO. NEVER INVENT CREDENTIALS, AWARDS, VENUES, NAMES OR NUMBERS.
+Remove or rewrite these claims using ONLY facts stated in the artist info:
+${report.unsupported.map(c => `- "${c.claim}"`).join('\n')}`));
+        report = verifyEmailClaims(email, sources);
+      }
+    }
+
+    grounding = { ...report, regenerations };
+    if (mode === GROUNDING_MODES.STRICT && !report.supported) {
+      const error = new Error(`Generated email makes ${report.unsupported.length} claim(s) not supported by the artist info`);
+      error.status = 422;
+      error.details = { grounding };
+      throw error;
+    }
+  }
+
+  const { subject, ...parts } = email;
+  return {
+    subject,
+    body: assembleEmailBody(email),
+    parts,
+    lint,
+    grounding
+  };
+}
+
 module.exports = {
   generateEmailPrompt,
-  callOpenAI
+  formatVenueContext,
+  callModel,
+  generateStructuredEmail,
+  generateCheckedEmail
 }; 
\ No newline at end of file
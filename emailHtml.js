@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * EMAIL HTML - EMAIL-CLIENT-SAFE HTML NEXT TO THE PLAIN TEXT
+ * ============================================================================
+ *
+ * Every generated email is returned as plain text (`email`) and as HTML
+ * (`html`), rendered here from its structured parts (emailFormat.js).
+ *
+ * LAYOUT:
+ * - A single 600px column built from tables with inline styles (what Outlook
+ *   and Gmail render reliably); full width on phones
+ * - Greeting, paragraphs and call to action as plain paragraphs - it should
+ *   read like a personal email, not a newsletter
+ * - The video link as a card: a thumbnail linking to the video for YouTube,
+ *   a "Watch the video" button for other hosts
+ * - The signature with the name in bold and phone, email and web links
+ * - The unsubscribe footer as a small grey link below the email, instead of
+ *   the blank-line padding the plain text uses
+ *
+ * Merge tags are left as written ({{firstname}}, href="{{unsubscribe_link}}")
+ * for the ESP, or for convertMergeTags() in mergeTags.js.
+ *
+ * INTEGRATION:
+ * - index.js adds `html` to every generated email
+ * - textToParts() recovers the parts of an edited plain-text email, so saved
+ *   or hand-edited emails can be rendered too (espExport.js)
+ * ============================================================================
+ */
+
+const { UNSUBSCRIBE_FOOTER } = require('./mergeTags');
+
+const FONT = 'Arial, Helvetica, sans-serif';
+const TEXT_COLOR = '#222222';
+const MUTED_COLOR = '#888888';
+const LINK_COLOR = '#1a5fb4';
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)]/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/g;
+const CONTACT_PATTERN = new RegExp(`${URL_PATTERN.source}|${EMAIL_PATTERN.source}|${PHONE_PATTERN.source}`, 'g');
+
+// Hosts whose links are rendered as a video card
+const VIDEO_HOSTS = /(?:^|\.)(?:youtube\.com|youtu\.be|vimeo\.com|dailymotion\.com|facebook\.com|instagram\.com|tiktok\.com)$/i;
+
+/**
+ * Escape text for HTML (also used for merge tag values filled into HTML).
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * YouTube video id of a link (watch, youtu.be, shorts and embed links), or null.
+ */
+function youTubeId(url) {
+  const match = url.match(/(?:youtu\.be\/|youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/))([\w-]{11})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a URL is one of the artist's video links.
+ */
+function isVideoLink(url, videoLinks) {
+  if (videoLinks.some(link => link && (url.startsWith(link) || link.startsWith(url)))) return true;
+  try {
+    return VIDEO_HOSTS.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function link(url, label, style = '') {
+  return `<a href="${escapeHtml(url)}" style="color:${LINK_COLOR};${style}">${label}</a>`;
+}
+
+/**
+ * Escape text and turn URLs into links. With `contacts` (signatures), email
+ * addresses and phone numbers become mailto:/tel: links too, and websites
+ * are shown without "https://".
+ */
+function linkify(text, { contacts = false } = {}) {
+  let html = '';
+  let last = 0;
+  for (const { 0: token, index } of text.matchAll(contacts ? CONTACT_PATTERN : URL_PATTERN)) {
+    html += escapeHtml(text.slice(last, index));
+    if (/^https?:/.test(token)) {
+      html += link(token, escapeHtml(contacts ? token.replace(/^https?:\/\//, '') : token));
+    } else if (token.includes('@')) {
+      html += link(`mailto:${token}`, escapeHtml(token));
+    } else {
+      html += link(`tel:${token.replace(/[^\d+]/g, '')}`, escapeHtml(token), 'text-decoration:none;');
+    }
+    last = index + token.length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+function paragraph(html, style = 'margin:0 0 16px;') {
+  return `<p style="${style}">${html}</p>`;
+}
+
+/**
+ * The video card: thumbnail (YouTube) or button, both linking to the video.
+ */
+function videoCard(url) {
+  const id = youTubeId(url);
+  const inner = id
+    ? `<a href="${escapeHtml(url)}" style="text-decoration:none;"><img src="https://img.youtube.com/vi/${id}/hqdefault.jpg" width="480" alt="Watch the video" style="display:block;width:100%;max-width:480px;height:auto;border:0;border-radius:6px;"></a>
+<p style="margin:8px 0 0;font-size:14px;">${link(url, '&#9654; Watch the video', 'font-weight:bold;text-decoration:none;')}</p>`
+    : `<a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background-color:${LINK_COLOR};color:#ffffff;font-weight:bold;text-decoration:none;border-radius:6px;">&#9654; Watch the video</a>`;
+  return `<table role="presentation" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 16px;"><tr><td>
+${inner}
+</td></tr></table>`;
+}
+
+/**
+ * A body paragraph. The first video link gets a card below it; when the
+ * link ends the paragraph ("Here's a clip: <url>") the card replaces it.
+ *
+ * @returns {{ html: string, usedVideo: boolean }}
+ */
+function renderParagraph(text, { videoLinks, videoShown }) {
+  const video = videoShown ? null : [...text.matchAll(URL_PATTERN)].map(m => m[0]).find(url => isVideoLink(url, videoLinks));
+  if (!video) return { html: paragraph(linkify(text).replace(/\n/g, '<br>')), usedVideo: false };
+
+  const trimmed = text.trim();
+  const lead = trimmed.endsWith(video) ? trimmed.slice(0, -video.length).trim() : trimmed;
+  const html = (lead ? paragraph(linkify(lead).replace(/\n/g, '<br>')) : '') + videoCard(video);
+  return { html, usedVideo: true };
+}
+
+/**
+ * The signature: first line (the name) in bold, phone numbers, email
+ * addresses and websites as links.
+ */
+function renderSignature(signature) {
+  const lines = signature.split('\n').map(line => line.trim()).filter(Boolean).map((line, i) => {
+    const html = linkify(line, { contacts: true });
+    return i === 0 ? `<strong>${html}</strong>` : html;
+  });
+  return paragraph(lines.join('<br>'), 'margin:24px 0 16px;');
+}
+
+/**
+ * Render an email as HTML.
+ *
+ * @param {Object} parts - { greeting, paragraphs, callToAction, disclaimer, signature }
+ * @param {Object} [options]
+ * @param {string} [options.subject] - Used as the document title
+ * @param {string[]} [options.videoLinks] - The artist's video links (other
+ *   links on known video hosts are treated as videos too)
+ * @param {boolean} [options.footer=true] - Include the unsubscribe footer
+ * @returns {string} HTML document
+ */
+function renderEmailHtml(parts, { subject = '', videoLinks = [], footer = true } = {}) {
+  const blocks = [];
+  if (parts.greeting) blocks.push(paragraph(escapeHtml(parts.greeting)));
+
+  let videoShown = false;
+  for (const text of [...(parts.paragraphs || []), parts.callToAction].filter(Boolean)) {
+    const rendered = renderParagraph(text, { videoLinks: videoLinks.filter(Boolean), videoShown });
+    videoShown = videoShown || rendered.usedVideo;
+    blocks.push(rendered.html);
+  }
+
+  if (parts.disclaimer) blocks.push(paragraph(linkify(parts.disclaimer), `margin:0 0 16px;font-size:14px;color:${MUTED_COLOR};font-style:italic;`));
+  if (parts.signature) blocks.push(renderSignature(parts.signature));
+
+  const [footerLabel, footerLink] = UNSUBSCRIBE_FOOTER.split('\n');
+  const footerRow = footer
+    ? `<tr><td class="footer" style="padding:32px 24px 24px;font-family:${FONT};font-size:12px;line-height:1.5;color:${MUTED_COLOR};">
+<a href="${footerLink}" style="color:${MUTED_COLOR};text-decoration:underline;">${escapeHtml(footerLabel)}</a>
+</td></tr>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>${escapeHtml(subject)}</title>
+<style>
+@media only screen and (max-width: 620px) {
+  .container { width: 100% !important; }
+  .content, .footer { padding-left: 16px !important; padding-right: 16px !important; }
+}
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#ffffff;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#ffffff;">
+<tr><td align="center">
+<table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;">
+<tr><td class="content" style="padding:24px;font-family:${FONT};font-size:16px;line-height:1.5;color:${TEXT_COLOR};text-align:left;">
+${blocks.join('\n')}
+</td></tr>
+${footerRow}
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Best-effort parts of a plain-text email (e.g. one edited by hand): the
+ * unsubscribe footer and its padding are dropped, the first block is the
+ * greeting if it is a single short line, the last block is the signature.
+ *
+ * @param {string} text - Plain-text email
+ * @returns {{ parts: Object, footer: boolean }} footer is true when the text had the unsubscribe footer
+ */
+function textToParts(text) {
+  const footerAt = String(text || '').lastIndexOf(UNSUBSCRIBE_FOOTER);
+  const body = (footerAt === -1 ? String(text || '') : text.slice(0, footerAt)).trim();
+  const blocks = body.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+  const greeting = blocks.length > 1 && !blocks[0].includes('\n') && blocks[0].length <= 60 ? blocks.shift() : '';
+  const signature = blocks.length > 1 ? blocks.pop() : '';
+  return {
+    parts: { greeting, paragraphs: blocks, callToAction: '', disclaimer: '', signature },
+    footer: footerAt !== -1
+  };
+}
+
+module.exports = {
+  renderEmailHtml,
+  textToParts,
+  escapeHtml
+};
@@ -0,0 +1,380 @@
+/**
+ * ============================================================================
+ * EMAIL LINTER - ENFORCES EMAIL_TEMPLATE RULES IN CODE
+ * ============================================================================
+ *
+ * EMAIL_TEMPLATE (constants.js) lists hard rules the model is *asked* to
+ * follow. This module checks every generated email against those rules after
+ * generation, so a bad subject like "Live music for {{venue}}" never reaches
+ * an ESP.
+ *
+ * RULES:
+ * | Rule id                | Severity | Auto-repair | Checks                                      |
+ * |------------------------|----------|-------------|---------------------------------------------|
+ * | subject-merge-tag      | fatal    | yes         | No {{ }} merge tags in the subject          |
+ * | unknown-merge-tag      | fatal    | no          | Only tags from the registry (mergeTags.js)  |
+ * | subject-length         | warning  | no          | Subject is 2-5 words                        |
+ * | greeting-format        | fatal    | yes         | "<Greeting> {{firstname}}" with no comma    |
+ * | banned-word            | fatal    | venue only  | No "venue" / "stage" outside merge tags     |
+ * | venue-tag-placement    | fatal    | yes         | {{venue}} once, first paragraph, "for"      |
+ * | video-link-count       | fatal    | partly      | Exactly one provided video link, plain URL  |
+ * | vague-availability     | warning  | no          | No "wide open" / "completely available"...  |
+ * | body-length            | warning  | no          | Pitch content <= 1000 characters            |
+ *
+ * Fatal violations break sends or a ZERO TOLERANCE rule; the routes repair or
+ * regenerate on them (see generateCheckedEmail in emailGenerator.js).
+ * Warnings are reported only.
+ *
+ * VIOLATION FORMAT (machine-readable, returned in API responses):
+ * { rule, severity: "fatal" | "warning", field, message, fixable }
+ *
+ * INTEGRATION:
+ * Used by emailGenerator.js and all email routes in index.js.
+ * ============================================================================
+ */
+
+const { GREETING_ROTATION } = require('./constants');
+const { findMergeTags } = require('./mergeTags');
+
+const SEVERITY = {
+  FATAL: 'fatal',
+  WARNING: 'warning'
+};
+
+// How routes react to fatal violations (request field `lintMode`)
+const LINT_MODES = {
+  REPORT: 'report',          // Return violations only
+  REPAIR: 'repair',          // Fix what can be fixed deterministically
+  REGENERATE: 'regenerate'   // Ask the model again, then repair what's left
+};
+
+const SUBJECT_MIN_WORDS = 2;
+const SUBJECT_MAX_WORDS = 5;
+const MAX_PITCH_CHARACTERS = 1000;
+
+// Global patterns are only used with has(), match() and replace(), which ignore lastIndex
+const MERGE_TAG_PATTERN = /\{\{\s*[^}]*\}\}/g;
+const VENUE_TAG_PATTERN = /\{\{\s*venue\s*\}\}/gi;
+const URL_PATTERN = /https?:\/\/[^\s)\]>"']+/g;
+const MARKDOWN_LINK_PATTERN = /\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g;
+const VAGUE_AVAILABILITY_PHRASES = ['wide open', 'completely available', 'calendar is open', 'we are available'];
+
+// Banned words outside merge tags, with the replacement used by auto-repair (null = not repairable)
+const BANNED_WORDS = [
+  { word: 'venue', replacement: 'establishment' },
+  { word: 'stage', replacement: null }
+];
+
+/**
+ * Build a violation object.
+ */
+function violation(rule, severity, field, message, fixable) {
+  return { rule, severity, field, message, fixable };
+}
+
+/**
+ * Names of the body fields in reading order (everything except the subject).
+ */
+const BODY_FIELDS = ['greeting', 'paragraphs', 'callToAction', 'disclaimer', 'signature'];
+
+/**
+ * Visit every piece of body text, with a field path for reporting
+ * (e.g. "paragraphs[1]").
+ */
+function bodyTexts(email) {
+  const texts = [];
+  for (const field of BODY_FIELDS) {
+    if (field === 'paragraphs') {
+      email.paragraphs.forEach((text, i) => texts.push({ field: `paragraphs[${i}]`, text }));
+    } else if (email[field]) {
+      texts.push({ field, text: email[field] });
+    }
+  }
+  return texts;
+}
+
+/**
+ * Apply a text transform to the pitch fields (paragraphs + callToAction).
+ * Greeting, disclaimer and signature are left alone.
+ */
+function mapPitchText(email, transform) {
+  return {
+    ...email,
+    paragraphs: email.paragraphs.map((text, i) => transform(text, i)),
+    callToAction: transform(email.callToAction, email.paragraphs.length)
+  };
+}
+
+// Stateless test - RegExp#test on a /g pattern would carry lastIndex between calls
+function has(text, pattern) {
+  return String(text).search(pattern) !== -1;
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Matches a banned word that isn't part of a merge tag such as {{venue}}
+function bannedWordPattern(word) {
+  return new RegExp(`(?<!\\{\\{\\s*)\\b(${word})(s?)\\b(?!\\s*\\}\\})`, 'gi');
+}
+
+function matchCase(source, replacement) {
+  return source[0] === source[0].toUpperCase()
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Each rule: { id, check(email, options) => violation[], repair?(email, options) => email }
+ *
+ * options = {
+ *   greeting: string,     - Expected greeting word(s), e.g. "Hello" (optional)
+ *   videoLinks: string[]  - Links the email may use (optional; skips the link rule when empty)
+ * }
+ */
+const RULES = [
+  {
+    id: 'subject-merge-tag',
+    check(email) {
+      return has(email.subject, MERGE_TAG_PATTERN)
+        ? [violation(this.id, SEVERITY.FATAL, 'subject', `Subject contains a merge tag: "${email.subject}"`, true)]
+        : [];
+    },
+    repair(email) {
+      const subject = email.subject
+        .replace(/\s*(?:\b(?:for|at|with|to|in|from)\s+)?\{\{[^}]*\}\}/gi, '')
+        .replace(/^[\s,:;.-]+/, '')
+        .replace(/[\s,:;-]+$/, '')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+      return { ...email, subject: subject ? subject[0].toUpperCase() + subject.slice(1) : subject };
+    }
+  },
+  {
+    id: 'unknown-merge-tag',
+    check(email) {
+      // Sent literally by the ESP ("Hi {{city}}"); only the model can reword around it
+      return bodyTexts(email).flatMap(({ field, text }) => findMergeTags(text)
+        .filter(t => !t.known)
+        .map(t => violation(this.id, SEVERITY.FATAL, field, `Unknown merge tag ${t.tag}`, false)));
+    }
+  },
+  {
+    id: 'subject-length',
+    check(email) {
+      const words = countWords(email.subject);
+      return words < SUBJECT_MIN_WORDS || words > SUBJECT_MAX_WORDS
+        ? [violation(this.id, SEVERITY.WARNING, 'subject', `Subject has ${words} words (expected ${SUBJECT_MIN_WORDS}-${SUBJECT_MAX_WORDS})`, false)]
+        : [];
+    }
+  },
+  {
+    id: 'greeting-format',
+    check(email, { greeting } = {}) {
+      const allowed = greeting ? [greeting] : GREETING_ROTATION;
+      const valid = allowed.some(g => email.greeting === `${g} {{firstname}}`);
+      if (valid) {
+        return [];
+      }
+      const expected = allowed.map(g => `"${g} {{firstname}}"`).join(' or ');
+      return [violation(this.id, SEVERITY.FATAL, 'greeting', `Greeting "${email.greeting}" must be exactly ${expected} with no comma`, true)];
+    },
+    repair(email, { greeting } = {}) {
+      // Use the expected greeting; without one, keep the model's if it is in the rotation
+      const used = email.greeting.replace(/\{\{[^}]*\}\}.*$/, '').replace(/[\s,:;!.-]+$/, '').trim();
+      const word = greeting || GREETING_ROTATION.find(g => g.toLowerCase() === used.toLowerCase()) || GREETING_ROTATION[0];
+      return { ...email, greeting: `${word} {{firstname}}` };
+    }
+  },
+  {
+    id: 'banned-word',
+    check(email) {
+      const found = [];
+      for (const { field, text } of [{ field: 'subject', text: email.subject }, ...bodyTexts(email)]) {
+        if (field === 'signature') continue;
+        for (const { word, replacement } of BANNED_WORDS) {
+          if (has(text, bannedWordPattern(word))) {
+            found.push(violation(this.id, SEVERITY.FATAL, field, `Banned word "${word}" used${replacement ? ` (use "${replacement}")` : ''}`, replacement !== null));
+          }
+        }
+      }
+      return found;
+    },
+    repair(email) {
+      const replaceWords = (text) => BANNED_WORDS
+        .filter(b => b.replacement)
+        .reduce((out, { word, replacement }) => out.replace(bannedWordPattern(word), (m, w, plural) => matchCase(w, replacement) + plural), text);
+      return {
+        ...mapPitchText(email, replaceWords),
+        subject: replaceWords(email.subject),
+        disclaimer: replaceWords(email.disclaimer)
+      };
+    }
+  },
+  {
+    id: 'venue-tag-placement',
+    check(email) {
+      const found = [];
+      if (has(email.greeting, VENUE_TAG_PATTERN)) {
+        found.push(violation(this.id, SEVERITY.FATAL, 'greeting', '{{venue}} must not appear in the greeting', true));
+      }
+      const texts = bodyTexts(email).filter(t => t.field !== 'greeting');
+      const total = texts.reduce((sum, t) => sum + countMatches(t.text, VENUE_TAG_PATTERN), 0);
+      if (total > 1) {
+        found.push(violation(this.id, SEVERITY.FATAL, 'paragraphs', `{{venue}} appears ${total} times (maximum 1)`, true));
+      }
+      texts.forEach(({ field, text }) => {
+        if (field !== 'paragraphs[0]' && has(text, VENUE_TAG_PATTERN)) {
+          found.push(violation(this.id, SEVERITY.FATAL, field, '{{venue}} may only appear in the first paragraph', true));
+        }
+        if (/\b(?:at|with|to|in)\s+\{\{\s*venue\s*\}\}/i.test(text)) {
+          found.push(violation(this.id, SEVERITY.FATAL, field, 'Use "for {{venue}}" - never "at/with/to/in {{venue}}"', true));
+        }
+      });
+      return found;
+    },
+    repair(email) {
+      let seen = false;
+      const fixed = mapPitchText(email, (text, i) => text
+        .replace(/\b(?:at|with|to|in)\s+(\{\{\s*venue\s*\}\})/gi, 'for $1')
+        .replace(VENUE_TAG_PATTERN, (tag) => {
+          if (i === 0 && !seen) {
+            seen = true;
+            return tag;
+          }
+          return 'your establishment';
+        }));
+      return {
+        ...fixed,
+        greeting: email.greeting.replace(VENUE_TAG_PATTERN, '').replace(/\s{2,}/g, ' ').trim()
+      };
+    }
+  },
+  {
+    id: 'video-link-count',
+    check(email, { videoLinks = [] } = {}) {
+      const links = videoLinks.filter(Boolean);
+      if (links.length === 0) {
+        return [];
+      }
+      const found = [];
+      const pitch = [...email.paragraphs, email.callToAction].join('\n');
+      if (has(pitch, MARKDOWN_LINK_PATTERN)) {
+        found.push(violation(this.id, SEVERITY.FATAL, 'paragraphs', 'Video links must be plain URLs, not markdown links', true));
+      }
+      const used = (pitch.match(URL_PATTERN) || []).filter(url => links.some(link => url.startsWith(link) || link.startsWith(url)));
+      if (used.length === 0) {
+        found.push(violation(this.id, SEVERITY.FATAL, 'paragraphs', 'Email must include exactly one video link (found none)', true));
+      } else if (used.length > 1) {
+        found.push(violation(this.id, SEVERITY.FATAL, 'paragraphs', `Email must include exactly one video link (found ${used.length})`, false));
+      }
+      return found;
+    },
+    repair(email, { videoLinks = [] } = {}) {
+      let fixed = mapPitchText(email, (text) => text.replace(MARKDOWN_LINK_PATTERN, (m, label, url) =>
+        label && !/^https?:/i.test(label) ? `${label}: ${url}` : url));
+      const links = videoLinks.filter(Boolean);
+      const pitch = [...fixed.paragraphs, fixed.callToAction].join('\n');
+      if (links.length > 0 && !links.some(link => pitch.includes(link))) {
+        fixed = { ...fixed, paragraphs: [...fixed.paragraphs, `Here's a recent clip: ${links[0]}`] };
+      }
+      return fixed;
+    }
+  },
+  {
+    id: 'vague-availability',
+    check(email) {
+      const pitch = [...email.paragraphs, email.callToAction].join('\n').toLowerCase();
+      return VAGUE_AVAILABILITY_PHRASES
+        .filter(phrase => pitch.includes(phrase))
+        .map(phrase => violation(this.id, SEVERITY.WARNING, 'paragraphs', `Vague availability phrase "${phrase}"`, false));
+    }
+  },
+  {
+    id: 'body-length',
+    check(email) {
+      // Availability lines don't count toward the limit (EMAIL_TEMPLATE rule)
+      const pitch = email.paragraphs
+        .filter(p => !/\b(?:dates?|available|availability)\b.*\d/i.test(p))
+        .join('\n\n');
+      return pitch.length > MAX_PITCH_CHARACTERS
+        ? [violation(this.id, SEVERITY.WARNING, 'paragraphs', `Pitch content is ${pitch.length} characters (maximum ${MAX_PITCH_CHARACTERS})`, false)]
+        : [];
+    }
+  }
+];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Check an email against every rule.
+ *
+ * @param {Object} email - { subject, greeting, paragraphs, callToAction, disclaimer, signature }
+ * @param {Object} [options]
+ * @param {string} [options.greeting] - Expected greeting word(s) for this email (e.g. "Hello")
+ * @param {string[]} [options.videoLinks] - Video links the email may use
+ * @returns {{ valid: boolean, violations: Object[] }} valid is false when any fatal violation exists
+ */
+function lintEmail(email, options = {}) {
+  const violations = RULES.flatMap(rule => rule.check(email, options));
+  return {
+    valid: !violations.some(v => v.severity === SEVERITY.FATAL),
+    violations
+  };
+}
+
+/**
+ * Deterministically fix every fixable violation.
+ *
+ * Only rules that currently report a fixable violation are applied, so a
+ * clean email is returned unchanged.
+ *
+ * @param {Object} email - Email parts (see lintEmail)
+ * @param {Object} [options] - Same options as lintEmail
+ * @returns {{ email: Object, repaired: string[] }} Repaired email and the ids of rules that were applied
+ */
+function repairEmail(email, options = {}) {
+  let current = email;
+  const repaired = [];
+
+  for (const rule of RULES) {
+    if (!rule.repair) continue;
+    const fixable = rule.check(current, options).some(v => v.fixable);
+    if (fixable) {
+      current = rule.repair(current, options);
+      repaired.push(rule.id);
+    }
+  }
+
+  return { email: current, repaired };
+}
+
+/**
+ * Describe violations in a form suitable for appending to a regeneration prompt.
+ *
+ * @param {Object[]} violations - Violations from lintEmail
+ * @returns {string} One rule per line
+ */
+function describeViolations(violations) {
+  return violations.map(v => `- [${v.rule}] ${v.field}: ${v.message}`).join('\n');
+}
+
+module.exports = {
+  SEVERITY,
+  LINT_MODES,
+  RULES,
+  lintEmail,
+  repairEmail,
+  describeViolations
+};
@@ -0,0 +1,244 @@
+/**
+ * ============================================================================
+ * EMAIL STREAM - SERVER-SENT EVENTS FOR LIVE EMAIL GENERATION
+ * ============================================================================
+ *
+ * A single email takes 5-15 seconds to generate. The /stream variants of
+ * /generate-email and /generate-single-followup send the email to the
+ * browser while the model is still writing it, so the editor can fill in live.
+ *
+ * The model writes a JSON object (see emailFormat.js). This module parses
+ * the incomplete JSON as it arrives and turns it into events:
+ *
+ * EVENTS (text/event-stream, data is JSON):
+ * - subject  { subject }          - As soon as the subject string is complete
+ * - delta    { text }             - New body text; append to what you have
+ * - retry    { reason }           - The response so far was discarded (bad
+ *                                   format, broken rule, unsupported claim) and
+ *                                   the model is writing a new one: clear the
+ *                                   subject and body
+ * - done     { ...response }      - The same JSON the non-streaming route
+ *                                   returns (footer, parts, lint, grounding...)
+ * - error    { error, status, code, retryable } - Generation failed; the
+ *                                   stream ends (codes: apiErrors.js)
+ *
+ * The streamed body is a preview. Repairs made by the linter only show up
+ * in `done`, which is always the version to keep.
+ *
+ * INTEGRATION:
+ * Used by the /stream routes in index.js. Providers stream through the
+ * `onDelta` callback (llmProvider.js).
+ * ============================================================================
+ */
+
+const { errorBody } = require('./apiErrors');
+
+/**
+ * Read a JSON string starting at text[start] (a double quote). The string
+ * may be cut off - then the part received so far is returned.
+ *
+ * @param {string} text - Partial JSON
+ * @param {number} start - Index of the opening quote
+ * @returns {{ value: string, end: number, complete: boolean }}
+ */
+function readString(text, start) {
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '"') {
+      return { value: JSON.parse(text.slice(start, i + 1)), end: i + 1, complete: true };
+    }
+    i++;
+  }
+
+  // Cut off mid-string: drop a trailing incomplete escape ("\", "\u00") and decode the rest
+  const raw = text.slice(start + 1);
+  for (let cut = 0; cut <= 6 && cut <= raw.length; cut++) {
+    try {
+      return { value: JSON.parse(`"${raw.slice(0, raw.length - cut)}"`), end: text.length, complete: false };
+    } catch (_) {}
+  }
+  return { value: '', end: text.length, complete: false };
+}
+
+/**
+ * Parse the beginning of an email JSON object.
+ *
+ * Only string and string-array values are read (that's all the email schema
+ * has). Parsing stops at the first thing that's cut off or unexpected.
+ *
+ * @param {string} text - The model output received so far
+ * @returns {{ parts: Object, complete: string[] }} Fields read so far, and
+ *   which of them are finished
+ */
+function parsePartialEmail(text) {
+  const parts = {};
+  const complete = [];
+  let i = text.indexOf('{');
+  if (i === -1) return { parts, complete };
+  i++;
+
+  const skip = (pattern) => {
+    while (i < text.length && pattern.test(text[i])) i++;
+  };
+
+  while (i < text.length) {
+    skip(/[\s,]/);
+    if (text[i] !== '"') break;
+    const key = readString(text, i);
+    if (!key.complete) break;
+    i = key.end;
+    skip(/\s/);
+    if (text[i] !== ':') break;
+    i++;
+    skip(/\s/);
+
+    if (text[i] === '"') {
+      const value = readString(text, i);
+      parts[key.value] = value.value;
+      if (!value.complete) break;
+      complete.push(key.value);
+      i = value.end;
+    } else if (text[i] === '[') {
+      i++;
+      const items = [];
+      parts[key.value] = items;
+      let closed = false;
+      while (i < text.length) {
+        skip(/[\s,]/);
+        if (text[i] === ']') {
+          closed = true;
+          i++;
+          break;
+        }
+        if (text[i] !== '"') break;
+        const item = readString(text, i);
+        items.push(item.value);
+        if (!item.complete) break;
+        i = item.end;
+      }
+      if (!closed) break;
+      complete.push(key.value);
+    } else {
+      break;
+    }
+  }
+
+  return { parts, complete };
+}
+
+/**
+ * Body text of partial email parts, in the same layout as assembleEmailBody.
+ */
+function partialBody(parts) {
+  return [
+    parts.greeting,
+    ...(Array.isArray(parts.paragraphs) ? parts.paragraphs : []),
+    parts.callToAction,
+    parts.disclaimer,
+    parts.signature
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Turn streamed model chunks into subject/delta/retry events.
+ *
+ * Body deltas are only sent while the new text extends what was already
+ * sent (the model writes fields in schema order); anything else waits for `done`.
+ *
+ * @param {Function} send - (event, data) => void
+ * @returns {{ push: Function, reset: Function }} push(chunk) for onDelta,
+ *   reset(reason) for onRetry
+ */
+function createEmailStreamParser(send) {
+  let text = '';
+  let subjectSent = false;
+  let bodySent = '';
+
+  return {
+    push(chunk) {
+      text += chunk;
+      const { parts, complete } = parsePartialEmail(text);
+
+      if (!subjectSent && complete.includes('subject')) {
+        subjectSent = true;
+        send('subject', { subject: parts.subject.trim() });
+      }
+
+      const body = partialBody(parts);
+      if (body.length > bodySent.length && body.startsWith(bodySent)) {
+        send('delta', { text: body.slice(bodySent.length) });
+        bodySent = body;
+      }
+    },
+
+    reset(reason) {
+      text = '';
+      subjectSent = false;
+      bodySent = '';
+      send('retry', { reason });
+    }
+  };
+}
+
+/**
+ * Switch a response to Server-Sent Events.
+ *
+ * @param {Object} res - Express response
+ * @returns {{ send: Function, close: Function }} send(event, data) is a no-op
+ *   once the client has disconnected
+ */
+function openEventStream(res) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!closed) res.end();
+    }
+  };
+}
+
+/**
+ * Run an email generator and stream it to the client as SSE.
+ *
+ * @param {Object} res - Express response
+ * @param {Function} generate - async ({ onDelta, onRetry }) => response object
+ * @param {string} fallbackMessage - Error message used when the error has none
+ * @returns {Promise<void>} Resolves when the stream has ended
+ */
+async function streamEmailResponse(res, generate, fallbackMessage) {
+  const stream = openEventStream(res);
+  const parser = createEmailStreamParser(stream.send);
+
+  try {
+    const result = await generate({ onDelta: parser.push, onRetry: parser.reset });
+    stream.send('done', result);
+  } catch (error) {
+    console.error('Detailed error:', error);
+    stream.send('error', { ...errorBody(error, fallbackMessage), status: error.status || 500 });
+  }
+  stream.close();
+}
+
+module.exports = {
+  parsePartialEmail,
+  createEmailStreamParser,
+  openEventStream,
+  streamEmailResponse
+};
@@ -0,0 +1,235 @@
+/**
+ * ============================================================================
+ * ESP EXPORT - A SEQUENCE AS FILES AN EMAIL SERVICE CAN IMPORT
+ * ============================================================================
+ *
+ * Turns an intro plus its follow-ups (the `sequence` array returned by
+ * /ai/generate-followup-sequence, or a saved campaign) into a download, with
+ * the merge tags rewritten in the target ESP's syntax (mergeTags.js).
+ *
+ * FORMATS:
+ * | format | File                                      | Default ESP syntax |
+ * |--------|-------------------------------------------|--------------------|
+ * | csv    | One row per email (Mailchimp/MailerLite)  | mailchimp          |
+ * | json   | Automation payload: emails with delays    | generic            |
+ * | eml    | .zip of .eml drafts (one .eml with `step`)| generic            |
+ * | zip    | .zip of HTML + plain-text pairs           | generic            |
+ *
+ * TIMING:
+ * Follow-up `waitDays` count from the intro (cadence.js). Automations want
+ * the delay after the previous email instead, so both are exported
+ * (`wait_days` and `delay_days`).
+ *
+ * HTML:
+ * Rendered from the plain text (emailHtml.js), so hand edits are exported
+ * as they are. The unsubscribe footer becomes a styled link instead of the
+ * blank-line padding.
+ *
+ * INTEGRATION:
+ * Used by POST /ai/export-sequence and GET /ai/campaigns/:id/export in index.js.
+ * ============================================================================
+ */
+
+const { ESP_SYNTAX, convertMergeTags } = require('./mergeTags');
+const { renderEmailHtml, textToParts } = require('./emailHtml');
+const { csvCell } = require('./venueBatch');
+const { createZip } = require('./zipFile');
+const { buildMimeMessage } = require('./mimeMessage');
+
+// format -> default ESP syntax, content type and file extension
+const EXPORT_FORMATS = {
+  csv: { esp: 'mailchimp', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { esp: 'generic', contentType: 'application/json; charset=utf-8', extension: 'json' },
+  eml: { esp: 'generic', contentType: 'application/zip', extension: 'zip' },
+  zip: { esp: 'generic', contentType: 'application/zip', extension: 'zip' }
+};
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+$/;
+
+/**
+ * Build a 400 error.
+ */
+function exportError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * HTML version of a plain-text email (merge tags still in {{tag}} form).
+ */
+function textToHtml(text, subject) {
+  const { parts, footer } = textToParts(text);
+  return renderEmailHtml(parts, { subject, footer });
+}
+
+/**
+ * Check one email of the input.
+ */
+function checkEmail(email, label) {
+  if (!email || typeof email !== 'object' || typeof email.subject !== 'string' || typeof email.email !== 'string') {
+    throw exportError(`${label} must be { subject, email }`);
+  }
+  if (email.waitDays != null && (!Number.isInteger(email.waitDays) || email.waitDays < 0)) {
+    throw exportError(`${label}.waitDays must be a whole number of days`);
+  }
+}
+
+/**
+ * The emails to export, in order, with their timing.
+ *
+ * @param {Object} source
+ * @param {Object} [source.intro] - { subject, email }
+ * @param {Object[]} [source.sequence] - Follow-ups ({ subject, email, waitDays, sendDate }),
+ *   as returned by the sequence job; null entries (unwritten emails) are skipped
+ * @returns {Array<{ position, name, label, waitDays, delayDays, sendDate, subject, text }>}
+ * @throws {Error} status 400 if there is nothing valid to export
+ */
+function collectSteps({ intro, sequence = [] }) {
+  if (intro != null) checkEmail(intro, 'intro');
+  if (!Array.isArray(sequence)) throw exportError('sequence must be an array');
+  sequence.forEach((item, i) => item != null && checkEmail(item, `sequence[${i}]`));
+
+  const followUps = sequence.filter(item => item != null);
+  if (!intro && followUps.length === 0) {
+    throw exportError('Nothing to export - send a `sequence` (and optionally its `intro`), a `jobId` or a `campaignId`');
+  }
+
+  const steps = [];
+  if (intro) {
+    steps.push({ name: 'intro', label: 'Intro', waitDays: 0, sendDate: intro.sendDate || null, subject: intro.subject, text: intro.email });
+  }
+  followUps.forEach((item, n) => steps.push({
+    name: `followup-${n + 1}`,
+    label: `Follow-up ${n + 1}`,
+    waitDays: item.waitDays ?? null,
+    sendDate: item.sendDate || null,
+    subject: item.subject,
+    text: item.email
+  }));
+
+  // waitDays count from the intro; delayDays from the previous email
+  let previousWait = 0;
+  return steps.map((step, i) => {
+    const delayDays = step.waitDays === null || previousWait === null ? null : step.waitDays - previousWait;
+    previousWait = step.waitDays;
+    return { position: i + 1, ...step, delayDays };
+  });
+}
+
+/**
+ * Add the HTML version and rewrite the merge tags of every step for an ESP.
+ *
+ * @returns {{ steps: Object[], warnings: string[] }} warnings name unknown merge tags
+ */
+function renderSteps(steps, esp) {
+  const unknown = new Set();
+  const convert = (text) => {
+    const result = convertMergeTags(text, esp);
+    result.unknown.forEach(tag => unknown.add(tag));
+    return result.text;
+  };
+  const rendered = steps.map(step => ({
+    ...step,
+    subject: convert(step.subject),
+    html: convert(textToHtml(step.text, step.subject)),
+    text: convert(step.text)
+  }));
+  const warnings = [...unknown].map(tag => `Unknown merge tag ${tag} was exported as written`);
+  return { steps: rendered, warnings };
+}
+
+function fileBase(step) {
+  return `${String(step.position).padStart(2, '0')}-${step.name}`;
+}
+
+/**
+ * One email as an .eml draft (multipart/alternative, text + HTML).
+ * X-Unsent makes mail clients open it as a draft ready to send.
+ */
+function toEml(step, { fromName, fromEmail, date }) {
+  return buildMimeMessage({
+    from: { name: fromName, email: fromEmail },
+    subject: step.subject,
+    text: step.text,
+    html: step.html,
+    date,
+    headers: { 'X-Unsent': '1' }
+  });
+}
+
+/**
+ * Export a sequence as a file.
+ *
+ * @param {Object} source - { intro, sequence } (see collectSteps)
+ * @param {Object} [options]
+ * @param {string} [options.format="csv"] - "csv" | "json" | "eml" | "zip"
+ * @param {string} [options.esp] - Merge tag syntax (key of ESP_SYNTAX); defaults per format
+ * @param {string} [options.name="Pitch sequence"] - Campaign name (file name, JSON payload)
+ * @param {string} [options.fromName] - Sender name (JSON payload, .eml From)
+ * @param {string} [options.fromEmail] - Sender address (JSON payload, .eml From)
+ * @param {number} [options.step] - eml only: export just this email (1-based position) as one .eml
+ * @param {Date} [options.date=new Date()] - Export time
+ * @returns {{ filename: string, contentType: string, body: string|Buffer, warnings: string[] }}
+ * @throws {Error} status 400 for invalid input or options
+ */
+function exportSequence(source, options = {}) {
+  const { format = 'csv', name = 'Pitch sequence', fromName = '', fromEmail = '', step, date = new Date() } = options;
+  const target = EXPORT_FORMATS[format];
+  if (!target) throw exportError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  const esp = options.esp || target.esp;
+  if (typeof name !== 'string' || typeof fromName !== 'string') throw exportError('name and fromName must be strings');
+  if (fromEmail && !EMAIL_ADDRESS_PATTERN.test(fromEmail)) throw exportError('fromEmail must be an email address');
+
+  const { steps, warnings } = renderSteps(collectSteps(source), esp);
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'sequence';
+  const file = (extension, body, contentType = target.contentType) => ({ filename: `${base}.${extension}`, contentType, body, warnings });
+
+  if (format === 'csv') {
+    const header = ['position', 'name', 'wait_days', 'delay_days', 'send_date', 'subject', 'text_body', 'html_body'];
+    const rows = steps.map(s => [s.position, s.label, s.waitDays, s.delayDays, s.sendDate, s.subject, s.text, s.html].map(csvCell).join(','));
+    return file('csv', [header.join(','), ...rows].join('\r\n') + '\r\n');
+  }
+
+  if (format === 'json') {
+    const syntax = ESP_SYNTAX[esp];
+    return file('json', JSON.stringify({
+      name,
+      esp,
+      exportedAt: date.toISOString(),
+      from: { name: fromName, email: fromEmail },
+      mergeTags: Object.fromEntries(Object.entries(syntax.names).map(([tag, field]) => [tag, syntax.format(field)])),
+      emails: steps.map(s => ({
+        position: s.position,
+        name: s.label,
+        delay: { amount: s.delayDays, unit: 'days' },
+        waitDays: s.waitDays,
+        sendDate: s.sendDate,
+        subject: s.subject,
+        text: s.text,
+        html: s.html
+      })),
+      warnings
+    }, null, 2));
+  }
+
+  if (format === 'eml') {
+    const emlOptions = { fromName, fromEmail, date };
+    if (step !== undefined) {
+      const single = steps.find(s => s.position === Number(step));
+      if (!single) throw exportError(`step must be 1-${steps.length}`);
+      return { ...file('eml', toEml(single, emlOptions), 'message/rfc822'), filename: `${base}-${fileBase(single)}.eml` };
+    }
+    return file('zip', createZip(steps.map(s => ({ name: `${fileBase(s)}.eml`, content: toEml(s, emlOptions) })), { date }));
+  }
+
+  return file('zip', createZip(steps.flatMap(s => [
+    { name: `${fileBase(s)}.html`, content: s.html },
+    { name: `${fileBase(s)}.txt`, content: s.text }
+  ]), { date }));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportSequence
+};
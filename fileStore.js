@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * FILE STORE - ONE JSON FILE PER RECORD
+ * ============================================================================
+ *
+ * The storage underneath the saved campaigns (campaignStore.js) and artist
+ * profiles (profileStore.js). Each record is a JSON file named after its id
+ * in one directory.
+ *
+ * - Records are written to a temporary file and renamed, so a crash never
+ *   leaves a half-written file
+ * - `queue(id, fn)` runs read-modify-write updates of one record one at a
+ *   time (e.g. the emails of a sequence finishing together)
+ * - Ids are UUIDs; anything else is treated as not found, so an id can
+ *   never point outside the directory
+ * - Records that belong to a user keep their id in `ownerId`; `readOwned`
+ *   treats someone else's record as not found
+ *
+ * INTEGRATION:
+ * Swap this module for database calls to share records between servers.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Record ids are UUIDs - anything else is never a file name
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Build an error with an HTTP status.
+ */
+function storeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * A record id derived from a key (e.g. an email address): its SHA-256,
+ * shaped like a UUID. The same key always gives the same id.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function idFromKey(key) {
+  const hex = crypto.createHash('sha256').update(String(key)).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Create a JSON file store.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the files (created on first write)
+ * @param {string} options.notFoundMessage - 404 message, e.g. "Campaign not found"
+ * @returns {Object} { newId, read, readOwned, write, remove, list, queue }
+ */
+function createFileStore({ dir, notFoundMessage }) {
+  const queues = new Map(); // id -> promise of the last queued update
+
+  const fileFor = (id) => {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) throw storeError(404, notFoundMessage);
+    return path.join(dir, `${id}.json`);
+  };
+
+  return {
+    newId: () => crypto.randomUUID(),
+
+    /**
+     * @returns {Promise<Object>} The record
+     * @throws {Error} status 404 if it doesn't exist
+     */
+    async read(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw storeError(404, notFoundMessage);
+        throw error;
+      }
+    },
+
+    /**
+     * A record that belongs to ownerId.
+     *
+     * @returns {Promise<Object>} The record
+     * @throws {Error} status 404 if it doesn't exist or belongs to someone else
+     */
+    async readOwned(id, ownerId) {
+      const record = await this.read(id);
+      if (typeof ownerId !== 'string' || record.ownerId !== ownerId) throw storeError(404, notFoundMessage);
+      return record;
+    },
+
+    /**
+     * Save a record (must have an `id`).
+     */
+    async write(record) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(record.id);
+      const temp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(record, null, 2));
+      await fs.rename(temp, file);
+    },
+
+    /**
+     * @throws {Error} status 404 if it doesn't exist
+     */
+    async remove(id) {
+      try {
+        await fs.unlink(fileFor(id));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw storeError(404, notFoundMessage);
+        throw error;
+      }
+    },
+
+    /**
+     * Every record (a record deleted while listing is skipped).
+     *
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+      let files = [];
+      try {
+        files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      const records = await Promise.all(files.map(file => this.read(file.slice(0, -'.json'.length)).catch(error => {
+        if (error.status === 404) return null;
+        throw error;
+      })));
+      return records.filter(Boolean);
+    },
+
+    /**
+     * Run fn after any earlier queued update of the same record has finished.
+     *
+     * @param {string} id - Record id
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} fn's result
+     */
+    queue(id, fn) {
+      const previous = queues.get(id) || Promise.resolve();
+      const run = previous.catch(() => {}).then(fn);
+      queues.set(id, run);
+      run.finally(() => {
+        if (queues.get(id) === run) queues.delete(id);
+      }).catch(() => {});
+      return run;
+    }
+  };
+}
+
+module.exports = {
+  createFileStore,
+  storeError,
+  idFromKey
+};
@@ -0,0 +1,269 @@
+/**
+ * ============================================================================
+ * GROUNDING CHECK - VERIFIES CLAIMS AGAINST THE ARTIST'S INFO DUMP
+ * ============================================================================
+ *
+ * The accolade-extraction prompts ask the model for "7+ distinct accolades".
+ * When the info dump is thin, the model fills the gap with invented awards,
+ * venues and years. Sending a fabricated credential to a booker is the worst
+ * thing this tool can do, so every accolade and every factual sentence in a
+ * generated email is matched back to spans of the user's own input.
+ *
+ * HOW MATCHING WORKS:
+ * 1. A claim is broken into terms (lowercased, lightly stemmed, stopwords removed)
+ * 2. KEY terms are numbers ("2022") and proper-noun phrases ("Blue Note Jazz Club").
+ *    Every number must appear in the sources, and at least half the words of
+ *    every name - these are what get invented.
+ * 3. Without key terms, at least half of the claim's content terms must appear
+ * 4. The best-matching sentences of the sources are returned as spans
+ *    ({ start, end, text }) so the UI can show where a claim came from
+ *
+ * WHAT COUNTS AS A CLAIM IN AN EMAIL:
+ * Sentences in paragraphs/callToAction that contain a number, a proper noun
+ * or a credential word (award, festival, featured, toured, radio...).
+ * Greeting, signature, URLs and merge tags are ignored.
+ *
+ * MODES (request field `groundingMode`):
+ * - "flag"   - Report unsupported claims, change nothing (default)
+ * - "strict" - Drop unsupported accolades before they reach a prompt, and
+ *              regenerate emails with unsupported claims; reject (HTTP 422)
+ *              if they persist
+ *
+ * INTEGRATION:
+ * Used by index.js (accolade extraction) and emailGenerator.js
+ * (generateCheckedEmail).
+ * ============================================================================
+ */
+
+const GROUNDING_MODES = {
+  FLAG: 'flag',
+  STRICT: 'strict'
+};
+
+// Share of a name's words, or of the content terms of a claim without key
+// terms, that must be found in the sources
+const MIN_SUPPORT_SCORE = 0.5;
+
+// Maximum spans returned per claim
+const MAX_SPANS = 2;
+
+const STOPWORDS = new Set(`a about after again all also am an and any are as at be been before being but by can could
+did do does doing for from had has have having he her here hers him his how i i'd i'm i've if in into is it its
+just me more most my no nor not now of off on once only or our ours out over own same she so some such than that
+the their them then there these they this those through to too under until up very was we we're we've were what
+when where which while who whom why will with would you your yours let just really truly deeply love would like
+get got make made us one also`.split(/\s+/));
+
+// Words every pitch email uses - never evidence of a specific credential
+const EMAIL_VOCABULARY = new Set(`honored honoured grateful appreciate thank thanks hope well reach reaching out
+wanted want connect note quick music musical live perform performing performance play playing bring booking book
+establishment opportunity guest guests crowd crowds atmosphere evening evenings night nights date dates open
+available availability upcoming fill work best fit great good recent clip listen watch check sound here`.split(/\s+/));
+
+const CALENDAR_WORDS = new Set(`january february march april may june july august september october november december
+jan feb mar apr jun jul aug sep sept oct nov dec monday tuesday wednesday thursday friday saturday sunday
+weekend weekends`.split(/\s+/));
+
+// Words that make a sentence a factual claim even without numbers or names
+const CREDENTIAL_PATTERN = /\b(?:award\w*|won|winner|nominat\w*|festival\w*|featured|feature|radio|airplay|tour\w*|album\w*|record\w*|chart\w*|residenc\w*|headlin\w*|opened for|shared the bill|magazine|press|review\w*|interview\w*|grammy|billboard|spotify|streams?|followers?|sold.out|years? of|decades?)\b/i;
+
+/**
+ * Lightweight stemmer - enough to match "performed"/"performs"/"performing".
+ */
+function stem(word) {
+  if (/^\d+$/.test(word) || word.length <= 4) return word;
+  return word.replace(/(?:ings?|ed|es|s)$/, '');
+}
+
+/**
+ * Split text into normalized terms. Ordinals ("26th") become numbers ("26").
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d+)(?:st|nd|rd|th)\b/g, '$1')
+    .split(/[^a-z0-9']+/)
+    .map(t => t.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Strip things that are never claims: URLs and merge tags.
+ */
+function stripNoise(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\{\{[^}]*\}\}/g, ' ');
+}
+
+/**
+ * Classify the terms of a claim into numbers, names (runs of capitalized
+ * words that don't start a sentence) and other content terms.
+ */
+function claimTerms(claim) {
+  const cleaned = stripNoise(claim);
+  const numbers = new Set();
+  const names = [];
+  const nameTerms = new Set();
+  const contentTerms = new Set();
+
+  const words = cleaned.split(/\s+/).filter(Boolean);
+  let current = [];
+  const closeName = () => {
+    if (current.length > 0) names.push(current);
+    current = [];
+  };
+  words.forEach((word, i) => {
+    const bare = word.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9']+$/g, '');
+    const startsSentence = i === 0 || /[.!?:]$/.test(words[i - 1]);
+    const term = stem(bare.toLowerCase());
+    const isName = !startsSentence && /^[A-Z][a-zA-Z']+$/.test(bare) && bare !== 'I' &&
+      !CALENDAR_WORDS.has(bare.toLowerCase()) && !STOPWORDS.has(bare.toLowerCase());
+    if (isName) {
+      current.push(term);
+      nameTerms.add(term);
+    } else {
+      closeName();
+    }
+    if (!isName || /[,;:.!?)]$/.test(word)) closeName();
+  });
+  closeName();
+
+  for (const token of tokenize(cleaned)) {
+    if (STOPWORDS.has(token)) continue;
+    if (/^\d+$/.test(token)) {
+      numbers.add(token);
+    } else if (!EMAIL_VOCABULARY.has(token) && !CALENDAR_WORDS.has(token) && !nameTerms.has(stem(token))) {
+      contentTerms.add(stem(token));
+    }
+  }
+
+  return { numbers: [...numbers], names, contentTerms: [...contentTerms] };
+}
+
+/**
+ * Split source text into sentence spans with character offsets.
+ */
+function sourceSpans(text) {
+  const spans = [];
+  const pattern = /[^.!?\n]+[.!?]*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const raw = match[0];
+    const lead = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed) {
+      const start = match.index + lead;
+      spans.push({ start, end: start + trimmed.length, text: trimmed, terms: new Set(tokenize(trimmed).map(stem)) });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Match one claim back to the sources.
+ *
+ * @param {string} claim - Claim text (accolade or email sentence)
+ * @param {string[]} sources - User-supplied texts; sources[0] is the infoDump
+ * @returns {{ claim: string, supported: boolean, score: number, missingTerms: string[], spans: Object[] }}
+ *   spans point into sources[0] (the infoDump) only
+ */
+function findSupport(claim, sources) {
+  const [primary = '', ...others] = sources.map(s => String(s || ''));
+  const primarySpans = sourceSpans(primary);
+  const allTerms = new Set([primary, ...others].flatMap(s => tokenize(s).map(stem)));
+
+  const { numbers, names, contentTerms } = claimTerms(claim);
+  const found = (t) => allTerms.has(t);
+  const nameWords = names.flat();
+  const wanted = [...new Set([...numbers, ...nameWords, ...contentTerms])];
+  const missingTerms = wanted.filter(t => !found(t));
+  const score = wanted.length === 0 ? 1 : (wanted.length - missingTerms.length) / wanted.length;
+
+  const hasKeyTerms = numbers.length > 0 || names.length > 0;
+  const contentRatio = contentTerms.length === 0 ? 1 : contentTerms.filter(found).length / contentTerms.length;
+  const supported = numbers.every(found) &&
+    names.every(name => name.filter(found).length / name.length >= MIN_SUPPORT_SCORE) &&
+    (hasKeyTerms || contentRatio >= MIN_SUPPORT_SCORE);
+
+  const spans = primarySpans
+    .map(span => ({ span, hits: wanted.filter(t => span.terms.has(t)).length }))
+    .filter(s => s.hits > 0)
+    .sort((a, b) => b.hits - a.hits || a.span.start - b.span.start)
+    .slice(0, MAX_SPANS)
+    .map(({ span }) => ({ start: span.start, end: span.end, text: span.text }));
+
+  return {
+    claim,
+    supported,
+    score: Math.round(score * 100) / 100,
+    missingTerms,
+    spans
+  };
+}
+
+/**
+ * Verify extracted accolades against the info dump.
+ *
+ * @param {Object[]} accolades - [{ accolade, category, booking_angle }]
+ * @param {string} infoDump - The artist's original input
+ * @returns {Object[]} Same accolades with a `grounding` field
+ *   ({ supported, score, missingTerms, spans }) added to each
+ */
+function verifyAccolades(accolades, infoDump) {
+  return (Array.isArray(accolades) ? accolades : [])
+    .filter(a => a && typeof a.accolade === 'string')
+    .map(a => {
+      const { claim, ...grounding } = findSupport(a.accolade, [infoDump]);
+      return { ...a, grounding };
+    });
+}
+
+/**
+ * Pick out the sentences of an email that state facts about the artist.
+ *
+ * @param {Object} parts - { paragraphs, callToAction }
+ * @returns {Array<{ field: string, text: string }>} Claim sentences
+ */
+function extractClaims(parts) {
+  const texts = [
+    ...(parts.paragraphs || []).map((text, i) => ({ field: `paragraphs[${i}]`, text })),
+    { field: 'callToAction', text: parts.callToAction || '' }
+  ];
+
+  const claims = [];
+  for (const { field, text } of texts) {
+    const sentences = stripNoise(text).match(/[^.!?]+[.!?]*/g) || [];
+    for (const raw of sentences) {
+      const sentence = raw.replace(/\s+/g, ' ').trim();
+      if (sentence.length < 4) continue;
+      const { numbers, names } = claimTerms(sentence);
+      if (numbers.length > 0 || names.length > 0 || CREDENTIAL_PATTERN.test(sentence)) {
+        claims.push({ field, text: sentence });
+      }
+    }
+  }
+  return claims;
+}
+
+/**
+ * Verify every factual claim in a generated email.
+ *
+ * @param {Object} parts - Email parts ({ paragraphs, callToAction, ... })
+ * @param {string[]} sources - User-supplied texts; sources[0] must be the infoDump.
+ *   Include availability, signature, idea etc. so echoing them isn't flagged.
+ * @returns {{ supported: boolean, claims: Object[], unsupported: Object[] }}
+ */
+function verifyEmailClaims(parts, sources) {
+  const claims = extractClaims(parts).map(({ field, text }) => ({ field, ...findSupport(text, sources) }));
+  const unsupported = claims.filter(c => !c.supported);
+  return { supported: unsupported.length === 0, claims, unsupported };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  findSupport,
+  verifyAccolades,
+  extractClaims,
+  verifyEmailClaims
+};
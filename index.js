@@ -12,7 +12,7 @@
  * 
  * KEY FEATURES:
  * - Initial pitch email generation
- * - 7-email follow-up sequence generation
+ * - Follow-up sequence generation (7 emails by default, configurable cadence)
  * - Intelligent date filtering (v5.0) - prevents expired dates in emails
  * - Dynamic accolade extraction from artist info
  * - Anti-repetition system across email sequence
@@ -22,22 +22,83 @@
  * 
  * API ENDPOINTS:
  * POST /generate-email              - Generate initial pitch email
- * POST /generate-followup-ideas      - Generate 7 follow-up concept ideas
- * POST /generate-followup-sequence  - Generate complete 7-email sequence
+ * POST /generate-email/stream       - Same, streamed as Server-Sent Events
+ * POST /generate-followup-ideas      - Generate follow-up concept ideas (one per follow-up)
+ * POST /generate-followup-sequence  - Start a follow-up sequence job (returns job id)
+ * GET  /generate-followup-sequence/:jobId - Poll sequence job progress/results
+ * POST /generate-followup-sequence/:jobId/emails/:index/retry - Retry one failed email
  * POST /generate-single-followup     - Generate one follow-up email
+ * POST /generate-single-followup/stream - Same, streamed as Server-Sent Events
  * POST /regenerate-followup-email    - Regenerate a follow-up with variation
+ * POST /generate-availability-from-calendar - Open dates from an .ics calendar upload
+ * POST /generate-venue-batch         - Start a batch job: one tailored pitch per CSV recipient
+ * GET  /generate-venue-batch/:jobId  - Poll batch progress/results
+ * GET  /generate-venue-batch/:jobId/download - Download batch results (CSV or JSON)
+ * POST /generate-venue-batch/:jobId/rows/:index/retry - Retry one failed recipient
+ * GET  /merge-tags                   - Allowed merge tags, fallbacks and ESP syntaxes
+ * POST /preview-email                - Fill an email's merge tags for a sample recipient
+ * POST /export-sequence              - Download a sequence for an ESP (CSV, JSON, .eml, HTML zip)
+ * POST /profiles                     - Save an artist profile (GET lists them)
+ * GET/PATCH/DELETE /profiles/:id     - Read, edit or delete a profile
+ * POST /campaigns                    - Create a campaign (GET lists them)
+ * GET/PATCH/DELETE /campaigns/:id    - Read, edit or delete a campaign
+ * GET  /campaigns/:id/versions       - Version history (GET /versions/:version for one)
+ * GET  /campaigns/:id/diff           - Compare two versions
+ * POST /campaigns/:id/versions/:version/restore - Restore an old version
+ * GET  /campaigns/:id/export         - Download a campaign's emails for an ESP
+ * POST /campaigns/:id/sends          - Send a campaign over SMTP on its cadence (GET lists sends)
+ * GET  /campaigns/:id/sends/:sendId  - Per-email status of a send (POST .../cancel to stop it)
+ * POST /replies                      - Classify a venue's reply, stop its follow-ups, draft an answer
+ * GET/POST /unsubscribe/:token       - Public unsubscribe page (the link in every sent email)
+ * GET/POST /suppressions             - The suppression list (DELETE /suppressions/:email to remove one)
+ * GET/POST/DELETE /auth/session      - Who is signed in / trade an API key for a session cookie / sign out
+ * GET  /usage                        - Tokens, estimated cost and quota for the month (per task, model, campaign)
+ * GET  /openapi.json                 - Every route's request schema as an OpenAPI 3.1 document
  * GET  /                             - Serve main HTML page
  * GET  /followup-ideas.html          - Serve follow-up ideas page
  * GET  /followup-email.html          - Serve follow-up email review page
  * 
  * INTEGRATION POINTS:
- * - Database: Currently stateless, add DB calls in endpoints as needed
- * - Email Service: Replace merge tags and send via your ESP (SendGrid, etc.)
- * - Authentication: Add auth middleware to endpoints for production
+ * - Storage: Campaigns are saved as JSON files (campaignStore.js); pass
+ *   `campaignId` to a generation route to save its result to a campaign
+ * - Email Service: Replace merge tags and send via your ESP (SendGrid, etc.) -
+ *   /preview-email converts them to your ESP's syntax (mergeTags.js) - or
+ *   send directly over SMTP (campaignSender.js)
+ * - Authentication: Every /ai route except the pages and unsubscribe links
+ *   needs a signed-in caller - pick how with AUTH_STRATEGY (auth.js)
+ * - Errors: Every error response has a `code` and a `retryable` flag
+ *   (apiErrors.js), so a client can tell "try again later" from "bad input"
+ * - Validation: Every /ai route checks its request against its schema
+ *   (apiSchemas.js) first - a bad payload gets a 400 listing its `fields`
+ * - Prompt safety: User content is fenced in every prompt, and injection
+ *   attempts are flagged as `injection` in the response (promptSafety.js)
  * 
  * ENVIRONMENT VARIABLES:
- * - OPENAI_API_KEY: Your OpenAI API key (required)
+ * - LLM_PROVIDER: "openai" (default), "openai-compatible" or "fixture" (offline)
+ * - LLM_MODEL: Model used by every route (optional, defaults to GPT_MODEL)
+ * - LLM_BASE_URL / LLM_API_KEY: Settings for an openai-compatible server
+ * - OPENAI_API_KEY: Your OpenAI API key (required for the openai provider)
  * - PORT: Server port (optional, defaults to 3000)
+ * - CAMPAIGN_DATA_DIR: Where campaigns are stored (optional, defaults to data/campaigns)
+ * - PROFILE_DATA_DIR: Where artist profiles are stored (optional, defaults to data/profiles)
+ * - SMTP_HOST: SMTP server - enables the built-in sender (optional)
+ * - SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS: SMTP connection (optional)
+ * - SMTP_FROM / SMTP_UNSUBSCRIBE_URL: Default sender address and unsubscribe URL (optional)
+ * - SEND_DATA_DIR: Where send status is stored (optional, defaults to data/sends)
+ * - PUBLIC_URL: This server's public URL - unsubscribe links in sent emails use it (optional)
+ * - UNSUBSCRIBE_SECRET: Signs unsubscribe links (optional, generated and saved if unset)
+ * - SUPPRESSION_DATA_DIR: Where the suppression list is stored (optional, defaults to data/suppressions)
+ * - AUTH_STRATEGY: "upstream" (default), "api-key", "session" and/or "local" (comma-separated)
+ * - AUTH_CHECK_URL / AUTH_LOGIN_URL: The upstream session check and login page (optional)
+ * - AUTH_API_KEYS: "name:key" pairs, comma-separated (api-key strategy, session sign-in)
+ * - AUTH_SESSION_SECRET: Signs session cookies (session strategy)
+ * - AUTH_LOCAL_USER: Name of the local development user (optional)
+ * - USAGE_DATA_DIR: Where usage is stored (optional, defaults to data/usage)
+ * - USAGE_MONTHLY_QUOTA_USD / USAGE_QUOTAS: Monthly quota, default and per user (optional)
+ * - USAGE_ADMINS: Users who may read everyone's usage (optional)
+ * - RATE_LIMIT_PER_MINUTE / RATE_LIMIT_PER_HOUR: Model requests per user (optional)
+ * - LLM_TIMEOUT_MS / LLM_MAX_ATTEMPTS: Model call timeout and attempts (optional)
+ * - LLM_FALLBACK_MODEL: Model tried when the main one keeps failing (optional)
  * 
  * See README.md, DEVELOPER_GUIDE.md, and API_REFERENCE.md for more details.
  * ============================================================================
@@ -49,17 +110,83 @@ require('dotenv').config();
 // Core dependencies
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
 const path = require('path');
 
 // Import constants and configuration
-const { DEFAULT_PORT, EMAIL_TEMPLATE, DISCLAIMER_VARIATIONS, GPT_MODEL, GREETING_ROTATION } = require('./constants');
+const { DEFAULT_PORT, EMAIL_TEMPLATE, DISCLAIMER_VARIATIONS, GREETING_ROTATION, DEFAULT_LINT_MODE, SEQUENCE_CONCURRENCY, BATCH_CONCURRENCY, CALENDAR_MAX_UPLOAD_SIZE, REPLY_MAX_UPLOAD_SIZE } = require('./constants');
 
 // Import email generation utilities
-const { generateEmailPrompt, callOpenAI } = require('./emailGenerator');
+const { generateEmailPrompt, formatVenueContext, callModel, generateCheckedEmail } = require('./emailGenerator');
+
+// Import structured output helpers (JSON email schema)
+const { EMAIL_OUTPUT_FORMAT, extractJson } = require('./emailFormat');
+
+// Import LLM provider layer (OpenAI, OpenAI-compatible local server, offline fixture)
+const { createProvider, TASKS } = require('./llmProvider');
+
+// Import grounding check (flags claims not found in the artist's info dump)
+const { GROUNDING_MODES, verifyAccolades } = require('./grounding');
+
+// Import Server-Sent Events streaming for single emails
+const { streamEmailResponse } = require('./emailStream');
+
+// Import background job queue (async follow-up sequence generation)
+const { createJobQueue, countSteps, STEP_STATUS } = require('./jobQueue');
 
 // Import date filtering utilities (v5.0 feature)
-const { filterAvailabilityByDate, getWaitDays } = require('./dateUtils');
+const { filterAvailabilityByDate, getWaitDays, resolveUserCalendar } = require('./dateUtils');
+
+// Import follow-up cadence (number of follow-ups, wait days, email roles)
+const { EMAIL_ROLES, resolveCadence, getEmailRole, assertEmailIndex } = require('./cadence');
+
+// Import calendar import (open dates from an .ics gig calendar)
+const { importCalendarAvailability } = require('./calendarImport');
+
+// Import campaign store (saved campaigns with version history)
+const { createCampaignStore, pickInputs, VERSION_SOURCES } = require('./campaignStore');
+
+// Import profile store (saved artist profiles, cached accolades)
+const { createProfileStore, mergeProfile } = require('./profileStore');
+
+// Import venue batches (CSV of recipients, one tailored pitch each)
+const { parseRecipients, venueFor, batchResultsToCsv } = require('./venueBatch');
+
+// Import ESP export (a sequence as CSV, JSON, .eml or HTML files)
+const { exportSequence } = require('./espExport');
+
+// Import HTML rendering (every email is returned as plain text and HTML)
+const { renderEmailHtml } = require('./emailHtml');
+
+// Import merge tags (allowed tags, fallbacks, ESP syntax, unsubscribe footer)
+const { MERGE_TAGS, ESP_SYNTAX, FOOTER_SPACING_LINES, UNSUBSCRIBE_FOOTER, appendUnsubscribeFooter, previewEmail } = require('./mergeTags');
+
+// Import SMTP sending (deliver a saved campaign on its cadence)
+const { createSmtpTransport, smtpConfigFromEnv } = require('./smtpClient');
+const { createCampaignSender } = require('./campaignSender');
+
+// Import reply classification (a venue's answer stops or postpones its follow-ups)
+const { REPLY_CLASSES, readReply, classifyReply, needsDraft, draftReply } = require('./replyClassifier');
+
+// Import suppression list and unsubscribe links (opt-outs honored everywhere)
+const { SUPPRESSION_REASONS, isEmailAddress, createSuppressionList, suppressionsToCsv } = require('./suppressionList');
+const { loadUnsubscribeSecret, createUnsubscribeTokens, renderUnsubscribePage, maskEmail } = require('./unsubscribe');
+
+// Import auth strategies (upstream check, API keys, signed session cookies, local stub)
+const { AUTH_STRATEGIES, createAuth, apiKeyFrom } = require('./auth');
+
+// Import usage metering (tokens and cost per user/campaign, quotas, rate limits)
+const { runWithUsageScope, usageConfigFromEnv, createUsageMeter, meterProvider, createRateLimiter } = require('./usageMeter');
+
+// Import model call resilience (timeouts, retries, circuit breaker, fallback model) and typed errors
+const { createResilientProvider, resilienceConfigFromEnv } = require('./modelResilience');
+const { errorBody, typedErrorResponses, typedErrorHandler } = require('./apiErrors');
+
+// Import request validation (route schemas, field-level 400s, the OpenAPI document)
+const { assertValid, validateRequest } = require('./requestValidation');
+const { ROUTES, ARTIST_FIELDS, artistInput, openApiDocument } = require('./apiSchemas');
+
+// Import prompt safety (user content fenced in prompts, injection attempts flagged)
+const { USER_CONTENT_RULES, fenceUserContent, inlineUserContent, scanForInjection } = require('./promptSafety');
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -72,57 +199,19 @@ const { filterAvailabilityByDate, getWaitDays } = require('./dateUtils');
  */
 const PREAMBLE = EMAIL_TEMPLATE.replace(/\n{3,}/g, '\n');
 
-/**
- * Safely extract JSON from OpenAI response that may include markdown code fences or extra text.
- * 
- * The AI sometimes returns JSON wrapped in ```json``` code fences or with explanatory text.
- * This function tries multiple strategies to extract valid JSON:
- * 1. Try parsing directly
- * 2. Remove code fences and try again
- * 3. Find JSON array markers [ ] and extract
- * 4. Find JSON object markers { } and extract
- * 
- * @param {string} text - Raw text from OpenAI response
- * @returns {object|array} Parsed JSON object or array
- * @throws {Error} If no valid JSON can be extracted
- */
-function extractJson(text) {
-  try {
-    return JSON.parse(text);
-  } catch (_) {
-    const withoutFences = text.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '');
-    try {
-      return JSON.parse(withoutFences);
-    } catch (_) {
-      const arrStart = withoutFences.indexOf('[');
-      const arrEnd = withoutFences.lastIndexOf(']');
-      const objStart = withoutFences.indexOf('{');
-      const objEnd = withoutFences.lastIndexOf('}');
-      if (arrStart !== -1 && arrEnd > arrStart) {
-        try { return JSON.parse(withoutFences.slice(arrStart, arrEnd + 1)); } catch (_) {}
-      }
-      if (objStart !== -1 && objEnd > objStart) {
-        try { return JSON.parse(withoutFences.slice(objStart, objEnd + 1)); } catch (_) {}
-      }
-      throw new Error('Model response is not valid JSON');
-    }
-  }
-}
-
 /**
  * Append unsubscribe footer to generated email with large spacing.
  * 
  * The 200 blank lines push the unsubscribe link far below the visible email content.
  * This makes the email look more personal while still including the required unsubscribe option.
+ * The footer text lives with the other merge tags in mergeTags.js.
  * 
  * INTEGRATION POINT: Replace {{unsubscribe_link}} with actual unsubscribe URL before sending.
  * 
  * @param {string} email - The generated email body
  * @returns {string} Email with unsubscribe footer appended
  */
-const FOOTER_SPACING_LINES = 200;
-const UNSUBSCRIBE_FOOTER = 'Remove future contact here\n{{unsubscribe_link}}';
-const appendFooter = (email) => `${email}\n${'\n'.repeat(FOOTER_SPACING_LINES)}${UNSUBSCRIBE_FOOTER}`;
+const appendFooter = appendUnsubscribeFooter;
 
 /**
  * Map email index (0-7) to the appropriate greeting from GREETING_ROTATION.
@@ -138,13 +227,132 @@ const appendFooter = (email) => `${email}\n${'\n'.repeat(FOOTER_SPACING_LINES)}$
  * - Email 7 (Follow-up 7): "Hey"
  * 
  * This variation helps avoid spam detection and keeps emails feeling fresh.
+ * Cadences with more than 7 follow-ups cycle through the follow-up greetings again.
  * 
- * @param {number} emailIndex - Index of email in sequence (0-7)
+ * @param {number} emailIndex - Index of email in sequence (0 = initial, 1+ = follow-ups)
  * @returns {string} Greeting string (e.g., "Hi", "Hello", "Hi there")
  */
 function getGreetingForIndex(emailIndex) {
-  const idx = Math.max(0, Math.min(GREETING_ROTATION.length - 1, emailIndex));
-  return GREETING_ROTATION[idx];
+  if (emailIndex <= 0) return GREETING_ROTATION[0];
+  return GREETING_ROTATION[1 + ((emailIndex - 1) % (GREETING_ROTATION.length - 1))];
+}
+
+/**
+ * Pick the contentFocus entry for a follow-up: the last two entries belong to
+ * the "last chance" and "final goodbye" roles, regular follow-ups cycle
+ * through the rest.
+ * 
+ * @param {string} role - EMAIL_ROLES value (cadence.js)
+ * @param {number} emailIndex - Follow-up index (0-based)
+ * @param {number} focusCount - Length of the contentFocus array
+ * @returns {number} Index into contentFocus
+ */
+function getContentFocusIndex(role, emailIndex, focusCount) {
+  if (role === EMAIL_ROLES.LAST_CHANCE) return focusCount - 2;
+  if (role === EMAIL_ROLES.FINAL_GOODBYE) return focusCount - 1;
+  return emailIndex % (focusCount - 2);
+}
+
+/**
+ * Send an error response from a route.
+ * 
+ * Errors may carry an HTTP `status` (e.g. 422 from strict grounding) and a
+ * `details` object that is merged into the JSON body; anything else is a 500.
+ * The body is typed ({ error, code, retryable }, apiErrors.js), and a
+ * `retryAfter` is also sent as a Retry-After header.
+ * 
+ * @param {Object} res - Express response
+ * @param {Error} error - The caught error
+ * @param {string} fallbackMessage - Message used when the error has none
+ */
+function sendError(res, error, fallbackMessage) {
+  console.error('Detailed error:', error);
+  const body = errorBody(error, fallbackMessage);
+  if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+  res.status(error.status || 500).json(body);
+}
+
+/**
+ * Fill a request's artist fields from its `profileId` (inline fields win),
+ * then check the ones the route needs are there.
+ * 
+ * @param {string} ownerId - The caller (req.user.id); only their profiles are found
+ * @param {Object} input - Request body
+ * @param {string[]} [required=[]] - Artist fields that must be set (see artistInput in apiSchemas.js)
+ * @returns {Promise<Object>} The request with the profile merged in
+ * @throws {Error} status 404 if the profile doesn't exist, 400 if a required field is missing
+ */
+async function applyProfile(ownerId, input, required = []) {
+  const merged = input.profileId === undefined ? input : mergeProfile(await profiles.get(ownerId, input.profileId), input);
+  if (required.length > 0) assertValid(artistInput(required), merged);
+  return merged;
+}
+
+/**
+ * Flag prompt-injection attempts in the user content of a request
+ * (promptSafety.js). It only flags: the content is fenced in every prompt
+ * and the output is linted either way.
+ * 
+ * @param {Object} input - Request body (after applyProfile)
+ * @param {Object} [more] - Other user content the prompt uses, e.g. { idea } or { venue }
+ * @returns {Object} { suspected, findings } - sent back as `injection`
+ */
+function checkUserContent(input, more = {}) {
+  const { infoDump, emailStyle, signatureBlock, availability } = input;
+  return scanForInjection({ infoDump, emailStyle, signatureBlock, availability, ...more });
+}
+
+/**
+ * Accolades cached on the request's profile for its info dump.
+ * 
+ * @param {string} ownerId - The caller
+ * @param {Object} input - Request body (after applyProfile)
+ * @param {Object} [followUp] - { emailIndex, idea } for a single follow-up's accolade
+ * @returns {Promise<Object[]|Object|null>} null without profileId or if nothing is cached
+ */
+async function getCachedAccolades(ownerId, input, followUp) {
+  if (input.profileId === undefined) return null;
+  return profiles.getAccolades(ownerId, input.profileId, input.infoDump, followUp).catch(error => {
+    console.error('Accolade cache read failed:', error);
+    return null;
+  });
+}
+
+/**
+ * Cache extracted accolades on the request's profile (no-op without profileId).
+ * A failure is logged; generation carries on.
+ */
+async function cacheAccolades(ownerId, input, accolades, followUp) {
+  if (input.profileId === undefined) return;
+  await profiles.saveAccolades(ownerId, input.profileId, input.infoDump, accolades, followUp).catch(error => {
+    console.error('Accolade cache write failed:', error);
+  });
+}
+
+/**
+ * Check a request's `campaignId` before any model call, so a bad id fails fast.
+ * 
+ * @param {string} ownerId - The caller
+ * @param {Object} input - Request body
+ * @throws {Error} status 404 if the campaign doesn't exist or isn't the caller's
+ */
+async function assertCampaign(ownerId, input) {
+  if (input.campaignId !== undefined) await campaigns.get(ownerId, input.campaignId);
+}
+
+/**
+ * Save generated content to the request's campaign as a new version
+ * (no-op without `campaignId`). The request's inputs are saved with it.
+ * 
+ * @param {string} ownerId - The caller
+ * @param {Object} input - Request body
+ * @param {Object} changes - { intro } | { ideas } | { followUps: { [index]: email } }
+ * @returns {Promise<Object|undefined>} { id, version } of the saved campaign
+ */
+async function saveToCampaign(ownerId, input, changes) {
+  if (input.campaignId === undefined) return undefined;
+  const campaign = await campaigns.update(ownerId, input.campaignId, { inputs: pickInputs(input), ...changes }, VERSION_SOURCES.GENERATE);
+  return { id: campaign.id, version: campaign.version };
 }
 
 // ============================================================================
@@ -155,13 +363,65 @@ function getGreetingForIndex(emailIndex) {
 const app = express();
 const port = process.env.PORT || DEFAULT_PORT;
 
-// Initialize OpenAI client with API key from environment variables
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Auth strategies selected by AUTH_STRATEGY (defaults to the upstream check, auth.js)
+const auth = createAuth();
+
+// Token usage, estimated cost and quotas per user (usageMeter.js)
+const usageConfig = usageConfigFromEnv();
+const usage = createUsageMeter({
+  dir: process.env.USAGE_DATA_DIR || path.join(__dirname, 'data', 'usage'),
+  quotaUsd: usageConfig.quotaUsd,
+  quotas: usageConfig.quotas
+});
+const rateLimiter = createRateLimiter({ limits: usageConfig.rateLimits });
+
+// Initialize the LLM provider selected by LLM_PROVIDER (defaults to OpenAI),
+// with timeouts, retries and the fallback model (modelResilience.js) and
+// every call recorded by the usage meter
+const resilienceConfig = resilienceConfigFromEnv();
+const llm = meterProvider(createResilientProvider(createProvider(), resilienceConfig), usage);
+
+// Saved campaigns (campaignStore.js)
+const campaigns = createCampaignStore({
+  dir: process.env.CAMPAIGN_DATA_DIR || path.join(__dirname, 'data', 'campaigns')
+});
+
+// Saved artist profiles (profileStore.js)
+const profiles = createProfileStore({
+  dir: process.env.PROFILE_DATA_DIR || path.join(__dirname, 'data', 'profiles')
+});
+
+// Suppression list (suppressionList.js) and signed unsubscribe links (unsubscribe.js)
+const suppressionDir = process.env.SUPPRESSION_DATA_DIR || path.join(__dirname, 'data', 'suppressions');
+const suppressions = createSuppressionList({ dir: suppressionDir });
+const unsubscribeTokens = createUnsubscribeTokens({
+  secret: loadUnsubscribeSecret({ secret: process.env.UNSUBSCRIBE_SECRET, file: path.join(suppressionDir, 'unsubscribe-secret') }),
+  baseUrl: process.env.PUBLIC_URL
+});
+
+// Built-in SMTP sender (campaignSender.js) - only when SMTP_HOST is set
+const smtpConfig = smtpConfigFromEnv();
+const sender = smtpConfig && createCampaignSender({
+  dir: process.env.SEND_DATA_DIR || path.join(__dirname, 'data', 'sends'),
+  campaigns,
+  transport: createSmtpTransport(smtpConfig),
+  defaults: { fromEmail: process.env.SMTP_FROM, unsubscribeUrl: process.env.SMTP_UNSUBSCRIBE_URL || unsubscribeTokens.urlTemplate },
+  suppressions,
+  unsubscribeTokens
 });
 
-// Log API key status on startup (helpful for debugging)
-console.log('API Key:', process.env.OPENAI_API_KEY ? 'Found' : 'Not found');
+// Log provider and API key status on startup (helpful for debugging)
+console.log(`LLM provider: ${llm.name} (model: ${llm.defaultModel})`);
+if (llm.name === 'openai') {
+  console.log('API Key:', process.env.OPENAI_API_KEY ? 'Found' : 'Not found');
+}
+console.log(`Model calls: ${resilienceConfig.timeoutMs / 1000}s timeout, ${resilienceConfig.maxAttempts} attempts, fallback model: ${resilienceConfig.fallbackModel || 'none'}`);
+console.log(`Auth: ${auth.strategies.join(', ')}`);
+if (auth.strategies.includes(AUTH_STRATEGIES.LOCAL)) {
+  console.warn('AUTH_STRATEGY=local: every request is signed in as the local user - development only');
+}
+console.log(`Usage limits: ${usageConfig.quotaUsd > 0 ? `$${usageConfig.quotaUsd}/month` : 'no quota'} per user, ${usageConfig.rateLimits.map(limit => `${limit.max} per ${limit.windowMs >= 3600000 ? 'hour' : 'minute'}`).join(', ') || 'no rate limit'}`);
+console.log(`SMTP sending: ${smtpConfig ? `${smtpConfig.host}:${smtpConfig.port}` : 'off (set SMTP_HOST to enable)'}`);
 
 // ============================================================================
 // MIDDLEWARE
@@ -170,12 +430,84 @@ console.log('API Key:', process.env.OPENAI_API_KEY ? 'Found' : 'Not found');
 // Enable CORS for cross-origin requests
 app.use(cors());
 
+// Give every JSON error response a `code` and `retryable` flag (apiErrors.js)
+app.use(typedErrorResponses());
+
 // Parse JSON request bodies
 app.use(express.json());
 
 // Serve static files from public/ directory (HTML, CSS, JS)
 app.use(express.static('public'));
 
+// Pages served under /ai without a login (each page checks the session
+// itself). Listed by name, so a new GET route never turns public by accident
+const PUBLIC_PAGES = new Set(['/', '/followup-ideas.html', '/followup-email.html', '/openapi.json']);
+
+/**
+ * Whether an /ai request needs no signed-in caller: the pages in
+ * PUBLIC_PAGES, the unsubscribe link in sent emails, and signing in/out
+ * with a session cookie. Everything else - the generation routes included -
+ * goes through auth.js.
+ * 
+ * @param {Object} req - Express request (path relative to /ai)
+ * @returns {boolean}
+ */
+function isPublicRequest(req) {
+  if (req.path.startsWith('/unsubscribe/')) return true;
+  if (req.path === '/auth/session') return req.method === 'POST' || req.method === 'DELETE';
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+  return PUBLIC_PAGES.has(req.path);
+}
+
+// Require a signed-in caller for /ai (sets req.user)
+app.use('/ai', auth.middleware({ isPublic: isPublicRequest }));
+
+/**
+ * Whether a request calls the model: generation, regeneration, retries of
+ * jobs and reply classification. These are rate limited and count against
+ * the caller's monthly quota.
+ * 
+ * @param {Object} req - Express request (path relative to /ai)
+ * @returns {boolean}
+ */
+function isModelRequest(req) {
+  return req.method === 'POST' &&
+    /^\/(generate-|regenerate-|replies$)/.test(req.path) &&
+    req.path !== '/generate-availability-from-calendar';
+}
+
+/**
+ * The campaign a request's model calls are recorded against: its
+ * `campaignId`, when that names a saved campaign. This runs before the
+ * route's validation, so the id is only trusted once the campaign store
+ * has found it - a made-up id gets no cost bucket of its own.
+ * 
+ * @param {Object} req - Express request (path relative to /ai)
+ * @returns {Promise<string|null>}
+ */
+async function usageCampaignId(req) {
+  // Only a raw reply upload names its campaign in the query string
+  const id = req.path === '/replies' && req.is('message/rfc822') ? req.query.campaignId : req.body && req.body.campaignId;
+  if (typeof id !== 'string') return null;
+  return campaigns.get(req.user.id, id).then(() => id, () => null);
+}
+
+// Rate limits and quotas for model requests (429 when exceeded); every
+// model call a request makes, including its background jobs, is recorded
+// for the caller and the request's campaign
+app.use('/ai', async (req, res, next) => {
+  if (!req.user) return next();
+  if (isModelRequest(req)) {
+    try {
+      rateLimiter.hit(req.user.id);
+      await usage.checkQuota(req.user.id);
+    } catch (error) {
+      return sendError(res, error, 'Failed to check usage');
+    }
+  }
+  runWithUsageScope({ userId: req.user.id, campaignId: await usageCampaignId(req) }, next);
+});
+
 // ============================================================================
 // API ENDPOINTS
 // ============================================================================
@@ -195,109 +527,106 @@ app.use(express.static('public'));
  *   signatureBlock: string  - Contact info (name, phone, email, website)
  *   availability: string    - Availability dates (e.g., "November 9-26th", "OPEN")
  *   currentDate?: string    - ISO date string for date filtering (v5.0)
+ *   timeZone?: string       - User's IANA timezone, e.g. "Australia/Sydney"
+ *   locale?: string         - User's locale, e.g. "en-AU" (numeric date order)
+ *   profileId?: string      - Saved artist profile; fills infoDump, videoLinks,
+ *                             emailStyle and signatureBlock when not sent
+ *   campaignId?: string     - Save the email to this campaign as its intro
  * }
  * 
  * RESPONSE:
  * {
  *   subject: string  - Generated subject line (2-5 words, NO merge tags)
  *   email: string    - Complete email body with merge tags and unsubscribe footer
+ *   html: string     - The same email as email-client-safe HTML (emailHtml.js)
+ *   injection: { suspected, findings } - Injection attempts in the inputs (promptSafety.js)
+ *   campaign?: { id, version } - With campaignId: the version it was saved as
  * }
  * 
  * INTEGRATION POINTS:
- * - Add database call here to save generated email
- * - Add authentication middleware for production
  * - Replace merge tags before sending via email service
  * 
  * See API_REFERENCE.md for complete documentation.
  */
-app.use('/ai', async (req, res, next) => {
-    // Skip auth check for static files, health checks, and API endpoints
-    if (req.path.includes('.css') || 
-        req.path.includes('.js') || 
-        req.path.includes('.png') || 
-        req.path === '/health' ||
-        req.path.startsWith('/generate-') ||
-        req.path.startsWith('/regenerate-')) {
-        return next();
-    }
 
-    // For HTML pages, let them be served as static files
-    // Client-side JavaScript in the static files will handle redirection
-    if (req.path === '/' || req.path.endsWith('.html')) {
-        return next();
-    }
-
-    // For other routes, check authentication
-    try {
-        const authResponse = await fetch('https://roboticbookingagent.com/api/check-auth', {
-            headers: {
-                Cookie: req.headers.cookie || '',
-                'User-Agent': req.headers['user-agent']
-            }
-        });
-
-        if (authResponse.ok) {
-            next();
-        } else {
-            res.status(401).json({ 
-                error: 'Authentication required',
-                redirect: 'https://roboticbookingagent.com/login'
-            });
-        }
-    } catch (error) {
-        console.error('Auth check failed:', error);
-        res.status(401).json({ 
-            error: 'Authentication required',
-            redirect: 'https://roboticbookingagent.com/login'
-        });
-    }
-});
+/**
+ * Generate the initial pitch email (shared by the JSON and streaming routes).
+ * 
+ * @param {string} ownerId - The caller (req.user.id)
+ * @param {Object} input - Request body (see above)
+ * @param {Object} [streamOptions] - { onDelta, onRetry } for streaming (emailStream.js)
+ * @returns {Promise<Object>} { subject, email, html, parts, lint, grounding, injection, campaign? }
+ */
+async function generateInitialEmail(ownerId, input, streamOptions = {}) {
+  input = await applyProfile(ownerId, input, ARTIST_FIELDS);
+  await assertCampaign(ownerId, input);
+  const injection = checkUserContent(input, { venue: input.venue });
+
+  // Step 1: Build AI prompt using helper function from emailGenerator.js
+  const prompt = generateEmailPrompt(input);
+  
+  // Step 2: Call the LLM provider (can take 5-15 seconds)
+  console.log(`Sending request to ${llm.name}...`);
+  const { infoDump, videoLinks, emailStyle, signatureBlock, availability, venue, groundingMode = GROUNDING_MODES.FLAG } = input;
+  // The model returns a JSON object; it is validated and re-requested if malformed,
+  // then checked against the EMAIL_TEMPLATE rules (emailLinter.js)
+  const { subject, body, parts, lint, grounding } = await generateCheckedEmail(llm, prompt, {
+    lintMode: input.lintMode || DEFAULT_LINT_MODE,
+    lintOptions: { greeting: getGreetingForIndex(0), videoLinks },
+    // Venue details (batches) are facts the email may use too
+    grounding: { sources: [infoDump, availability, signatureBlock, emailStyle, ...Object.values(venue || {})], mode: groundingMode },
+    context: { infoDump, videoLink: videoLinks[0], signatureBlock, availability, greeting: getGreetingForIndex(0), venue },
+    ...streamOptions
+  });
+  
+  // Step 3: Add unsubscribe footer with 200 blank lines (the HTML version gets a styled footer instead)
+  const finalEmail = appendFooter(body);
+  const html = renderEmailHtml(parts, { subject, videoLinks });
+  
+  // Step 4: Save to the campaign (if any) and return generated email
+  const campaign = await saveToCampaign(ownerId, input, { intro: { subject, email: finalEmail } });
+  return { subject, email: finalEmail, html, parts, lint, grounding, injection, campaign };
+}
 
-app.post('/ai/generate-email', async (req, res) => {
+app.post('/ai/generate-email', validateRequest(ROUTES.generateEmail), async (req, res) => {
   try {
-    // Step 1: Build AI prompt using helper function from emailGenerator.js
-    const prompt = generateEmailPrompt(req.body);
-    
-    // Step 2: Call OpenAI API (can take 5-15 seconds)
-    console.log('Sending request to OpenAI...');
-    const completion = await callOpenAI(openai, prompt);
-    const content = completion.choices[0].message.content;
-    
-    // Step 3: Parse response to extract subject line and email body
-    // AI returns format: "SUBJECT: ..." followed by blank line and email body
-    const parts = content.split('\n\n');
-    const subject = parts[0].replace('SUBJECT:', '').trim();
-    const email = parts.slice(1).join('\n\n');
-    
-    // Step 4: Add unsubscribe footer with 200 blank lines
-    const finalEmail = appendFooter(email);
-    
-    // Step 5: Return generated email
-    // INTEGRATION: Save to database here if needed
-    res.json({ subject, email: finalEmail });
-    
+    res.json(await generateInitialEmail(req.user.id, req.body));
   } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate email' });
+    sendError(res, error, 'Failed to generate email');
   }
 });
 
+/**
+ * Stream the initial pitch email as Server-Sent Events (subject, delta, retry, done, error)
+ * @route POST /generate-email/stream
+ */
+app.post('/ai/generate-email/stream', validateRequest(ROUTES.generateEmailStream), (req, res) => {
+  streamEmailResponse(res, (streamOptions) => generateInitialEmail(req.user.id, req.body, streamOptions), 'Failed to generate email');
+});
+
 /**
  * ENDPOINT: Generate Follow-Up Ideas
  * 
  * POST /generate-followup-ideas
  * 
- * Generates 7 follow-up email concept ideas based on the musician's information.
+ * Generates one follow-up email concept idea per follow-up in the cadence
+ * (7 by default) based on the musician's information.
  * These are short 2-4 word phrases that become the talking point for each follow-up.
  * 
  * REQUEST BODY:
  * {
- *   infoDump: string  - Musician's detailed information
+ *   infoDump: string         - Musician's detailed information (or profileId)
+ *   cadence?: number[]       - Custom follow-up wait days (see cadence.js)
+ *   cadencePreset?: string   - Named cadence from CADENCE_PRESETS
+ *   campaignId?: string      - Save the ideas to this campaign
  * }
  * 
  * RESPONSE:
  * {
- *   ideas: string[]  - Array of 7 concept phrases
+ *   ideas: string[]  - One concept phrase per follow-up
+ *   cadence: { preset, waitDays }
+ *   injection: { suspected, findings } - Injection attempts in infoDump
+ *   campaign?: { id, version }
  * }
  * 
  * EXAMPLES OF GENERATED IDEAS:
@@ -309,8 +638,9 @@ app.post('/ai/generate-email', async (req, res) => {
  * - "Last chance for live music"  (always 6th)
  * - "Final goodbye"               (always 7th)
  * 
- * The AI analyzes the infoDump and extracts 5 unique concepts based on the
- * artist's actual background. The last 2 are always "Last chance" and "Final goodbye".
+ * The AI analyzes the infoDump and extracts unique concepts based on the
+ * artist's actual background. The last 2 are always "Last chance" and "Final goodbye"
+ * (for short cadences, only the roles that exist - see cadence.js).
  * 
  * INTEGRATION POINTS:
  * - User can edit these ideas in the frontend before generating follow-ups
@@ -318,15 +648,31 @@ app.post('/ai/generate-email', async (req, res) => {
  * 
  * See API_REFERENCE.md for complete documentation.
  */
-app.post('/ai/generate-followup-ideas', async (req, res) => {
+app.post('/ai/generate-followup-ideas', validateRequest(ROUTES.generateFollowUpIdeas), async (req, res) => {
   try {
-    const { infoDump } = req.body;
+    const input = await applyProfile(req.user.id, req.body, ['infoDump']);
+    const { infoDump } = input;
+    const injection = scanForInjection({ infoDump });
+    const cadence = resolveCadence(input);
+    const count = cadence.waitDays.length;
+    const roles = cadence.waitDays.map((_, i) => getEmailRole(i, count));
+    await assertCampaign(req.user.id, input);
+
+    // Concepts that are fixed by the email's role in the cadence
+    const fixedConcepts = roles.map((role, i) => {
+      if (role === EMAIL_ROLES.LAST_CHANCE) return `- "Last chance for music" (email #${i + 1})`;
+      if (role === EMAIL_ROLES.FINAL_GOODBYE) return `- "Final goodbye" (email #${i + 1})`;
+      return null;
+    }).filter(Boolean);
     
-    const prompt = `Based on this musician's information, create 7 simple follow-up email concepts. Keep them short and concept-based that users can easily understand and edit.
+    const prompt = `Based on this musician's information, create ${count} simple follow-up email concepts. Keep them short and concept-based that users can easily understand and edit.
 
-MUSICIAN INFO: ${infoDump}
+${USER_CONTENT_RULES}
 
-Generate exactly 7 short concept phrases (2-4 words each) for follow-up emails. Examples:
+MUSICIAN INFO:
+${fenceUserContent('artist_info', infoDump)}
+
+Generate exactly ${count} short concept phrases (2-4 words each) for follow-up emails. Examples:
 - "Who you've worked with"
 - "Key performances"
 - "Radio charting"
@@ -339,50 +685,48 @@ Generate exactly 7 short concept phrases (2-4 words each) for follow-up emails.
 - "Unique musical style"
 - "Performance highlights"
 
-The last 2 concepts should ALWAYS be:
-- "Last chance for music" (6th email)
-- "Final goodbye" (7th email)
+${fixedConcepts.length > 0 ? `The last ${fixedConcepts.length === 1 ? 'concept' : `${fixedConcepts.length} concepts`} should ALWAYS be:
+${fixedConcepts.join('\n')}
 
-Format as a JSON array of exactly 7 short concept strings.`;
+` : ''}Format as a JSON array of exactly ${count} short concept strings.`;
 
-    const completion = await openai.chat.completions.create({
-      model: GPT_MODEL,
-      messages: [{ role: "user", content: prompt }],
+    const { content } = await callModel(llm, prompt, {
+      task: TASKS.IDEAS,
       temperature: 0.7,
+      context: { infoDump, roles }
     });
-
-    const content = completion.choices[0].message.content;
     const ideas = extractJson(content);
+    const campaign = await saveToCampaign(req.user.id, input, { ideas });
     
-    res.json({ ideas });
+    res.json({ ideas, cadence, injection, campaign });
   } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate follow-up ideas' });
+    sendError(res, error, 'Failed to generate follow-up ideas');
   }
 });
 
 /**
- * Generate complete follow-up email sequence
- * @route POST /generate-followup-sequence
+ * Extract the accolades a follow-up sequence is built around.
+ * 
+ * One model call pulls 7 distinct accolades from the info dump. Each is
+ * matched back to the info dump (grounding.js); in strict grounding mode
+ * unsupported ones are dropped. Falls back to generic categories if
+ * extraction fails or nothing survives. With a profileId the extracted
+ * accolades are cached on the profile and reused by later sequences.
+ * 
+ * @param {string} ownerId - The user the job belongs to
+ * @param {Object} input - Sequence request body ({ infoDump, groundingMode, profileId })
+ * @returns {Promise<Object[]>} [{ accolade, category, booking_angle, grounding? }]
  */
-app.post('/ai/generate-followup-sequence', async (req, res) => {
-  try {
-    const { infoDump, videoLinks, emailStyle, signatureBlock, ideas, currentDate, availability } = req.body;
-    
-    const sequence = [];
-    const waitDays = [7, 14, 21, 31, 41, 51, 61]; // Wait days for each follow-up
-    
-    // Subject line examples for psychology-based engagement
-    const subjectExamples = [
-      "Have you given up on this?", "Live music this weekend?", "Still looking for entertainment?", 
-      "Did you find someone already?", "Quick question about music", "Is this still a priority?",
-      "Last chance for live music", "Final note about music"
-    ];
-    
-    // DYNAMIC ACCOLADE EXTRACTION - Analyze artist's info dump first
-    const accoladeExtractionPrompt = `ANALYZE this artist's information and EXTRACT their MOST compelling, specific accolades/achievements. Each must be COMPLETELY DIFFERENT and introduce NEW reasons to book them:
+async function extractSequenceAccolades(ownerId, input) {
+  const { infoDump, groundingMode = GROUNDING_MODES.FLAG } = input;
+
+  // DYNAMIC ACCOLADE EXTRACTION - Analyze artist's info dump first
+  const accoladeExtractionPrompt = `ANALYZE this artist's information and EXTRACT their MOST compelling, specific accolades/achievements. Each must be COMPLETELY DIFFERENT and introduce NEW reasons to book them:
 
-ARTIST INFO: ${infoDump}
+${USER_CONTENT_RULES}
+
+ARTIST INFO:
+${fenceUserContent('artist_info', infoDump)}
 
 CRITICAL REQUIREMENTS:
 - Extract 7+ DISTINCT accolades (we need extras to ensure uniqueness)
@@ -412,182 +756,365 @@ RETURN exactly 7 COMPLETELY DIFFERENT, specific accolades. Each must introduce a
 
 Example format:
 [
-  {"accolade": "Performed at Blue Note Jazz Club for 3 years", "category": "venue_experience", "booking_angle": "proven_venue_success"},
-  {"accolade": "15 years of professional performance experience", "category": "experience_milestone", "booking_angle": "seasoned_professional"},
-  {"accolade": "Specializes in smooth jazz and acoustic covers", "category": "musical_style", "booking_angle": "perfect_atmosphere"},
-  {"accolade": "Featured in Local Music Magazine as 'Artist to Watch'", "category": "media_recognition", "booking_angle": "media_validated_talent"},
-  {"accolade": "Customers consistently stay 2+ hours longer during performances", "category": "audience_impact", "booking_angle": "revenue_increase"},
-  {"accolade": "Professional sound equipment and seamless setup", "category": "technical_reliability", "booking_angle": "hassle_free_booking"},
-  {"accolade": "Repertoire of 200+ songs across multiple genres", "category": "repertoire_breadth", "booking_angle": "versatile_entertainment"}
+{"accolade": "Performed at Blue Note Jazz Club for 3 years", "category": "venue_experience", "booking_angle": "proven_venue_success"},
+{"accolade": "15 years of professional performance experience", "category": "experience_milestone", "booking_angle": "seasoned_professional"},
+{"accolade": "Specializes in smooth jazz and acoustic covers", "category": "musical_style", "booking_angle": "perfect_atmosphere"},
+{"accolade": "Featured in Local Music Magazine as 'Artist to Watch'", "category": "media_recognition", "booking_angle": "media_validated_talent"},
+{"accolade": "Customers consistently stay 2+ hours longer during performances", "category": "audience_impact", "booking_angle": "revenue_increase"},
+{"accolade": "Professional sound equipment and seamless setup", "category": "technical_reliability", "booking_angle": "hassle_free_booking"},
+{"accolade": "Repertoire of 200+ songs across multiple genres", "category": "repertoire_breadth", "booking_angle": "versatile_entertainment"}
 ]`;
 
-    let extractedAccolades = [];
-    try {
-      const accoladeCompletion = await openai.chat.completions.create({
-        model: GPT_MODEL,
-        messages: [{ role: "user", content: accoladeExtractionPrompt }],
+  let extractedAccolades = [];
+  try {
+    extractedAccolades = await getCachedAccolades(ownerId, input);
+    if (!extractedAccolades) {
+      const { content: accoladeContent } = await callModel(llm, accoladeExtractionPrompt, {
+        task: TASKS.ACCOLADES,
         temperature: 0.3, // Lower temperature for more consistent extraction
+        context: { infoDump }
       });
-      
-      const accoladeContent = accoladeCompletion.choices[0].message.content;
-      extractedAccolades = extractJson(accoladeContent);
-    } catch (error) {
-      console.error('Accolade extraction failed, using fallback:', error);
-      // Fallback to diverse categories if extraction fails - each completely different
-      extractedAccolades = [
-        {"accolade": "Years of professional performance experience", "category": "experience", "booking_angle": "seasoned_professional"},
-        {"accolade": "Proven ability to create engaging atmosphere", "category": "audience_engagement", "booking_angle": "customer_retention"},
-        {"accolade": "Professional equipment and reliable setup", "category": "technical_reliability", "booking_angle": "hassle_free_booking"},
-        {"accolade": "Diverse musical repertoire and adaptability", "category": "repertoire_versatility", "booking_angle": "broad_appeal"},
-        {"accolade": "Strong audience connection and interaction", "category": "performance_skills", "booking_angle": "memorable_experience"},
-        {"accolade": "Consistent professionalism and punctuality", "category": "business_reliability", "booking_angle": "dependable_partner"},
-        {"accolade": "Unique musical style and presentation", "category": "distinctive_offering", "booking_angle": "competitive_advantage"}
-      ];
+      // Match every accolade back to the info dump - flag (or in strict mode drop) invented ones
+      extractedAccolades = verifyAccolades(extractJson(accoladeContent), infoDump);
+      await cacheAccolades(ownerId, input, extractedAccolades);
     }
+    if (groundingMode === GROUNDING_MODES.STRICT) {
+      extractedAccolades = extractedAccolades.filter(a => a.grounding.supported);
+    }
+    if (extractedAccolades.length === 0) {
+      throw new Error('No accolades supported by the artist info');
+    }
+  } catch (error) {
+    console.error('Accolade extraction failed, using fallback:', error);
+    // Fallback to diverse categories if extraction fails - each completely different
+    extractedAccolades = [
+      {"accolade": "Years of professional performance experience", "category": "experience", "booking_angle": "seasoned_professional"},
+      {"accolade": "Proven ability to create engaging atmosphere", "category": "audience_engagement", "booking_angle": "customer_retention"},
+      {"accolade": "Professional equipment and reliable setup", "category": "technical_reliability", "booking_angle": "hassle_free_booking"},
+      {"accolade": "Diverse musical repertoire and adaptability", "category": "repertoire_versatility", "booking_angle": "broad_appeal"},
+      {"accolade": "Strong audience connection and interaction", "category": "performance_skills", "booking_angle": "memorable_experience"},
+      {"accolade": "Consistent professionalism and punctuality", "category": "business_reliability", "booking_angle": "dependable_partner"},
+      {"accolade": "Unique musical style and presentation", "category": "distinctive_offering", "booking_angle": "competitive_advantage"}
+    ];
+  }
 
-    for (let i = 0; i < ideas.length; i++) {
-      // Filter availability dates for this specific email's send date
-      const daysUntilSend = waitDays[i];
-      const { hasValidDates, filteredAvailability } = filterAvailabilityByDate(availability, daysUntilSend, currentDate);
-      
-      const linkIndex = Math.floor(i / 2) % videoLinks.length;
-      const videoLink = videoLinks[linkIndex] || '';
-      
-      let specialInstructions = '';
-      let footerMessage = '';
-      
-      if (i === 5) {
-        specialInstructions = `This is a "LAST CHANCE" email with professional urgency and scarcity. 
-        SUBJECT LINE: Create URGENCY WITH CURIOSITY using the artist's specific background - something like "Before you book [genre] music", "The [specific credential] opportunity", "Time-sensitive [style] booking". Make it curiosity-driven and relevant to their unique background.
-        EMAIL BODY: Start with "I just wanted to reach out one last time about doing some live music for {{venue}}." Create urgency with phrases like "we're finalizing our performance calendar", "booking our last few dates". Be professional but create FOMO.`;
-      } else if (i === 6) {
-        specialInstructions = `This is the FINAL GOODBYE email with a polite but clear "we get the message" tone.
-        SUBJECT LINE: Create gentle closure with intrigue using their background - something like "One last thing about [genre]", "Before we go - [credential]", "Final note from [years] years". Create curiosity even in goodbye while being personal to them.
-        EMAIL BODY: Start with "I wanted to reach out one final time about live music for {{venue}}." Politely acknowledge they haven't responded and you understand they're not interested. Be gracious but make it clear this is the end.`;
-      } else if (i >= 1 && i <= 4) {
-        const accoladeIndex = i - 1;
-        const currentAccolade = extractedAccolades[accoladeIndex] || extractedAccolades[0];
-        const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
-        specialInstructions = `This is follow-up email #${i + 1}. 
-        SPECIFIC ACCOLADE FOCUS: "${currentAccolade.accolade}" - This email must focus ENTIRELY on this specific achievement/credential from their background.
-        BOOKING ANGLE: "${currentAccolade.booking_angle}" - Explain why THIS specific accolade makes them the perfect choice for booking.
-        SUBJECT LINE: Create IRRESISTIBLE CURIOSITY around this specific accolade. Use their actual details - venues, years, genres, achievements, etc.
-        EMAIL BODY: Start with "I just wanted to reach out again about doing some live music for {{venue}}." Focus ENTIRELY on the specific accolade "${currentAccolade.accolade}".`;
-        footerMessage = `\n\n${randomDisclaimer}`;
-      } else {
-        const email1Accolade = extractedAccolades[4] || extractedAccolades[0];
-        const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
-        specialInstructions = `This is follow-up email #${i + 1}. 
-        SPECIFIC ACCOLADE FOCUS: "${email1Accolade.accolade}" - Use this as the primary focus for this first follow-up.`;
-        footerMessage = `\n\n${randomDisclaimer}`;
-      }
-
-      // Build availability instruction for this email
-      const availabilityInstruction = hasValidDates && filteredAvailability 
-        ? `MANDATORY AVAILABILITY: Include these specific dates in the email body (after pitch, before signature): "${filteredAvailability}". Frame professionally like "I have ${filteredAvailability} that could work well" or "These dates are available: ${filteredAvailability}".`
-        : `AVAILABILITY NOTE: Artist's original dates have passed by the time this email sends. Do NOT mention any specific dates. Only ask about venue's available dates.`;
-      
-      const prompt = `${PREAMBLE}
+  return extractedAccolades;
+}
 
-INPUTS:
-Artist Messaging: ${infoDump}
-Video Links: ${videoLink}
-Tone Style: ${emailStyle}
-Signature: ${signatureBlock}
-Availability: Follow-up email - focus on booking discussion
+/**
+ * Generate one email of a follow-up sequence.
+ * 
+ * Emails don't depend on each other, so the sequence job runs several of
+ * these at once. Accolade i-1 (follow-ups 2+) or accolade 4 (follow-up 1) is
+ * the focus; the last two follow-ups of the cadence are "last chance" and
+ * "final goodbye" (cadence.js).
+ * 
+ * @param {string} ownerId - The user the job belongs to
+ * @param {Object} input - Sequence request body (plus `venue` in venue batches)
+ * @param {number} i - Email index (0-based, within the cadence)
+ * @param {Object[]} extractedAccolades - From extractSequenceAccolades
+ * @returns {Promise<Object>} Sequence item ({ subject, email, html, parts, lint, grounding, injection, waitDays, idea, videoLinkUsed, emailIndex, sendDate, unparsedAvailability, campaign? })
+ */
+async function generateSequenceEmail(ownerId, input, i, extractedAccolades) {
+  const { infoDump, videoLinks, emailStyle, signatureBlock, ideas, currentDate, timeZone, locale, availability, venue, lintMode = DEFAULT_LINT_MODE, groundingMode = GROUNDING_MODES.FLAG } = input;
+  const { waitDays } = resolveCadence(input); // Wait days for each follow-up
+  const role = getEmailRole(i, waitDays.length);
+
+  // Filter availability dates for this specific email's send date
+  const daysUntilSend = getWaitDays(i, waitDays);
+  const { hasValidDates, filteredAvailability, unparsed, sendDate } = filterAvailabilityByDate(availability, daysUntilSend, currentDate, { timeZone, locale });
+
+  const linkIndex = Math.floor(i / 2) % videoLinks.length;
+  const videoLink = videoLinks[linkIndex] || '';
+  const injection = checkUserContent(input, { idea: ideas[i], venue });
+
+  let specialInstructions = '';
+  let footerMessage = '';
+
+  if (role === EMAIL_ROLES.LAST_CHANCE) {
+    specialInstructions = `This is a "LAST CHANCE" email with professional urgency and scarcity. 
+    SUBJECT LINE: Create URGENCY WITH CURIOSITY using the artist's specific background - something like "Before you book [genre] music", "The [specific credential] opportunity", "Time-sensitive [style] booking". Make it curiosity-driven and relevant to their unique background.
+    EMAIL BODY: Start with "I just wanted to reach out one last time about doing some live music for {{venue}}." Create urgency with phrases like "we're finalizing our performance calendar", "booking our last few dates". Be professional but create FOMO.`;
+  } else if (role === EMAIL_ROLES.FINAL_GOODBYE) {
+    specialInstructions = `This is the FINAL GOODBYE email with a polite but clear "we get the message" tone.
+    SUBJECT LINE: Create gentle closure with intrigue using their background - something like "One last thing about [genre]", "Before we go - [credential]", "Final note from [years] years". Create curiosity even in goodbye while being personal to them.
+    EMAIL BODY: Start with "I wanted to reach out one final time about live music for {{venue}}." Politely acknowledge they haven't responded and you understand they're not interested. Be gracious but make it clear this is the end.`;
+  } else if (i >= 1) {
+    const accoladeIndex = (i - 1) % extractedAccolades.length;
+    const currentAccolade = extractedAccolades[accoladeIndex] || extractedAccolades[0];
+    const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
+    specialInstructions = `This is follow-up email #${i + 1}. 
+    SPECIFIC ACCOLADE FOCUS: "${inlineUserContent(currentAccolade.accolade)}" - This email must focus ENTIRELY on this specific achievement/credential from their background.
+    BOOKING ANGLE: "${inlineUserContent(currentAccolade.booking_angle)}" - Explain why THIS specific accolade makes them the perfect choice for booking.
+    SUBJECT LINE: Create IRRESISTIBLE CURIOSITY around this specific accolade. Use their actual details - venues, years, genres, achievements, etc.
+    EMAIL BODY: Start with "I just wanted to reach out again about doing some live music for {{venue}}." Focus ENTIRELY on the specific accolade "${inlineUserContent(currentAccolade.accolade)}".`;
+    footerMessage = `\n\n${randomDisclaimer}`;
+  } else {
+    const email1Accolade = extractedAccolades[4] || extractedAccolades[0];
+    const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
+    specialInstructions = `This is follow-up email #${i + 1}. 
+    SPECIFIC ACCOLADE FOCUS: "${inlineUserContent(email1Accolade.accolade)}" - Use this as the primary focus for this first follow-up.`;
+    footerMessage = `\n\n${randomDisclaimer}`;
+  }
 
-FOLLOW-UP FOCUS: ${ideas[i]}
+  // Build availability instruction for this email
+  const dates = inlineUserContent(filteredAvailability);
+  const availabilityInstruction = hasValidDates && filteredAvailability 
+    ? `MANDATORY AVAILABILITY: Include these specific dates in the email body (after pitch, before signature): "${dates}". Frame professionally like "I have ${dates} that could work well" or "These dates are available: ${dates}".`
+    : `AVAILABILITY NOTE: Artist's original dates have passed by the time this email sends. Do NOT mention any specific dates. Only ask about venue's available dates.`;
+
+  const prompt = `${PREAMBLE}
+
+  ${USER_CONTENT_RULES}
+
+  INPUTS:
+  Artist Messaging:
+  ${fenceUserContent('artist_info', infoDump)}
+  Video Links: ${inlineUserContent(videoLink)}
+  Tone Style:
+  ${fenceUserContent('tone', emailStyle)}
+  Signature:
+  ${fenceUserContent('signature', signatureBlock)}
+  Availability: Follow-up email - focus on booking discussion
+  ${formatVenueContext(venue)}
+  FOLLOW-UP FOCUS: "${inlineUserContent(ideas[i])}"
+
+  ${availabilityInstruction}
+
+  ANTI-REPETITION MANDATE:
+  - This email #${i + 1} must introduce COMPLETELY NEW information not used in any other email
+  - Each email in the sequence must focus on a DIFFERENT accolade/achievement
+  - NO overlapping content, selling points, or credentials between emails
+  - Each subject line must be UNIQUE and create different curiosity gaps
+  - Provide a fresh, new reason to book this artist that hasn't been mentioned before
+
+  CRITICAL REQUIREMENTS:
+  1. Greeting: Use exactly "${getGreetingForIndex(i + 1)} {{firstname}}" (NO COMMA EVER)
+  2. FIRST PARAGRAPH ONLY: Use {{venue}} merge tag exactly once in the opening sentence
+  3. Include 2-3 paragraphs of compelling content focused on the concept - make it WILDLY different from other emails
+  4. Include the video link naturally in the content
+  5. End with a strong call-to-action question
+  6. Add the opt-out message if required
+  7. Include the signature and contact info
+  8. Add the unsubscribe footer with proper spacing
+
+  VIDEO LINK DISTRIBUTION: This is email #${i + 1} using video link #${linkIndex + 1} of ${videoLinks.length}
+
+  ${specialInstructions}
+
+  ${footerMessage ? `MANDATORY DISCLAIMER PLACEMENT: Put this exact message in the "disclaimer" field: "${footerMessage.trim()}"` : ''}
+
+  ${EMAIL_OUTPUT_FORMAT}`;
+
+  const { subject, body, parts, lint, grounding } = await generateCheckedEmail(llm, prompt, {
+    temperature: 0.8,
+    lintMode,
+    lintOptions: { greeting: getGreetingForIndex(i + 1), videoLinks: [videoLink] },
+    grounding: {
+      sources: [infoDump, availability, filteredAvailability, signatureBlock, emailStyle, ideas[i], ...Object.values(venue || {})],
+      mode: groundingMode
+    },
+    context: {
+      infoDump, videoLink, signatureBlock, idea: ideas[i],
+      availability: hasValidDates ? filteredAvailability : '',
+      greeting: getGreetingForIndex(i + 1),
+      disclaimer: footerMessage.trim(),
+      venue
+    }
+  });
+  const finalEmail = appendFooter(body);
+  const campaign = await saveToCampaign(ownerId, input, {
+    followUps: { [i]: { subject, email: finalEmail, idea: ideas[i], waitDays: getWaitDays(i, waitDays) } }
+  });
+
+  return {
+    subject,
+    email: finalEmail,
+    html: renderEmailHtml(parts, { subject, videoLinks: [videoLink] }),
+    parts,
+    lint,
+    grounding,
+    injection,
+    waitDays: getWaitDays(i, waitDays),
+    idea: ideas[i],
+    videoLinkUsed: linkIndex,
+    emailIndex: i,
+    sendDate,
+    unparsedAvailability: unparsed,
+    campaign
+  };
+}
 
-${availabilityInstruction}
+// Background jobs for long-running generation (jobQueue.js)
+const jobQueue = createJobQueue();
 
-ANTI-REPETITION MANDATE:
-- This email #${i + 1} must introduce COMPLETELY NEW information not used in any other email
-- Each email in the sequence must focus on a DIFFERENT accolade/achievement
-- NO overlapping content, selling points, or credentials between emails
-- Each subject line must be UNIQUE and create different curiosity gaps
-- Provide a fresh, new reason to book this artist that hasn't been mentioned before
+/**
+ * Run a follow-up sequence job: accolades first, then every email with
+ * bounded concurrency (SEQUENCE_CONCURRENCY).
+ * 
+ * @param {Object} job - Job created by jobQueue.createJob
+ */
+async function runFollowUpSequenceJob(job) {
+  jobQueue.start(job);
+  job.meta.accolades = await extractSequenceAccolades(job.ownerId, job.input);
+  const indexes = job.steps.map(step => step.index);
+  await jobQueue.runSteps(job, indexes, (i) => generateSequenceEmail(job.ownerId, job.input, i, job.meta.accolades), SEQUENCE_CONCURRENCY);
+}
 
-CRITICAL REQUIREMENTS:
-1. Greeting: Use exactly "${getGreetingForIndex(i + 1)} {{firstname}}" (NO COMMA EVER)
-2. FIRST PARAGRAPH ONLY: Use {{venue}} merge tag exactly once in the opening sentence
-3. Include 2-3 paragraphs of compelling content focused on the concept - make it WILDLY different from other emails
-4. Include the video link naturally in the content
-5. End with a strong call-to-action question
-6. Add the opt-out message if required
-7. Include the signature and contact info
-8. Add the unsubscribe footer with proper spacing
+/**
+ * Build the polling response for a sequence job.
+ * 
+ * @param {Object} job - The job
+ * @returns {Object} { jobId, status, progress, sequence, emails, accolades, ... }
+ */
+function describeSequenceJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    error: job.error,
+    progress: countSteps(job),
+    // Partial results: every email finished so far, in sequence order
+    sequence: job.steps.filter(step => step.status === STEP_STATUS.COMPLETED).map(step => step.result),
+    emails: job.steps.map(({ index, status, attempts, error, details }) => ({ index, status, attempts, error, ...details })),
+    accolades: job.meta.accolades || null,
+    cadence: job.meta.cadence
+  };
+}
 
-VIDEO LINK DISTRIBUTION: This is email #${i + 1} using video link #${linkIndex + 1} of ${videoLinks.length}
+/**
+ * ENDPOINT: Generate Complete Follow-Up Sequence (asynchronous)
+ * 
+ * POST /generate-followup-sequence
+ * 
+ * Starts a background job and returns immediately with 202 Accepted.
+ * Poll GET /generate-followup-sequence/:jobId for progress and results.
+ * One email is generated per follow-up in the cadence (`cadence` or
+ * `cadencePreset`, see cadence.js - 7 by default).
+ * 
+ * RESPONSE (202):
+ * {
+ *   jobId: string,
+ *   status: "queued",
+ *   statusUrl: string  - URL to poll
+ * }
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/generate-followup-sequence', validateRequest(ROUTES.startFollowUpSequence), async (req, res) => {
+  try {
+    const input = await applyProfile(req.user.id, req.body, ARTIST_FIELDS);
+    const { ideas } = input;
+    const cadence = resolveCadence(input);
+    resolveUserCalendar(input); // Reject a bad currentDate/timeZone/locale before the job starts
+    if (!Array.isArray(ideas) || ideas.length < cadence.waitDays.length) {
+      return res.status(400).json({ error: `ideas must have one entry per follow-up (${cadence.waitDays.length} for this cadence)` });
+    }
+    await assertCampaign(req.user.id, input);
 
-${specialInstructions}
+    const job = jobQueue.createJob({ type: 'followup-sequence', total: cadence.waitDays.length, ownerId: req.user.id, input });
+    job.meta.cadence = cadence;
 
-${footerMessage ? `MANDATORY DISCLAIMER PLACEMENT: Add this exact message on its own line BEFORE the signature block: "${footerMessage}"` : ''}`;
-      
-      const completion = await openai.chat.completions.create({
-        model: GPT_MODEL,
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.8,
-      });
+    runFollowUpSequenceJob(job).catch(error => {
+      console.error('Follow-up sequence job failed:', error);
+      jobQueue.fail(job, error);
+    });
 
-      const content = completion.choices[0].message.content;
-      const parts = content.split('\n\n');
-      const subject = parts[0].replace('SUBJECT:', '').trim();
-      const email = parts.slice(1).join('\n\n');
-      const finalEmail = appendFooter(email);
-      
-      sequence.push({
-        subject,
-        email: finalEmail,
-        waitDays: waitDays[i],
-        idea: ideas[i],
-        videoLinkUsed: linkIndex
-      });
-    }
-    
-    res.json({ sequence });
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/ai/generate-followup-sequence/${job.id}`
+    });
   } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate follow-up sequence' });
+    sendError(res, error, 'Failed to start follow-up sequence');
   }
 });
 
 /**
- * Generate single follow-up email (one by one approach)
- * @route POST /generate-single-followup
+ * Poll a follow-up sequence job
+ * @route GET /generate-followup-sequence/:jobId
  */
-app.post('/ai/generate-single-followup', async (req, res) => {
-  try {
-    const { infoDump, videoLinks, emailStyle, signatureBlock, idea, emailIndex, fromName, currentDate, availability } = req.body;
-    
-    const waitDays = [7, 14, 21, 31, 41, 51, 61];
-    
-    // Filter availability dates based on when this email will be sent
-    const daysUntilSend = waitDays[emailIndex] || 0;
-    const { hasValidDates, filteredAvailability } = filterAvailabilityByDate(availability, daysUntilSend, currentDate);
-    
-    // Distribute video links evenly: emails 0,1 use link 0; emails 2,3 use link 1; emails 4,5 use link 2; email 6 uses link 0 again
-    const linkIndex = Math.floor(emailIndex / 2) % videoLinks.length;
-    const videoLink = videoLinks[linkIndex] || '';
-    
-    let specialInstructions = '';
-    let footerMessage = '';
-    
-    // DYNAMIC ACCOLADE EXTRACTION for single follow-up - ENHANCED TO TARGET SPECIFIC TALKING POINT
-    let extractedAccolade = null;
-    if (emailIndex >= 0 && emailIndex <= 4) { // For emails 1-5, extract accolades related to the specific talking point
-      const accoladeExtractionPrompt = `ANALYZE this artist's information and EXTRACT their most compelling, specific accolade/achievement that relates to the talking point "${idea}" for follow-up email #${emailIndex + 1}:
+app.get('/ai/generate-followup-sequence/:jobId', validateRequest(ROUTES.getFollowUpSequence), (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId, req.user.id);
+  if (!job || job.type !== 'followup-sequence') {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+  res.json(describeSequenceJob(job));
+});
 
-ARTIST INFO: ${infoDump}
+/**
+ * Retry one failed email of a sequence job without regenerating the rest
+ * @route POST /generate-followup-sequence/:jobId/emails/:index/retry
+ */
+app.post('/ai/generate-followup-sequence/:jobId/emails/:index/retry', validateRequest(ROUTES.retryFollowUpSequenceEmail), (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId, req.user.id);
+  if (!job || job.type !== 'followup-sequence') {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+
+  const index = Number(req.params.index);
+  const step = job.steps[index];
+  if (!Number.isInteger(index) || !step) {
+    return res.status(404).json({ error: `Email ${req.params.index} does not exist in this job` });
+  }
+  if (step.status !== STEP_STATUS.FAILED || !job.meta.accolades) {
+    return res.status(409).json({ error: `Email ${index} is ${step.status} - only failed emails can be retried` });
+  }
+
+  jobQueue.runStep(job, index, (i) => generateSequenceEmail(job.ownerId, job.input, i, job.meta.accolades));
+  res.status(202).json(describeSequenceJob(job));
+});
 
-TALKING POINT FOCUS: "${idea}"
+/**
+ * Generate one follow-up email (shared by the JSON and streaming routes).
+ * 
+ * @param {string} ownerId - The caller (req.user.id)
+ * @param {Object} input - Request body ({ infoDump, videoLinks, emailStyle, signatureBlock, idea, emailIndex, ... })
+ * @param {Object} [streamOptions] - { onDelta, onRetry } for streaming (emailStream.js)
+ * @returns {Promise<Object>} { subject, email, html, parts, lint, grounding, injection, accolade, waitDays, idea, fromName, videoLinkUsed, sendDate, unparsedAvailability, campaign? }
+ */
+async function generateSingleFollowUp(ownerId, input, streamOptions = {}) {
+  input = await applyProfile(ownerId, input, ARTIST_FIELDS);
+  const { infoDump, videoLinks, emailStyle, signatureBlock, idea, emailIndex, fromName, currentDate, timeZone, locale, availability, lintMode = DEFAULT_LINT_MODE, groundingMode = GROUNDING_MODES.FLAG } = input;
+  
+  const { waitDays } = resolveCadence(input);
+  assertEmailIndex(emailIndex, waitDays);
+  await assertCampaign(ownerId, input);
+  const role = getEmailRole(emailIndex, waitDays.length);
+  
+  // Filter availability dates based on when this email will be sent
+  const daysUntilSend = getWaitDays(emailIndex, waitDays);
+  const { hasValidDates, filteredAvailability, unparsed, sendDate } = filterAvailabilityByDate(availability, daysUntilSend, currentDate, { timeZone, locale });
+  
+  // Distribute video links evenly: emails 0,1 use link 0; emails 2,3 use link 1; emails 4,5 use link 2; email 6 uses link 0 again
+  const linkIndex = Math.floor(emailIndex / 2) % videoLinks.length;
+  const videoLink = videoLinks[linkIndex] || '';
+  
+  let specialInstructions = '';
+  let footerMessage = '';
+  const ideaText = inlineUserContent(idea); // For quoting in the prompts
+  const injection = checkUserContent(input, { idea });
+  
+  // DYNAMIC ACCOLADE EXTRACTION for single follow-up - ENHANCED TO TARGET SPECIFIC TALKING POINT
+  let extractedAccolade = null;
+  if (role === EMAIL_ROLES.FOLLOW_UP) { // For regular follow-ups, extract accolades related to the specific talking point
+    const accoladeExtractionPrompt = `ANALYZE this artist's information and EXTRACT their most compelling, specific accolade/achievement that relates to the talking point "${ideaText}" for follow-up email #${emailIndex + 1}:
+
+${USER_CONTENT_RULES}
+
+ARTIST INFO:
+${fenceUserContent('artist_info', infoDump)}
+
+TALKING POINT FOCUS: "${ideaText}"
 
 CRITICAL REQUIREMENTS:
-- Find information in the artist's background that DIRECTLY relates to "${idea}"
+- Find information in the artist's background that DIRECTLY relates to "${ideaText}"
 - Extract specific details, names, numbers, venues, achievements that support this talking point
-- If "${idea}" mentions "radio spots" - look for radio play, airtime, stations, interviews
-- If "${idea}" mentions "festival appearances" - look for specific festivals, dates, locations
-- If "${idea}" mentions "quotes from ppl" - look for testimonials, reviews, feedback
-- If "${idea}" mentions music style/genre - look for specific genres, instruments, repertoire
+- If "${ideaText}" mentions "radio spots" - look for radio play, airtime, stations, interviews
+- If "${ideaText}" mentions "festival appearances" - look for specific festivals, dates, locations
+- If "${ideaText}" mentions "quotes from ppl" - look for testimonials, reviews, feedback
+- If "${ideaText}" mentions music style/genre - look for specific genres, instruments, repertoire
 - Make the accolade SPECIFIC and COMPELLING with actual details from their background
 
 EMAIL MAPPING STRATEGY:
@@ -597,210 +1124,266 @@ EMAIL MAPPING STRATEGY:
 - Email #4 (index 3): Focus on technical reliability or professional setup related to the talking point
 - Email #5 (index 4): Focus on musical style, repertoire, or unique offerings related to the talking point
 
-SEARCH STRATEGY for "${idea}":
+SEARCH STRATEGY for "${ideaText}":
 1. Look for EXACT matches to the talking point concept in the artist info
 2. Find specific details, names, venues, years, achievements that support this topic
 3. Extract concrete evidence that proves their expertise in this area
 4. If no direct match, find the closest related achievement that supports the talking point
 
-RETURN exactly ONE specific, compelling accolade that directly supports "${idea}" as a JSON object with "accolade", "category", and "booking_angle" fields.
+RETURN exactly ONE specific, compelling accolade that directly supports "${ideaText}" as a JSON object with "accolade", "category", and "booking_angle" fields.
 
 Example format:
 {"accolade": "Featured on WXYZ Radio's Morning Show 3 times in 2024", "category": "radio_exposure", "booking_angle": "media_validated_talent"}`;
 
-      try {
-        const accoladeCompletion = await openai.chat.completions.create({
-          model: 'gpt-4',
-          messages: [{ role: "user", content: accoladeExtractionPrompt }],
+    try {
+      extractedAccolade = await getCachedAccolades(ownerId, input, { emailIndex, idea });
+      if (!extractedAccolade) {
+        const { content: accoladeContent } = await callModel(llm, accoladeExtractionPrompt, {
+          task: TASKS.ACCOLADE,
           temperature: 0.3,
+          context: { infoDump, idea }
         });
-        
-        const accoladeContent = accoladeCompletion.choices[0].message.content;
-        extractedAccolade = JSON.parse(accoladeContent);
-      } catch (error) {
-        console.error('Single accolade extraction failed:', error);
-        // Fallback based on email index
-        const fallbackAccolades = [
-          {"accolade": "Professional experience and credentials", "category": "experience"},
-          {"accolade": "Audience engagement and atmosphere creation", "category": "engagement"},
-          {"accolade": "Professional setup and reliability", "category": "professionalism"},
-          {"accolade": "Musical repertoire and style versatility", "category": "repertoire"}
-        ];
-        extractedAccolade = fallbackAccolades[emailIndex - 1] || fallbackAccolades[0];
+        // Match the accolade back to the info dump - in strict mode an invented one is not used
+        [extractedAccolade] = verifyAccolades([JSON.parse(accoladeContent)], infoDump);
+        if (extractedAccolade) await cacheAccolades(ownerId, input, extractedAccolade, { emailIndex, idea });
       }
+      if (groundingMode === GROUNDING_MODES.STRICT && extractedAccolade && !extractedAccolade.grounding.supported) {
+        console.warn('Extracted accolade not supported by artist info, dropping:', extractedAccolade.accolade);
+        extractedAccolade = null;
+      }
+    } catch (error) {
+      console.error('Single accolade extraction failed:', error);
+      // Fallback based on email index
+      const fallbackAccolades = [
+        {"accolade": "Professional experience and credentials", "category": "experience"},
+        {"accolade": "Audience engagement and atmosphere creation", "category": "engagement"},
+        {"accolade": "Professional setup and reliability", "category": "professionalism"},
+        {"accolade": "Musical repertoire and style versatility", "category": "repertoire"}
+      ];
+      extractedAccolade = fallbackAccolades[(emailIndex - 1) % fallbackAccolades.length] || fallbackAccolades[0];
     }
+  }
+  
+  // Define specific content focus for each email to provide NEW value each time
+  const contentFocus = [
+    "Focus on credentials/experience - highlight venues you've performed at, years of experience, professional background",
+    "Focus on audience engagement - describe how your performances create atmosphere, energy, and customer retention", 
+    "Focus on logistics/professionalism - emphasize reliable setup, sound quality, punctuality, and hassle-free experience",
+    "Focus on repertoire/music style - showcase variety in setlist, ability to read the room, genre flexibility",
+    "Focus on testimonials/social proof - mention feedback from previous venues, customer reactions, repeat bookings",
+    "Last chance urgency - we're finalizing our calendar and booking final dates",
+    "Final goodbye - we understand you're not interested and this is our final contact"
+  ];
+
+  const focusIndex = getContentFocusIndex(role, emailIndex, contentFocus.length);
+
+  if (role === EMAIL_ROLES.LAST_CHANCE) { // Second to last follow-up (6th of 7 by default)
+    specialInstructions = `This is a "LAST CHANCE" email with professional urgency and scarcity. 
+    CONTENT FOCUS: ${contentFocus[focusIndex]}
+    SUBJECT LINE: Create URGENCY WITH CURIOSITY using the artist's specific background - something like "Before you book [genre] music", "The [specific credential] opportunity", "Time-sensitive [style] booking". Make it curiosity-driven and relevant to their unique background.
+    EMAIL BODY: Start with "I just wanted to reach out one last time about doing some live music for {{venue}}." Create urgency with phrases like "we're finalizing our performance calendar", "booking our last few dates". Be professional but create FOMO.
+    PROVIDE NEW INFORMATION: Focus specifically on calendar urgency and booking deadlines - information NOT mentioned in previous emails.`;
+  } else if (role === EMAIL_ROLES.FINAL_GOODBYE) { // Last follow-up (7th of 7 by default)
+    specialInstructions = `This is the FINAL GOODBYE email with a polite but clear "we get the message" tone.
+    CONTENT FOCUS: ${contentFocus[focusIndex]}
+    SUBJECT LINE: Create gentle closure with intrigue using their background - something like "One last thing about [genre]", "Before we go - [credential]", "Final note from [years] years". Create curiosity even in goodbye while being personal to them.
+    EMAIL BODY: Start with "I wanted to reach out one final time about live music for {{venue}}." Politely acknowledge they haven't responded and you understand they're not interested. Be gracious but make it clear this is the end.
+    PROVIDE NEW INFORMATION: This should be a respectful goodbye with understanding tone - completely different from all previous emails.`;
+  } else if (extractedAccolade) { // Regular follow-ups use extracted accolades related to talking points
+    specialInstructions = `This is follow-up email #${emailIndex + 1} focused on the talking point: "${ideaText}"
     
-    // Define specific content focus for each email to provide NEW value each time
-    const contentFocus = [
-      "Focus on credentials/experience - highlight venues you've performed at, years of experience, professional background",
-      "Focus on audience engagement - describe how your performances create atmosphere, energy, and customer retention", 
-      "Focus on logistics/professionalism - emphasize reliable setup, sound quality, punctuality, and hassle-free experience",
-      "Focus on repertoire/music style - showcase variety in setlist, ability to read the room, genre flexibility",
-      "Focus on testimonials/social proof - mention feedback from previous venues, customer reactions, repeat bookings",
-      "Last chance urgency - we're finalizing our calendar and booking final dates",
-      "Final goodbye - we understand you're not interested and this is our final contact"
-    ];
-
-    if (emailIndex === 5) { // 6th email (index 5)
-      specialInstructions = `This is a "LAST CHANCE" email with professional urgency and scarcity. 
-      CONTENT FOCUS: ${contentFocus[emailIndex]}
-      SUBJECT LINE: Create URGENCY WITH CURIOSITY using the artist's specific background - something like "Before you book [genre] music", "The [specific credential] opportunity", "Time-sensitive [style] booking". Make it curiosity-driven and relevant to their unique background.
-      EMAIL BODY: Start with "I just wanted to reach out one last time about doing some live music for {{venue}}." Create urgency with phrases like "we're finalizing our performance calendar", "booking our last few dates". Be professional but create FOMO.
-      PROVIDE NEW INFORMATION: Focus specifically on calendar urgency and booking deadlines - information NOT mentioned in previous emails.`;
-    } else if (emailIndex === 6) { // 7th email (index 6)
-      specialInstructions = `This is the FINAL GOODBYE email with a polite but clear "we get the message" tone.
-      CONTENT FOCUS: ${contentFocus[emailIndex]}
-      SUBJECT LINE: Create gentle closure with intrigue using their background - something like "One last thing about [genre]", "Before we go - [credential]", "Final note from [years] years". Create curiosity even in goodbye while being personal to them.
-      EMAIL BODY: Start with "I wanted to reach out one final time about live music for {{venue}}." Politely acknowledge they haven't responded and you understand they're not interested. Be gracious but make it clear this is the end.
-      PROVIDE NEW INFORMATION: This should be a respectful goodbye with understanding tone - completely different from all previous emails.`;
-    } else if (emailIndex >= 0 && emailIndex <= 4 && extractedAccolade) { // Emails 1-5 use extracted accolades related to talking points
-      specialInstructions = `This is follow-up email #${emailIndex + 1} focused on the talking point: "${idea}"
-      
-      TALKING POINT FOCUS: "${idea}" - This email must focus ENTIRELY on this specific topic from the user's chosen talking points.
-      SPECIFIC ACCOLADE FOCUS: "${extractedAccolade.accolade}" - Use this specific achievement/credential that relates to "${idea}".
-      BOOKING ANGLE: "${extractedAccolade.booking_angle}" - Explain why THIS specific accolade related to "${idea}" makes them the perfect choice for booking.
-      
-      SUBJECT LINE CREATION:
-      - Create IRRESISTIBLE CURIOSITY specifically around "${idea}" and the related accolade
-      - Use their actual details from the info dump that relate to "${idea}"
-      - Examples for different talking points:
-        * If "${idea}" is about radio: "The radio story", "What WXYZ taught me", "The airplay secret"
-        * If "${idea}" is about festivals: "The [Festival Name] experience", "What festivals taught me"
-        * If "${idea}" is about quotes/testimonials: "What venues say", "The feedback story"
-        * If "${idea}" is about music style: "The [genre] advantage", "Why [style] works"
-      - Make it specific to THEIR background and the talking point "${idea}"
-      
-      EMAIL BODY REQUIREMENTS:
-      - Start with "I just wanted to reach out again about doing some live music for {{venue}}."
-      - Focus ENTIRELY on the talking point "${idea}" using the specific accolade "${extractedAccolade.accolade}"
-      - Pull specific details from their info dump that support "${idea}"
-      - Make this email completely unique to their background and this specific talking point
-      - If "${idea}" mentions radio spots, focus on their radio experience, stations, shows, interviews
-      - If "${idea}" mentions festivals, focus on specific festivals they've played, dates, audiences
-      - If "${idea}" mentions quotes, include actual testimonials or feedback from their background
-      - If "${idea}" mentions music style, focus on their specific genres, instruments, repertoire
-      
-      CRITICAL ANTI-REPETITION RULES:
-      - This email must introduce COMPLETELY NEW information about "${idea}" not mentioned in previous emails
-      - Do NOT repeat any selling points, phrases, or credentials from other emails in the sequence
-      - Focus ONLY on "${idea}" and its unique booking value using their specific background details
-      - Make the subject line completely different from all previous subject lines
-      - Ensure this email provides a fresh, new reason to book this artist based on "${idea}"
-      
-      PROVIDE NEW INFORMATION: This email should introduce the talking point "${idea}" with specific evidence from their background and explain why it makes them perfect for the venue.`;
-      // Randomly select a disclaimer variation for each follow-up email
-      const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
-      footerMessage = `\n\n${randomDisclaimer}`;
-    } else {
-      // Fallback for emails without extracted accolades - still focus on the talking point
-      specialInstructions = `This is follow-up email #${emailIndex + 1} focused on the talking point: "${idea}"
-      
-      TALKING POINT FOCUS: "${idea}" - This email must focus ENTIRELY on this specific topic from the user's chosen talking points.
-      CONTENT FOCUS: ${contentFocus[emailIndex]} - This must be the PRIMARY focus and provide NEW information not covered in previous emails.
-      
-      SUBJECT LINE CREATION:
-      - Create curiosity specifically around the talking point "${idea}"
-      - Use specific details from their background that relate to "${idea}"
-      - Examples for different talking points:
-        * If "${idea}" is about radio: "The radio connection", "Your airplay opportunity"
-        * If "${idea}" is about festivals: "The festival experience", "What crowds taught me"
-        * If "${idea}" is about quotes/testimonials: "What people say", "The venue feedback"
-        * If "${idea}" is about music style: "The [genre] you need", "Why [style] works"
-      - Make it specific to their actual background and the talking point "${idea}"
-      
-      EMAIL BODY REQUIREMENTS:
-      - Start with "I just wanted to reach out again about doing some live music for {{venue}}."
-      - Focus ENTIRELY on the talking point "${idea}" using details from their info dump
-      - Pull specific information that supports "${idea}" from their background
-      - Make this email completely unique to their background and this specific talking point
-      - If "${idea}" mentions radio, focus on any radio-related experience or potential
-      - If "${idea}" mentions festivals, focus on festival experience or festival-style performance ability
-      - If "${idea}" mentions quotes, focus on testimonials, reviews, or feedback they've received
-      - If "${idea}" mentions music style, focus on their specific genres, instruments, or musical approach
-      
-      PROVIDE NEW INFORMATION: Each email must introduce fresh angles and benefits related to "${idea}". Make sure to provide specific details and value propositions from their unique background that support this talking point.`;
-      // Randomly select a disclaimer variation for each follow-up email
-      const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
-      footerMessage = `\n\n${randomDisclaimer}`;
-    }
+    TALKING POINT FOCUS: "${ideaText}" - This email must focus ENTIRELY on this specific topic from the user's chosen talking points.
+    SPECIFIC ACCOLADE FOCUS: "${inlineUserContent(extractedAccolade.accolade)}" - Use this specific achievement/credential that relates to "${ideaText}".
+    BOOKING ANGLE: "${inlineUserContent(extractedAccolade.booking_angle)}" - Explain why THIS specific accolade related to "${ideaText}" makes them the perfect choice for booking.
     
-    // Build availability instruction based on filtered dates
-    const availabilityInstruction = hasValidDates && filteredAvailability 
-      ? `MANDATORY AVAILABILITY: Include these specific dates in the email body (after pitch, before signature): "${filteredAvailability}". Frame professionally like "I have ${filteredAvailability} that could work well" or "These dates are available: ${filteredAvailability}".`
-      : `AVAILABILITY NOTE: Artist's original dates have passed by the time this email sends. Do NOT mention any specific dates. Only ask about venue's available dates.`;
+    SUBJECT LINE CREATION:
+    - Create IRRESISTIBLE CURIOSITY specifically around "${ideaText}" and the related accolade
+    - Use their actual details from the info dump that relate to "${ideaText}"
+    - Examples for different talking points:
+      * If "${ideaText}" is about radio: "The radio story", "What WXYZ taught me", "The airplay secret"
+      * If "${ideaText}" is about festivals: "The [Festival Name] experience", "What festivals taught me"
+      * If "${ideaText}" is about quotes/testimonials: "What venues say", "The feedback story"
+      * If "${ideaText}" is about music style: "The [genre] advantage", "Why [style] works"
+    - Make it specific to THEIR background and the talking point "${ideaText}"
     
-    const prompt = `${PREAMBLE}
-
-INPUTS:
-Artist Messaging: ${infoDump}
-Video Links: ${videoLink}
-Tone Style: ${emailStyle}
-Signature: ${signatureBlock}
-Availability: Follow-up email - focus on booking discussion
-
-FOLLOW-UP FOCUS: ${idea}
-
-${availabilityInstruction}
+    EMAIL BODY REQUIREMENTS:
+    - Start with "I just wanted to reach out again about doing some live music for {{venue}}."
+    - Focus ENTIRELY on the talking point "${ideaText}" using the specific accolade "${inlineUserContent(extractedAccolade.accolade)}"
+    - Pull specific details from their info dump that support "${ideaText}"
+    - Make this email completely unique to their background and this specific talking point
+    - If "${ideaText}" mentions radio spots, focus on their radio experience, stations, shows, interviews
+    - If "${ideaText}" mentions festivals, focus on specific festivals they've played, dates, audiences
+    - If "${ideaText}" mentions quotes, include actual testimonials or feedback from their background
+    - If "${ideaText}" mentions music style, focus on their specific genres, instruments, repertoire
+    
+    CRITICAL ANTI-REPETITION RULES:
+    - This email must introduce COMPLETELY NEW information about "${ideaText}" not mentioned in previous emails
+    - Do NOT repeat any selling points, phrases, or credentials from other emails in the sequence
+    - Focus ONLY on "${ideaText}" and its unique booking value using their specific background details
+    - Make the subject line completely different from all previous subject lines
+    - Ensure this email provides a fresh, new reason to book this artist based on "${ideaText}"
+    
+    PROVIDE NEW INFORMATION: This email should introduce the talking point "${ideaText}" with specific evidence from their background and explain why it makes them perfect for the venue.`;
+    // Randomly select a disclaimer variation for each follow-up email
+    const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
+    footerMessage = `\n\n${randomDisclaimer}`;
+  } else {
+    // Fallback for emails without extracted accolades - still focus on the talking point
+    specialInstructions = `This is follow-up email #${emailIndex + 1} focused on the talking point: "${ideaText}"
+    
+    TALKING POINT FOCUS: "${ideaText}" - This email must focus ENTIRELY on this specific topic from the user's chosen talking points.
+    CONTENT FOCUS: ${contentFocus[focusIndex]} - This must be the PRIMARY focus and provide NEW information not covered in previous emails.
+    
+    SUBJECT LINE CREATION:
+    - Create curiosity specifically around the talking point "${ideaText}"
+    - Use specific details from their background that relate to "${ideaText}"
+    - Examples for different talking points:
+      * If "${ideaText}" is about radio: "The radio connection", "Your airplay opportunity"
+      * If "${ideaText}" is about festivals: "The festival experience", "What crowds taught me"
+      * If "${ideaText}" is about quotes/testimonials: "What people say", "The venue feedback"
+      * If "${ideaText}" is about music style: "The [genre] you need", "Why [style] works"
+    - Make it specific to their actual background and the talking point "${ideaText}"
+    
+    EMAIL BODY REQUIREMENTS:
+    - Start with "I just wanted to reach out again about doing some live music for {{venue}}."
+    - Focus ENTIRELY on the talking point "${ideaText}" using details from their info dump
+    - Pull specific information that supports "${ideaText}" from their background
+    - Make this email completely unique to their background and this specific talking point
+    - If "${ideaText}" mentions radio, focus on any radio-related experience or potential
+    - If "${ideaText}" mentions festivals, focus on festival experience or festival-style performance ability
+    - If "${ideaText}" mentions quotes, focus on testimonials, reviews, or feedback they've received
+    - If "${ideaText}" mentions music style, focus on their specific genres, instruments, or musical approach
+    
+    PROVIDE NEW INFORMATION: Each email must introduce fresh angles and benefits related to "${ideaText}". Make sure to provide specific details and value propositions from their unique background that support this talking point.`;
+    // Randomly select a disclaimer variation for each follow-up email
+    const randomDisclaimer = DISCLAIMER_VARIATIONS[Math.floor(Math.random() * DISCLAIMER_VARIATIONS.length)];
+    footerMessage = `\n\n${randomDisclaimer}`;
+  }
+  
+  // Build availability instruction based on filtered dates
+  const dates = inlineUserContent(filteredAvailability);
+  const availabilityInstruction = hasValidDates && filteredAvailability 
+    ? `MANDATORY AVAILABILITY: Include these specific dates in the email body (after pitch, before signature): "${dates}". Frame professionally like "I have ${dates} that could work well" or "These dates are available: ${dates}".`
+    : `AVAILABILITY NOTE: Artist's original dates have passed by the time this email sends. Do NOT mention any specific dates. Only ask about venue's available dates.`;
+  
+  const prompt = `${PREAMBLE}
+
+${USER_CONTENT_RULES}
+
+INPUTS:
+Artist Messaging:
+${fenceUserContent('artist_info', infoDump)}
+Video Links: ${inlineUserContent(videoLink)}
+Tone Style:
+${fenceUserContent('tone', emailStyle)}
+Signature:
+${fenceUserContent('signature', signatureBlock)}
+Availability: Follow-up email - focus on booking discussion
+
+FOLLOW-UP FOCUS: "${ideaText}"
+
+${availabilityInstruction}
 
 CRITICAL REQUIREMENTS:
 1. Greeting: Use exactly "${getGreetingForIndex(emailIndex + 1)} {{firstname}}" (NO COMMA EVER)
 2. FIRST PARAGRAPH ONLY: Use {{venue}} merge tag exactly once in the opening sentence
-3. Include 2-3 paragraphs of compelling content focused ENTIRELY on "${idea}" - make it WILDLY different from other emails
+3. Include 2-3 paragraphs of compelling content focused ENTIRELY on "${ideaText}" - make it WILDLY different from other emails
 4. Include the video link naturally in the content
-5. End with a strong call-to-action question related to "${idea}"
+5. End with a strong call-to-action question related to "${ideaText}"
 6. Add the opt-out message if required
 7. Include the signature and contact info
 8. Add the unsubscribe footer with proper spacing
 
 TALKING POINT EXAMPLES:
-- If "${idea}" = "radio spots" → Focus on radio play, stations, interviews, airtime from their background
-- If "${idea}" = "Past Festival Appearances" → Focus on specific festivals, dates, crowds from their background  
-- If "${idea}" = "quotes from ppl" → Focus on testimonials, reviews, feedback from their background
-- If "${idea}" = "the kind of music he plays" → Focus on genres, style, instruments from their background
-- If "${idea}" = "Zach's Genre Blend" → Focus on their unique musical style mixing from their background
+- If "${ideaText}" = "radio spots" → Focus on radio play, stations, interviews, airtime from their background
+- If "${ideaText}" = "Past Festival Appearances" → Focus on specific festivals, dates, crowds from their background  
+- If "${ideaText}" = "quotes from ppl" → Focus on testimonials, reviews, feedback from their background
+- If "${ideaText}" = "the kind of music he plays" → Focus on genres, style, instruments from their background
+- If "${ideaText}" = "Zach's Genre Blend" → Focus on their unique musical style mixing from their background
 
 VIDEO LINK DISTRIBUTION: This is email #${emailIndex + 1} using video link #${linkIndex + 1} of ${videoLinks.length}
 
 ${specialInstructions}
 
-${footerMessage ? `MANDATORY DISCLAIMER PLACEMENT: Add this exact message on its own line BEFORE the signature block: "${footerMessage}"` : ''}`;
-    
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.8, // Higher temperature for variety
-    });
-    
-    const content = completion.choices[0].message.content;
-    const parts = content.split('\n\n');
-    const subject = parts[0].replace('SUBJECT:', '').trim();
-    const email = parts.slice(1).join('\n\n');
-    
-    res.json({
-      subject,
-      email,
-      waitDays: waitDays[emailIndex],
-      idea,
-      fromName: fromName || signatureBlock.split('\n')[0] || 'Musician Name',
-      videoLinkUsed: linkIndex
-    });
+${footerMessage ? `MANDATORY DISCLAIMER PLACEMENT: Put this exact message in the "disclaimer" field: "${footerMessage.trim()}"` : ''}
+
+${EMAIL_OUTPUT_FORMAT}`;
+  
+  const { subject, body, parts, lint, grounding } = await generateCheckedEmail(llm, prompt, {
+    temperature: 0.8, // Higher temperature for variety
+    lintMode,
+    lintOptions: { greeting: getGreetingForIndex(emailIndex + 1), videoLinks: [videoLink] },
+    grounding: {
+      sources: [infoDump, availability, filteredAvailability, signatureBlock, emailStyle, idea],
+      mode: groundingMode
+    },
+    context: {
+      infoDump, videoLink, signatureBlock, idea,
+      availability: hasValidDates ? filteredAvailability : '',
+      greeting: getGreetingForIndex(emailIndex + 1),
+      disclaimer: footerMessage.trim()
+    },
+    ...streamOptions
+  });
+  const campaign = await saveToCampaign(ownerId, input, {
+    followUps: { [emailIndex]: { subject, email: body, idea, waitDays: getWaitDays(emailIndex, waitDays) } }
+  });
+  return {
+    subject,
+    email: body,
+    html: renderEmailHtml(parts, { subject, videoLinks: [videoLink] }),
+    parts,
+    lint,
+    grounding,
+    injection,
+    accolade: extractedAccolade,
+    waitDays: getWaitDays(emailIndex, waitDays),
+    idea,
+    fromName: fromName || signatureBlock.split('\n')[0] || 'Musician Name',
+    videoLinkUsed: linkIndex,
+    sendDate,
+    unparsedAvailability: unparsed,
+    campaign
+  };
+}
+
+/**
+ * Generate single follow-up email (one by one approach)
+ * @route POST /generate-single-followup
+ */
+app.post('/ai/generate-single-followup', validateRequest(ROUTES.generateSingleFollowUp), async (req, res) => {
+  try {
+    res.json(await generateSingleFollowUp(req.user.id, req.body));
   } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({ error: error.message || 'Failed to generate follow-up email' });
+    sendError(res, error, 'Failed to generate follow-up email');
   }
 });
 
+/**
+ * Stream a single follow-up email as Server-Sent Events (subject, delta, retry, done, error)
+ * @route POST /generate-single-followup/stream
+ */
+app.post('/ai/generate-single-followup/stream', validateRequest(ROUTES.generateSingleFollowUpStream), (req, res) => {
+  streamEmailResponse(res, (streamOptions) => generateSingleFollowUp(req.user.id, req.body, streamOptions), 'Failed to generate follow-up email');
+});
+
 /**
  * Regenerate a single follow-up email
  * @route POST /regenerate-followup-email
  */
-app.post('/ai/regenerate-followup-email', async (req, res) => {
+app.post('/ai/regenerate-followup-email', validateRequest(ROUTES.regenerateFollowUpEmail), async (req, res) => {
   try {
-    const { infoDump, videoLinks, emailStyle, signatureBlock, idea, emailIndex } = req.body;
+    const input = await applyProfile(req.user.id, req.body, ARTIST_FIELDS);
+    const { infoDump, videoLinks, emailStyle, signatureBlock, idea, emailIndex, lintMode = DEFAULT_LINT_MODE, groundingMode = GROUNDING_MODES.FLAG } = input;
+    const { waitDays } = resolveCadence(input);
+    assertEmailIndex(emailIndex, waitDays);
+    await assertCampaign(req.user.id, input);
+    const role = getEmailRole(emailIndex, waitDays.length);
     
     // Distribute video links evenly
     const linkIndex = Math.floor(emailIndex / 2) % videoLinks.length;
     const videoLink = videoLinks[linkIndex] || '';
+    const injection = checkUserContent(input, { idea });
     
     let specialInstructions = '';
     let footerMessage = '';
@@ -816,27 +1399,34 @@ app.post('/ai/regenerate-followup-email', async (req, res) => {
       "Final goodbye - we understand you're not interested and this is our final contact"
     ];
     
-    if (emailIndex === 5) { // 6th email - "Last chance"
+    const focusIndex = getContentFocusIndex(role, emailIndex, contentFocus.length);
+    
+    if (role === EMAIL_ROLES.LAST_CHANCE) { // Second to last follow-up - "Last chance"
       specialInstructions = `This is a "LAST CHANCE" email with professional urgency and scarcity. 
-      CONTENT FOCUS: ${contentFocus[emailIndex]}`;
-    } else if (emailIndex === 6) { // 7th email - "Final goodbye"
+      CONTENT FOCUS: ${contentFocus[focusIndex]}`;
+    } else if (role === EMAIL_ROLES.FINAL_GOODBYE) { // Last follow-up - "Final goodbye"
       specialInstructions = `This is the FINAL GOODBYE email with a polite but clear "we get the message" tone.
-      CONTENT FOCUS: ${contentFocus[emailIndex]}`;
+      CONTENT FOCUS: ${contentFocus[focusIndex]}`;
     } else {
       specialInstructions = `This is follow-up email #${emailIndex + 1}. 
-      CONTENT FOCUS: ${contentFocus[emailIndex]}`;
+      CONTENT FOCUS: ${contentFocus[focusIndex]}`;
     }
 
     const prompt = `${PREAMBLE}
 
+${USER_CONTENT_RULES}
+
 INPUTS:
-Artist Messaging: ${infoDump}
-Video Links: ${videoLink}
-Tone Style: ${emailStyle}
-Signature: ${signatureBlock}
+Artist Messaging:
+${fenceUserContent('artist_info', infoDump)}
+Video Links: ${inlineUserContent(videoLink)}
+Tone Style:
+${fenceUserContent('tone', emailStyle)}
+Signature:
+${fenceUserContent('signature', signatureBlock)}
 Availability: Follow-up email - focus on booking discussion
 
-FOLLOW-UP FOCUS: ${idea}
+FOLLOW-UP FOCUS: "${inlineUserContent(idea)}"
 
 CRITICAL REQUIREMENTS:
 1. Greeting: Use exactly "${getGreetingForIndex(emailIndex + 1)} {{firstname}}" (NO COMMA EVER)
@@ -850,25 +1440,1063 @@ CRITICAL REQUIREMENTS:
 
 VIDEO LINK DISTRIBUTION: This is email #${emailIndex + 1} using video link #${linkIndex + 1} of ${videoLinks.length}
 
-REGENERATION REQUIREMENT: Make this version WILDLY DIFFERENT from the original.`;
+REGENERATION REQUIREMENT: Make this version WILDLY DIFFERENT from the original.
+
+${EMAIL_OUTPUT_FORMAT}`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [{ role: "user", content: prompt }],
+    const { subject, body, parts, lint, grounding } = await generateCheckedEmail(llm, prompt, {
       temperature: 0.9, // Very high temperature for maximum variety
+      lintMode,
+      lintOptions: { greeting: getGreetingForIndex(emailIndex + 1), videoLinks: [videoLink] },
+      grounding: { sources: [infoDump, signatureBlock, emailStyle, idea], mode: groundingMode },
+      context: {
+        infoDump, videoLink, signatureBlock, idea,
+        greeting: getGreetingForIndex(emailIndex + 1),
+        variant: 'regenerate'
+      }
+    });
+    const finalEmail = appendFooter(body);
+    const campaign = await saveToCampaign(req.user.id, input, {
+      followUps: { [emailIndex]: { subject, email: finalEmail, idea, waitDays: getWaitDays(emailIndex, waitDays) } }
     });
-
-    const content = completion.choices[0].message.content;
-    const parts = content.split('\n\n');
-    const subject = parts[0].replace('SUBJECT:', '').trim();
-    const email = parts.slice(1).join('\n\n');
-    const finalEmail = appendFooter(email);
     
-    res.json({ subject, email: finalEmail });
+    const html = renderEmailHtml(parts, { subject, videoLinks: [videoLink] });
+    res.json({ subject, email: finalEmail, html, parts, lint, grounding, injection, campaign });
+  } catch (error) {
+    sendError(res, error, 'Failed to regenerate email');
+  }
+});
+
+/**
+ * ENDPOINT: Import Availability From a Calendar
+ * 
+ * POST /generate-availability-from-calendar
+ * 
+ * Turns the musician's gig calendar (.ics export) into open dates: every day
+ * of the lookahead window with no booking. The returned `availability` text
+ * goes in the availability field like typed dates, so follow-ups filter it
+ * per send date as usual (calendarImport.js).
+ * 
+ * REQUEST (either form):
+ * - Body is the .ics file, Content-Type: text/calendar; options in the query
+ *   string (?lookaheadDays=90&currentDate=...&timeZone=...)
+ * - JSON: { ics: string, lookaheadDays?, currentDate?, timeZone? }
+ * 
+ * RESPONSE:
+ * {
+ *   availability: string    - e.g. "November 2-6, 10-12 and Fri Nov 14"
+ *   openDates: string[]     - "YYYY-MM-DD"
+ *   bookedDates: string[]   - Days in the window with a booking
+ *   window: { start, end, days }
+ *   events: number          - Bookings read from the file
+ *   warnings: Array<{ event, reason }> - Events that were only partly understood
+ * }
+ */
+app.post('/ai/generate-availability-from-calendar', express.text({ type: 'text/calendar', limit: CALENDAR_MAX_UPLOAD_SIZE }), validateRequest(ROUTES.importCalendar), (req, res) => {
+  try {
+    const input = typeof req.body === 'string' ? { ...req.query, ics: req.body } : req.body;
+    res.json(importCalendarAvailability(input));
+  } catch (error) {
+    sendError(res, error, 'Failed to import calendar');
+  }
+});
+
+// ============================================================================
+// MERGE TAGS
+// ============================================================================
+
+/**
+ * GET /ai/merge-tags
+ * 
+ * The merge tags emails may use, their fallbacks, and the ESPs
+ * /preview-email can convert them for.
+ * 
+ * RESPONSE:
+ * {
+ *   tags: Array<{ tag, name, description, fallback, sample, allowedInSubject }>,
+ *   esps: Array<{ id, label, tags: { [name]: string } }>  - Each tag as written for that ESP
+ *   footer: { text, spacingLines }                         - The unsubscribe footer
+ * }
+ */
+app.get('/ai/merge-tags', validateRequest(ROUTES.getMergeTags), (req, res) => {
+  res.json({
+    tags: Object.entries(MERGE_TAGS).map(([name, tag]) => ({
+      tag: `{{${name}}}`,
+      name,
+      description: tag.description,
+      fallback: tag.fallback,
+      sample: tag.sample,
+      allowedInSubject: tag.subject
+    })),
+    esps: Object.entries(ESP_SYNTAX).map(([id, esp]) => ({
+      id,
+      label: esp.label,
+      tags: Object.fromEntries(Object.entries(esp.names).map(([name, field]) => [name, esp.format(field)]))
+    })),
+    footer: { text: UNSUBSCRIBE_FOOTER, spacingLines: FOOTER_SPACING_LINES }
+  });
+});
+
+/**
+ * POST /ai/preview-email
+ * 
+ * Show an email as a recipient would get it, and report merge tags that
+ * would go out wrong (unknown, unfilled, or in the subject).
+ * 
+ * REQUEST BODY:
+ * {
+ *   subject: string, email: string  - The email to preview, or:
+ *   campaignId: string              - A saved campaign's intro...
+ *   followUp: number                - ...or its followUps[followUp]
+ *   recipient: Object               - Tag values, e.g. { venue, firstname }; missing tags use
+ *                                     sample values, "" shows the fallback (optional)
+ *   esp: string                     - Convert the tags for an ESP instead of filling them
+ *                                     ("mailchimp", "sendgrid", "hubspot", "mailerlite", "mailgun", "generic")
+ * }
+ * 
+ * RESPONSE: { subject, email, recipient, esp, tags: { used, unknown, unfilled, fallbacks, inSubject }, valid }
+ */
+app.post('/ai/preview-email', validateRequest(ROUTES.previewEmail), async (req, res) => {
+  try {
+    const { campaignId, followUp, recipient, esp } = req.body;
+    let { subject = '', email = '' } = req.body;
+
+    if (campaignId !== undefined) {
+      const campaign = await campaigns.get(req.user.id, campaignId);
+      const saved = followUp === undefined ? campaign.intro : campaign.followUps[followUp];
+      if (!saved) {
+        return res.status(404).json({ error: followUp === undefined ? 'Campaign has no intro email yet' : `Campaign has no followUps[${followUp}]` });
+      }
+      ({ subject, email } = saved);
+    }
+
+    if (typeof subject !== 'string' || typeof email !== 'string' || (!subject && !email)) {
+      return res.status(400).json({ error: 'Send the email to preview as `subject` and `email` (strings), or a `campaignId`' });
+    }
+    if (recipient !== undefined && (!recipient || typeof recipient !== 'object' || Array.isArray(recipient))) {
+      return res.status(400).json({ error: 'recipient must be an object of merge tag values, e.g. { "firstname": "Sam" }' });
+    }
+
+    res.json(previewEmail({ subject, email }, { recipient, esp }));
+  } catch (error) {
+    sendError(res, error, 'Failed to preview email');
+  }
+});
+
+// ============================================================================
+// ESP EXPORT
+// ============================================================================
+
+/**
+ * Send an exported file (espExport.js) as a download. Unknown merge tags
+ * are listed in the X-Export-Warnings header (JSON array).
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} file - { filename, contentType, body, warnings }
+ */
+function sendExport(res, { filename, contentType, body, warnings }) {
+  if (warnings.length > 0) {
+    // Header values must be ASCII - escape the rest as JSON \u sequences
+    res.set('X-Export-Warnings', JSON.stringify(warnings).replace(/[^\x20-\x7E]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`));
+  }
+  res.attachment(filename).type(contentType).send(body);
+}
+
+/**
+ * The export options a request sets (body or query string).
+ */
+function exportOptions(params) {
+  const keys = ['format', 'esp', 'name', 'fromName', 'fromEmail', 'step'];
+  return Object.fromEntries(keys.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+}
+
+/**
+ * POST /ai/export-sequence
+ * 
+ * Download an intro and its follow-ups in a form an ESP can import, with
+ * merge tags in that ESP's syntax. See espExport.js for the formats.
+ * 
+ * REQUEST BODY:
+ * {
+ *   sequence: Object[]   - The `sequence` array from /generate-followup-sequence, or:
+ *   jobId: string        - A sequence job (its finished emails are exported)
+ *   intro: Object        - { subject, email } - the intro, exported first (optional)
+ *   format: string       - "csv" (default) | "json" | "eml" | "zip"
+ *   esp: string          - Merge tag syntax, e.g. "mailchimp" (defaults per format)
+ *   name, fromName, fromEmail: string  - Campaign name and sender (optional)
+ *   step: number         - eml only: one email (1-based) as a single .eml
+ * }
+ * 
+ * RESPONSE: The file, as an attachment
+ */
+app.post('/ai/export-sequence', validateRequest(ROUTES.exportSequence), (req, res) => {
+  try {
+    const { jobId, intro } = req.body;
+    let { sequence } = req.body;
+    if (jobId !== undefined) {
+      const job = jobQueue.getJob(jobId, req.user.id);
+      if (!job || job.type !== 'followup-sequence') {
+        return res.status(404).json({ error: 'Job not found (it may have expired)' });
+      }
+      sequence = describeSequenceJob(job).sequence;
+    }
+    sendExport(res, exportSequence({ intro, sequence }, exportOptions(req.body)));
+  } catch (error) {
+    sendError(res, error, 'Failed to export sequence');
+  }
+});
+
+// ============================================================================
+// VENUE BATCHES
+// ============================================================================
+
+/**
+ * Generate one recipient of a venue batch: the intro, then (with
+ * includeSequence) each follow-up in order.
+ * 
+ * @param {Object} job - Batch job
+ * @param {number} index - Recipient (step) index
+ * @returns {Promise<Object>} { intro, followUps }
+ */
+async function generateVenueBatchRow(job, index) {
+  const input = { ...job.input, venue: venueFor(job.meta.recipients[index]) };
+  const intro = await generateInitialEmail(job.ownerId, input);
+  const followUps = [];
+  if (job.meta.cadence) {
+    for (let i = 0; i < job.meta.cadence.waitDays.length; i++) {
+      followUps.push(await generateSequenceEmail(job.ownerId, input, i, job.meta.accolades));
+    }
+  }
+  return { intro, followUps };
+}
+
+/**
+ * Run a venue batch job: accolades first (sequences only - they're about
+ * the artist, so every recipient shares them), then every recipient with
+ * bounded concurrency (BATCH_CONCURRENCY).
+ * 
+ * @param {Object} job - Job created by jobQueue.createJob
+ */
+async function runVenueBatchJob(job) {
+  jobQueue.start(job);
+  if (job.meta.cadence) {
+    job.meta.accolades = await extractSequenceAccolades(job.ownerId, job.input);
+  }
+  const indexes = job.steps.map(step => step.index);
+  await jobQueue.runSteps(job, indexes, (i) => generateVenueBatchRow(job, i), BATCH_CONCURRENCY);
+}
+
+/**
+ * One entry per recipient, for the results and the download.
+ */
+function venueBatchRows(job) {
+  return job.steps.map(step => ({
+    recipient: job.meta.recipients[step.index],
+    status: step.status,
+    error: step.error,
+    intro: step.result ? step.result.intro : null,
+    followUps: step.result ? step.result.followUps : null
+  }));
+}
+
+/**
+ * Build the polling response for a venue batch job.
+ * 
+ * @param {Object} job - The job
+ * @returns {Object} { jobId, status, progress, results, rows, ... }
+ */
+function describeVenueBatchJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    error: job.error,
+    progress: countSteps(job),
+    // Partial results: every recipient finished so far, in CSV order
+    results: venueBatchRows(job).filter(row => row.status === STEP_STATUS.COMPLETED),
+    rows: job.steps.map(({ index, status, attempts, error, details }) => ({
+      index, row: job.meta.recipients[index].row, venueName: job.meta.recipients[index].venueName, status, attempts, error, ...details
+    })),
+    ignoredColumns: job.meta.ignoredColumns,
+    suppressed: job.meta.suppressed,
+    cadence: job.meta.cadence,
+    downloadUrl: `/ai/generate-venue-batch/${job.id}/download`
+  };
+}
+
+/**
+ * ENDPOINT: Generate Venue Batch (asynchronous)
+ * 
+ * POST /generate-venue-batch
+ * 
+ * Writes a tailored intro - and with includeSequence a full follow-up
+ * sequence - for every recipient of a CSV (venueBatch.js). Each venue's
+ * name, type, city, genres and notes go into its prompt; the emails keep the
+ * {{venue}} and {{firstname}} merge tags.
+ * 
+ * REQUEST BODY:
+ * {
+ *   csv: string              - Recipients CSV (or recipients: [{ venueName, firstName, ... }])
+ *   ...artist fields         - infoDump, videoLinks, emailStyle, signatureBlock,
+ *                              availability (or profileId), as for /generate-email
+ *   includeSequence?: boolean - Also write the follow-ups (needs ideas, see
+ *                              /generate-followup-sequence; cadence as usual)
+ * }
+ * 
+ * RESPONSE (202):
+ * {
+ *   jobId: string,
+ *   status: "queued",
+ *   recipients: number,
+ *   ignoredColumns: string[],
+ *   statusUrl: string,   - Poll for progress and results
+ *   downloadUrl: string  - Results as CSV (?format=json for JSON)
+ * }
+ * 
+ * Jobs (and their results) are kept for an hour after they finish.
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/generate-venue-batch', validateRequest(ROUTES.startVenueBatch), async (req, res) => {
+  try {
+    const parsed = parseRecipients(req.body);
+    const { ignoredColumns } = parsed;
+
+    // Recipients on the suppression list (they unsubscribed) aren't written for
+    const recipients = [];
+    const suppressed = [];
+    for (const recipient of parsed.recipients) {
+      if (recipient.email && await suppressions.has(recipient.email)) {
+        suppressed.push({ row: recipient.row, venueName: recipient.venueName, email: recipient.email });
+      } else {
+        recipients.push(recipient);
+      }
+    }
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'Every recipient is on the suppression list (they unsubscribed)', suppressed });
+    }
+
+    // The artist input shared by every recipient (batches don't save to a campaign)
+    const input = { ...await applyProfile(req.user.id, req.body, ARTIST_FIELDS) };
+    delete input.csv;
+    delete input.recipients;
+    delete input.campaignId;
+    resolveUserCalendar(input); // Reject a bad currentDate/timeZone/locale before the job starts
+
+    let cadence = null;
+    if (input.includeSequence) {
+      cadence = resolveCadence(input);
+      if (!Array.isArray(input.ideas) || input.ideas.length < cadence.waitDays.length) {
+        return res.status(400).json({ error: `ideas must have one entry per follow-up (${cadence.waitDays.length} for this cadence)` });
+      }
+    }
+
+    const job = jobQueue.createJob({ type: 'venue-batch', total: recipients.length, ownerId: req.user.id, input });
+    Object.assign(job.meta, { recipients, ignoredColumns, cadence, suppressed });
+
+    runVenueBatchJob(job).catch(error => {
+      console.error('Venue batch job failed:', error);
+      jobQueue.fail(job, error);
+    });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      recipients: recipients.length,
+      suppressed,
+      ignoredColumns,
+      statusUrl: `/ai/generate-venue-batch/${job.id}`,
+      downloadUrl: `/ai/generate-venue-batch/${job.id}/download`
+    });
   } catch (error) {
-    console.error('Detailed error:', error);
-    res.status(500).json({ error: error.message || 'Failed to regenerate email' });
+    sendError(res, error, 'Failed to start venue batch');
+  }
+});
+
+/**
+ * Poll a venue batch job
+ * @route GET /generate-venue-batch/:jobId
+ */
+app.get('/ai/generate-venue-batch/:jobId', validateRequest(ROUTES.getVenueBatch), (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId, req.user.id);
+  if (!job || job.type !== 'venue-batch') {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
   }
+  res.json(describeVenueBatchJob(job));
+});
+
+/**
+ * Download venue batch results, one row per recipient (?format=csv|json).
+ * Recipients not finished yet are included with their status; recipients
+ * who unsubscribed since the batch started are left out.
+ * @route GET /generate-venue-batch/:jobId/download
+ */
+app.get('/ai/generate-venue-batch/:jobId/download', validateRequest(ROUTES.downloadVenueBatch), async (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId, req.user.id);
+  if (!job || job.type !== 'venue-batch') {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+
+  const { format = 'csv' } = req.query;
+  const rows = [];
+  try {
+    for (const row of venueBatchRows(job)) {
+      if (!row.recipient.email || !await suppressions.has(row.recipient.email)) rows.push(row);
+    }
+  } catch (error) {
+    return sendError(res, error, 'Failed to check the suppression list');
+  }
+  if (format === 'csv') {
+    const followUpCount = job.meta.cadence ? job.meta.cadence.waitDays.length : 0;
+    res.attachment(`venue-batch-${job.id}.csv`).type('text/csv').send(batchResultsToCsv(rows, followUpCount));
+  } else if (format === 'json') {
+    res.attachment(`venue-batch-${job.id}.json`).json({ jobId: job.id, status: job.status, cadence: job.meta.cadence, results: rows });
+  } else {
+    res.status(400).json({ error: 'format must be "csv" or "json"' });
+  }
+});
+
+/**
+ * Retry one failed recipient of a venue batch without regenerating the rest
+ * @route POST /generate-venue-batch/:jobId/rows/:index/retry
+ */
+app.post('/ai/generate-venue-batch/:jobId/rows/:index/retry', validateRequest(ROUTES.retryVenueBatchRow), (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId, req.user.id);
+  if (!job || job.type !== 'venue-batch') {
+    return res.status(404).json({ error: 'Job not found (it may have expired)' });
+  }
+
+  const index = Number(req.params.index);
+  const step = job.steps[index];
+  if (!Number.isInteger(index) || !step) {
+    return res.status(404).json({ error: `Recipient ${req.params.index} does not exist in this job` });
+  }
+  if (step.status !== STEP_STATUS.FAILED || (job.meta.cadence && !job.meta.accolades)) {
+    return res.status(409).json({ error: `Recipient ${index} is ${step.status} - only failed recipients can be retried` });
+  }
+
+  jobQueue.runStep(job, index, (i) => generateVenueBatchRow(job, i));
+  res.status(202).json(describeVenueBatchJob(job));
+});
+
+// ============================================================================
+// ARTIST PROFILES
+// ============================================================================
+
+/**
+ * ENDPOINTS: Saved Artist Profiles
+ * 
+ * One profile per act: infoDump, labelled video links, default tone
+ * (emailStyle), signature and from name. Generation requests send
+ * `profileId` instead of (or along with) those fields; fields sent inline
+ * win. Accolades extracted for a profile are cached on it (profileStore.js).
+ * 
+ * PROFILE:
+ * {
+ *   id, createdAt, updatedAt,
+ *   name: string,
+ *   infoDump: string,
+ *   videoLinks: [{ url, label }],   - Up to MAX_PROFILE_VIDEO_LINKS
+ *   emailStyle: string,
+ *   signatureBlock: string,
+ *   fromName: string,
+ *   accolades: Object[] | null      - Cached sequence accolades
+ * }
+ * 
+ * Create/PATCH body: any of the fields above except id, dates and accolades.
+ * videoLinks entries may be plain URLs.
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/profiles', validateRequest(ROUTES.createProfile), async (req, res) => {
+  try {
+    res.status(201).json(await profiles.create(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to create profile');
+  }
+});
+
+/**
+ * List the caller's profiles by name
+ * @route GET /profiles
+ */
+app.get('/ai/profiles', validateRequest(ROUTES.listProfiles), async (req, res) => {
+  try {
+    res.json({ profiles: await profiles.list(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list profiles');
+  }
+});
+
+/**
+ * Get a profile
+ * @route GET /profiles/:id
+ */
+app.get('/ai/profiles/:id', validateRequest(ROUTES.getProfile), async (req, res) => {
+  try {
+    res.json(await profiles.get(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load profile');
+  }
+});
+
+/**
+ * Edit a profile (fields not sent are kept)
+ * @route PATCH /profiles/:id
+ */
+app.patch('/ai/profiles/:id', validateRequest(ROUTES.updateProfile), async (req, res) => {
+  try {
+    res.json(await profiles.update(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update profile');
+  }
+});
+
+/**
+ * Delete a profile
+ * @route DELETE /profiles/:id
+ */
+app.delete('/ai/profiles/:id', validateRequest(ROUTES.deleteProfile), async (req, res) => {
+  try {
+    await profiles.remove(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete profile');
+  }
+});
+
+// ============================================================================
+// CAMPAIGNS
+// ============================================================================
+
+/**
+ * ENDPOINTS: Saved Campaigns
+ * 
+ * A campaign holds one pitch's inputs, intro email, follow-up ideas and
+ * follow-up emails, so work survives a closed tab. Every generation (with
+ * `campaignId`) and every edit is kept as a version that can be listed,
+ * compared and restored (campaignStore.js).
+ * 
+ * CAMPAIGN:
+ * {
+ *   id, createdAt, updatedAt,
+ *   version: number,
+ *   name: string,
+ *   inputs: { infoDump, videoLinks, emailStyle, signatureBlock, availability, ... },
+ *   intro: { subject, email } | null,
+ *   ideas: string[],
+ *   followUps: Array<{ subject, email, idea, waitDays } | null>  - By emailIndex
+ * }
+ * 
+ * Create/PATCH body: { name?, inputs?, intro?, ideas?, followUps? }
+ * PATCH merges `inputs` and `followUps` ({ "2": { email } } edits follow-up
+ * 2, null removes it) and replaces the rest.
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/campaigns', validateRequest(ROUTES.createCampaign), async (req, res) => {
+  try {
+    res.status(201).json(await campaigns.create(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to create campaign');
+  }
+});
+
+/**
+ * List the caller's campaigns, most recently updated first
+ * @route GET /campaigns
+ */
+app.get('/ai/campaigns', validateRequest(ROUTES.listCampaigns), async (req, res) => {
+  try {
+    res.json({ campaigns: await campaigns.list(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list campaigns');
+  }
+});
+
+/**
+ * Get a campaign
+ * @route GET /campaigns/:id
+ */
+app.get('/ai/campaigns/:id', validateRequest(ROUTES.getCampaign), async (req, res) => {
+  try {
+    res.json(await campaigns.get(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to load campaign');
+  }
+});
+
+/**
+ * Edit a campaign (saved as an "edit" version)
+ * @route PATCH /campaigns/:id
+ */
+app.patch('/ai/campaigns/:id', validateRequest(ROUTES.updateCampaign), async (req, res) => {
+  try {
+    res.json(await campaigns.update(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update campaign');
+  }
+});
+
+/**
+ * Delete a campaign and its version history
+ * @route DELETE /campaigns/:id
+ */
+app.delete('/ai/campaigns/:id', validateRequest(ROUTES.deleteCampaign), async (req, res) => {
+  try {
+    await campaigns.remove(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete campaign');
+  }
+});
+
+/**
+ * Version history, newest first
+ * @route GET /campaigns/:id/versions
+ */
+app.get('/ai/campaigns/:id/versions', validateRequest(ROUTES.listCampaignVersions), async (req, res) => {
+  try {
+    res.json({ versions: await campaigns.listVersions(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to load versions');
+  }
+});
+
+/**
+ * One version with its full content
+ * @route GET /campaigns/:id/versions/:version
+ */
+app.get('/ai/campaigns/:id/versions/:version', validateRequest(ROUTES.getCampaignVersion), async (req, res) => {
+  try {
+    res.json(await campaigns.getVersion(req.user.id, req.params.id, req.params.version));
+  } catch (error) {
+    sendError(res, error, 'Failed to load version');
+  }
+});
+
+/**
+ * Compare two versions (?from=3&to=5; `to` defaults to the current version)
+ * @route GET /campaigns/:id/diff
+ */
+app.get('/ai/campaigns/:id/diff', validateRequest(ROUTES.diffCampaign), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (from === undefined) {
+      return res.status(400).json({ error: 'from (a version number) is required' });
+    }
+    res.json(await campaigns.diff(req.user.id, req.params.id, from, to));
+  } catch (error) {
+    sendError(res, error, 'Failed to compare versions');
+  }
+});
+
+/**
+ * Make an old version current again (recorded as a new "restore" version)
+ * @route POST /campaigns/:id/versions/:version/restore
+ */
+app.post('/ai/campaigns/:id/versions/:version/restore', validateRequest(ROUTES.restoreCampaignVersion), async (req, res) => {
+  try {
+    res.json(await campaigns.restore(req.user.id, req.params.id, req.params.version));
+  } catch (error) {
+    sendError(res, error, 'Failed to restore version');
+  }
+});
+
+/**
+ * Download a campaign's intro and follow-ups for an ESP (same options as
+ * POST /export-sequence, as query parameters)
+ * @route GET /campaigns/:id/export
+ */
+app.get('/ai/campaigns/:id/export', validateRequest(ROUTES.exportCampaign), async (req, res) => {
+  try {
+    const campaign = await campaigns.get(req.user.id, req.params.id);
+    if (!campaign.intro && !campaign.followUps.some(Boolean)) {
+      return res.status(400).json({ error: 'Campaign has no emails to export yet' });
+    }
+    const options = { name: campaign.name, fromName: campaign.inputs.fromName, ...exportOptions(req.query) };
+    sendExport(res, exportSequence({ intro: campaign.intro, sequence: campaign.followUps }, options));
+  } catch (error) {
+    sendError(res, error, 'Failed to export campaign');
+  }
+});
+
+// ============================================================================
+// CAMPAIGN SENDING (SMTP)
+// ============================================================================
+
+/**
+ * Reply 503 when sending isn't configured.
+ * 
+ * @returns {boolean} true if the request was answered
+ */
+function rejectIfSendingOff(res) {
+  if (sender) return false;
+  res.status(503).json({ error: 'SMTP sending is not configured (set SMTP_HOST - for local testing run the mail catcher, see mailCatcher.js)' });
+  return true;
+}
+
+/**
+ * ENDPOINTS: Send a Campaign over SMTP
+ * 
+ * Optional built-in sender (campaignSender.js, enabled by SMTP_HOST): sends
+ * a saved campaign's intro and follow-ups to a list of recipients on the
+ * campaign's cadence, with merge tags filled per recipient, and keeps the
+ * status of every email.
+ * 
+ * POST BODY:
+ * {
+ *   csv: string             - Recipients CSV, venue batch columns plus email
+ *                             (or recipients: [{ email, venueName, firstName, ... }])
+ *   startAt?: string        - When the intro goes out (ISO 8601, default now)
+ *   timeZone?: string       - Follow-ups keep the intro's time of day here
+ *                             (default: the campaign's timeZone)
+ *   fromEmail?: string      - Sender address (default SMTP_FROM)
+ *   fromName?: string       - Sender name (default: the campaign's fromName)
+ *   unsubscribeUrl?: string - Fills {{unsubscribe_link}}; "{email}" becomes the
+ *                             recipient's address, "{token}" their signed token
+ *                             (default SMTP_UNSUBSCRIBE_URL, or the built-in
+ *                             /unsubscribe route when PUBLIC_URL is set)
+ * }
+ * 
+ * RESPONSE (201): the send - { id, status, startAt, progress, nextSendAt,
+ * steps: [{ position, name, waitDays, subject, sendAt }], messages: [{ index,
+ * to, venueName, step, sendAt, status, attempts, sentAt, response, error }] }
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/campaigns/:id/sends', validateRequest(ROUTES.scheduleSend), async (req, res) => {
+  if (rejectIfSendingOff(res)) return;
+  try {
+    res.status(201).json(await sender.schedule(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to schedule send');
+  }
+});
+
+/**
+ * A campaign's sends, newest first
+ * @route GET /campaigns/:id/sends
+ */
+app.get('/ai/campaigns/:id/sends', validateRequest(ROUTES.listSends), async (req, res) => {
+  if (rejectIfSendingOff(res)) return;
+  try {
+    await campaigns.get(req.user.id, req.params.id);
+    res.json({ sends: await sender.list(req.user.id, req.params.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list sends');
+  }
+});
+
+/**
+ * One send with the status of every email (?status=failed for just those)
+ * @route GET /campaigns/:id/sends/:sendId
+ */
+app.get('/ai/campaigns/:id/sends/:sendId', validateRequest(ROUTES.getSend), async (req, res) => {
+  if (rejectIfSendingOff(res)) return;
+  try {
+    res.json(await sender.get(req.user.id, req.params.id, req.params.sendId, req.query.status));
+  } catch (error) {
+    sendError(res, error, 'Failed to load send');
+  }
+});
+
+/**
+ * Cancel the emails of a send that haven't gone out yet
+ * @route POST /campaigns/:id/sends/:sendId/cancel
+ */
+app.post('/ai/campaigns/:id/sends/:sendId/cancel', validateRequest(ROUTES.cancelSend), async (req, res) => {
+  if (rejectIfSendingOff(res)) return;
+  try {
+    res.json(await sender.cancel(req.user.id, req.params.id, req.params.sendId));
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel send');
+  }
+});
+
+// ============================================================================
+// INBOUND REPLIES
+// ============================================================================
+
+/**
+ * ENDPOINT: Classify a Venue's Reply
+ * 
+ * Reads a reply to a pitch (replyClassifier.js), files it under the
+ * recipient it answers (among the caller's sends) and stops - or, for an out-of-office reply, postpones
+ * - that recipient's remaining follow-ups (campaignSender.recordReply). For
+ * "interested" and "more-info" replies, a suggested answer is drafted from
+ * the campaign's artist info (or profileId's).
+ * 
+ * POST BODY (JSON):
+ * {
+ *   raw?: string        - The whole email (RFC 5322), or
+ *   text?: string       - Just its body, with optional:
+ *   from?: string       -   the sender's address
+ *   subject?: string
+ *   inReplyTo?: string  -   Message-ID(s) it answers
+ *   campaignId?: string - Only match sends of this campaign
+ *   profileId?: string  - Artist profile for the draft (default: the campaign's)
+ * }
+ * Or the raw email itself with Content-Type: message/rfc822 (campaignId and
+ * profileId in the query string).
+ * 
+ * RESPONSE:
+ * {
+ *   classification, summary, returnDate, newContact,
+ *   action: "stop" | "postpone",
+ *   reply: { from, subject, date, text },
+ *   recipient: { campaignId, sendId, email, venueName, status, replies,
+ *                stopped, postponed } | null   - null if no send matches
+ *   suppressed: boolean    - "not-interested": the sender (and the matched
+ *                            recipient) went on the suppression list
+ *   draft: { subject, text, html } | null,
+ *   injection: { suspected, findings } - The reply tries to steer the model (promptSafety.js)
+ * }
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.post('/ai/replies', express.text({ type: 'message/rfc822', limit: REPLY_MAX_UPLOAD_SIZE }), validateRequest(ROUTES.classifyReply), async (req, res) => {
+  try {
+    const input = typeof req.body === 'string' ? { ...req.query, raw: req.body } : req.body;
+    const reply = readReply(input);
+    await assertCampaign(req.user.id, input);
+    if (input.profileId !== undefined) await profiles.get(req.user.id, input.profileId);
+
+    const injection = scanForInjection({ subject: reply.subject, text: reply.text });
+    const classification = await classifyReply(llm, reply);
+    const recipient = sender ? await sender.recordReply(req.user.id, reply, classification, { campaignId: input.campaignId }) : null;
+
+    // "Not interested" is an opt-out: never email them again, from any campaign
+    let suppressed = false;
+    if (classification.classification === REPLY_CLASSES.NOT_INTERESTED) {
+      const source = recipient ? recipient.campaignId : input.campaignId;
+      for (const email of new Set([reply.from, recipient && recipient.email].filter(Boolean))) {
+        await suppressions.add(email, { reason: SUPPRESSION_REASONS.REPLY, source });
+        suppressed = true;
+      }
+    }
+
+    // A failed draft doesn't undo the classification - the follow-ups are already changed
+    let draft = null;
+    let draftError;
+    const campaignId = recipient ? recipient.campaignId : input.campaignId;
+    if (needsDraft(classification.classification) && (campaignId !== undefined || input.profileId !== undefined)) {
+      try {
+        const campaign = campaignId !== undefined ? await campaigns.get(req.user.id, campaignId) : { inputs: {} };
+        const inputs = await applyProfile(req.user.id, input.profileId !== undefined ? { ...campaign.inputs, profileId: input.profileId } : campaign.inputs);
+        draft = await draftReply(llm, reply, classification, inputs, { recipient: recipient || undefined });
+      } catch (error) {
+        console.error('Reply draft failed:', error);
+        draftError = error.message;
+      }
+    }
+
+    const { from, subject, date, text } = reply;
+    res.json({ ...classification, reply: { from, subject, date, text }, recipient, suppressed, draft, draftError, injection });
+  } catch (error) {
+    sendError(res, error, 'Failed to classify reply');
+  }
+});
+
+// ============================================================================
+// UNSUBSCRIBE AND SUPPRESSION LIST
+// ============================================================================
+
+/**
+ * ENDPOINT: Unsubscribe Page (public - no login)
+ * 
+ * GET  /unsubscribe/:token - Confirmation page for the link in a sent email
+ * POST /unsubscribe/:token - Unsubscribe (the page's button, or a mail
+ *                            client's one-click POST, RFC 8058)
+ * 
+ * The token is signed per recipient (unsubscribe.js); a bad one gets a 400
+ * page. Unsubscribing adds the address to the suppression list.
+ */
+app.get('/ai/unsubscribe/:token', validateRequest(ROUTES.unsubscribePage), async (req, res) => {
+  const email = unsubscribeTokens.verify(req.params.token);
+  if (!email) return res.status(400).type('html').send(renderUnsubscribePage('invalid'));
+  try {
+    const state = await suppressions.has(email) ? 'already' : 'confirm';
+    res.type('html').send(renderUnsubscribePage(state, { email, action: `/ai/unsubscribe/${req.params.token}` }));
+  } catch (error) {
+    console.error('Unsubscribe page failed:', error);
+    res.status(500).type('html').send(renderUnsubscribePage('invalid'));
+  }
+});
+
+app.post('/ai/unsubscribe/:token', express.urlencoded({ extended: false }), validateRequest(ROUTES.unsubscribe), async (req, res) => {
+  const email = unsubscribeTokens.verify(req.params.token);
+  if (!email) return res.status(400).type('html').send(renderUnsubscribePage('invalid'));
+  try {
+    const { added } = await suppressions.add(email, { reason: SUPPRESSION_REASONS.UNSUBSCRIBED });
+    // Masked: recipients' addresses stay out of the server log
+    if (added) console.log(`Unsubscribed: ${maskEmail(email)}`);
+    res.type('html').send(renderUnsubscribePage(added ? 'done' : 'already', { email }));
+  } catch (error) {
+    console.error('Unsubscribe failed:', error);
+    res.status(500).type('html').send(renderUnsubscribePage('invalid'));
+  }
+});
+
+/**
+ * ENDPOINTS: Suppression List
+ * 
+ * Addresses that are never emailed again (suppressionList.js): unsubscribes,
+ * "not interested" replies and addresses added here. Sends skip them and
+ * venue batches leave them out.
+ * 
+ * GET    /suppressions          - Every entry, newest first (?format=csv for an ESP import)
+ * POST   /suppressions          - Add addresses: { emails: string[] (or email), reason?, source? }
+ * DELETE /suppressions/:email   - Take an address off the list
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.get('/ai/suppressions', validateRequest(ROUTES.listSuppressions), async (req, res) => {
+  try {
+    const entries = await suppressions.list();
+    const { format = 'json' } = req.query;
+    if (format === 'csv') {
+      res.attachment('suppressions.csv').type('text/csv').send(suppressionsToCsv(entries));
+    } else if (format === 'json') {
+      res.json({ suppressions: entries });
+    } else {
+      res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+  } catch (error) {
+    sendError(res, error, 'Failed to list suppressions');
+  }
+});
+
+app.post('/ai/suppressions', validateRequest(ROUTES.addSuppressions), async (req, res) => {
+  try {
+    const { email, emails, reason = SUPPRESSION_REASONS.MANUAL, source } = req.body;
+    const list = emails !== undefined ? emails : [email];
+    if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string')) {
+      return res.status(400).json({ error: 'Send email (a string) or emails (an array of strings)' });
+    }
+    const invalid = list.filter(address => !isEmailAddress(address));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Not email addresses: ${invalid.slice(0, 20).join(', ')}` });
+    }
+    if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${Object.values(SUPPRESSION_REASONS).join(', ')}` });
+    }
+    const results = [];
+    for (const address of list) results.push(await suppressions.add(address, { reason, source }));
+    res.status(201).json({ added: results.filter(result => result.added).length, suppressions: results.map(result => result.entry) });
+  } catch (error) {
+    sendError(res, error, 'Failed to add suppressions');
+  }
+});
+
+app.delete('/ai/suppressions/:email', validateRequest(ROUTES.removeSuppression), async (req, res) => {
+  try {
+    await suppressions.remove(req.params.email);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to remove suppression');
+  }
+});
+
+// ============================================================================
+// USAGE
+// ============================================================================
+
+/**
+ * ENDPOINT: Usage Report
+ * 
+ * GET /usage - The caller's model usage for a month: calls, tokens and
+ *              estimated cost, in total and per task, model and campaign,
+ *              plus their quota and rate limits
+ * 
+ * QUERY:
+ *   month?: string - "YYYY-MM" (UTC), defaults to this month
+ *   user?: string  - Another user's usage, or "*" for everyone
+ *                    (USAGE_ADMINS only)
+ * 
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.get('/ai/usage', validateRequest(ROUTES.getUsage), async (req, res) => {
+  try {
+    const { month, user = req.user.id } = req.query;
+    if (month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'month must look like "2025-11"' });
+    }
+    if (user !== req.user.id && !usageConfig.admins.includes(req.user.id)) {
+      return res.status(403).json({ error: "Only USAGE_ADMINS can read other users' usage" });
+    }
+    if (user === '*') {
+      const users = await usage.list(month);
+      return res.json({ month: month || usage.currentMonth(), users });
+    }
+
+    const report = await usage.get(user, month);
+    res.json({
+      ...report,
+      quota: month === undefined ? await usage.quota(user) : undefined,
+      rateLimits: rateLimiter.limits
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to read usage');
+  }
+});
+
+// ============================================================================
+// SIGN-IN SESSION
+// ============================================================================
+
+/**
+ * Options for the session cookie: script can't read it, other sites can't
+ * send it with a POST, and it is HTTPS-only when the server is.
+ */
+function sessionCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || /^https:/i.test(process.env.PUBLIC_URL || ''),
+    path: '/ai'
+  };
+}
+
+/**
+ * ENDPOINTS: Sign-in Session
+ *
+ * GET    /auth/session - Who the caller is signed in as (401 with the login
+ *                        page in `redirect` if they aren't) - the pages call it
+ * POST   /auth/session - Trade an API key ({ apiKey } or the usual headers)
+ *                        for a signed session cookie (session strategy only)
+ * DELETE /auth/session - Sign out: clear the session cookie
+ *
+ * See API_REFERENCE.md for complete documentation.
+ */
+app.get('/ai/auth/session', validateRequest(ROUTES.getSession), (req, res) => {
+  res.json({ user: req.user, strategies: auth.strategies });
+});
+
+app.post('/ai/auth/session', validateRequest(ROUTES.createSession), (req, res) => {
+  if (!auth.sessions) {
+    return res.status(404).json({ error: `Session cookies are off - add "${AUTH_STRATEGIES.SESSION}" to AUTH_STRATEGY` });
+  }
+  const user = auth.identifyKey(req.body.apiKey || apiKeyFrom(req));
+  if (!user) return res.status(401).json({ error: 'Invalid API key' });
+
+  const { value, expiresAt } = auth.sessions.issue(user);
+  res.cookie(auth.sessions.cookieName, value, { ...sessionCookieOptions(req), expires: expiresAt });
+  res.json({ user: { ...user, strategy: AUTH_STRATEGIES.SESSION }, expiresAt: expiresAt.toISOString() });
+});
+
+app.delete('/ai/auth/session', validateRequest(ROUTES.deleteSession), (req, res) => {
+  if (auth.sessions) res.clearCookie(auth.sessions.cookieName, sessionCookieOptions(req));
+  res.status(204).end();
+});
+
+/**
+ * The request schemas of every /ai route as an OpenAPI 3.1 document
+ * @route GET /openapi.json
+ */
+app.get('/ai/openapi.json', (req, res) => {
+  res.json(openApiDocument());
 });
 
 /**
@@ -890,7 +2518,12 @@ app.get('/ai/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Errors that never reached a route (bodies that aren't JSON or are too
+// large) as typed JSON, not Express's HTML page
+app.use(typedErrorHandler());
+
 // Start the server
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
+  if (sender) sender.start().catch(error => console.error('Sender failed to start:', error));
 });
\ No newline at end of file
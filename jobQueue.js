@@ -0,0 +1,249 @@
+/**
+ * ============================================================================
+ * JOB QUEUE - BACKGROUND GENERATION WITH PROGRESS TRACKING
+ * ============================================================================
+ *
+ * Generating a full follow-up sequence takes one accolade call plus one call
+ * per email - often more than a minute, which is longer than most proxies
+ * wait. Instead, the route creates a job, returns its id immediately and the
+ * emails are generated in the background. Clients poll the job for progress
+ * and partial results.
+ *
+ * JOB SHAPE:
+ * {
+ *   id: string,
+ *   type: string,                     - e.g. "followup-sequence"
+ *   ownerId: string,                  - The user who started it; only they can see it
+ *   status: "queued" | "running" | "completed" | "partial" | "failed",
+ *   createdAt / updatedAt: ISO string,
+ *   meta: Object,                     - Job-wide data (e.g. extracted accolades)
+ *   error: string | null,             - Job-level failure (steps failing is "partial")
+ *   steps: [{ index, status: "pending" | "running" | "completed" | "failed",
+ *             attempts, result, error, details }]
+ *                                     - details of a failed step: { code, retryable, ... }
+ *                                       (apiErrors.js)
+ * }
+ *
+ * STATUS RULES:
+ * - queued:    no step has started
+ * - running:   at least one step pending or running
+ * - completed: every step completed
+ * - partial:   all steps finished, some failed (failed steps can be retried)
+ * - failed:    the job itself failed, or every step failed
+ *
+ * STORAGE:
+ * In memory. Finished jobs are evicted after JOB_TTL_MS. Restarting the
+ * server loses running jobs.
+ *
+ * INTEGRATION:
+ * Used by the /ai/generate-followup-sequence routes in index.js.
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { errorBody } = require('./apiErrors');
+
+// How long finished jobs are kept for polling
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const STEP_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+/**
+ * Run async tasks with at most `limit` in flight at once.
+ *
+ * @param {number} limit - Maximum concurrent tasks (>= 1)
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @returns {Promise<void>} Resolves when every task has settled
+ */
+async function runWithConcurrency(limit, tasks) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, worker);
+  await Promise.all(workers);
+}
+
+/**
+ * Create an in-memory job store.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=JOB_TTL_MS] - How long finished jobs are kept
+ * @returns {Object} Job store API
+ */
+function createJobQueue({ ttlMs = JOB_TTL_MS } = {}) {
+  const jobs = new Map();
+
+  const touch = (job) => {
+    job.updatedAt = new Date().toISOString();
+  };
+
+  const refreshStatus = (job) => {
+    const counts = countSteps(job);
+    if (job.error || (counts.failed === job.steps.length && job.steps.length > 0)) {
+      job.status = JOB_STATUS.FAILED;
+    } else if (counts.pending === job.steps.length && !job.started) {
+      job.status = JOB_STATUS.QUEUED;
+    } else if (counts.pending > 0 || counts.running > 0) {
+      job.status = JOB_STATUS.RUNNING;
+    } else {
+      job.status = counts.failed > 0 ? JOB_STATUS.PARTIAL : JOB_STATUS.COMPLETED;
+    }
+    touch(job);
+  };
+
+  const evictExpired = () => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      const finished = job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING;
+      if (finished && Date.parse(job.updatedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Create a job with `total` pending steps.
+     *
+     * @param {Object} params
+     * @param {string} params.type - Job type label
+     * @param {number} params.total - Number of steps
+     * @param {string} params.ownerId - The user who started it
+     * @param {Object} [params.input] - Request input kept for retries
+     * @returns {Object} The new job
+     */
+    createJob({ type, total, ownerId, input = {} }) {
+      evictExpired();
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        ownerId,
+        status: JOB_STATUS.QUEUED,
+        createdAt: now,
+        updatedAt: now,
+        started: false,
+        input,
+        meta: {},
+        error: null,
+        steps: Array.from({ length: total }, (_, index) => ({
+          index,
+          status: STEP_STATUS.PENDING,
+          attempts: 0,
+          result: null,
+          error: null,
+          details: null
+        }))
+      };
+      jobs.set(job.id, job);
+      return job;
+    },
+
+    /**
+     * Look up one of a user's jobs by id.
+     *
+     * @param {string} id - Job id
+     * @param {string} ownerId - The caller
+     * @returns {Object|undefined} The job, if it exists and is theirs
+     */
+    getJob(id, ownerId) {
+      const job = jobs.get(id);
+      return job && typeof ownerId === 'string' && job.ownerId === ownerId ? job : undefined;
+    },
+
+    /**
+     * Mark the job as started (e.g. while a job-wide setup step runs).
+     */
+    start(job) {
+      job.started = true;
+      refreshStatus(job);
+    },
+
+    /**
+     * Record a job-level failure. Pending steps stay pending.
+     */
+    fail(job, error) {
+      job.error = error.message || String(error);
+      refreshStatus(job);
+    },
+
+    /**
+     * Run one step, recording its result or error. Never throws.
+     *
+     * @param {Object} job - The job
+     * @param {number} index - Step index
+     * @param {Function} fn - async (index) => result
+     * @returns {Promise<void>}
+     */
+    async runStep(job, index, fn) {
+      const step = job.steps[index];
+      job.started = true;
+      step.status = STEP_STATUS.RUNNING;
+      step.attempts++;
+      step.error = null;
+      step.details = null;
+      refreshStatus(job);
+
+      try {
+        step.result = await fn(index);
+        step.status = STEP_STATUS.COMPLETED;
+      } catch (error) {
+        console.error(`Job ${job.id} step ${index} failed:`, error);
+        step.status = STEP_STATUS.FAILED;
+        const { error: message, ...details } = errorBody(error, 'Step failed');
+        step.error = message;
+        step.details = details;
+      }
+      refreshStatus(job);
+    },
+
+    /**
+     * Run several steps with bounded concurrency.
+     *
+     * @param {Object} job - The job
+     * @param {number[]} indexes - Step indexes to run
+     * @param {Function} fn - async (index) => result
+     * @param {number} concurrency - Maximum steps in flight
+     * @returns {Promise<void>}
+     */
+    async runSteps(job, indexes, fn, concurrency) {
+      await runWithConcurrency(concurrency, indexes.map(index => () => this.runStep(job, index, fn)));
+    }
+  };
+}
+
+/**
+ * Count steps by status.
+ */
+function countSteps(job) {
+  const counts = { total: job.steps.length, pending: 0, running: 0, completed: 0, failed: 0 };
+  for (const step of job.steps) {
+    counts[step.status]++;
+  }
+  return counts;
+}
+
+module.exports = {
+  JOB_STATUS,
+  STEP_STATUS,
+  createJobQueue,
+  countSteps,
+  runWithConcurrency
+};
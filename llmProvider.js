@@ -0,0 +1,448 @@
+/**
+ * ============================================================================
+ * LLM PROVIDER LAYER - PLUGGABLE MODEL BACKENDS
+ * ============================================================================
+ *
+ * This module hides the concrete model vendor behind one small interface so
+ * every generation route talks to "a provider" instead of the OpenAI SDK.
+ *
+ * BUILT-IN PROVIDERS:
+ * - openai             - OpenAI's hosted API (default)
+ * - openai-compatible  - Any server speaking the OpenAI chat API
+ *                        (Ollama, LM Studio, vLLM, llama.cpp server, etc.)
+ * - fixture            - Deterministic offline stand-in. No network, no API key.
+ *                        Produces rule-following emails, ideas, accolades and
+ *                        reply classifications so the whole flow can be
+ *                        developed and demoed locally.
+ *
+ * PROVIDER INTERFACE:
+ * {
+ *   name: string,
+ *   defaultModel: string,
+ *   complete(request) => Promise<{ content, model, usage }>
+ * }
+ *
+ * request = {
+ *   messages: [{ role, content }],  - Chat messages (usually one user prompt)
+ *   model: string,                  - Model name (falls back to defaultModel)
+ *   temperature: number,            - Creativity level (0.0-1.0)
+ *   json: boolean,                  - Ask for a JSON-only response
+ *   task: string,                   - What the caller wants back (see TASKS)
+ *   context: Object,                - Structured inputs behind the prompt
+ *   onDelta: Function               - Optional. Stream the response: called with
+ *                                     each text chunk as it arrives. complete()
+ *                                     still resolves with the full content.
+ *   signal: AbortSignal             - Optional. Aborts the call (set by the
+ *                                     timeout in modelResilience.js)
+ * }
+ *
+ * Real providers only look at messages/model/temperature/json/onDelta/signal. The fixture
+ * provider ignores the prompt text and builds its answer from `task` and
+ * `context`, which keeps it stable when prompts are edited.
+ *
+ * CONFIGURATION (environment variables):
+ * - LLM_PROVIDER: "openai" | "openai-compatible" | "fixture" (default "openai")
+ * - LLM_MODEL:    Model name for every call (default GPT_MODEL from constants.js)
+ * - LLM_BASE_URL: Base URL for openai-compatible servers
+ *                 (e.g. "http://localhost:11434/v1" for Ollama)
+ * - LLM_API_KEY:  API key for openai-compatible servers (optional)
+ * - OPENAI_API_KEY: API key for the openai provider
+ *
+ * See README.md and DEVELOPER_GUIDE.md for more details.
+ * ============================================================================
+ */
+
+const OpenAI = require('openai');
+const { GPT_MODEL } = require('./constants');
+const { EMAIL_ROLES } = require('./cadence');
+
+/**
+ * Kinds of output a caller can ask for. Only the fixture provider uses these
+ * to decide what to return; real models are steered by the prompt itself.
+ */
+const TASKS = {
+  EMAIL: 'email',              // JSON email object (see emailFormat.js)
+  IDEAS: 'ideas',              // JSON array of follow-up concept strings
+  ACCOLADES: 'accolades',      // JSON array of { accolade, category, booking_angle }
+  ACCOLADE: 'accolade',        // Single { accolade, category, booking_angle } object
+  REPLY_CLASSIFICATION: 'reply-classification',  // { classification, summary, returnDate, newContact }
+  REPLY_DRAFT: 'reply-draft'   // { body } of a suggested answer to a venue's reply
+};
+
+// ============================================================================
+// OPENAI / OPENAI-COMPATIBLE PROVIDER
+// ============================================================================
+
+/**
+ * Create a provider backed by the OpenAI chat completions API.
+ *
+ * The same implementation serves local OpenAI-compatible servers - pass a
+ * baseURL and (if the server doesn't check keys) any placeholder apiKey.
+ *
+ * @param {Object} options
+ * @param {string} [options.name='openai'] - Provider name reported to callers
+ * @param {string} [options.apiKey] - API key sent as a Bearer token
+ * @param {string} [options.baseURL] - API base URL (omit for api.openai.com)
+ * @param {string} [options.defaultModel=GPT_MODEL] - Model used when a request names none
+ * @returns {Object} Provider instance
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, baseURL, defaultModel = GPT_MODEL } = {}) {
+  // Retries are modelResilience.js's job - the SDK's own would double them
+  const client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+
+  return {
+    name,
+    defaultModel,
+    async complete({ messages, model, temperature, json = false, onDelta, signal }) {
+      const request = {
+        model: model || defaultModel,
+        messages,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      };
+
+      if (onDelta) {
+        return await streamCompletion(client, request, onDelta, { includeUsage: name === 'openai', signal });
+      }
+
+      const completion = await client.chat.completions.create(request, { signal });
+      return {
+        content: completion.choices[0].message.content,
+        model: completion.model || model || defaultModel,
+        usage: completion.usage ? {
+          promptTokens: completion.usage.prompt_tokens,
+          completionTokens: completion.usage.completion_tokens,
+          totalTokens: completion.usage.total_tokens
+        } : null
+      };
+    }
+  };
+}
+
+/**
+ * Stream a chat completion, passing each text chunk to onDelta.
+ *
+ * Usage is only reported in streams when asked for (stream_options), which
+ * not every OpenAI-compatible server accepts - so it's requested from OpenAI only.
+ *
+ * @param {Object} client - OpenAI SDK client
+ * @param {Object} request - chat.completions.create parameters (without stream)
+ * @param {Function} onDelta - Called with each text chunk
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUsage=false] - Request token usage in the final chunk
+ * @param {AbortSignal} [options.signal] - Aborts the request and the stream
+ * @returns {Promise<{content: string, model: string, usage: Object|null}>} The full response
+ */
+async function streamCompletion(client, request, onDelta, { includeUsage = false, signal } = {}) {
+  const stream = await client.chat.completions.create({
+    ...request,
+    stream: true,
+    ...(includeUsage ? { stream_options: { include_usage: true } } : {})
+  }, { signal });
+
+  let content = '';
+  let model = request.model;
+  let usage = null;
+  for await (const chunk of stream) {
+    model = chunk.model || model;
+    if (chunk.usage) {
+      usage = {
+        promptTokens: chunk.usage.prompt_tokens,
+        completionTokens: chunk.usage.completion_tokens,
+        totalTokens: chunk.usage.total_tokens
+      };
+    }
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+  }
+  return { content, model, usage };
+}
+
+// ============================================================================
+// FIXTURE PROVIDER (OFFLINE, DETERMINISTIC)
+// ============================================================================
+
+const FIXTURE_IDEAS = [
+  "Who you've worked with",
+  "Key performances",
+  "Audience engagement",
+  "Musical versatility",
+  "Professional reliability",
+  "Last chance for music",
+  "Final goodbye"
+];
+
+// Characters per chunk when the fixture "streams" a response
+const FIXTURE_CHUNK_SIZE = 24;
+
+const FIXTURE_SUBJECTS = [
+  "Live {genre} nearby?",
+  "Weekend {genre} ideas?",
+  "Why guests stay longer",
+  "Before you book {genre}",
+  "The {genre} advantage",
+  "Open slots for {genre}?",
+  "One last {genre} note",
+  "What regulars noticed"
+];
+
+/**
+ * Small, stable string hash (djb2) so fixture output varies with its inputs
+ * but is identical for identical inputs.
+ */
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Split an info dump into clean, sentence-sized facts.
+ */
+function splitFacts(infoDump) {
+  return String(infoDump || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim().replace(/[.!?]+$/, ''))
+    .filter(s => s.length > 3);
+}
+
+function findGenre(infoDump) {
+  const match = String(infoDump || '').toLowerCase()
+    .match(/jazz|blues|rock|folk|classical|acoustic|pop|electronic|latin|country|indie|soul|r&b|reggae|fusion/);
+  return match ? match[0] : 'music';
+}
+
+/**
+ * One idea per follow-up role (cadence.js): the last two FIXTURE_IDEAS are
+ * the "last chance" and "final goodbye" concepts, regular follow-ups cycle
+ * through the rest. Without roles, the standard 7 ideas.
+ */
+function fixtureIdeas(roles) {
+  if (!Array.isArray(roles)) return FIXTURE_IDEAS;
+  const regular = FIXTURE_IDEAS.slice(0, -2);
+  return roles.map((role, i) => {
+    if (role === EMAIL_ROLES.LAST_CHANCE) return FIXTURE_IDEAS[FIXTURE_IDEAS.length - 2];
+    if (role === EMAIL_ROLES.FINAL_GOODBYE) return FIXTURE_IDEAS[FIXTURE_IDEAS.length - 1];
+    return regular[i % regular.length];
+  });
+}
+
+function fixtureAccolade(fact, index) {
+  return {
+    accolade: fact,
+    category: `fact_${index + 1}`,
+    booking_angle: 'artist_background'
+  };
+}
+
+/**
+ * A sentence fitting the pitch to the recipient venue (venue batches).
+ */
+function fixtureVenueLine(venue, genre) {
+  if (!venue || (!venue.venueType && !venue.genres)) return '';
+  const place = venue.venueType ? ` for a ${venue.venueType}${venue.city ? ` in ${venue.city}` : ''}` : '';
+  const booked = venue.genres ? `${place ? ', especially' : ''} since you book ${venue.genres}` : '';
+  return `Live ${genre} feels like a natural fit${place}${booked}.`;
+}
+
+function fixtureEmail(context) {
+  const {
+    infoDump = '',
+    greeting = 'Hi',
+    videoLink = '',
+    signatureBlock = '',
+    availability = '',
+    idea = '',
+    disclaimer = '',
+    variant = 0,
+    venue = null
+  } = context;
+
+  const facts = splitFacts(infoDump);
+  const genre = findGenre(infoDump);
+  const seed = hashString(`${infoDump}|${idea}|${greeting}|${variant}`);
+  const subject = FIXTURE_SUBJECTS[seed % FIXTURE_SUBJECTS.length].replace('{genre}', genre);
+  const highlight = facts.length ? facts[seed % facts.length] : 'I play relaxed, crowd-friendly sets';
+
+  const venueLine = fixtureVenueLine(venue, genre);
+  const paragraphs = [
+    `I'd be truly honored to bring some live ${genre} for {{venue}}. ${highlight}.${venueLine ? ` ${venueLine}` : ''}`,
+    videoLink ? `Here's a recent clip: ${videoLink}` : 'I would be glad to send a recent clip.'
+  ];
+  if (availability) {
+    paragraphs.push(`These dates are open: ${availability}`);
+  }
+
+  return JSON.stringify({
+    subject,
+    greeting: `${greeting} {{firstname}}`,
+    paragraphs,
+    callToAction: 'Which upcoming dates are you looking to fill?',
+    disclaimer,
+    signature: signatureBlock
+  });
+}
+
+/**
+ * Keyword rules for classifying a venue's reply, checked in order (an
+ * auto-reply saying "not interested in spam" is still out of office).
+ */
+const FIXTURE_REPLY_RULES = [
+  { classification: 'out-of-office', pattern: /out of (?:the )?office|on vacation|on holiday|auto(?:matic|-)?\s?reply|away until|limited access to email/i },
+  { classification: 'wrong-contact', pattern: /wrong (?:person|contact)|no longer (?:with|at|work)|not the right person|(?:don't|do not) (?:handle|book)|please contact|reach out to/i },
+  { classification: 'not-interested', pattern: /not interested|no thanks|no thank you|unsubscribe|remove me|stop (?:emailing|contacting)|not a (?:good )?fit|fully booked|pass on this/i },
+  { classification: 'more-info', pattern: /\?|what (?:are|is) your|how much|rates?\b|fees?\b|more info|send (?:me|us) more|setlist|tech(?:nical)? (?:rider|needs)/i },
+  { classification: 'interested', pattern: /interested|love to|sounds great|let's|book you|would like to have you|available on/i }
+];
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * A return date written as "back on March 3" / "until 2026-03-03", as
+ * YYYY-MM-DD (the next such date from `today`).
+ */
+function fixtureReturnDate(text, today) {
+  const iso = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+  const written = text.toLowerCase().match(new RegExp(`(${MONTH_NAMES.join('|')})\\s+(\\d{1,2})`));
+  if (!written || !today) return null;
+  const [year] = today.split('-').map(Number);
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${year}-${pad(MONTH_NAMES.indexOf(written[1]) + 1)}-${pad(Number(written[2]))}`;
+  return date >= today ? date : `${year + 1}${date.slice(4)}`;
+}
+
+function fixtureReplyClassification({ text = '', today = '' }) {
+  const rule = FIXTURE_REPLY_RULES.find(({ pattern }) => pattern.test(text));
+  const classification = rule ? rule.classification : 'more-info';
+  const contact = classification === 'wrong-contact' ? text.match(/[^\s@<>"]+@[^\s@<>"]+\.[a-z]+/i) : null;
+  return JSON.stringify({
+    classification,
+    summary: `The venue's reply reads as ${classification.replace(/-/g, ' ')}.`,
+    returnDate: classification === 'out-of-office' ? fixtureReturnDate(text, today) : null,
+    newContact: contact ? contact[0] : null
+  });
+}
+
+function fixtureReplyDraft({ classification, firstName = '', infoDump = '', videoLink = '', availability = '', signatureBlock = '' }) {
+  const facts = splitFacts(infoDump);
+  const paragraphs = [
+    `Hi${firstName ? ` ${firstName}` : ''},`,
+    classification === 'interested'
+      ? "Thank you so much - I'd love to make this happen!"
+      : 'Thanks for getting back to me - happy to share more.',
+    facts.length ? `${facts.slice(0, 2).join('. ')}.` : '',
+    videoLink ? `Here's a recent clip: ${videoLink}` : '',
+    availability ? `These dates are open: ${availability}` : 'Which dates are you looking to fill?',
+    signatureBlock
+  ];
+  return JSON.stringify({ body: paragraphs.filter(Boolean).join('\n\n') });
+}
+
+/**
+ * Create the offline fixture provider.
+ *
+ * Output is a pure function of (task, context) - handy for demos, frontend
+ * work and exercising every route without an API key.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.defaultModel='fixture'] - Model name reported back
+ * @returns {Object} Provider instance
+ */
+function createFixtureProvider({ defaultModel = 'fixture' } = {}) {
+  return {
+    name: 'fixture',
+    defaultModel,
+    async complete({ messages, model, task = TASKS.EMAIL, context = {}, onDelta }) {
+      const facts = splitFacts(context.infoDump);
+      let content;
+
+      switch (task) {
+        case TASKS.IDEAS:
+          content = JSON.stringify(fixtureIdeas(context.roles));
+          break;
+        case TASKS.ACCOLADES:
+          content = JSON.stringify(facts.slice(0, 7).map(fixtureAccolade));
+          break;
+        case TASKS.ACCOLADE: {
+          const words = String(context.idea || '').toLowerCase().split(/\W+/).filter(w => w.length > 3);
+          const fact = facts.find(f => words.some(w => f.toLowerCase().includes(w))) || facts[0] || '';
+          content = JSON.stringify(fixtureAccolade(fact, 0));
+          break;
+        }
+        case TASKS.REPLY_CLASSIFICATION:
+          content = fixtureReplyClassification(context);
+          break;
+        case TASKS.REPLY_DRAFT:
+          content = fixtureReplyDraft(context);
+          break;
+        default:
+          content = fixtureEmail(context);
+      }
+
+      if (onDelta) {
+        for (let i = 0; i < content.length; i += FIXTURE_CHUNK_SIZE) {
+          await new Promise(resolve => setImmediate(resolve));
+          onDelta(content.slice(i, i + FIXTURE_CHUNK_SIZE));
+        }
+      }
+
+      const promptLength = messages.reduce((sum, m) => sum + m.content.length, 0);
+      const promptTokens = Math.ceil(promptLength / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+      return {
+        content,
+        model: model || defaultModel,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Build the provider selected by configuration.
+ *
+ * @param {Object} [env=process.env] - Configuration source (environment variables)
+ * @returns {Object} Provider instance
+ * @throws {Error} If LLM_PROVIDER names an unknown provider, or an
+ *   openai-compatible provider has no LLM_BASE_URL
+ */
+function createProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const defaultModel = env.LLM_MODEL || GPT_MODEL;
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, defaultModel });
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai-compatible');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL,
+        defaultModel
+      });
+    case 'fixture':
+      return createFixtureProvider({ defaultModel: env.LLM_MODEL || 'fixture' });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected openai, openai-compatible or fixture)`);
+  }
+}
+
+module.exports = {
+  TASKS,
+  createProvider,
+  createOpenAIProvider,
+  createFixtureProvider
+};
@@ -0,0 +1,207 @@
+/**
+ * ============================================================================
+ * MAIL CATCHER - A LOCAL SMTP SERVER THAT KEEPS EVERYTHING IT RECEIVES
+ * ============================================================================
+ *
+ * For trying the built-in sender (campaignSender.js) without sending real
+ * email: point SMTP_HOST/SMTP_PORT at the catcher and every message is saved
+ * as an .eml file (open it in any mail client) instead of being delivered.
+ *
+ * RUN:
+ *   npm run mail-catcher                 - listens on 127.0.0.1:1025, saves to data/mail-catcher
+ *   node mailCatcher.js 2525 /tmp/mail   - another port and folder
+ *
+ * Then start the server with SMTP_HOST=127.0.0.1 SMTP_PORT=1025.
+ *
+ * It speaks just enough SMTP for smtpClient.js and common libraries: EHLO,
+ * HELO, AUTH PLAIN/LOGIN (any credentials), MAIL, RCPT, DATA, RSET, NOOP and
+ * QUIT. No TLS, so no STARTTLS is offered. Recipients given as
+ * reject@... get a permanent 550 and tempfail@... a temporary 451, for
+ * testing failures.
+ *
+ * INTEGRATION:
+ * Also usable in code: createMailCatcher() keeps the messages in memory.
+ * ============================================================================
+ */
+
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+const { MAIL_CATCHER_PORT } = require('./constants');
+
+const HOSTNAME = 'mail-catcher';
+
+/**
+ * Subject header of a raw message (for the log), encoded-words decoded.
+ */
+function subjectOf(data) {
+  const match = data.match(/^Subject: (.*)$/mi);
+  if (!match) return '(no subject)';
+  return match[1].trim().replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+/**
+ * Create a mail catcher.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Save each message here as an .eml file
+ * @param {Function} [options.onMessage] - Called with each message ({ id, from, to, data, subject, receivedAt })
+ * @returns {Object} { messages, listen(port, host), close() }
+ */
+function createMailCatcher({ dir, onMessage } = {}) {
+  const messages = [];
+  let count = 0;
+
+  const save = async (message) => {
+    messages.push(message);
+    if (dir) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${message.receivedAt.replace(/[:.]/g, '-')}-${message.id}.eml`), message.data);
+    }
+    if (onMessage) onMessage(message);
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;  // lines of the message while in DATA
+    let authStep = null;  // AUTH LOGIN: 'user' | 'pass'
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handle = async (line) => {
+      if (data) {
+        if (line !== '.') {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+          return;
+        }
+        const text = `${data.join('\r\n')}\r\n`;
+        data = null;
+        const message = { id: ++count, from: envelope.from, to: envelope.to, data: text, subject: subjectOf(text), receivedAt: new Date().toISOString() };
+        envelope = { from: null, to: [] };
+        await save(message);
+        reply(`250 OK queued as ${message.id}`);
+        return;
+      }
+      if (authStep) {
+        authStep = authStep === 'user' ? 'pass' : null;
+        reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authenticated');
+        return;
+      }
+
+      const [verb] = line.split(' ', 1);
+      const argument = line.slice(verb.length).trim();
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          reply(`250-${HOSTNAME}`);
+          reply('250-8BITMIME');
+          reply('250 AUTH PLAIN LOGIN');
+          break;
+        case 'HELO':
+          reply(`250 ${HOSTNAME}`);
+          break;
+        case 'AUTH':
+          if (/^LOGIN$/i.test(argument)) {
+            authStep = 'user';
+            reply('334 VXNlcm5hbWU6');
+          } else {
+            reply('235 Authenticated');
+          }
+          break;
+        case 'MAIL':
+          envelope = { from: (argument.match(/<([^>]*)>/) || [])[1] || '', to: [] };
+          reply('250 OK');
+          break;
+        case 'RCPT': {
+          const to = (argument.match(/<([^>]*)>/) || [])[1] || '';
+          if (/^reject@/i.test(to)) reply('550 No such user here');
+          else if (/^tempfail@/i.test(to)) reply('451 Try again later');
+          else {
+            envelope.to.push(to);
+            reply('250 OK');
+          }
+          break;
+        }
+        case 'DATA':
+          if (envelope.to.length === 0) {
+            reply('554 No valid recipients');
+          } else {
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+          }
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    // Lines are handled one after another (saving a message is async)
+    let queue = Promise.resolve();
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, end).replace(/\r$/, '');
+        buffer = buffer.slice(end + 1);
+        queue = queue.then(() => handle(line)).catch(error => {
+          console.error('Mail catcher error:', error);
+          reply('451 Could not save the message');
+        });
+      }
+    });
+    socket.on('error', () => {});
+    reply(`220 ${HOSTNAME} ESMTP ready`);
+  });
+
+  return {
+    messages,
+
+    /**
+     * Start listening.
+     *
+     * @returns {Promise<number>} The port (useful with port 0)
+     */
+    listen(port = MAIL_CATCHER_PORT, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address().port));
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+// Run from the command line: node mailCatcher.js [port] [dir]
+if (require.main === module) {
+  const port = Number(process.argv[2]) || MAIL_CATCHER_PORT;
+  const dir = process.argv[3] || path.join(__dirname, 'data', 'mail-catcher');
+  const catcher = createMailCatcher({
+    dir,
+    onMessage: ({ id, from, to, subject }) => console.log(`#${id} ${from} -> ${to.join(', ')}: ${subject}`)
+  });
+  catcher.listen(port).then(listening => {
+    console.log(`Mail catcher listening on 127.0.0.1:${listening}, saving to ${dir}`);
+    console.log(`Start the server with SMTP_HOST=127.0.0.1 SMTP_PORT=${listening}`);
+  }).catch(error => {
+    console.error(`Mail catcher could not start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createMailCatcher
+};
@@ -0,0 +1,85 @@
+/**
+ * ============================================================================
+ * MIME MESSAGE - ONE EMAIL AS AN RFC 5322 MESSAGE
+ * ============================================================================
+ *
+ * Builds the raw message (headers + multipart/alternative text and HTML
+ * parts) that is saved as an .eml draft (espExport.js) or handed to an SMTP
+ * server (campaignSender.js).
+ *
+ * - Non-ASCII header values become UTF-8 encoded-words (RFC 2047)
+ * - Both parts are base64, so any line length and character set is safe
+ * - Lines end in CRLF, as SMTP requires
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * A header value: printable ASCII as is, anything else as a UTF-8
+ * encoded-word (RFC 2047).
+ */
+function encodeHeader(value) {
+  const clean = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7E]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * A display name: quoted if ASCII, encoded-word otherwise.
+ */
+function displayName(name) {
+  const encoded = encodeHeader(name);
+  return encoded.startsWith('=?') ? encoded : `"${encoded.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * An address header value: "Name" <email>, or <email> without a name.
+ */
+function formatAddress({ name, email }) {
+  return `${name ? `${displayName(name)} ` : ''}<${email}>`;
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+/**
+ * Build a message.
+ *
+ * @param {Object} message
+ * @param {Object} [message.from] - { name, email } (no From header without it)
+ * @param {Object} [message.to] - { name, email }
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {Date} [message.date=new Date()]
+ * @param {Object} [message.headers] - Extra headers, e.g. { 'Message-ID': '<...>' }
+ * @returns {string} The message, CRLF line endings
+ */
+function buildMimeMessage({ from, to, subject, text, html, date = new Date(), headers = {} }) {
+  const boundary = `=_${crypto.randomUUID()}`;
+  const lines = [];
+  if (from && from.email) lines.push(`From: ${formatAddress(from)}`);
+  if (to && to.email) lines.push(`To: ${formatAddress(to)}`);
+  lines.push(
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`
+  );
+  const part = (type, content) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(content)
+  ].join('\r\n');
+
+  return [...lines, '', part('text/plain', text), part('text/html', html), `--${boundary}--`, ''].join('\r\n');
+}
+
+module.exports = {
+  buildMimeMessage,
+  formatAddress
+};
@@ -0,0 +1,276 @@
+/**
+ * ============================================================================
+ * MODEL RESILIENCE - TIMEOUTS, RETRIES, CIRCUIT BREAKER AND FALLBACK MODEL
+ * ============================================================================
+ *
+ * createResilientProvider() wraps the LLM provider (llmProvider.js) so
+ * every model call - every generation route, job and reply - gets the same
+ * policy:
+ *
+ * 1. TIMEOUT: a call that hasn't answered in MODEL_TIMEOUT_MS is aborted.
+ *    While streaming the clock restarts with every chunk, so a long email
+ *    that keeps coming isn't cut off.
+ * 2. RETRIES: failures that may pass - timeouts, the provider's rate limit
+ *    (429), network and 5xx errors - are tried again, up to
+ *    MODEL_MAX_ATTEMPTS calls, with exponential backoff and full jitter (a
+ *    Retry-After from the provider is honoured). A streamed call is never
+ *    retried once text has reached the client.
+ * 3. CIRCUIT BREAKER: after MODEL_BREAKER_THRESHOLD failures in a row a
+ *    model isn't called for MODEL_BREAKER_COOLDOWN_MS; calls fail at once.
+ *    After the cooldown calls go through again - one success closes the
+ *    circuit, a failure opens it for another cooldown.
+ * 4. FALLBACK: with LLM_FALLBACK_MODEL set, a call whose model failed (or
+ *    whose circuit is open) is made once more with the fallback model, with
+ *    the same retries.
+ *
+ * Failures end up as typed errors (apiErrors.js): model_timeout,
+ * model_busy, model_unavailable (retryable) or model_rejected,
+ * model_misconfigured (not). Anything else - a bug - is passed on as is.
+ *
+ * CONFIGURATION (environment, see resilienceConfigFromEnv):
+ * LLM_TIMEOUT_MS, LLM_MAX_ATTEMPTS, LLM_FALLBACK_MODEL
+ * ============================================================================
+ */
+
+const {
+  MODEL_TIMEOUT_MS,
+  MODEL_MAX_ATTEMPTS,
+  MODEL_RETRY_BASE_DELAY_MS,
+  MODEL_RETRY_MAX_DELAY_MS,
+  MODEL_BREAKER_THRESHOLD,
+  MODEL_BREAKER_COOLDOWN_MS
+} = require('./constants');
+const { ERROR_CODES, apiError } = require('./apiErrors');
+const { systemClock } = require('./dateUtils');
+
+// Network errors worth another try (Node's codes, and the OpenAI SDK's names)
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+const NETWORK_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError']);
+
+/**
+ * Read the resilience settings from the environment.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {Object} Options for createResilientProvider
+ */
+function resilienceConfigFromEnv(env = process.env) {
+  const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  return {
+    timeoutMs: positive(env.LLM_TIMEOUT_MS, MODEL_TIMEOUT_MS),
+    maxAttempts: Math.floor(positive(env.LLM_MAX_ATTEMPTS, MODEL_MAX_ATTEMPTS)),
+    fallbackModel: env.LLM_FALLBACK_MODEL || null
+  };
+}
+
+/**
+ * Seconds from a Retry-After (or retry-after-ms) response header.
+ *
+ * @returns {number|null}
+ */
+function retryAfterSeconds(headers) {
+  if (!headers) return null;
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = Number(get('retry-after-ms'));
+  if (ms > 0) return Math.ceil(ms / 1000);
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Turn a provider failure into a typed error.
+ *
+ * @param {Error} error - From provider.complete
+ * @param {string} model
+ * @returns {Error|null} null when it isn't a provider failure (e.g. a bug)
+ */
+function classifyModelError(error, model) {
+  const status = error.status;
+  const reason = error.message || 'unknown error';
+  if (status === 429) {
+    // Out of credit isn't "busy" - waiting won't fix it
+    if (error.code === 'insufficient_quota') {
+      return apiError(500, ERROR_CODES.MODEL_MISCONFIGURED, `The model provider account for ${model} is out of credit: ${reason}`);
+    }
+    const retryAfter = retryAfterSeconds(error.headers);
+    return apiError(503, ERROR_CODES.MODEL_BUSY, `The model (${model}) is busy - try again shortly`, retryAfter === null ? {} : { retryAfter });
+  }
+  if (status === 401 || status === 403) {
+    return apiError(500, ERROR_CODES.MODEL_MISCONFIGURED, `The model provider refused our credentials for ${model} (check the API key): ${reason}`);
+  }
+  if (status === 404) {
+    return apiError(500, ERROR_CODES.MODEL_MISCONFIGURED, `The model provider doesn't know the model ${model}: ${reason}`);
+  }
+  if (status === 408 || status === 409 || status >= 500) {
+    return apiError(502, ERROR_CODES.MODEL_UNAVAILABLE, `The model (${model}) failed with ${status} - try again shortly`);
+  }
+  if (status >= 400) {
+    return apiError(502, ERROR_CODES.MODEL_REJECTED, `The model provider rejected the request for ${model}: ${reason}`);
+  }
+  if (NETWORK_ERROR_NAMES.has(error.name) || NETWORK_ERROR_CODES.has(error.code) || (error.cause && NETWORK_ERROR_CODES.has(error.cause.code))) {
+    return apiError(502, ERROR_CODES.MODEL_UNAVAILABLE, `Could not reach the model (${model}): ${reason}`);
+  }
+  return null;
+}
+
+/**
+ * Circuit breaker of one model.
+ */
+function createBreaker({ model, threshold, cooldownMs, clock }) {
+  let failures = 0;
+  let openUntil = 0;
+  return {
+    /** Throw if the circuit is open. */
+    check() {
+      const remaining = openUntil - clock().getTime();
+      if (remaining > 0) {
+        throw apiError(503, ERROR_CODES.MODEL_UNAVAILABLE, `The model (${model}) keeps failing - paused for ${Math.ceil(remaining / 1000)}s`, {
+          retryAfter: Math.ceil(remaining / 1000),
+          circuitOpen: true
+        });
+      }
+    },
+    success() {
+      failures = 0;
+      openUntil = 0;
+    },
+    failure() {
+      failures += 1;
+      if (failures >= threshold) {
+        if (openUntil <= clock().getTime()) console.warn(`Model ${model}: ${failures} failures in a row - pausing calls for ${cooldownMs / 1000}s`);
+        openUntil = clock().getTime() + cooldownMs;
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a provider with timeouts, retries, a circuit breaker and a fallback model.
+ *
+ * @param {Object} provider - From createProvider (llmProvider.js)
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=MODEL_TIMEOUT_MS]
+ * @param {number} [options.maxAttempts=MODEL_MAX_ATTEMPTS] - Calls per model, first one included
+ * @param {number} [options.retryBaseDelayMs=MODEL_RETRY_BASE_DELAY_MS]
+ * @param {number} [options.retryMaxDelayMs=MODEL_RETRY_MAX_DELAY_MS]
+ * @param {number} [options.breakerThreshold=MODEL_BREAKER_THRESHOLD]
+ * @param {number} [options.breakerCooldownMs=MODEL_BREAKER_COOLDOWN_MS]
+ * @param {string|null} [options.fallbackModel=null] - Model to try when the requested one fails
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @param {Function} [options.sleep] - (ms) => Promise, waits between retries
+ * @param {Function} [options.random=Math.random] - Jitter source
+ * @returns {Object} Provider with the same interface
+ */
+function createResilientProvider(provider, {
+  timeoutMs = MODEL_TIMEOUT_MS,
+  maxAttempts = MODEL_MAX_ATTEMPTS,
+  retryBaseDelayMs = MODEL_RETRY_BASE_DELAY_MS,
+  retryMaxDelayMs = MODEL_RETRY_MAX_DELAY_MS,
+  breakerThreshold = MODEL_BREAKER_THRESHOLD,
+  breakerCooldownMs = MODEL_BREAKER_COOLDOWN_MS,
+  fallbackModel = null,
+  clock = systemClock,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  random = Math.random
+} = {}) {
+  const breakers = new Map(); // model -> breaker
+
+  function breakerFor(model) {
+    if (!breakers.has(model)) breakers.set(model, createBreaker({ model, threshold: breakerThreshold, cooldownMs: breakerCooldownMs, clock }));
+    return breakers.get(model);
+  }
+
+  /**
+   * One call, aborted after timeoutMs without an answer (or a chunk).
+   * `progress.delivered` turns true once text has gone to onDelta.
+   */
+  async function attempt(model, request, progress) {
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(apiError(504, ERROR_CODES.MODEL_TIMEOUT, `The model (${model}) did not answer within ${timeoutMs / 1000}s`));
+      });
+    });
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const onDelta = request.onDelta && (delta => {
+      if (controller.signal.aborted) return;
+      progress.delivered = true;
+      restartTimer();
+      request.onDelta(delta);
+    });
+
+    restartTimer();
+    try {
+      // Raced, so a provider that ignores the signal still times out
+      return await Promise.race([
+        provider.complete({ ...request, model, onDelta, signal: controller.signal }),
+        timedOut
+      ]);
+    } catch (error) {
+      throw controller.signal.aborted ? await timedOut.catch(timeout => timeout) : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Call one model, retrying failures that may pass.
+   */
+  async function callWithRetries(model, request, progress) {
+    const breaker = breakerFor(model);
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      breaker.check();
+      try {
+        const result = await attempt(model, request, progress);
+        breaker.success();
+        return result;
+      } catch (raw) {
+        const error = raw.details && raw.details.code ? raw : classifyModelError(raw, model);
+        if (!error) throw raw;
+        if (!error.details.retryable) throw error;
+
+        breaker.failure();
+        if (progress.delivered || attemptNumber >= maxAttempts) throw error;
+
+        // Full jitter: anywhere from 0 to the doubled delay
+        const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attemptNumber - 1));
+        const wait = error.details.retryAfter
+          ? Math.min(retryMaxDelayMs, error.details.retryAfter * 1000)
+          : Math.round(random() * ceiling);
+        console.warn(`Model call failed (${error.message}) - retry ${attemptNumber}/${maxAttempts - 1} in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return {
+    ...provider,
+    fallbackModel,
+
+    async complete(request) {
+      const model = request.model || provider.defaultModel;
+      const progress = { delivered: false };
+      try {
+        return await callWithRetries(model, request, progress);
+      } catch (error) {
+        const canFallBack = fallbackModel && fallbackModel !== model && error.details && error.details.retryable && !progress.delivered;
+        if (!canFallBack) throw error;
+        console.warn(`Model ${model} failed (${error.message}) - using the fallback model ${fallbackModel}`);
+        return await callWithRetries(fallbackModel, request, progress);
+      }
+    }
+  };
+}
+
+module.exports = {
+  resilienceConfigFromEnv,
+  classifyModelError,
+  createResilientProvider
+};
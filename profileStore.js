@@ -0,0 +1,249 @@
+/**
+ * ============================================================================
+ * PROFILE STORE - SAVED ARTIST PROFILES
+ * ============================================================================
+ *
+ * A booking team pitches several acts. An artist profile keeps one act's
+ * info dump, video links, default tone and signature on the server, so they
+ * don't have to be pasted into the form every session.
+ *
+ * PROFILE SHAPE:
+ * {
+ *   id: string,
+ *   createdAt / updatedAt: ISO string,
+ *   name: string,                        - e.g. "The Night Owls"
+ *   infoDump: string,
+ *   videoLinks: [{ url, label }],        - Up to MAX_PROFILE_VIDEO_LINKS
+ *   emailStyle: string,                  - Default tone
+ *   signatureBlock: string,
+ *   fromName: string,
+ *   accolades: Object[] | null           - Cached sequence accolades (read-only)
+ * }
+ *
+ * OWNERS:
+ * A profile belongs to the user who created it (`ownerId`, kept in the
+ * file but not returned). Every method takes the caller's id first; another
+ * user's profile is "not found", and list() only returns the caller's.
+ *
+ * USING A PROFILE:
+ * Generation requests send `profileId`. mergeProfile() fills in infoDump,
+ * videoLinks, emailStyle, signatureBlock and fromName from the profile;
+ * fields sent inline (non-empty) win over the profile's.
+ *
+ * ACCOLADE CACHE:
+ * Accolades extracted from a profile's info dump are saved with it, so a new
+ * sequence (or the same follow-up again) doesn't pay for the extraction call
+ * again. The cache is keyed by the info dump text - editing it, or sending a
+ * different one inline, means a fresh extraction.
+ *
+ * INTEGRATION:
+ * Used by the /ai/profiles routes and the generation routes in index.js.
+ * Stored as JSON files in PROFILE_DATA_DIR (fileStore.js).
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const { createFileStore, storeError } = require('./fileStore');
+const { MAX_PROFILE_VIDEO_LINKS } = require('./constants');
+
+// Profile fields used as generation inputs
+const INPUT_FIELDS = ['infoDump', 'videoLinks', 'emailStyle', 'signatureBlock', 'fromName'];
+
+// Single follow-up accolades kept per profile (oldest dropped first)
+const MAX_CACHED_FOLLOW_UP_ACCOLADES = 50;
+
+/**
+ * Check profile fields and normalize video links to { url, label }.
+ *
+ * @param {Object} fields - { name, infoDump, videoLinks, emailStyle, signatureBlock, fromName }
+ * @returns {Object} The known fields that were set
+ * @throws {Error} status 400 describing the first invalid field
+ */
+function normalizeFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw storeError(400, 'Profile must be an object');
+  }
+
+  const normalized = {};
+  for (const field of ['name', 'infoDump', 'emailStyle', 'signatureBlock', 'fromName']) {
+    if (fields[field] === undefined) continue;
+    if (typeof fields[field] !== 'string') throw storeError(400, `${field} must be a string`);
+    normalized[field] = fields[field];
+  }
+
+  if (fields.videoLinks !== undefined) {
+    if (!Array.isArray(fields.videoLinks) || fields.videoLinks.length > MAX_PROFILE_VIDEO_LINKS) {
+      throw storeError(400, `videoLinks must be an array of up to ${MAX_PROFILE_VIDEO_LINKS} links`);
+    }
+    normalized.videoLinks = fields.videoLinks.map((link, i) => {
+      const { url, label = '' } = typeof link === 'string' ? { url: link } : (link || {});
+      if (typeof url !== 'string' || url.trim() === '' || typeof label !== 'string') {
+        throw storeError(400, `videoLinks[${i}] must be a URL or { url, label }`);
+      }
+      return { url: url.trim(), label: label.trim() };
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Fill a generation request from a profile. Inline fields that are set
+ * (not empty) win over the profile's.
+ *
+ * @param {Object} profile - Profile from the store
+ * @param {Object} input - Request body
+ * @returns {Object} The request with the profile's fields filled in
+ */
+function mergeProfile(profile, input) {
+  const merged = { ...input };
+  for (const field of INPUT_FIELDS) {
+    const value = input[field];
+    const isSet = Array.isArray(value) ? value.length > 0 : typeof value === 'string' ? value.trim() !== '' : value != null;
+    if (isSet) continue;
+    merged[field] = field === 'videoLinks' ? profile.videoLinks.map(link => link.url) : profile[field];
+  }
+  return merged;
+}
+
+/**
+ * Cache key for an info dump.
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+/**
+ * Create a file-backed profile store.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for profile files (created if missing)
+ * @returns {Object} Store API
+ */
+function createProfileStore({ dir }) {
+  const files = createFileStore({ dir, notFoundMessage: 'Profile not found' });
+  const read = (ownerId, id) => files.readOwned(id, ownerId);
+
+  // The profile as returned by the API (no cache internals)
+  const view = ({ accoladeCache, ownerId, ...profile }) => ({ ...profile, accolades: accoladeCache?.sequence || null });
+
+  // The cache for this info dump (a new, empty one if it changed)
+  const cacheFor = (record, infoDump) => {
+    const infoDumpHash = hashText(infoDump);
+    if (record.accoladeCache?.infoDumpHash !== infoDumpHash) {
+      record.accoladeCache = { infoDumpHash, sequence: null, followUps: {} };
+    }
+    return record.accoladeCache;
+  };
+
+  const followUpKey = (emailIndex, idea) => `${emailIndex}:${String(idea).trim().toLowerCase()}`;
+
+  return {
+    /**
+     * Create a profile.
+     *
+     * @param {string} ownerId - The user it belongs to
+     * @param {Object} fields - { name, infoDump, videoLinks, emailStyle, signatureBlock, fromName }
+     * @returns {Promise<Object>} The profile
+     */
+    async create(ownerId, fields) {
+      const now = new Date().toISOString();
+      const record = {
+        id: files.newId(),
+        ownerId,
+        createdAt: now,
+        updatedAt: now,
+        name: 'Untitled artist',
+        infoDump: '',
+        videoLinks: [],
+        emailStyle: '',
+        signatureBlock: '',
+        fromName: '',
+        ...normalizeFields(fields),
+        accoladeCache: null
+      };
+      await files.queue(record.id, () => files.write(record));
+      return view(record);
+    },
+
+    /**
+     * The owner's profiles, by name.
+     *
+     * @returns {Promise<Array<{ id, name, createdAt, updatedAt }>>}
+     */
+    async list(ownerId) {
+      const profiles = (await files.list()).filter(record => record.ownerId === ownerId).map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }));
+      return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * @returns {Promise<Object>} The profile
+     * @throws {Error} status 404 if it doesn't exist (for this owner)
+     */
+    async get(ownerId, id) {
+      return view(await read(ownerId, id));
+    },
+
+    /**
+     * Change some of a profile's fields (the others are kept).
+     *
+     * @returns {Promise<Object>} The updated profile
+     */
+    async update(ownerId, id, fields) {
+      const changes = normalizeFields(fields);
+      return files.queue(id, async () => {
+        const record = { ...await read(ownerId, id), ...changes, updatedAt: new Date().toISOString() };
+        await files.write(record);
+        return view(record);
+      });
+    },
+
+    /**
+     * Delete a profile.
+     */
+    async remove(ownerId, id) {
+      return files.queue(id, async () => {
+        await read(ownerId, id);
+        await files.remove(id);
+      });
+    },
+
+    /**
+     * Cached accolades for an info dump.
+     *
+     * @param {string} ownerId
+     * @param {string} id - Profile id
+     * @param {string} infoDump - The info dump they were extracted from
+     * @param {Object} [followUp] - { emailIndex, idea } for a single follow-up's
+     *   accolade; omit for the sequence accolades
+     * @returns {Promise<Object[]|Object|null>} null if not cached
+     */
+    async getAccolades(ownerId, id, infoDump, followUp) {
+      const cache = (await read(ownerId, id)).accoladeCache;
+      if (!cache || cache.infoDumpHash !== hashText(infoDump)) return null;
+      return followUp ? cache.followUps[followUpKey(followUp.emailIndex, followUp.idea)] || null : cache.sequence;
+    },
+
+    /**
+     * Save extracted accolades (see getAccolades).
+     */
+    async saveAccolades(ownerId, id, infoDump, accolades, followUp) {
+      return files.queue(id, async () => {
+        const record = await read(ownerId, id);
+        const cache = cacheFor(record, infoDump);
+        if (followUp) {
+          cache.followUps[followUpKey(followUp.emailIndex, followUp.idea)] = accolades;
+          const keys = Object.keys(cache.followUps);
+          keys.slice(0, keys.length - MAX_CACHED_FOLLOW_UP_ACCOLADES).forEach(key => delete cache.followUps[key]);
+        } else {
+          cache.sequence = accolades;
+        }
+        await files.write(record);
+      });
+    }
+  };
+}
+
+module.exports = {
+  createProfileStore,
+  mergeProfile
+};
@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * PROMPT SAFETY CHECK - RUNS THE INJECTION CORPUS THROUGH THE PIPELINE
+ * ============================================================================
+ *
+ * Proves the output rules still hold against the adversarial inputs in
+ * injectionCorpus.js, offline (fixture provider, no API key):
+ *
+ * 1. Detection - scanForInjection flags every adversarial input with the
+ *    signals the corpus names, and no benign input at all
+ * 2. Fencing - in the prompt the model actually receives, the input sits
+ *    inside a <user_input> block after USER_CONTENT_RULES, every block that
+ *    opens closes exactly once, and no invisible characters got through.
+ *    Talking points are quoted inline: one line, no double quotes
+ * 3. Output rules - the intro email (generateCheckedEmail, default lint
+ *    mode) never has a merge tag in its subject, every fatal rule it still
+ *    breaks is in its `lint` report, the corpus' `caught` rules are reported
+ *    or repaired, and benign inputs give an email that passes the linter
+ *
+ * RUN:
+ *   npm run check-prompt-safety    - exits with 1 when any case fails
+ *
+ * Model calls are made with the fixture provider, which writes from the
+ * request's fields rather than the prompt - so step 3 checks the linter
+ * against a model that copied the attack, and step 2 what a real model
+ * would be told.
+ * ============================================================================
+ */
+
+const { createFixtureProvider } = require('./llmProvider');
+const { generateEmailPrompt, generateCheckedEmail } = require('./emailGenerator');
+const { classifyReply } = require('./replyClassifier');
+const { lintEmail, SEVERITY } = require('./emailLinter');
+const { USER_CONTENT_RULES, escapeUserContent, inlineUserContent, scanForInjection } = require('./promptSafety');
+const { ADVERSARIAL_INPUTS, BENIGN_INPUTS } = require('./injectionCorpus');
+const { GREETING_ROTATION, DEFAULT_LINT_MODE } = require('./constants');
+
+// The request every case changes one field of
+const BASE_INPUT = {
+  infoDump: 'Jazz pianist with 15 years experience. Played Blue Note for 3 years.',
+  videoLinks: ['https://youtu.be/abc'],
+  emailStyle: 'Friendly',
+  signatureBlock: 'John Doe\n555-1234',
+  availability: 'November 9-26th'
+};
+
+const BASE_VENUE = { venueName: 'Blue Moon', venueType: 'jazz bar', city: 'Austin' };
+
+// Invisible characters that must never reach a prompt (ZWJ joins emoji, so it may)
+const INVISIBLE = /[\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+
+const FENCE_TAG = /<user_input name="[^"]*">|<\/user_input>/g;
+
+/**
+ * The fixture provider, keeping every prompt it's sent.
+ */
+function createRecordingProvider() {
+  const fixture = createFixtureProvider();
+  const prompts = [];
+  return {
+    ...fixture,
+    prompts,
+    async complete(request) {
+      prompts.push(request.messages.map(message => message.content).join('\n'));
+      return fixture.complete(request);
+    }
+  };
+}
+
+/**
+ * Problems with the fencing of a prompt; `needle` is the user text as it
+ * should appear, only ever inside a block.
+ */
+function checkFences(prompt, needle) {
+  const problems = [];
+  const rulesAt = prompt.indexOf(USER_CONTENT_RULES);
+  if (rulesAt === -1 || rulesAt > prompt.indexOf('<user_input')) problems.push('USER_CONTENT_RULES missing or after the first block');
+
+  // Blocks must alternate open, close - the notice itself mentions the tags
+  const rest = prompt.replace(USER_CONTENT_RULES, '');
+  const spans = [];
+  let open = null;
+  for (const match of rest.matchAll(FENCE_TAG)) {
+    const opening = match[0] !== '</user_input>';
+    if (opening === (open !== null)) {
+      problems.push(`unbalanced fence near "${rest.slice(match.index, match.index + 40)}"`);
+      break;
+    }
+    if (opening) {
+      open = match.index;
+    } else {
+      spans.push([open, match.index]);
+      open = null;
+    }
+  }
+  if (open !== null) problems.push('a block is never closed');
+
+  if (INVISIBLE.test(prompt)) problems.push('invisible characters in the prompt');
+
+  if (needle) {
+    let at = rest.indexOf(needle);
+    if (at === -1) problems.push('the input is missing from the prompt');
+    for (; at !== -1; at = rest.indexOf(needle, at + 1)) {
+      if (!spans.some(([start, end]) => at > start && at + needle.length <= end)) {
+        problems.push('the input appears outside a <user_input> block');
+        break;
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Problems with the intro email written for an input.
+ */
+async function checkEmail(entry, adversarial) {
+  const input = { ...BASE_INPUT };
+  let needle = escapeUserContent(entry.text).trim();
+  if (entry.field === 'venue') {
+    input.venue = { ...BASE_VENUE, notes: entry.text };
+    needle = inlineUserContent(entry.text);
+  } else {
+    input[entry.field] = entry.text;
+  }
+
+  const provider = createRecordingProvider();
+  const lintOptions = { greeting: GREETING_ROTATION[0], videoLinks: input.videoLinks };
+  const { infoDump, videoLinks, signatureBlock, availability, venue } = input;
+  const result = await generateCheckedEmail(provider, generateEmailPrompt(input), {
+    lintMode: DEFAULT_LINT_MODE,
+    lintOptions,
+    context: { infoDump, videoLink: videoLinks[0], signatureBlock, availability, greeting: GREETING_ROTATION[0], venue }
+  });
+
+  const problems = provider.prompts.flatMap(prompt => checkFences(prompt, needle));
+  const reported = new Set([...result.lint.violations.map(v => v.rule), ...result.lint.repaired]);
+  if (/\{\{/.test(result.subject)) problems.push(`merge tag in the subject: "${result.subject}"`);
+  const fatal = lintEmail({ subject: result.subject, ...result.parts }, lintOptions).violations
+    .filter(v => v.severity === SEVERITY.FATAL);
+  for (const { rule } of fatal) {
+    if (!reported.has(rule)) problems.push(`breaks ${rule} without reporting it`);
+  }
+  for (const rule of entry.caught || []) {
+    if (!reported.has(rule)) problems.push(`${rule} not caught`);
+  }
+  if (!adversarial && !result.lint.valid) {
+    problems.push(`email fails the linter: ${result.lint.violations.map(v => v.rule).join(', ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Problems with the classification prompt for a venue's reply.
+ */
+async function checkReply(entry) {
+  const provider = createRecordingProvider();
+  await classifyReply(provider, { subject: 'Re: Booking', text: entry.text });
+  return provider.prompts.flatMap(prompt => checkFences(prompt, escapeUserContent(entry.text).trim()));
+}
+
+/**
+ * Problems with a talking point quoted inside an instruction.
+ */
+function checkInline(entry) {
+  const inline = inlineUserContent(entry.text);
+  return /[\n"]/.test(inline) || INVISIBLE.test(inline) ? [`inline value can break its quote: ${JSON.stringify(inline)}`] : [];
+}
+
+/**
+ * Every problem with one corpus case.
+ */
+async function checkCase(entry, adversarial) {
+  const { findings } = scanForInjection({ [entry.field]: entry.text });
+  const found = new Set(findings.map(finding => finding.signal));
+  const problems = adversarial
+    ? (entry.signals || []).filter(signal => !found.has(signal)).map(signal => `${signal} not detected`)
+    : [...found].map(signal => `false positive: ${signal}`);
+
+  if (entry.field === 'reply') problems.push(...await checkReply(entry));
+  else if (entry.field === 'idea') problems.push(...checkInline(entry));
+  else problems.push(...await checkEmail(entry, adversarial));
+  return problems;
+}
+
+/**
+ * Run the whole corpus.
+ *
+ * @returns {Promise<Array<{ name, adversarial, problems }>>} One result per case
+ */
+async function runPromptSafetyCheck() {
+  const results = [];
+  for (const [cases, adversarial] of [[ADVERSARIAL_INPUTS, true], [BENIGN_INPUTS, false]]) {
+    for (const entry of cases) {
+      results.push({ name: entry.name, adversarial, problems: await checkCase(entry, adversarial) });
+    }
+  }
+  return results;
+}
+
+if (require.main === module) {
+  // The pipeline's own warnings (injection flagged, lint repairs) are expected here
+  console.warn = () => {};
+  runPromptSafetyCheck().then(results => {
+    for (const { name, adversarial, problems } of results) {
+      console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${adversarial ? 'adversarial' : 'benign     '} ${name}`);
+      problems.forEach(problem => console.log(`       - ${problem}`));
+    }
+    const failed = results.filter(result => result.problems.length > 0).length;
+    console.log(`\n${results.length - failed}/${results.length} cases passed`);
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('Prompt safety check failed to run:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runPromptSafetyCheck
+};
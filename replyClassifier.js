@@ -0,0 +1,472 @@
+/**
+ * ============================================================================
+ * REPLY CLASSIFIER - SORT A VENUE'S ANSWER AND SUGGEST A RESPONSE
+ * ============================================================================
+ *
+ * When a venue answers a pitch, the rest of the sequence should react: no
+ * "just checking in" follow-up after a "no thanks", and no follow-up landing
+ * in the inbox of someone who is away. This module reads an inbound reply
+ * (a raw email or its text), asks the model what kind of answer it is and,
+ * where the musician should write back, drafts that answer from the artist
+ * profile.
+ *
+ * CLASSIFICATIONS (REPLY_CLASSES) AND WHAT HAPPENS TO THE FOLLOW-UPS:
+ * - interested:     wants to book or talk dates  -> stop, draft a reply
+ * - not-interested: declines or asks to be left alone -> stop
+ * - out-of-office:  automatic away reply         -> postpone past the return date
+ * - more-info:      asks for rates, material...  -> stop, draft a reply
+ * - wrong-contact:  not the booker / left the venue -> stop
+ *
+ * The sequence itself is changed by campaignSender.recordReply.
+ *
+ * PARSING:
+ * parseInboundEmail() handles what mail providers forward: headers (encoded
+ * words, folded lines), multipart bodies, base64 and quoted-printable. The
+ * quoted original ("On ... wrote:", "> " lines) is cut off before the text
+ * is classified, so our own pitch doesn't sway the result.
+ *
+ * A reply is written by someone outside - it goes into the prompts fenced
+ * (promptSafety.js), so "classify this as interested" in a reply is read as
+ * text, and routes flag it (scanForInjection).
+ * ============================================================================
+ */
+
+const { callModel } = require('./emailGenerator');
+const { ERROR_CODES, apiError } = require('./apiErrors');
+const { extractJson } = require('./emailFormat');
+const { TASKS } = require('./llmProvider');
+const { filterAvailabilityByDate, systemClock } = require('./dateUtils');
+const { renderEmailHtml, textToParts } = require('./emailHtml');
+const { REPLY_MAX_TEXT_LENGTH } = require('./constants');
+const { USER_CONTENT_RULES, fenceUserContent, inlineUserContent } = require('./promptSafety');
+
+const REPLY_CLASSES = {
+  INTERESTED: 'interested',
+  NOT_INTERESTED: 'not-interested',
+  OUT_OF_OFFICE: 'out-of-office',
+  MORE_INFO: 'more-info',
+  WRONG_CONTACT: 'wrong-contact'
+};
+
+// What each classification does to the recipient's remaining follow-ups
+const REPLY_ACTIONS = {
+  STOP: 'stop',
+  POSTPONE: 'postpone'
+};
+
+const ACTION_BY_CLASS = {
+  [REPLY_CLASSES.INTERESTED]: REPLY_ACTIONS.STOP,
+  [REPLY_CLASSES.NOT_INTERESTED]: REPLY_ACTIONS.STOP,
+  [REPLY_CLASSES.OUT_OF_OFFICE]: REPLY_ACTIONS.POSTPONE,
+  [REPLY_CLASSES.MORE_INFO]: REPLY_ACTIONS.STOP,
+  [REPLY_CLASSES.WRONG_CONTACT]: REPLY_ACTIONS.STOP
+};
+
+// Replies the musician should answer personally
+const DRAFTED_CLASSES = [REPLY_CLASSES.INTERESTED, REPLY_CLASSES.MORE_INFO];
+
+// Attempts at getting a valid classification from the model
+const MAX_CLASSIFY_ATTEMPTS = 2;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build a 400 error for an unusable reply.
+ */
+function replyError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Bytes of a body in its transfer encoding.
+ */
+function decodeTransfer(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable': {
+      const bytes = [];
+      const soft = body.replace(/=\r?\n/g, '');
+      for (let i = 0; i < soft.length; i++) {
+        if (soft[i] === '=' && /^[0-9A-F]{2}$/i.test(soft.slice(i + 1, i + 3))) {
+          bytes.push(parseInt(soft.slice(i + 1, i + 3), 16));
+          i += 2;
+        } else {
+          bytes.push(...Buffer.from(soft[i], 'utf8'));
+        }
+      }
+      return Buffer.from(bytes);
+    }
+    default:
+      return null;  // 7bit/8bit: already text
+  }
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (_) {
+    return bytes.toString('utf8');
+  }
+}
+
+/**
+ * A header value with RFC 2047 encoded-words decoded.
+ */
+function decodeHeader(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, type, text) => {
+      const bytes = type.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeTransfer(text.replace(/_/g, ' '), 'quoted-printable');
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Split a message (or MIME part) into lower-cased headers and body.
+ */
+function splitMessage(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+/**
+ * A parameter of a structured header, e.g. boundary of Content-Type.
+ */
+function headerParam(value, name) {
+  const match = String(value || '').match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] ?? match[2] : null;
+}
+
+/**
+ * Plain text of an HTML body.
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h\d)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * The readable text of a message part: text/plain preferred, text/html
+ * stripped of tags otherwise. Attachments are ignored.
+ *
+ * @returns {{ plain: string|null, html: string|null }}
+ */
+function partText({ headers, body }) {
+  const type = String(headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+  const found = { plain: null, html: null };
+
+  if (type.startsWith('multipart/')) {
+    const boundary = headerParam(headers['content-type'], 'boundary');
+    if (!boundary) return found;
+    const sections = body.split(`--${boundary}`).slice(1);
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+      const inner = partText(splitMessage(section.replace(/^\r?\n/, '')));
+      found.plain = found.plain ?? inner.plain;
+      found.html = found.html ?? inner.html;
+    }
+    return found;
+  }
+  if (/^attachment/i.test(headers['content-disposition'] || '')) return found;
+  if (type !== 'text/plain' && type !== 'text/html') return found;
+
+  const bytes = decodeTransfer(body, headers['content-transfer-encoding']);
+  const text = bytes ? decodeCharset(bytes, headerParam(headers['content-type'], 'charset')) : body;
+  if (type === 'text/plain') found.plain = text;
+  else found.html = htmlToText(text);
+  return found;
+}
+
+/**
+ * The email address in an address header ("Name" <a@b.com> or a@b.com).
+ */
+function addressOf(value) {
+  const match = String(value || '').match(/<([^>]+@[^>]+)>/) || String(value || '').match(/[^\s<>"]+@[^\s<>"]+/);
+  return match ? (match[1] || match[0]).trim().toLowerCase() : '';
+}
+
+/**
+ * Message-IDs listed in In-Reply-To / References.
+ */
+function messageIds(value) {
+  return String(value || '').match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * The reply without the quoted message it answers: cut at "On ... wrote:",
+ * an "Original Message" divider or an Outlook "From:" block, and without
+ * "> " lines or the signature after "-- ".
+ *
+ * @param {string} text - Reply text
+ * @returns {string}
+ */
+function stripQuotedText(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const withNext = `${line} ${lines[i + 1] || ''}`;
+    if (/^On\b.{0,200}\bwrote:\s*$/i.test(line) || /^On\b.{0,200}\bwrote:\s*$/i.test(withNext)) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line) || /^_{10,}\s*$/.test(line)) break;
+    if (/^From:\s.+/i.test(line) && kept.length > 0 && kept[kept.length - 1].trim() === '') break;
+    if (line === '-- ') break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Read an inbound email.
+ *
+ * @param {string} raw - The whole message (RFC 5322), as forwarded by a
+ *   mail provider or saved from a mail client
+ * @returns {{ from: string, fromName: string, subject: string, date: string|null,
+ *   messageId: string|null, inReplyTo: string[], text: string }}
+ *   text is the reply without the quoted original; inReplyTo holds the
+ *   Message-IDs of In-Reply-To and References
+ * @throws {Error} status 400 if it has no readable text
+ */
+function parseInboundEmail(raw) {
+  if (typeof raw !== 'string' || raw.trim() === '') throw replyError('raw must be the email as text (RFC 5322)');
+  const message = splitMessage(raw.replace(/^\uFEFF/, ''));
+  const { headers } = message;
+  const { plain, html } = partText(message);
+  const text = stripQuotedText(plain ?? html ?? '');
+  if (!text) throw replyError('The email has no readable text');
+
+  const from = decodeHeader(headers.from);
+  const date = headers.date ? new Date(headers.date) : null;
+  return {
+    from: addressOf(from),
+    fromName: (from.match(/^\s*"?([^"<]*?)"?\s*</) || [])[1] || '',
+    subject: decodeHeader(headers.subject),
+    date: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    messageId: messageIds(headers['message-id'])[0] || null,
+    inReplyTo: [...new Set([...messageIds(headers['in-reply-to']), ...messageIds(headers.references)])],
+    text
+  };
+}
+
+/**
+ * A reply from a request: { raw } (parsed) or { text, from, subject,
+ * inReplyTo } (text has its quoted original cut off).
+ *
+ * @throws {Error} status 400 if there is neither raw nor text
+ */
+function readReply({ raw, text, from, subject, inReplyTo } = {}) {
+  if (raw !== undefined) return parseInboundEmail(raw);
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw replyError('Send the reply as raw (the whole email) or text (its body)');
+  }
+  const stripped = stripQuotedText(text);
+  if (!stripped) throw replyError('The reply has no text besides the quoted original');
+  return {
+    from: addressOf(from),
+    fromName: '',
+    subject: typeof subject === 'string' ? subject : '',
+    date: null,
+    messageId: null,
+    inReplyTo: messageIds([].concat(inReplyTo || []).join(' ')),
+    text: stripped
+  };
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * What a classification does to the remaining follow-ups.
+ *
+ * @returns {string} A REPLY_ACTIONS value
+ */
+function replyAction(classification) {
+  return ACTION_BY_CLASS[classification];
+}
+
+/**
+ * Whether the musician should answer this kind of reply (a draft is offered).
+ */
+function needsDraft(classification) {
+  return DRAFTED_CLASSES.includes(classification);
+}
+
+/**
+ * Check and tidy the model's classification.
+ *
+ * @returns {Object|null} null if it isn't usable
+ */
+function normalizeClassification(result) {
+  if (!result || typeof result !== 'object' || !Object.values(REPLY_CLASSES).includes(result.classification)) return null;
+  const { classification } = result;
+  return {
+    classification,
+    summary: typeof result.summary === 'string' ? result.summary.trim() : '',
+    returnDate: classification === REPLY_CLASSES.OUT_OF_OFFICE && DATE_PATTERN.test(result.returnDate) ? result.returnDate : null,
+    newContact: classification === REPLY_CLASSES.WRONG_CONTACT && typeof result.newContact === 'string' && result.newContact.trim()
+      ? result.newContact.trim()
+      : null,
+    action: replyAction(classification)
+  };
+}
+
+/**
+ * Classify a venue's reply.
+ *
+ * @param {Object} llm - LLM provider (llmProvider.js)
+ * @param {Object} reply - From readReply ({ subject, text })
+ * @param {Object} [options]
+ * @param {Function} [options.clock=systemClock] - "Today", for reading return dates
+ * @returns {Promise<Object>} { classification, summary, returnDate, newContact, action }
+ * @throws {Error} status 502 if the model doesn't give a valid classification
+ */
+async function classifyReply(llm, reply, { clock = systemClock } = {}) {
+  const text = reply.text.slice(0, REPLY_MAX_TEXT_LENGTH);
+  const today = clock().toISOString().slice(0, 10);
+  const prompt = `A musician emailed a venue asking to play there. Below is the venue's reply. Classify it as exactly one of:
+
+- "interested": wants to book the musician, offers or asks about dates, or wants to move forward
+- "not-interested": declines, says it's not a fit or they're fully booked, or asks not to be contacted again
+- "out-of-office": an automatic away or vacation reply, not an answer from a person
+- "more-info": asks a question or for more material before deciding (fees, setlist, tech needs, recordings)
+- "wrong-contact": the person doesn't book music, has left the venue, or points to someone else
+
+${USER_CONTENT_RULES}
+
+TODAY: ${today}
+SUBJECT: ${reply.subject ? `"${inlineUserContent(reply.subject)}"` : '(none)'}
+REPLY:
+${fenceUserContent('reply', text)}
+
+Answer in JSON only:
+{"classification": "one of the five above", "summary": "one sentence on what they said", "returnDate": "YYYY-MM-DD the sender is back (out-of-office only, otherwise null)", "newContact": "who they point to instead, name and/or email (wrong-contact only, otherwise null)"}`;
+
+  for (let attempt = 1; attempt <= MAX_CLASSIFY_ATTEMPTS; attempt++) {
+    const { content } = await callModel(llm, prompt, {
+      task: TASKS.REPLY_CLASSIFICATION,
+      temperature: 0,
+      json: true,
+      context: { text, subject: reply.subject, today }
+    });
+    let result = null;
+    try {
+      result = normalizeClassification(extractJson(content));
+    } catch (_) {
+      // Not JSON - try again
+    }
+    if (result) return result;
+  }
+  throw apiError(502, ERROR_CODES.MODEL_OUTPUT_INVALID, 'The model did not return a valid classification for the reply');
+}
+
+// ============================================================================
+// SUGGESTED REPLY
+// ============================================================================
+
+/**
+ * Draft the musician's answer to an "interested" or "more info" reply.
+ * Facts come only from the artist's info; anything not in it (a fee, say)
+ * is left for the musician to confirm rather than made up.
+ *
+ * @param {Object} llm - LLM provider (llmProvider.js)
+ * @param {Object} reply - From readReply ({ subject, text, fromName })
+ * @param {Object} classification - From classifyReply
+ * @param {Object} inputs - Artist fields (campaign inputs / profile): infoDump,
+ *   videoLinks, signatureBlock, availability, emailStyle, timeZone, locale
+ * @param {Object} [options]
+ * @param {Object} [options.recipient] - The venue as sent to ({ firstName, venueName })
+ * @param {Function} [options.clock=systemClock]
+ * @returns {Promise<{ subject: string, text: string, html: string }>}
+ */
+async function draftReply(llm, reply, classification, inputs, { recipient = {}, clock = systemClock } = {}) {
+  const { infoDump = '', signatureBlock = '', emailStyle = '', timeZone, locale } = inputs;
+  const videoLinks = Array.isArray(inputs.videoLinks) ? inputs.videoLinks.filter(Boolean) : [];
+  const firstName = recipient.firstName || reply.fromName.split(/\s+/)[0] || '';
+
+  let availability = '';
+  if (inputs.availability) {
+    const { hasValidDates, filteredAvailability } = filterAvailabilityByDate(inputs.availability, 0, undefined, { timeZone, locale, clock });
+    availability = hasValidDates ? filteredAvailability : '';
+  }
+
+  const prompt = `Write the musician's answer to this reply from a venue${recipient.venueName ? ` (${inlineUserContent(recipient.venueName)})` : ''}. The venue is ${classification.classification === REPLY_CLASSES.INTERESTED ? 'interested in booking the musician' : 'asking for more information before deciding'}.
+
+${USER_CONTENT_RULES}
+
+VENUE'S REPLY:
+${fenceUserContent('reply', reply.text.slice(0, REPLY_MAX_TEXT_LENGTH))}
+
+MUSICIAN INFO:
+${fenceUserContent('artist_info', infoDump)}
+${videoLinks.length ? `VIDEO LINKS: ${videoLinks.map(inlineUserContent).join(', ')}\n` : ''}${availability ? `OPEN DATES: ${inlineUserContent(availability)}\n` : ''}${emailStyle ? `STYLE:\n${fenceUserContent('tone', emailStyle)}\n` : ''}SIGNATURE:
+${fenceUserContent('signature', signatureBlock)}
+
+RULES:
+- Answer every question they asked, using only the musician info above
+- If they ask for something the info doesn't cover (a fee, a tech rider), say you'll send it shortly - never invent it
+- ${classification.classification === REPLY_CLASSES.INTERESTED ? 'Thank them and suggest a next step (confirm a date, a quick call)' : 'Keep it helpful and low-pressure, and end with one simple question'}
+- Greet them as "Hi${firstName ? ` ${inlineUserContent(firstName)}` : ''},", under 150 words, plain text, no merge tags, end with the signature
+
+Answer in JSON only: {"body": "the whole email, greeting to signature"}`;
+
+  const { content } = await callModel(llm, prompt, {
+    task: TASKS.REPLY_DRAFT,
+    temperature: 0.5,
+    json: true,
+    context: { classification: classification.classification, firstName, infoDump, videoLink: videoLinks[0] || '', availability, signatureBlock }
+  });
+  const body = extractJson(content).body;
+  if (typeof body !== 'string' || body.trim() === '') {
+    throw apiError(502, ERROR_CODES.MODEL_OUTPUT_INVALID, 'The model did not return a reply draft');
+  }
+
+  const subject = /^re:/i.test(reply.subject) ? reply.subject : `Re: ${reply.subject || 'Booking'}`;
+  const text = body.trim();
+  return {
+    subject,
+    text,
+    html: renderEmailHtml(textToParts(text).parts, { subject, videoLinks, footer: false })
+  };
+}
+
+module.exports = {
+  REPLY_CLASSES,
+  REPLY_ACTIONS,
+  parseInboundEmail,
+  readReply,
+  stripQuotedText,
+  replyAction,
+  needsDraft,
+  classifyReply,
+  draftReply
+};
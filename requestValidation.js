@@ -0,0 +1,267 @@
+/**
+ * ============================================================================
+ * REQUEST VALIDATION - CHECK REQUESTS AGAINST THEIR SCHEMAS
+ * ============================================================================
+ *
+ * Every /ai route describes its body, path parameters and query string as a
+ * schema (apiSchemas.js). validateRequest() checks a request against it
+ * before the route runs, so a bad payload gets a 400 naming every field
+ * that's wrong instead of a TypeError deep inside a prompt builder:
+ *
+ * {
+ *   error: "Invalid request: videoLinks[0] must be an http(s) URL (and 1 more problem)",
+ *   code: "invalid_request",
+ *   retryable: false,
+ *   fields: [
+ *     { field: "videoLinks[0]", in: "body", message: "must be an http(s) URL" },
+ *     { field: "emailIndex", in: "body", message: "must be an integer" }
+ *   ]
+ * }
+ *
+ * SCHEMAS:
+ * Plain JSON Schema objects, so the same ones are published as the OpenAPI
+ * document. The keywords understood here: type (a name or a list),
+ * enum, minLength, maxLength, pattern, format ("uri" = http(s) URL,
+ * "email", "date-time", "uuid"), minimum, maximum, items, minItems,
+ * maxItems, properties, required, additionalProperties, propertyNames,
+ * maxProperties and anyOf, plus
+ * errorMessage - the message for a failed pattern or anyOf. Other keywords
+ * (description, example...) are documentation only.
+ *
+ * Path parameters and query values are strings; where their schema asks
+ * for a number or boolean, a string that reads as one passes.
+ *
+ * What needs more than the shape of a request - a cadence's order, whether
+ * a campaign exists, an email index within the cadence - is still checked
+ * by the modules that know (cadence.js, campaignStore.js...).
+ * ============================================================================
+ */
+
+const { ERROR_CODES, apiError } = require('./apiErrors');
+
+// Shown for each `format`
+const FORMATS = {
+  uri: {
+    message: 'must be an http(s) URL',
+    test: value => {
+      try {
+        const url = new URL(value);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+      } catch {
+        return false;
+      }
+    }
+  },
+  email: {
+    message: 'must be an email address',
+    test: value => /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/.test(value)
+  },
+  'date-time': {
+    message: 'must be an ISO 8601 date/time, e.g. "2025-11-03T09:00:00Z"',
+    test: value => /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+  },
+  uuid: {
+    message: 'must be an id (UUID)',
+    test: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+  }
+};
+
+// How each type is named in messages
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * The JSON type of a value (integers are also numbers).
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * A query string or path value as the type its schema asks for.
+ */
+function coerce(value, schema) {
+  if (typeof value !== 'string' || !schema.type) return value;
+  const types = [].concat(schema.type);
+  if (types.includes('string')) return value;
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/**
+ * Join a property or index onto a field path: "recipients[2].email".
+ */
+function fieldPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema.
+ *
+ * @param {Object} schema - JSON Schema (see header for the keywords used)
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.field=''] - Path of the value, for messages
+ * @param {boolean} [options.coerceStrings=false] - Accept "3" for a number (query strings, path parameters)
+ * @returns {Array<{ field: string, message: string }>} Empty when valid
+ */
+function validate(schema, value, { field = '', coerceStrings = false } = {}) {
+  const errors = [];
+  const fail = message => errors.push({ field, message });
+  if (coerceStrings) value = coerce(value, schema);
+
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(branch => validate(branch, value, { field, coerceStrings }));
+    if (branches.some(branchErrors => branchErrors.length === 0)) return [];
+    // Report the branch meant for this type of value, if just one is
+    const sameType = schema.anyOf.map((branch, i) => (!branch.type || [].concat(branch.type).some(type => matchesType(value, type)) ? i : -1)).filter(i => i >= 0);
+    if (sameType.length === 1) return branches[sameType[0]];
+    fail(schema.errorMessage || `must be ${schema.anyOf.map(branch => TYPE_NAMES[branch.type] || 'another form').join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters (got ${value.length})`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.errorMessage || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && value !== '' && !FORMATS[schema.format].test(value)) {
+      fail(FORMATS[schema.format].message);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be ${schema.minimum} or more`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ${schema.maximum} or less`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} entries`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} entries (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, { field: fieldPath(field, i), coerceStrings })));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      fail(`must have at most ${schema.maxProperties} entries (got ${Object.keys(value).length})`);
+    }
+    if (schema.propertyNames) {
+      for (const name of Object.keys(value)) {
+        for (const { message } of validate(schema.propertyNames, name)) errors.push({ field: fieldPath(field, name), message: `is not a valid key: ${message}` });
+      }
+    }
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: fieldPath(field, name), message: 'is required' });
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[name]) {
+        errors.push(...validate(properties[name], item, { field: fieldPath(field, name), coerceStrings }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldPath(field, name), message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, item, { field: fieldPath(field, name), coerceStrings }));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * The 400 error for a list of problems.
+ *
+ * @param {Array<{ field, in, message }>} fields
+ * @returns {Error} status 400, details { code: "invalid_request", fields }
+ */
+function validationError(fields) {
+  const [first] = fields;
+  const more = fields.length > 1 ? ` (and ${fields.length - 1} more problem${fields.length === 2 ? '' : 's'})` : '';
+  const where = first.field || (first.in === 'body' ? 'The request body' : `The ${first.in}`);
+  return apiError(400, ERROR_CODES.INVALID_REQUEST, `Invalid request: ${where} ${first.message}${more}`, { fields });
+}
+
+/**
+ * Throw a 400 unless a value matches its schema (for checks that can only
+ * run inside a route, e.g. once a profile is merged into the request).
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [location='body'] - "body", "query" or "path"
+ * @throws {Error} status 400 listing every problem (see validationError)
+ */
+function assertValid(schema, value, location = 'body') {
+  const errors = validate(schema, value, { coerceStrings: location !== 'body' });
+  if (errors.length > 0) throw validationError(errors.map(({ field, message }) => ({ field, in: location, message })));
+}
+
+/**
+ * Express middleware checking a request against a route's schemas.
+ * A body that isn't JSON (an .ics or raw email upload) is left to the
+ * route; its options are then in the query string.
+ *
+ * @param {Object} route - { body?, params?, query? } JSON Schemas (apiSchemas.js)
+ * @returns {Function} Middleware answering 400 with `fields` when invalid
+ */
+function validateRequest(route) {
+  return (req, res, next) => {
+    const errors = [];
+    const check = (schema, value, location) => {
+      if (!schema) return;
+      const found = validate(schema, value, { coerceStrings: location !== 'body' });
+      errors.push(...found.map(({ field, message }) => ({ field, in: location, message })));
+    };
+    check(route.params, req.params, 'path');
+    check(route.query, req.query, 'query');
+    if (typeof req.body !== 'string') check(route.body, req.body === undefined ? {} : req.body, 'body');
+    if (errors.length === 0) return next();
+    const error = validationError(errors);
+    res.status(400).json({ error: error.message, ...error.details });
+  };
+}
+
+module.exports = {
+  validate,
+  assertValid,
+  validateRequest
+};
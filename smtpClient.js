@@ -0,0 +1,293 @@
+/**
+ * ============================================================================
+ * SMTP CLIENT - HAND A MESSAGE TO AN SMTP SERVER
+ * ============================================================================
+ *
+ * A small SMTP client (RFC 5321) for the built-in sender (campaignSender.js):
+ * one connection per message, no pipelining, no connection pool.
+ *
+ * CONVERSATION:
+ * greeting -> EHLO (HELO if refused) -> STARTTLS when offered -> AUTH
+ * (PLAIN or LOGIN, only with a user) -> MAIL FROM -> RCPT TO -> DATA -> QUIT
+ *
+ * SECURITY:
+ * - SMTP_SECURE=true connects over TLS from the start (port 465)
+ * - Otherwise STARTTLS is used whenever the server offers it
+ * - The password is never sent unencrypted, except to a server on this
+ *   machine (a local mail catcher)
+ *
+ * ERRORS:
+ * Failures throw with `status` 502, the server's `smtpCode` (if it replied)
+ * and `permanent`: true for 5xx replies (retrying won't help), false for
+ * 4xx replies, timeouts and network errors.
+ *
+ * CONFIGURATION (environment, see smtpConfigFromEnv):
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * ============================================================================
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { SMTP_TIMEOUT_MS } = require('./constants');
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/**
+ * Build an SMTP error.
+ *
+ * @param {string} message
+ * @param {number} [code] - The server's reply code
+ */
+function smtpError(message, code) {
+  const error = new Error(message);
+  error.status = 502;
+  error.smtpCode = code || null;
+  error.permanent = code >= 500;
+  return error;
+}
+
+/**
+ * Read the SMTP settings from the environment.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {Object|null} Transport options, or null when SMTP_HOST isn't set (sending disabled)
+ */
+function smtpConfigFromEnv(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: env.SMTP_USER || '',
+    pass: env.SMTP_PASS || ''
+  };
+}
+
+/**
+ * Open a connection and read replies from it one at a time.
+ *
+ * @returns {Promise<Object>} { reply(), command(line, expected), write(data), upgrade(), close(), encrypted }
+ */
+function openConnection({ host, port, secure, timeoutMs, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    let socket;
+    let buffer = '';
+    let lines = [];
+    const replies = [];  // complete replies not yet read
+    let waiting = null;  // { resolve, reject } of the pending reply()
+    let failure = null;
+
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, end).replace(/\r$/, '');
+        buffer = buffer.slice(end + 1);
+        lines.push(line);
+        // The last line of a reply has a space (or nothing) after the code: "250 OK"
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+          lines = [];
+        }
+      }
+      while (waiting && replies.length > 0) {
+        const { resolve: done } = waiting;
+        waiting = null;
+        done(replies.shift());
+      }
+    };
+
+    const onError = (error) => {
+      failure = failure || (error.status ? error : smtpError(`SMTP connection to ${host}:${port} failed: ${error.message}`));
+      if (waiting) {
+        waiting.reject(failure);
+        waiting = null;
+      }
+    };
+
+    const attach = (target) => {
+      target.on('data', onData);
+      target.on('error', onError);
+      target.on('close', () => onError(smtpError(`SMTP server ${host}:${port} closed the connection`)));
+      target.setTimeout(timeoutMs, () => {
+        onError(smtpError(`SMTP server ${host}:${port} did not reply within ${timeoutMs / 1000}s`));
+        target.destroy();
+      });
+    };
+
+    const connection = {
+      encrypted: secure,
+
+      /** The next reply from the server. */
+      reply() {
+        if (replies.length > 0) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((done, fail) => { waiting = { resolve: done, reject: fail }; });
+      },
+
+      write(data) {
+        socket.write(data);
+      },
+
+      /**
+       * Send a command and check the reply code.
+       *
+       * @param {string} line - Command without CRLF
+       * @param {number|number[]} expected - Accepted reply code(s)
+       * @param {string} [label] - Name used in errors (hides AUTH credentials)
+       */
+      async command(line, expected, label = line) {
+        socket.write(`${line}\r\n`);
+        const reply = await connection.reply();
+        if (![].concat(expected).includes(reply.code)) {
+          throw smtpError(`SMTP server rejected ${label}: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+      },
+
+      /** Switch the connection to TLS (after STARTTLS). */
+      upgrade() {
+        return new Promise((done, fail) => {
+          socket.removeAllListeners('data');
+          socket.removeAllListeners('error');
+          socket.removeAllListeners('close');
+          socket.setTimeout(0);
+          const secured = tls.connect({ socket, servername: net.isIP(host) ? undefined : host, rejectUnauthorized }, () => {
+            secured.removeListener('error', fail);
+            socket = secured;
+            attach(secured);
+            connection.encrypted = true;
+            done();
+          });
+          secured.once('error', (error) => fail(smtpError(`TLS with ${host}:${port} failed: ${error.message}`)));
+        });
+      },
+
+      close() {
+        socket.removeAllListeners('close');
+        socket.end();
+        socket.destroy();
+      }
+    };
+
+    const connected = () => {
+      socket.removeListener('error', failed);
+      socket.removeAllListeners('timeout');
+      attach(socket);
+      resolve(connection);
+    };
+    const failed = (error) => reject(smtpError(`Could not connect to SMTP server ${host}:${port}: ${error.message}`));
+
+    socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, rejectUnauthorized }, connected)
+      : net.connect({ host, port }, connected);
+    socket.once('error', failed);
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`no connection within ${timeoutMs / 1000}s`)));
+  });
+}
+
+/**
+ * EHLO (or HELO for old servers), returning the extensions offered.
+ *
+ * @returns {Promise<Set<string>>} e.g. { "STARTTLS", "AUTH PLAIN LOGIN", "8BITMIME" }
+ */
+async function greet(connection, name) {
+  connection.write(`EHLO ${name}\r\n`);
+  const reply = await connection.reply();
+  if (reply.code === 250) return new Set(reply.lines.slice(1).map(line => line.toUpperCase()));
+  await connection.command(`HELO ${name}`, 250);
+  return new Set();
+}
+
+/**
+ * Log in with AUTH PLAIN, or AUTH LOGIN if that's all the server offers.
+ */
+async function authenticate(connection, extensions, { user, pass }) {
+  const auth = [...extensions].find(extension => extension.startsWith('AUTH')) || '';
+  const mechanisms = auth.split(/[\s=]+/).slice(1);
+  if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+    const token = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+    await connection.command(`AUTH PLAIN ${token}`, 235, 'AUTH PLAIN (check SMTP_USER and SMTP_PASS)');
+    return;
+  }
+  await connection.command('AUTH LOGIN', 334);
+  await connection.command(Buffer.from(user, 'utf8').toString('base64'), 334, 'the SMTP user');
+  await connection.command(Buffer.from(pass, 'utf8').toString('base64'), 235, 'the SMTP password');
+}
+
+/**
+ * A message body for DATA: CRLF line endings, lines starting with "." doubled.
+ */
+function dotStuff(data) {
+  return data.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..').replace(/(?:\r\n)?$/, '\r\n');
+}
+
+/**
+ * Create an SMTP transport.
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} [options.port=587]
+ * @param {boolean} [options.secure=false] - TLS from the start (port 465); otherwise STARTTLS when offered
+ * @param {string} [options.user] - Log in as this user (no AUTH without one)
+ * @param {string} [options.pass]
+ * @param {string} [options.name=os.hostname()] - Name sent with EHLO
+ * @param {number} [options.timeoutMs=SMTP_TIMEOUT_MS] - Longest wait for a reply
+ * @param {boolean} [options.rejectUnauthorized=true] - Check the server's TLS certificate
+ * @returns {{ host: string, port: number, send: Function }}
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user = '', pass = '', name = os.hostname(), timeoutMs = SMTP_TIMEOUT_MS, rejectUnauthorized = true }) {
+  return {
+    host,
+    port,
+
+    /**
+     * Deliver one message.
+     *
+     * @param {Object} envelope
+     * @param {string} envelope.from - Sender address (MAIL FROM)
+     * @param {string} envelope.to - Recipient address (RCPT TO)
+     * @param {string} envelope.data - The message (mimeMessage.js)
+     * @returns {Promise<{ response: string }>} The server's reply to the message, e.g. "250 OK queued as 1234"
+     * @throws {Error} status 502 (see ERRORS above)
+     */
+    async send({ from, to, data }) {
+      const connection = await openConnection({ host, port, secure, timeoutMs, rejectUnauthorized });
+      try {
+        const greeting = await connection.reply();
+        if (greeting.code !== 220) throw smtpError(`SMTP server refused the connection: ${greeting.code} ${greeting.lines.join(' ')}`, greeting.code);
+
+        let extensions = await greet(connection, name);
+        if (!connection.encrypted && extensions.has('STARTTLS')) {
+          await connection.command('STARTTLS', 220);
+          await connection.upgrade();
+          extensions = await greet(connection, name);
+        }
+
+        if (user) {
+          if (!connection.encrypted && !LOOPBACK_HOSTS.has(host)) {
+            throw smtpError(`SMTP server ${host} offers no TLS - refusing to send the password unencrypted`);
+          }
+          await authenticate(connection, extensions, { user, pass });
+        }
+
+        await connection.command(`MAIL FROM:<${from}>`, 250);
+        await connection.command(`RCPT TO:<${to}>`, [250, 251]);
+        await connection.command('DATA', 354);
+        connection.write(dotStuff(data));
+        const accepted = await connection.command('.', 250, 'the message');
+        await connection.command('QUIT', 221).catch(() => {});
+        return { response: `${accepted.code} ${accepted.lines.join(' ')}`.trim() };
+      } finally {
+        connection.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+  smtpConfigFromEnv
+};
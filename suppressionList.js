@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * SUPPRESSION LIST - ADDRESSES THAT MUST NOT BE EMAILED AGAIN
+ * ============================================================================
+ *
+ * Every email carries an unsubscribe link, and CAN-SPAM/GDPR require that
+ * using it works - for good, and for every campaign. This list is where an
+ * opt-out ends up, whatever its source:
+ *
+ * - unsubscribed: the recipient used the link in an email (unsubscribe.js)
+ * - reply:        they replied "not interested" (replyClassifier.js)
+ * - manual:       added through the API, e.g. imported from an ESP
+ *
+ * WHO CHECKS IT:
+ * - campaignSender.js: suppressed recipients are never sent to, including
+ *   follow-ups already scheduled when they opt out
+ * - The venue batch route: suppressed recipients aren't written for, and are
+ *   left out of its downloads
+ * - GET /ai/suppressions?format=csv: the list for an ESP's own suppression
+ *   import, so exported sequences honor it too
+ *
+ * ENTRY SHAPE:
+ * { email, reason, source, createdAt }   - source: e.g. the campaign id
+ *
+ * STORAGE:
+ * One JSON file per address in SUPPRESSION_DATA_DIR (fileStore.js), named
+ * by a hash of the lower-cased address.
+ * ============================================================================
+ */
+
+const { createFileStore, storeError, idFromKey } = require('./fileStore');
+const { systemClock } = require('./dateUtils');
+const { csvCell } = require('./venueBatch');
+
+const SUPPRESSION_REASONS = {
+  UNSUBSCRIBED: 'unsubscribed',
+  REPLY: 'reply',
+  MANUAL: 'manual'
+};
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+/**
+ * An address as stored: trimmed, lower case.
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * Whether a value can go on the list.
+ */
+function isEmailAddress(email) {
+  return EMAIL_ADDRESS_PATTERN.test(normalizeEmail(email));
+}
+
+/**
+ * The file id of an address.
+ */
+function idFor(email) {
+  return idFromKey(normalizeEmail(email));
+}
+
+/**
+ * An entry without its file id.
+ */
+function view({ id, ...entry }) {
+  return entry;
+}
+
+/**
+ * Create the suppression list.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the entries
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} Suppression list API
+ */
+function createSuppressionList({ dir, clock = systemClock }) {
+  const files = createFileStore({ dir, notFoundMessage: 'Address is not on the suppression list' });
+
+  const list = {
+    /**
+     * The entry for an address.
+     *
+     * @returns {Promise<Object|null>} null if it isn't suppressed
+     */
+    async get(email) {
+      if (!normalizeEmail(email)) return null;
+      return files.read(idFor(email)).then(view, error => {
+        if (error.status === 404) return null;
+        throw error;
+      });
+    },
+
+    /**
+     * Whether an address must not be emailed.
+     */
+    async has(email) {
+      return (await list.get(email)) !== null;
+    },
+
+    /**
+     * Suppress an address. An address already on the list keeps its
+     * original entry.
+     *
+     * @param {string} email
+     * @param {Object} [options]
+     * @param {string} [options.reason='manual'] - A SUPPRESSION_REASONS value
+     * @param {string} [options.source] - Where it came from, e.g. a campaign id
+     * @returns {Promise<{ entry: Object, added: boolean }>}
+     * @throws {Error} status 400 if it isn't an email address or the reason is unknown
+     */
+    async add(email, { reason = SUPPRESSION_REASONS.MANUAL, source = null } = {}) {
+      const address = normalizeEmail(email);
+      if (!isEmailAddress(address)) throw storeError(400, `"${email}" is not an email address`);
+      if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+        throw storeError(400, `reason must be one of: ${Object.values(SUPPRESSION_REASONS).join(', ')}`);
+      }
+      const id = idFor(address);
+      return files.queue(id, async () => {
+        const existing = await list.get(address);
+        if (existing) return { entry: existing, added: false };
+        const entry = { id, email: address, reason, source: source ? String(source) : null, createdAt: clock().toISOString() };
+        await files.write(entry);
+        return { entry: view(entry), added: true };
+      });
+    },
+
+    /**
+     * Take an address off the list (it can be emailed again).
+     *
+     * @throws {Error} status 404 if it isn't on the list
+     */
+    async remove(email) {
+      const id = idFor(email);
+      await files.queue(id, () => files.remove(id));
+    },
+
+    /**
+     * Every entry, newest first.
+     */
+    async list() {
+      const entries = await files.list();
+      return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(view);
+    }
+  };
+  return list;
+}
+
+/**
+ * The list as CSV, for an ESP's suppression import.
+ *
+ * @param {Object[]} entries - From list()
+ * @returns {string} CSV text
+ */
+function suppressionsToCsv(entries) {
+  const lines = entries.map(({ email, reason, source, createdAt }) => [email, reason, source, createdAt].map(csvCell).join(','));
+  return [['email', 'reason', 'source', 'created_at'].join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  normalizeEmail,
+  isEmailAddress,
+  createSuppressionList,
+  suppressionsToCsv
+};
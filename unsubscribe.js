@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * UNSUBSCRIBE - SIGNED LINKS AND THE PUBLIC UNSUBSCRIBE PAGE
+ * ============================================================================
+ *
+ * Every email sent by campaignSender.js links to /ai/unsubscribe/<token>.
+ * The token names the recipient and is signed (HMAC-SHA256), so a link only
+ * ever unsubscribes the address it was sent to and can't be guessed or
+ * edited to unsubscribe someone else. Opening the link shows a confirmation
+ * page; confirming adds the address to the suppression list
+ * (suppressionList.js).
+ *
+ * Confirmation is a POST on purpose: mail scanners open every link in an
+ * email, and a GET that unsubscribed would opt people out by accident. Mail
+ * clients' one-click unsubscribe (RFC 8058, the List-Unsubscribe-Post
+ * header) posts to the same URL.
+ *
+ * TOKEN:
+ *   <base64url(email)>.<base64url(HMAC-SHA256(secret, email)), 22 characters>
+ *
+ * SECRET:
+ * UNSUBSCRIBE_SECRET, or a random secret generated on first start and kept
+ * in a file next to the suppression list. Changing it invalidates every link
+ * already sent - keep it.
+ *
+ * The pages are plain, self-contained HTML (no scripts, no outside assets).
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./emailHtml');
+
+// Characters of the base64url signature kept in a token (~128 bits)
+const SIGNATURE_LENGTH = 22;
+
+/**
+ * The signing secret: the configured one, or the one saved in `file`
+ * (generated and saved on first use).
+ *
+ * @param {Object} options
+ * @param {string} [options.secret] - UNSUBSCRIBE_SECRET
+ * @param {string} options.file - Where a generated secret is kept
+ * @returns {string}
+ */
+function loadUnsubscribeSecret({ secret, file }) {
+  if (secret) return secret;
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const generated = crypto.randomBytes(32).toString('base64url');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${generated}\n`, { mode: 0o600 });
+  return generated;
+}
+
+function sign(email, secret) {
+  return crypto.createHmac('sha256', secret).update(email).digest('base64url').slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Create the unsubscribe token signer.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - From loadUnsubscribeSecret
+ * @param {string} [options.baseUrl] - Public URL of this server (PUBLIC_URL),
+ *   e.g. "https://app.example.com" - needed for links
+ * @returns {Object} { tokenFor(email), verify(token), urlTemplate }
+ */
+function createUnsubscribeTokens({ secret, baseUrl }) {
+  return {
+    /**
+     * Unsubscribe URL for sends ("{token}" is filled per recipient), or
+     * null without a public URL.
+     */
+    urlTemplate: baseUrl ? `${baseUrl.replace(/\/+$/, '')}/ai/unsubscribe/{token}` : null,
+
+    /**
+     * The token for an address (lower-cased first).
+     */
+    tokenFor(email) {
+      const address = String(email).trim().toLowerCase();
+      return `${Buffer.from(address, 'utf8').toString('base64url')}.${sign(address, secret)}`;
+    },
+
+    /**
+     * The address a token was made for.
+     *
+     * @returns {string|null} null if the token is malformed or its signature is wrong
+     */
+    verify(token) {
+      const match = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/.exec(String(token || ''));
+      if (!match) return null;
+      const email = Buffer.from(match[1], 'base64url').toString('utf8');
+      const expected = Buffer.from(sign(email, secret));
+      const given = Buffer.from(match[2]);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      return email;
+    }
+  };
+}
+
+/**
+ * "s***@bluemoon.com" - enough for the recipient to recognise their address
+ * without the page (or the server log) showing it in full.
+ */
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+/**
+ * A minimal HTML page.
+ */
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:48px 16px;font-family:Arial, Helvetica, sans-serif;color:#222222;background-color:#f6f6f6;">
+<div style="max-width:480px;margin:0 auto;padding:32px;background-color:#ffffff;border-radius:8px;text-align:center;">
+<h1 style="font-size:22px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+${body}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * The pages of the unsubscribe flow.
+ *
+ * @param {string} state - "confirm" | "done" | "already" | "invalid"
+ * @param {Object} [options]
+ * @param {string} [options.email] - The recipient's address
+ * @param {string} [options.action] - confirm: the URL the form posts to
+ * @returns {string} HTML
+ */
+function renderUnsubscribePage(state, { email = '', action = '' } = {}) {
+  const who = email ? `<strong>${escapeHtml(maskEmail(email))}</strong>` : 'this address';
+  switch (state) {
+    case 'confirm':
+      return page('Unsubscribe', `<p style="margin:0 0 24px;">Stop all emails to ${who}?</p>
+<form method="post" action="${escapeHtml(action)}">
+<button type="submit" style="padding:12px 24px;font-size:16px;color:#ffffff;background-color:#1a5fb4;border:0;border-radius:6px;cursor:pointer;">Unsubscribe</button>
+</form>`);
+    case 'done':
+      return page('You are unsubscribed', `<p style="margin:0;">${who} won't get any more emails from us. Sorry for the bother!</p>`);
+    case 'already':
+      return page('Already unsubscribed', `<p style="margin:0;">${who} is already unsubscribed - you won't get any more emails from us.</p>`);
+    default:
+      return page('Link not valid', '<p style="margin:0;">This unsubscribe link is incomplete or has been changed. Please use the link from the email as is, or reply to it asking to be removed.</p>');
+  }
+}
+
+module.exports = {
+  loadUnsubscribeSecret,
+  createUnsubscribeTokens,
+  renderUnsubscribePage,
+  maskEmail
+};
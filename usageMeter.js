@@ -0,0 +1,374 @@
+/**
+ * ============================================================================
+ * USAGE METER - TOKENS, ESTIMATED COST AND MONTHLY QUOTAS PER USER
+ * ============================================================================
+ *
+ * Every model call is recorded against the signed-in user (req.user from
+ * auth.js) and, when the request names one, the campaign it was for: tokens
+ * in and out, and the estimated cost from MODEL_PRICES. Each user has a
+ * monthly quota of estimated spend; once it's used up, requests that call
+ * the model are refused with 429 until the next month (UTC).
+ *
+ * HOW CALLS ARE ATTRIBUTED:
+ * meterProvider() wraps the LLM provider, so every call is counted wherever
+ * it comes from. The user and campaign come from the usage scope that
+ * index.js opens for each request (runWithUsageScope); background jobs
+ * started by a request stay in its scope. Calls outside any scope are
+ * recorded for the user "system".
+ *
+ * When a provider doesn't report usage (some OpenAI-compatible servers
+ * while streaming), tokens are estimated at 4 characters each.
+ *
+ * QUOTA TIMING:
+ * The quota is checked when a request arrives, and again before every model
+ * call a signed-in user's request makes (meterProvider) - so a sequence or
+ * batch job stops at the quota: the step that would cross it fails with the
+ * 429 quota error, and the steps already done stay in the job. Calls that
+ * were already running when the quota ran out still finish, so spend can
+ * pass the quota by those few calls.
+ *
+ * STORAGE:
+ * One JSON file per user per month in USAGE_DATA_DIR (fileStore.js):
+ * { userId, month, totals, byTask, byModel, byCampaign, updatedAt }
+ * where each total is { calls, promptTokens, completionTokens, costUsd }.
+ *
+ * CONFIGURATION (environment, see usageConfigFromEnv):
+ * USAGE_MONTHLY_QUOTA_USD, USAGE_QUOTAS, USAGE_ADMINS,
+ * RATE_LIMIT_PER_MINUTE, RATE_LIMIT_PER_HOUR
+ * ============================================================================
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createFileStore, idFromKey } = require('./fileStore');
+const { ERROR_CODES, apiError } = require('./apiErrors');
+const { systemClock } = require('./dateUtils');
+const { MODEL_PRICES, MONTHLY_QUOTA_USD, RATE_LIMIT_PER_MINUTE, RATE_LIMIT_PER_HOUR } = require('./constants');
+
+// Calls made outside any request are recorded for this user
+const SYSTEM_USER = 'system';
+
+const usageScope = new AsyncLocalStorage();
+
+/**
+ * Run fn with model calls attributed to a user (and campaign).
+ *
+ * @param {Object} scope
+ * @param {string} scope.userId
+ * @param {string|null} [scope.campaignId]
+ * @param {Function} fn
+ */
+function runWithUsageScope(scope, fn) {
+  return usageScope.run(scope, fn);
+}
+
+/**
+ * Read a number setting: the value if it is a number >= 0, else the fallback.
+ */
+function numberSetting(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Read the usage settings from the environment.
+ *
+ * USAGE_QUOTAS gives users their own monthly quota: "alice:100,bob:0"
+ * (0 = no quota). USAGE_ADMINS lists users who may read everyone's usage.
+ *
+ * @param {Object} [env=process.env]
+ * @returns {Object} { quotaUsd, quotas, admins, rateLimits }
+ * @throws {Error} if USAGE_QUOTAS has an entry that isn't "user:amount"
+ */
+function usageConfigFromEnv(env = process.env) {
+  const quotas = {};
+  for (const entry of String(env.USAGE_QUOTAS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const at = entry.lastIndexOf(':');
+    const amount = at > 0 ? numberSetting(entry.slice(at + 1).trim(), NaN) : NaN;
+    if (Number.isNaN(amount)) throw new Error(`USAGE_QUOTAS: "${entry}" should be "user:amount in USD"`);
+    quotas[entry.slice(0, at).trim()] = amount;
+  }
+  return {
+    quotaUsd: numberSetting(env.USAGE_MONTHLY_QUOTA_USD, MONTHLY_QUOTA_USD),
+    quotas,
+    admins: String(env.USAGE_ADMINS || '').split(',').map(item => item.trim()).filter(Boolean),
+    rateLimits: [
+      { max: numberSetting(env.RATE_LIMIT_PER_MINUTE, RATE_LIMIT_PER_MINUTE), windowMs: 60 * 1000 },
+      { max: numberSetting(env.RATE_LIMIT_PER_HOUR, RATE_LIMIT_PER_HOUR), windowMs: 60 * 60 * 1000 }
+    ].filter(limit => limit.max > 0)
+  };
+}
+
+/**
+ * The calendar month (UTC) of an instant, e.g. "2025-11".
+ */
+function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * The first instant of the month after `month`.
+ */
+function nextMonthStart(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 1));
+}
+
+/**
+ * Estimated cost of a call in USD.
+ *
+ * @param {string} model - Model name as reported by the provider
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @param {Object} [prices=MODEL_PRICES]
+ * @returns {number} 0 for models without a price
+ */
+function estimateCost(model, { promptTokens, completionTokens }, prices = MODEL_PRICES) {
+  const name = String(model || '').toLowerCase();
+  const prefix = Object.keys(prices)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return 0;
+  const price = prices[prefix];
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Token counts of a call: the provider's, or estimated from the text.
+ */
+function usageOf(request, result) {
+  if (result.usage && Number.isFinite(result.usage.promptTokens)) {
+    return { promptTokens: result.usage.promptTokens, completionTokens: result.usage.completionTokens || 0 };
+  }
+  const promptLength = request.messages.reduce((sum, message) => sum + String(message.content).length, 0);
+  return { promptTokens: Math.ceil(promptLength / 4), completionTokens: Math.ceil(String(result.content || '').length / 4) };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals, { promptTokens, completionTokens }, costUsd) {
+  const sum = totals || emptyTotals();
+  sum.calls += 1;
+  sum.promptTokens += promptTokens;
+  sum.completionTokens += completionTokens;
+  // Rounded to a millionth of a dollar so long sums don't drift
+  sum.costUsd = Math.round((sum.costUsd + costUsd) * 1e6) / 1e6;
+  return sum;
+}
+
+/**
+ * A usage record without its file id.
+ */
+function view({ id, ...record }) {
+  return record;
+}
+
+/**
+ * Create the usage meter.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the usage files
+ * @param {number} [options.quotaUsd=MONTHLY_QUOTA_USD] - Default monthly quota (0 = none)
+ * @param {Object} [options.quotas={}] - Per-user quotas: { userId: usd }
+ * @param {Object} [options.prices=MODEL_PRICES]
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} Usage meter API
+ */
+function createUsageMeter({ dir, quotaUsd = MONTHLY_QUOTA_USD, quotas = {}, prices = MODEL_PRICES, clock = systemClock }) {
+  const files = createFileStore({ dir, notFoundMessage: 'No usage recorded' });
+  const idFor = (userId, month) => idFromKey(`${userId}\n${month}`);
+
+  const meter = {
+    /**
+     * This month, e.g. "2025-11".
+     */
+    currentMonth() {
+      return monthOf(clock());
+    },
+
+    /**
+     * Record one model call.
+     *
+     * @param {Object} call
+     * @param {string} [call.userId] - Defaults to "system"
+     * @param {string|null} [call.campaignId]
+     * @param {string} call.task - TASKS value
+     * @param {string} call.model
+     * @param {{ promptTokens: number, completionTokens: number }} call.usage
+     * @returns {Promise<Object>} The user's usage this month
+     */
+    async record({ userId = SYSTEM_USER, campaignId = null, task, model, usage }) {
+      const now = clock();
+      const month = monthOf(now);
+      const id = idFor(userId, month);
+      const costUsd = estimateCost(model, usage, prices);
+      return files.queue(id, async () => {
+        const record = await files.read(id).catch(error => {
+          if (error.status === 404) return { id, userId, month, totals: emptyTotals(), byTask: {}, byModel: {}, byCampaign: {} };
+          throw error;
+        });
+        // Keyed by ids from requests: no prototype, so "__proto__" is just a key
+        record.byCampaign = Object.assign(Object.create(null), record.byCampaign);
+        addTo(record.totals, usage, costUsd);
+        record.byTask[task] = addTo(record.byTask[task], usage, costUsd);
+        record.byModel[model] = addTo(record.byModel[model], usage, costUsd);
+        if (campaignId) record.byCampaign[campaignId] = addTo(record.byCampaign[campaignId], usage, costUsd);
+        record.updatedAt = now.toISOString();
+        await files.write(record);
+        return view(record);
+      });
+    },
+
+    /**
+     * A user's usage in a month (all zero if nothing was recorded).
+     *
+     * @param {string} userId
+     * @param {string} [month] - "YYYY-MM", defaults to this month
+     * @returns {Promise<Object>}
+     */
+    async get(userId, month = monthOf(clock())) {
+      return files.read(idFor(userId, month)).then(view, error => {
+        if (error.status !== 404) throw error;
+        return { userId, month, totals: emptyTotals(), byTask: {}, byModel: {}, byCampaign: {}, updatedAt: null };
+      });
+    },
+
+    /**
+     * Every user's usage in a month, biggest spender first.
+     *
+     * @param {string} [month] - "YYYY-MM", defaults to this month
+     */
+    async list(month = monthOf(clock())) {
+      const records = await files.list();
+      return records
+        .filter(record => record.month === month)
+        .sort((a, b) => b.totals.costUsd - a.totals.costUsd)
+        .map(view);
+    },
+
+    /**
+     * A user's monthly quota in USD, or null when they have none.
+     */
+    quotaFor(userId) {
+      const limit = Object.prototype.hasOwnProperty.call(quotas, userId) ? quotas[userId] : quotaUsd;
+      return limit > 0 ? limit : null;
+    },
+
+    /**
+     * Where a user stands against their quota this month.
+     *
+     * @returns {Promise<Object>} { limitUsd, usedUsd, remainingUsd, resetsAt } (limitUsd/remainingUsd null without a quota)
+     */
+    async quota(userId) {
+      const month = monthOf(clock());
+      const { totals } = await meter.get(userId, month);
+      const limitUsd = meter.quotaFor(userId);
+      return {
+        limitUsd,
+        usedUsd: totals.costUsd,
+        remainingUsd: limitUsd === null ? null : Math.max(0, Math.round((limitUsd - totals.costUsd) * 1e6) / 1e6),
+        resetsAt: nextMonthStart(month).toISOString()
+      };
+    },
+
+    /**
+     * Refuse a model request from a user whose quota is used up.
+     *
+     * @throws {Error} status 429 (quota_exceeded), details { quota, retryAfter } (seconds until the quota resets)
+     */
+    async checkQuota(userId) {
+      const quota = await meter.quota(userId);
+      if (quota.limitUsd === null || quota.usedUsd < quota.limitUsd) return;
+      throw apiError(429, ERROR_CODES.QUOTA_EXCEEDED, `Monthly usage quota of $${quota.limitUsd.toFixed(2)} reached ($${quota.usedUsd.toFixed(2)} used) - it resets on ${quota.resetsAt.slice(0, 10)}`, {
+        quota,
+        retryAfter: Math.ceil((Date.parse(quota.resetsAt) - clock().getTime()) / 1000)
+      });
+    }
+  };
+  return meter;
+}
+
+/**
+ * Wrap an LLM provider so every call is checked against the caller's quota
+ * and recorded by the meter. Recording failures are logged, never passed to
+ * the caller; calls outside a request ("system") have no quota.
+ *
+ * @param {Object} provider - From createProvider (llmProvider.js)
+ * @param {Object} meter - From createUsageMeter
+ * @returns {Object} Provider with the same interface
+ */
+function meterProvider(provider, meter) {
+  return {
+    ...provider,
+    /**
+     * @throws {Error} status 429 (quota_exceeded) when the caller's quota is used up
+     */
+    async complete(request) {
+      const scope = usageScope.getStore() || {};
+      if (scope.userId) await meter.checkQuota(scope.userId);
+      const result = await provider.complete(request);
+      await meter.record({
+        userId: scope.userId,
+        campaignId: scope.campaignId,
+        task: request.task || 'email',
+        model: result.model || request.model || provider.defaultModel,
+        usage: usageOf(request, result)
+      }).catch(error => console.error('Usage not recorded:', error));
+      return result;
+    }
+  };
+}
+
+/**
+ * Create a per-user rate limiter (sliding windows, kept in memory).
+ *
+ * @param {Object} options
+ * @param {Array<{ max: number, windowMs: number }>} options.limits - Every limit applies
+ * @param {Function} [options.clock=systemClock] - Returns "now"
+ * @returns {Object} { hit(key), limits }
+ */
+function createRateLimiter({ limits, clock = systemClock }) {
+  const longest = Math.max(0, ...limits.map(limit => limit.windowMs));
+  const hits = new Map(); // key -> request times (ms), oldest first
+
+  return {
+    limits,
+
+    /**
+     * Count a request, or refuse it if any limit is reached.
+     *
+     * @throws {Error} status 429 (rate_limited), details { limit, retryAfter } (seconds until it would be let in)
+     */
+    hit(key) {
+      const now = clock().getTime();
+      const times = (hits.get(key) || []).filter(time => time > now - longest);
+      for (const limit of limits) {
+        const inWindow = times.filter(time => time > now - limit.windowMs);
+        if (inWindow.length >= limit.max) {
+          hits.set(key, times);
+          const retryAfter = Math.max(1, Math.ceil((inWindow[inWindow.length - limit.max] + limit.windowMs - now) / 1000));
+          throw apiError(429, ERROR_CODES.RATE_LIMITED, `Rate limit of ${limit.max} generation requests per ${limit.windowMs >= 3600000 ? 'hour' : 'minute'} reached - try again in ${retryAfter}s`, { limit, retryAfter });
+        }
+      }
+      times.push(now);
+      hits.set(key, times);
+      // Drop users who have been idle for the whole longest window
+      if (hits.size > 1000) {
+        for (const [other, otherTimes] of hits) {
+          if (otherTimes[otherTimes.length - 1] <= now - longest) hits.delete(other);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  SYSTEM_USER,
+  runWithUsageScope,
+  usageConfigFromEnv,
+  estimateCost,
+  createUsageMeter,
+  meterProvider,
+  createRateLimiter
+};
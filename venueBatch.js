@@ -0,0 +1,278 @@
+/**
+ * ============================================================================
+ * VENUE BATCH - ONE TAILORED PITCH PER RECIPIENT FROM A CSV
+ * ============================================================================
+ *
+ * A single intro email is written once and sent to every venue, with only
+ * {{venue}} and {{firstname}} changing. A batch instead writes one email (and
+ * optionally a whole follow-up sequence) per recipient, with the venue's type,
+ * city, genres and notes in the prompt (formatVenueContext in emailGenerator.js).
+ *
+ * CSV FORMAT:
+ * A header row, then one recipient per row. Headers are matched loosely
+ * (case, spaces and punctuation are ignored), so "Venue Name", "venue_name"
+ * and "VENUE" all work. Comma, semicolon and tab separated files are read.
+ *
+ *   Column        Also accepted as                       Required
+ *   venue name    venue, establishment, business name    yes
+ *   first name    contact first name, contact name       no
+ *   city          town, location                         no
+ *   venue type    type, category (bar, café, winery...)  no
+ *   genres booked genres, genre, music                   no
+ *   notes         note, comments                         no
+ *   email         email address, contact email           no (passed through)
+ *
+ * Other columns are ignored (and listed in `ignoredColumns`).
+ *
+ * RESULTS:
+ * batchResultsToCsv() writes one row per recipient with the intro and each
+ * follow-up in its own columns, ready to import into an ESP. The merge tags
+ * stay in the emails; the venue name and first name columns fill them.
+ *
+ * INTEGRATION:
+ * Used by the /ai/generate-venue-batch routes in index.js (jobs run on
+ * jobQueue.js, like follow-up sequences).
+ * ============================================================================
+ */
+
+const { MAX_BATCH_RECIPIENTS } = require('./constants');
+
+// Recipient fields and the (normalized) headers they are read from
+const RECIPIENT_COLUMNS = {
+  venueName: ['venuename', 'venue', 'establishment', 'business', 'businessname'],
+  firstName: ['firstname', 'contactfirstname', 'contactname', 'contact', 'first'],
+  city: ['city', 'town', 'location'],
+  venueType: ['venuetype', 'type', 'category'],
+  genres: ['genresbooked', 'genres', 'genre', 'music'],
+  notes: ['notes', 'note', 'comments', 'comment'],
+  email: ['email', 'emailaddress', 'contactemail']
+};
+
+// Row errors reported at most (the rest are counted)
+const MAX_REPORTED_ROW_ERRORS = 20;
+
+/**
+ * Build a 400 error, optionally with details for the JSON body.
+ */
+function batchError(message, details) {
+  const error = new Error(message);
+  error.status = 400;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * "Venue Name" / "venue_name" / "VENUE-NAME" -> "venuename"
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the separator of a CSV file from its first line.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * separators, line breaks and "" for a quote).
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<{ line: number, cells: string[] }>} Rows with their line number (1-based)
+ * @throws {Error} status 400 on an unclosed quote
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw batchError(`CSV has an unclosed quote (starting on line ${rowLine})`);
+  endRow();
+  return rows;
+}
+
+/**
+ * Map each recipient field to a column index.
+ *
+ * @returns {{ columns: Object, ignoredColumns: string[] }}
+ */
+function mapHeaders(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(RECIPIENT_COLUMNS)) {
+    const alias = aliases.find(name => normalized.includes(name));
+    if (alias) columns[field] = normalized.indexOf(alias);
+  }
+  const used = new Set(Object.values(columns));
+  const ignoredColumns = headers.filter((header, i) => !used.has(i) && header.trim() !== '');
+  return { columns, ignoredColumns };
+}
+
+/**
+ * Check recipient rows: venue name required, at most MAX_BATCH_RECIPIENTS.
+ *
+ * @throws {Error} status 400 with `rowErrors` listing the bad rows
+ */
+function checkRecipients(recipients) {
+  if (recipients.length === 0) throw batchError('No recipients found (the CSV needs a header row and at least one venue)');
+  if (recipients.length > MAX_BATCH_RECIPIENTS) {
+    throw batchError(`Too many recipients (${recipients.length}) - a batch can have up to ${MAX_BATCH_RECIPIENTS}`);
+  }
+
+  const rowErrors = recipients
+    .filter(recipient => !recipient.venueName)
+    .map(recipient => ({ row: recipient.row, error: 'venue name is required' }));
+  if (rowErrors.length > 0) {
+    throw batchError(`${rowErrors.length} recipient${rowErrors.length === 1 ? ' has' : 's have'} no venue name`, {
+      rowErrors: rowErrors.slice(0, MAX_REPORTED_ROW_ERRORS)
+    });
+  }
+}
+
+/**
+ * Read the recipients of a batch request.
+ *
+ * @param {Object} body - Request body
+ * @param {string} [body.csv] - CSV file contents (see header comment)
+ * @param {Object[]} [body.recipients] - Or recipients as JSON, with the same
+ *   field names ({ venueName, firstName, city, venueType, genres, notes, email })
+ * @returns {{ recipients: Object[], ignoredColumns: string[] }} Each recipient
+ *   has every field (empty string if missing) plus `row`: its CSV line (or
+ *   1-based position in the JSON array)
+ * @throws {Error} status 400 if the recipients are missing or invalid
+ */
+function parseRecipients({ csv, recipients } = {}) {
+  let rows;
+  let ignoredColumns = [];
+
+  if (typeof csv === 'string') {
+    const [header, ...data] = parseCsv(csv);
+    if (!header) throw batchError('CSV is empty');
+    const mapped = mapHeaders(header.cells);
+    if (mapped.columns.venueName === undefined) {
+      throw batchError('CSV needs a "venue name" column', {
+        expectedColumns: ['venue name', 'first name', 'city', 'venue type', 'genres booked', 'notes', 'email']
+      });
+    }
+    ignoredColumns = mapped.ignoredColumns;
+    rows = data.map(({ line, cells }) => {
+      const recipient = { row: line };
+      for (const [field, index] of Object.entries(mapped.columns)) recipient[field] = cells[index];
+      return recipient;
+    });
+  } else if (Array.isArray(recipients)) {
+    rows = recipients.map((recipient, i) => ({ ...(recipient && typeof recipient === 'object' ? recipient : {}), row: i + 1 }));
+  } else {
+    throw batchError('Send the recipients as `csv` (CSV text) or `recipients` (an array)');
+  }
+
+  const normalized = rows.map(row => {
+    const recipient = { row: row.row };
+    for (const field of Object.keys(RECIPIENT_COLUMNS)) {
+      recipient[field] = typeof row[field] === 'string' ? row[field].trim() : row[field] == null ? '' : String(row[field]).trim();
+    }
+    return recipient;
+  });
+  checkRecipients(normalized);
+  return { recipients: normalized, ignoredColumns };
+}
+
+/**
+ * The venue details that go into a recipient's prompt (formatVenueContext).
+ */
+function venueFor(recipient) {
+  const { venueName, firstName, city, venueType, genres, notes } = recipient;
+  return { venueName, firstName, city, venueType, genres, notes };
+}
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would run as a formula
+ * (=, +, -, @) get a leading apostrophe.
+ */
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write batch results as CSV, one row per recipient.
+ *
+ * @param {Array<{ recipient, status, error, intro, followUps }>} rows - One per
+ *   recipient; intro/followUps are null until generated
+ * @param {number} followUpCount - Follow-ups per recipient (0 for intro only)
+ * @returns {string} CSV text
+ */
+function batchResultsToCsv(rows, followUpCount) {
+  const header = ['row', 'status', 'error', 'venue_name', 'first_name', 'email', 'city', 'venue_type', 'genres', 'notes', 'subject', 'body'];
+  for (let n = 1; n <= followUpCount; n++) {
+    header.push(`followup_${n}_subject`, `followup_${n}_body`, `followup_${n}_wait_days`, `followup_${n}_send_date`);
+  }
+
+  const lines = rows.map(({ recipient, status, error, intro, followUps }) => {
+    const cells = [
+      recipient.row, status, error, recipient.venueName, recipient.firstName, recipient.email,
+      recipient.city, recipient.venueType, recipient.genres, recipient.notes,
+      intro?.subject, intro?.email
+    ];
+    for (let n = 0; n < followUpCount; n++) {
+      const followUp = followUps?.[n];
+      cells.push(followUp?.subject, followUp?.email, followUp?.waitDays, followUp?.sendDate);
+    }
+    return cells.map(csvCell).join(',');
+  });
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  RECIPIENT_COLUMNS,
+  parseCsv,
+  parseRecipients,
+  venueFor,
+  csvCell,
+  batchResultsToCsv
+};
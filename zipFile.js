@@ -0,0 +1,101 @@
+/**
+ * ============================================================================
+ * ZIP FILE - MINIMAL ZIP ARCHIVE WRITER
+ * ============================================================================
+ *
+ * Builds a .zip in memory from a list of small files (the ESP exports in
+ * espExport.js). Files are deflated with Node's zlib; there are no
+ * directories, encryption or ZIP64 - exports are a few hundred KB at most.
+ *
+ * FORMAT (PKWARE APPNOTE):
+ * [local header + data] per file, then the central directory, then the
+ * end-of-central-directory record. Names are flagged UTF-8 (bit 11).
+ * ============================================================================
+ */
+
+const zlib = require('zlib');
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields (local time, 2-second resolution).
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive.
+ *
+ * @param {Array<{ name: string, content: string|Buffer }>} files - Names must be unique
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Modification time of every file
+ * @returns {Buffer} The .zip file
+ */
+function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    // Fields shared by the local header (from offset 4) and the central header (from offset 6)
+    const shared = Buffer.alloc(26);
+    shared.writeUInt16LE(20, 0);               // Version needed (2.0)
+    shared.writeUInt16LE(0x0800, 2);           // UTF-8 names
+    shared.writeUInt16LE(8, 4);                // Deflate
+    shared.writeUInt16LE(time, 6);
+    shared.writeUInt16LE(day, 8);
+    shared.writeUInt32LE(crc, 10);
+    shared.writeUInt32LE(compressed.length, 14);
+    shared.writeUInt32LE(data.length, 18);
+    shared.writeUInt16LE(name.length, 22);
+    shared.writeUInt16LE(0, 24);               // Extra field length
+
+    const local = Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), shared, name, compressed]);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4);              // Version made by
+    shared.copy(central, 6);
+    // Comment length, disk number, internal/external attributes stay 0
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local);
+    centrals.push(Buffer.concat([central, name]));
+    offset += local.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+  createZip
+};